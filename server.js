@@ -28,13 +28,104 @@ const {
   processCallChargeStart,
   processCallChargeSettle,
 } = require("./src/connectCallBilling");
-const { processLivekitTokenRequest } = require("./src/livekitConnect");
+const {
+  processLivekitTokenRequest,
+  processCallRosterRequest,
+} = require("./src/livekitConnect");
+const { handleLivekitWebhookPost } = require("./src/livekitWebhook");
+const {
+  videoCallsEnabled,
+  videoCallsRequirePro,
+  screenShareEnabled,
+} = require("./src/callMediaPolicy");
+const { connectGroupCallMaxParticipants } = require("./src/groupRoomPolicy");
+const {
+  processCallCreate,
+  processCallGet,
+  processCallAction,
+  processCallsSeen,
+} = require("./src/callSignaling");
+const { processRoomCallHistoryRequest } = require("./src/callHistory");
+const {
+  processPublishDeviceKeys,
+  processGetOwnDeviceKeys,
+  processRoomKeyDirectory,
+  processMemberKeyBundle,
+} = require("./src/e2eeKeys");
+const {
+  pairingCodeTtlMs,
+  accountMaxDevices,
+  processCreatePairingCode,
+  processRedeemPairingCode,
+  processListAccountDevices,
+  processRevokeAccountDevice,
+} = require("./src/deviceAccounts");
+const {
+  processCreateRoomInvite,
+  processListRoomInvites,
+  processRevokeRoomInvite,
+  processRedeemRoomInvite,
+} = require("./src/roomInvites");
+const {
+  processListJoinRequests,
+  processGetJoinRequest,
+  processJoinRequestAction,
+} = require("./src/roomJoinRequests");
+const {
+  processListRoomMembers,
+  processSetMemberRole,
+  processRemoveMember,
+  processListRoomBans,
+  processUnbanMember,
+} = require("./src/roomMembers");
+const {
+  processDeleteMessage,
+  processEditMessage,
+  processListReplies,
+  processMessageReaction,
+} = require("./src/roomMessages");
+const { processMarkRead } = require("./src/roomReadReceipts");
+const {
+  processStartDeviceTransfer,
+  processClaimDeviceTransfer,
+  processConfirmDeviceTransfer,
+  processCancelDeviceTransfer,
+  processGetDeviceTransfer,
+} = require("./src/deviceTransfer");
+const {
+  deviceAuthMode,
+  deviceAuthMaxSkewMs,
+  createDeviceAuthMiddleware,
+  processDeviceKeyRegistration,
+} = require("./src/deviceAuth");
+const {
+  accessTokenTtlMs,
+  processAuthChallenge,
+  processAuthVerify,
+  processAuthRefresh,
+  processAuthLogout,
+  createDeviceSessionMiddleware,
+} = require("./src/deviceSessions");
 const {
   handlePrepareAttachment,
   handleFinalizeAttachment,
   handleDownloadAttachment,
   handleCancelAttachment,
 } = require("./src/attachments/attachmentHttp");
+const {
+  RATE_LIMIT_FAMILIES,
+  rateLimitEnabled,
+  rateLimitFamilyConfig,
+  trustProxyHops,
+  createRateLimitMiddleware,
+  recordJoinFailure,
+  clearJoinFailures,
+} = require("./src/rateLimit");
+const { attachRoomStream } = require("./src/roomStream");
+const { parseMessagePageQuery } = require("./src/messagePagination");
+const { startRetentionPurgeJob } = require("./src/retentionPurge");
+const { startAttachmentSweepJob } = require("./src/attachments/attachmentSweeper");
+const { startCallHoldReconcileJob } = require("./src/callHoldReconciler");
 
 /** `package.json` version — exposed on `GET /v2/meta` for deploy verification. */
 const pkg = require("./package.json");
@@ -47,6 +138,8 @@ function envFlag(name, defaultValue = false) {
 
 const app = express();
 app.use(cors());
+// Rate limits key on `req.ip`; behind a proxy it must come from `X-Forwarded-For`.
+if (trustProxyHops() > 0) app.set("trust proxy", trustProxyHops());
 
 const store = createRoomStore();
 console.log("Room store (SQLite):", store.dbFilePath);
@@ -74,9 +167,117 @@ app.post(
   }
 );
 
+// LiveKit signs a sha256 of the raw body (Authorization JWT) — register before express.json().
+app.post(
+  "/v2/webhooks/livekit",
+  express.raw({ type: ["application/webhook+json", "application/json"] }),
+  (req, res) => {
+    handleLivekitWebhookPost(req, res, store.callMetering, store.callSignaling).catch((err) => {
+      console.error("Error in POST /v2/webhooks/livekit:", err);
+      if (!res.headersSent) {
+        res.status(500).json({ error: "Internal server error" });
+      }
+    });
+  }
+);
+
+// Signed device requests hash the exact body bytes — keep them next to the parsed body.
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
 // Allow larger JSON bodies to support base64 images
-app.use(express.json({ limit: "20mb" }));
-app.use(express.urlencoded({ extended: true, limit: "20mb" }));
+app.use(express.json({ limit: "20mb", verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, limit: "20mb", verify: captureRawBody }));
+
+// `Authorization: Bearer` device sessions — sets `req.deviceSession` for the routes below.
+app.use(createDeviceSessionMiddleware(store.deviceSessions));
+
+/**
+ * Register a device's Ed25519 public key. Signed with the key being registered, so it sits in
+ * front of the device auth middleware (which needs a stored key).
+ * @see docs/connect-device-auth.md
+ */
+app.post("/v2/devices/keys", (req, res) => {
+  try {
+    const out = processDeviceKeyRegistration(store.deviceKeys, req);
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/devices/keys:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * Challenge / verify device sessions. The signed challenge is the proof, so these sit in front of
+ * the signed-request middleware.
+ * @see docs/connect-device-sessions.md
+ */
+app.post("/v2/auth/challenge", (req, res) => {
+  try {
+    const out = processAuthChallenge(
+      { deviceKeys: store.deviceKeys, sessions: store.deviceSessions },
+      req.body
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/auth/challenge:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/auth/verify", (req, res) => {
+  try {
+    const out = processAuthVerify(
+      { deviceKeys: store.deviceKeys, sessions: store.deviceSessions },
+      req.body
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/auth/verify:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/auth/refresh", (req, res) => {
+  try {
+    const out = processAuthRefresh({ sessions: store.deviceSessions }, req.body);
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/auth/refresh:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/auth/logout", (req, res) => {
+  try {
+    const out = processAuthLogout({ sessions: store.deviceSessions }, req.deviceSession);
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/auth/logout:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Verifies signed requests before any route reads `deviceId` (CONNECT_DEVICE_AUTH_MODE).
+// Requests already authenticated by a bearer session skip it.
+app.use(createDeviceAuthMiddleware(store.deviceKeys));
+
+/**
+ * Per-IP / per-device token buckets by route family, plus the failed-code lockout on `join`.
+ * @see docs/connect-rate-limits.md
+ */
+const rateLimit = {
+  join: createRateLimitMiddleware(store.rateLimits, "join"),
+  create: createRateLimitMiddleware(store.rateLimits, "create"),
+  messages: createRateLimitMiddleware(store.rateLimits, "messages"),
+  billing: createRateLimitMiddleware(store.rateLimits, "billing"),
+};
+
+// Every billing mutation; wallet / membership / transfer polls are left alone.
+app.use("/v2/billing", (req, res, next) =>
+  req.method === "POST" ? rateLimit.billing(req, res, next) : next()
+);
 
 app.get("/", (req, res) => {
   res.send("🔥 Burner Link API is live");
@@ -110,6 +311,26 @@ function isValidDeviceId(deviceId) {
   return typeof deviceId === "string" && deviceId.trim().length > 0;
 }
 
+/**
+ * Device for a V2 route: the bearer session's device when the request carries one
+ * (docs/connect-device-sessions.md), otherwise the legacy `deviceId` the route read.
+ * @param {import("express").Request} req
+ * @param {unknown} legacyDeviceId
+ */
+function requestDeviceId(req, legacyDeviceId) {
+  return req.deviceSession ? req.deviceSession.deviceId : legacyDeviceId;
+}
+
+/**
+ * JSON body with `deviceId` taken from the bearer session when there is one.
+ * @param {import("express").Request} req
+ * @returns {Record<string, unknown>}
+ */
+function bodyWithSessionDevice(req) {
+  const b = req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+  return req.deviceSession ? { ...b, deviceId: req.deviceSession.deviceId } : b;
+}
+
 /**
  * Stable machine-readable `reason` / `code` (same value) for clients; `error` is human-oriented
  * when `message` is set, otherwise equals `reason`.
@@ -132,7 +353,8 @@ function pickV2RoomCreateBody(body) {
   const inviteCode = b.inviteCode !== undefined ? b.inviteCode : b.invite_code;
   const memberCap = b.memberCap !== undefined ? b.memberCap : b.member_cap;
   const roomKind = b.roomKind !== undefined ? b.roomKind : b.room_kind;
-  return { deviceId, inviteCode, memberCap, roomKind };
+  const joinMode = b.joinMode !== undefined ? b.joinMode : b.join_mode;
+  return { deviceId, inviteCode, memberCap, roomKind, joinMode };
 }
 
 /**
@@ -160,7 +382,7 @@ function buildWalletResponseJson(trimmedDeviceId, row, freeSnap) {
 async function handleCreateCoinPackCheckoutSession(req, res, options = {}) {
   try {
     const useAppReturn = options.useAppCoinPackReturnUrls === true;
-    const body = req.body || {};
+    const body = bodyWithSessionDevice(req);
     const { deviceId, packId, successUrl, cancelUrl } = body;
     if (!isValidDeviceId(deviceId)) {
       return res.status(400).json({ error: "Missing or invalid deviceId" });
@@ -243,7 +465,7 @@ async function handleCreateCoinPackCheckoutSession(req, res, options = {}) {
 // ---------- Session routes ----------
 
 // Create a new session from a 6-digit code
-app.post("/sessions/create", (req, res) => {
+app.post("/sessions/create", rateLimit.create, (req, res) => {
   const { code, deviceId } = req.body;
 
   if (!code || typeof code !== "string") {
@@ -272,7 +494,7 @@ app.post("/sessions/create", (req, res) => {
 });
 
 // Join an existing active session by code
-app.post("/sessions/join", (req, res) => {
+app.post("/sessions/join", rateLimit.join, (req, res) => {
   const { code, deviceId } = req.body;
 
   if (!code || typeof code !== "string") {
@@ -303,9 +525,28 @@ app.post("/sessions/join", (req, res) => {
         memberCount: joined.memberCount,
       });
     }
+    if (joined.reason === "banned") {
+      // Correct code, so not a failed guess (docs/connect-room-roles.md).
+      return res.status(403).json({
+        ...connectErr("banned", "Device is banned from this room"),
+        roomKind: joined.roomKind,
+      });
+    }
+    if (joined.reason === "join_request_pending") {
+      // Knock room (docs/connect-join-requests.md): correct code, membership waits for approval.
+      clearJoinFailures(store.rateLimits, req);
+      return res.status(202).json({
+        ...connectErr("join_request_pending", "Join request sent; wait for approval"),
+        roomId: joined.roomId,
+        roomKind: joined.roomKind,
+        joinRequest: joined.joinRequest,
+      });
+    }
+    recordJoinFailure(store.rateLimits, req);
     return res.status(404).json({ error: "Session not found or inactive" });
   }
 
+  clearJoinFailures(store.rateLimits, req);
   console.log("Joined room", joined.roomId, "with code", code, "by", deviceId);
   res.json({ id: joined.roomId, roomId: joined.roomId });
 });
@@ -313,8 +554,12 @@ app.post("/sessions/join", (req, res) => {
 // End a session and burn its data
 app.post("/sessions/end", async (req, res) => {
   const { sessionId } = req.body;
+  // Group rooms end for an owner / admin only (docs/connect-room-roles.md); direct rooms ignore it.
+  const deviceId = requestDeviceId(req, req.body.deviceId);
 
-  const outcome = store.rooms.endRoomBurnV1(sessionId);
+  const outcome = store.rooms.endRoomBurnV1(sessionId, {
+    byDeviceId: isValidDeviceId(deviceId) ? deviceId.trim() : null,
+  });
   if (outcome.kind === "unknown") {
     return res.status(200).json({ ok: true, sessionUnknown: true });
   }
@@ -325,6 +570,11 @@ app.post("/sessions/end", async (req, res) => {
   if (outcome.kind === "already_ended") {
     return res.status(200).json({ ok: true, alreadyEnded: true });
   }
+  if (outcome.kind === "not_room_admin") {
+    return res
+      .status(403)
+      .json(connectErr("not_room_admin", "Only room admins can end this room"));
+  }
 
   if (
     outcome.s3KeysToDelete &&
@@ -417,18 +667,18 @@ app.post("/sessions/heartbeat", (req, res) => {
 app.get("/messages/:sessionId", (req, res) => {
   const { sessionId } = req.params;
 
-  const session = store.rooms.getRoomAsV1Session(sessionId);
+  const messages = store.rooms.listMessagesForV1Session(sessionId);
 
-  if (!session || !session.active) {
+  if (!messages) {
     return res.status(404).json({ error: "Session not found or inactive" });
   }
 
-  res.json(session.messages);
+  res.json(messages);
 });
 
 // Post a new message (text, image, attachment-backed media, or screenshot in-room event)
-app.post("/messages", (req, res) => {
-  const { sessionId, senderId, encrypted, type, fileName, attachmentId } =
+app.post("/messages", rateLimit.messages, (req, res) => {
+  const { sessionId, senderId, encrypted, type, fileName, attachmentId, replyToMessageId } =
     req.body || {};
 
   if (
@@ -459,6 +709,7 @@ app.post("/messages", (req, res) => {
       typeof attachmentId === "string" && attachmentId.trim()
         ? attachmentId.trim()
         : undefined,
+    replyToMessageId,
   });
 
   if (!inserted.ok) {
@@ -492,10 +743,17 @@ app.post("/messages", (req, res) => {
         reason: "attachment_required",
       });
     }
+    if (inserted.reason === "invalid_reply_to" || inserted.reason === "reply_to_deleted") {
+      return res.status(400).json({
+        error: "replyToMessageId must be an existing, not deleted message in this room",
+        reason: inserted.reason,
+      });
+    }
     if (
       inserted.reason === "invalid_attachment" ||
       inserted.reason === "attachment_not_ready" ||
       inserted.reason === "attachment_already_linked" ||
+      inserted.reason === "attachment_swept" ||
       inserted.reason === "attachment_type_mismatch"
     ) {
       return res.status(400).json({
@@ -515,6 +773,7 @@ app.post("/messages", (req, res) => {
     type: msg.type,
     encrypted: msg.encrypted,
     fileName: msg.fileName,
+    replyToMessageId: msg.replyToMessageId,
     ...(msg.attachment ? { attachment: msg.attachment } : {}),
   });
 });
@@ -541,6 +800,36 @@ app.get("/v2/meta", (req, res) => {
         attachmentStorage: {
           configured: store.attachmentStorage != null,
         },
+        /** WebSocket upgrade on the same port — see docs/v2-room-stream.md. */
+        roomStream: {
+          path: "/v2/rooms/:roomId/stream",
+          available: true,
+        },
+        /** Call types the token route accepts — see docs/connect-livekit-token.md. */
+        calls: {
+          video: videoCallsEnabled(),
+          videoRequiresPro: videoCallsEnabled() && videoCallsRequirePro(),
+          screenShare: videoCallsEnabled() && screenShareEnabled(),
+          groupMaxParticipants: connectGroupCallMaxParticipants(),
+        },
+        /** Signed-request rollout — see docs/connect-device-auth.md. */
+        deviceAuth: {
+          mode: deviceAuthMode(),
+          maxSkewMs: deviceAuthMaxSkewMs(),
+          registerPath: "/v2/devices/keys",
+          challengePath: "/v2/auth/challenge",
+          accessTokenTtlMs: accessTokenTtlMs(),
+        },
+        accounts: {
+          maxDevices: accountMaxDevices(),
+          pairingCodeTtlMs: pairingCodeTtlMs(),
+        },
+        rateLimits: {
+          enabled: rateLimitEnabled(),
+          families: Object.fromEntries(
+            RATE_LIMIT_FAMILIES.map((family) => [family, rateLimitFamilyConfig(family)])
+          ),
+        },
       },
     });
   } catch (err) {
@@ -550,10 +839,10 @@ app.get("/v2/meta", (req, res) => {
 });
 
 // Create a group room (explicit cap). V1 `/sessions/create` remains direct 1:1 only — see docs/v2-rooms-create-contract.md.
-app.post("/v2/rooms/create", (req, res) => {
+app.post("/v2/rooms/create", rateLimit.create, (req, res) => {
   try {
-    const { deviceId, inviteCode, memberCap, roomKind: roomKindHint } =
-      pickV2RoomCreateBody(req.body);
+    const { deviceId, inviteCode, memberCap, roomKind: roomKindHint, joinMode } =
+      pickV2RoomCreateBody(bodyWithSessionDevice(req));
 
     if (roomKindHint !== undefined && roomKindHint !== null) {
       const hint = String(roomKindHint).trim();
@@ -595,6 +884,7 @@ app.post("/v2/rooms/create", (req, res) => {
       inviteCode,
       creatorDeviceId: deviceId.trim(),
       memberCap,
+      joinMode,
     });
     if (!out.ok) {
       if (out.reason === "member_cap_out_of_range") {
@@ -605,12 +895,18 @@ app.post("/v2/rooms/create", (req, res) => {
         });
       }
       if (out.reason === "invite_taken") {
+        // Reveals that a code is live — counts like a wrong code on join.
+        recordJoinFailure(store.rateLimits, req);
         return res.status(409).json(connectErr("invite_taken", "invite_taken"));
       }
       if (out.reason === "pro_required") {
         return res.status(403).json(connectErr("pro_required", "pro_required"));
       }
-      if (out.reason === "invalid_invite_code" || out.reason === "invalid_member_cap") {
+      if (
+        out.reason === "invalid_invite_code" ||
+        out.reason === "invalid_member_cap" ||
+        out.reason === "invalid_join_mode"
+      ) {
         return res.status(400).json(connectErr(out.reason, out.reason));
       }
       return res
@@ -624,6 +920,7 @@ app.post("/v2/rooms/create", (req, res) => {
       id: out.roomId,
       roomKind: out.roomKind,
       memberCap: out.memberCap,
+      joinMode: out.joinMode,
       inviteCode: out.inviteCode,
     });
   } catch (err) {
@@ -636,7 +933,7 @@ app.post("/v2/rooms/create", (req, res) => {
 // Query: deviceId (required), status=all|active|ended (default all).
 app.get("/v2/rooms", (req, res) => {
   try {
-    const deviceId = req.query.deviceId;
+    const deviceId = requestDeviceId(req, req.query.deviceId);
     if (!isValidDeviceId(deviceId)) {
       return res.status(400).json({ error: "Missing or invalid deviceId" });
     }
@@ -663,7 +960,7 @@ app.get("/v2/rooms", (req, res) => {
 app.get("/v2/rooms/:roomId", (req, res) => {
   try {
     const { roomId } = req.params;
-    const deviceId = req.query.deviceId;
+    const deviceId = requestDeviceId(req, req.query.deviceId);
     if (!roomId || typeof roomId !== "string") {
       return res.status(400).json({ error: "Missing or invalid roomId" });
     }
@@ -683,7 +980,10 @@ app.get("/v2/rooms/:roomId", (req, res) => {
       }
       return res.status(404).json({ error: "Room not found" });
     }
-    return res.json(detail.room);
+    return res.json({
+      ...detail.room,
+      calls: store.callSignaling.getRoomCallSummary(roomId, deviceId.trim()),
+    });
   } catch (err) {
     console.error("Error in GET /v2/rooms/:roomId:", err);
     return res.status(500).json({ error: "Internal server error" });
@@ -695,15 +995,25 @@ app.get("/v2/rooms/:roomId", (req, res) => {
 app.get("/v2/rooms/:roomId/messages", (req, res) => {
   try {
     const { roomId } = req.params;
-    const deviceId = req.query.deviceId;
+    const deviceId = requestDeviceId(req, req.query.deviceId);
     if (!roomId || typeof roomId !== "string") {
       return res.status(400).json({ error: "Missing or invalid roomId" });
     }
     if (!isValidDeviceId(deviceId)) {
       return res.status(400).json({ error: "Missing or invalid deviceId" });
     }
+    const paging = parseMessagePageQuery(req.query);
+    if (!paging.ok) {
+      return res
+        .status(400)
+        .json(connectErr(paging.reason, "Invalid before / after / limit"));
+    }
 
-    const out = store.rooms.listMessagesForDeviceRoom(roomId, deviceId.trim());
+    const out = store.rooms.listMessagesForDeviceRoom(
+      roomId,
+      deviceId.trim(),
+      paging.page
+    );
     if (!out.ok) {
       if (out.reason === "forbidden") {
         return res.status(403).json({ error: "Device is not a member of this room" });
@@ -717,6 +1027,10 @@ app.get("/v2/rooms/:roomId/messages", (req, res) => {
       v1SessionId: roomId,
       roomState: out.roomState,
       messages: out.messages,
+      nextCursor: out.nextCursor,
+      hasMore: out.hasMore,
+      readState: store.rooms.readStateForDevice(roomId, deviceId.trim()),
+      peerReadStates: store.rooms.peerReadStatesForDevice(roomId, deviceId.trim()),
     });
   } catch (err) {
     console.error("Error in GET /v2/rooms/:roomId/messages:", err);
@@ -726,11 +1040,11 @@ app.get("/v2/rooms/:roomId/messages", (req, res) => {
 
 // V2 native send: same encrypted payload + storage as V1 POST /messages, but room id in path
 // and device_room_links required (see docs/v2-message-transport.md).
-app.post("/v2/rooms/:roomId/messages", (req, res) => {
+app.post("/v2/rooms/:roomId/messages", rateLimit.messages, (req, res) => {
   try {
     const { roomId } = req.params;
-    const { encrypted, type, fileName, attachmentId } = req.body || {};
-    const deviceId = resolveDeviceIdForV2MessagePost(req);
+    const { encrypted, type, fileName, attachmentId, replyToMessageId } = req.body || {};
+    const deviceId = requestDeviceId(req, resolveDeviceIdForV2MessagePost(req));
     const senderId = resolveSenderIdForV2MessagePost(req);
 
     if (!roomId || typeof roomId !== "string") {
@@ -767,6 +1081,7 @@ app.post("/v2/rooms/:roomId/messages", (req, res) => {
         typeof attachmentId === "string" && attachmentId.trim()
           ? attachmentId.trim()
           : undefined,
+      replyToMessageId,
     });
 
     if (!inserted.ok) {
@@ -800,10 +1115,17 @@ app.post("/v2/rooms/:roomId/messages", (req, res) => {
           reason: "attachment_required",
         });
       }
+      if (inserted.reason === "invalid_reply_to" || inserted.reason === "reply_to_deleted") {
+        return res.status(400).json({
+          error: "replyToMessageId must be an existing, not deleted message in this room",
+          reason: inserted.reason,
+        });
+      }
       if (
         inserted.reason === "invalid_attachment" ||
         inserted.reason === "attachment_not_ready" ||
         inserted.reason === "attachment_already_linked" ||
+        inserted.reason === "attachment_swept" ||
         inserted.reason === "attachment_type_mismatch"
       ) {
         return res.status(400).json({
@@ -840,6 +1162,7 @@ app.post("/v2/rooms/:roomId/messages", (req, res) => {
       type: msg.type,
       encrypted: msg.encrypted,
       fileName: msg.fileName,
+      replyToMessageId: msg.replyToMessageId,
       ...(msg.attachment ? { attachment: msg.attachment } : {}),
     });
   } catch (err) {
@@ -848,11 +1171,137 @@ app.post("/v2/rooms/:roomId/messages", (req, res) => {
   }
 });
 
+// Delivery / read cursors (Phase Read-Receipts-1 — docs/connect-read-receipts.md).
+app.post("/v2/rooms/:roomId/read", (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processMarkRead({ rooms: store.rooms }, req.params.roomId, body.deviceId.trim(), body);
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/read:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Reply threads (Phase Message-Replies-1 — docs/connect-message-replies.md).
+app.get("/v2/rooms/:roomId/messages/:messageId/replies", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processListReplies(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.messageId,
+      deviceId.trim(),
+      req.query
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/messages/:messageId/replies:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Reactions (Phase Message-Reactions-1 — docs/connect-message-reactions.md).
+app.post("/v2/rooms/:roomId/messages/:messageId/reactions", rateLimit.messages, (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processMessageReaction(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.messageId,
+      body.deviceId.trim(),
+      body,
+      { remove: false }
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/messages/:messageId/reactions:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/v2/rooms/:roomId/messages/:messageId/reactions", (req, res) => {
+  try {
+    const body = { ...req.query, ...bodyWithSessionDevice(req) };
+    const deviceId = requestDeviceId(req, body.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processMessageReaction(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.messageId,
+      deviceId.trim(),
+      body,
+      { remove: true }
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in DELETE /v2/rooms/:roomId/messages/:messageId/reactions:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Unsend / delete-for-everyone (Phase Message-Unsend-1 — docs/connect-message-unsend.md).
+app.delete("/v2/rooms/:roomId/messages/:messageId", async (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    const deviceId = requestDeviceId(req, body.deviceId || req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = await processDeleteMessage(
+      {
+        rooms: store.rooms,
+        attachments: store.attachments,
+        attachmentStorage: store.attachmentStorage,
+      },
+      req.params.roomId,
+      req.params.messageId,
+      deviceId.trim()
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in DELETE /v2/rooms/:roomId/messages/:messageId:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Sender edit (Phase Message-Edit-1 — docs/connect-message-edits.md).
+app.patch("/v2/rooms/:roomId/messages/:messageId", rateLimit.messages, (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processEditMessage(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.messageId,
+      body.deviceId.trim(),
+      body
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in PATCH /v2/rooms/:roomId/messages/:messageId:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // Object storage attachments (S3-compatible — see docs/connect-attachments-storage.md)
-app.post("/v2/rooms/:roomId/attachments/prepare", async (req, res) => {
+app.post("/v2/rooms/:roomId/attachments/prepare", rateLimit.messages, async (req, res) => {
   try {
     const { roomId } = req.params;
-    const out = await handlePrepareAttachment(store, roomId, req.body || {});
+    const out = await handlePrepareAttachment(store, roomId, bodyWithSessionDevice(req));
     return res.status(out.status).json(out.json);
   } catch (err) {
     console.error("Error in POST /v2/rooms/:roomId/attachments/prepare:", err);
@@ -869,7 +1318,7 @@ app.post(
         store,
         roomId,
         attachmentId,
-        req.body || {}
+        bodyWithSessionDevice(req)
       );
       return res.status(out.status).json(out.json);
     } catch (err) {
@@ -884,7 +1333,7 @@ app.get(
   async (req, res) => {
     try {
       const { roomId, attachmentId } = req.params;
-      const deviceId = req.query.deviceId;
+      const deviceId = requestDeviceId(req, req.query.deviceId);
       const out = await handleDownloadAttachment(
         store,
         roomId,
@@ -906,7 +1355,7 @@ app.delete("/v2/rooms/:roomId/attachments/:attachmentId", async (req, res) => {
       store,
       roomId,
       attachmentId,
-      req.body || {}
+      bodyWithSessionDevice(req)
     );
     return res.status(out.status).json(out.json);
   } catch (err) {
@@ -919,7 +1368,7 @@ app.delete("/v2/rooms/:roomId/attachments/:attachmentId", async (req, res) => {
 app.post("/v2/rooms/:roomId/delete", (req, res) => {
   try {
     const { roomId } = req.params;
-    const { deviceId } = req.body || {};
+    const { deviceId } = bodyWithSessionDevice(req);
     if (!roomId || typeof roomId !== "string") {
       return res.status(400).json({ error: "Missing or invalid roomId" });
     }
@@ -932,6 +1381,11 @@ app.post("/v2/rooms/:roomId/delete", (req, res) => {
       if (out.reason === "forbidden") {
         return res.status(403).json({ error: "Device is not a member of this room" });
       }
+      if (out.reason === "not_room_admin") {
+        return res
+          .status(403)
+          .json({ error: "Only room admins can delete this room", reason: "not_room_admin" });
+      }
       return res.status(404).json({ error: "Room not found" });
     }
     if (out.alreadyDeleted) {
@@ -948,7 +1402,7 @@ app.post("/v2/rooms/:roomId/delete", (req, res) => {
 app.post("/v2/rooms/:roomId/reopen", (req, res) => {
   try {
     const { roomId } = req.params;
-    const { deviceId } = req.body || {};
+    const { deviceId } = bodyWithSessionDevice(req);
     if (!roomId || typeof roomId !== "string") {
       return res.status(400).json({ error: "Missing or invalid roomId" });
     }
@@ -981,7 +1435,7 @@ app.post("/v2/rooms/:roomId/reopen", (req, res) => {
 app.post("/v2/rooms/:roomId/leave", (req, res) => {
   try {
     const { roomId } = req.params;
-    const { deviceId } = req.body || {};
+    const { deviceId } = bodyWithSessionDevice(req);
     if (!roomId || typeof roomId !== "string") {
       return res.status(400).json({ error: "Missing or invalid roomId" });
     }
@@ -1021,7 +1475,7 @@ app.post("/v2/rooms/:roomId/leave", (req, res) => {
 app.post("/v2/rooms/:roomId/rotate-invite-code", (req, res) => {
   try {
     const { roomId } = req.params;
-    const { deviceId } = req.body || {};
+    const { deviceId } = bodyWithSessionDevice(req);
     if (!roomId || typeof roomId !== "string") {
       return res.status(400).json({ error: "Missing or invalid roomId" });
     }
@@ -1042,6 +1496,11 @@ app.post("/v2/rooms/:roomId/rotate-invite-code", (req, res) => {
           error: "Invite code can only be rotated for active rooms",
         });
       }
+      if (out.reason === "not_room_admin") {
+        return res
+          .status(403)
+          .json({ error: "Only room admins can rotate the invite code", reason: "not_room_admin" });
+      }
       if (out.reason === "code_collision") {
         return res.status(503).json({ error: "Could not allocate a unique code; retry" });
       }
@@ -1062,83 +1521,327 @@ app.post("/v2/rooms/:roomId/rotate-invite-code", (req, res) => {
   }
 });
 
-// ---------- Mutual save (Room-Save-1A) — gated by MUTUAL_SAVE_ENABLED ----------
+// ---------- Join requests (Phase Join-Requests-1, docs/connect-join-requests.md) ----------
 
-app.post("/v2/rooms/:roomId/save/request", (req, res) => {
+app.get("/v2/rooms/:roomId/join-requests", (req, res) => {
   try {
-    if (!mutualSaveEnabled()) {
-      return res.status(403).json({
-        error: "Mutual save is disabled on this server",
-        mutualSaveEnabled: false,
-      });
-    }
-    const { roomId } = req.params;
-    const { deviceId } = req.body || {};
-    if (!roomId || typeof roomId !== "string") {
-      return res.status(400).json({ error: "Missing or invalid roomId" });
-    }
+    const deviceId = requestDeviceId(req, req.query.deviceId);
     if (!isValidDeviceId(deviceId)) {
       return res.status(400).json({ error: "Missing or invalid deviceId" });
     }
-
-    const out = store.rooms.requestMutualSaveForDevice(roomId, deviceId.trim());
-    if (!out.ok) {
-      const map = {
-        not_found: 404,
-        forbidden: 403,
-        deleted: 410,
-        room_not_active: 409,
-        need_two_participants: 409,
-        already_pending: 409,
-        race_or_invalid_state: 409,
-        invalid_device: 400,
-        group_mutual_save_unsupported: 403,
-      };
-      const status = map[out.reason] || 400;
-      return res.status(status).json({ error: out.reason });
-    }
-    if (out.alreadyMutual) {
-      return res.status(200).json({
-        ok: true,
-        alreadyMutual: true,
-        save: out.save,
-      });
-    }
-    if (out.idempotent) {
-      return res.status(200).json({
-        ok: true,
-        idempotent: true,
-        save: out.save,
-      });
-    }
-    return res.status(200).json({ ok: true, save: out.save });
+    const out = processListJoinRequests(
+      { rooms: store.rooms },
+      req.params.roomId,
+      deviceId.trim(),
+      req.query
+    );
+    return res.status(out.status).json(out.json);
   } catch (err) {
-    console.error("Error in POST /v2/rooms/:roomId/save/request:", err);
+    console.error("Error in GET /v2/rooms/:roomId/join-requests:", err);
     return res.status(500).json({ error: "Internal server error" });
   }
 });
 
-app.post("/v2/rooms/:roomId/save/respond", (req, res) => {
+app.get("/v2/rooms/:roomId/join-requests/:requestId", (req, res) => {
   try {
-    if (!mutualSaveEnabled()) {
-      return res.status(403).json({
-        error: "Mutual save is disabled on this server",
-        mutualSaveEnabled: false,
-      });
-    }
-    const { roomId } = req.params;
-    const { deviceId, decision } = req.body || {};
-    if (!roomId || typeof roomId !== "string") {
-      return res.status(400).json({ error: "Missing or invalid roomId" });
-    }
+    const deviceId = requestDeviceId(req, req.query.deviceId);
     if (!isValidDeviceId(deviceId)) {
       return res.status(400).json({ error: "Missing or invalid deviceId" });
     }
-    if (decision !== "accept" && decision !== "decline") {
-      return res.status(400).json({ error: 'decision must be "accept" or "decline"' });
-    }
-
-    const out = store.rooms.respondMutualSaveForDevice(
+    const out = processGetJoinRequest(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.requestId,
+      deviceId.trim()
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/join-requests/:requestId:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/rooms/:roomId/join-requests/:requestId/:action", (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processJoinRequestAction(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.requestId,
+      req.params.action,
+      body.deviceId.trim()
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/join-requests/:requestId/:action:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- Members (Phase Room-Members-1, docs/connect-room-members.md) ----------
+
+app.get("/v2/rooms/:roomId/members", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processListRoomMembers({ rooms: store.rooms }, req.params.roomId, deviceId.trim());
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/members:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- Roles, removal and bans (Phase Room-Roles-1, docs/connect-room-roles.md) ----------
+
+app.post("/v2/rooms/:roomId/members/:memberId/role", (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processSetMemberRole(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.memberId,
+      body.deviceId.trim(),
+      body
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/members/:memberId/role:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/v2/rooms/:roomId/members/:memberId", (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    const deviceId = requestDeviceId(req, body.deviceId || req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processRemoveMember(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.memberId,
+      deviceId.trim(),
+      { ban: false }
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in DELETE /v2/rooms/:roomId/members/:memberId:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/rooms/:roomId/members/:memberId/ban", (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processRemoveMember(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.memberId,
+      body.deviceId.trim(),
+      { ban: true }
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/members/:memberId/ban:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/v2/rooms/:roomId/bans", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processListRoomBans({ rooms: store.rooms }, req.params.roomId, deviceId.trim());
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/bans:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/v2/rooms/:roomId/bans/:memberId", (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    const deviceId = requestDeviceId(req, body.deviceId || req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processUnbanMember(
+      { rooms: store.rooms },
+      req.params.roomId,
+      req.params.memberId,
+      deviceId.trim()
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in DELETE /v2/rooms/:roomId/bans/:memberId:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- Invite tokens (Phase Invite-Tokens-1, docs/connect-invite-tokens.md) ----------
+
+app.post("/v2/rooms/:roomId/invites", rateLimit.create, (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processCreateRoomInvite(
+      { invites: store.invites },
+      req.params.roomId,
+      body.deviceId.trim(),
+      body
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/invites:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/v2/rooms/:roomId/invites", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processListRoomInvites({ invites: store.invites }, req.params.roomId, deviceId.trim());
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/invites:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/v2/rooms/:roomId/invites/:tokenId", (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    const deviceId = requestDeviceId(req, body.deviceId || req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processRevokeRoomInvite(
+      { invites: store.invites },
+      req.params.roomId,
+      deviceId.trim(),
+      req.params.tokenId
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in DELETE /v2/rooms/:roomId/invites/:tokenId:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/invites/redeem", rateLimit.join, (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processRedeemRoomInvite({ invites: store.invites }, body.deviceId.trim(), body);
+    if (out.json.reason === "invalid_invite_token") recordJoinFailure(store.rateLimits, req);
+    else if (out.status === 200) clearJoinFailures(store.rateLimits, req);
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/invites/redeem:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- Mutual save (Room-Save-1A) — gated by MUTUAL_SAVE_ENABLED ----------
+
+app.post("/v2/rooms/:roomId/save/request", (req, res) => {
+  try {
+    if (!mutualSaveEnabled()) {
+      return res.status(403).json({
+        error: "Mutual save is disabled on this server",
+        mutualSaveEnabled: false,
+      });
+    }
+    const { roomId } = req.params;
+    const { deviceId } = bodyWithSessionDevice(req);
+    if (!roomId || typeof roomId !== "string") {
+      return res.status(400).json({ error: "Missing or invalid roomId" });
+    }
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+
+    const out = store.rooms.requestMutualSaveForDevice(roomId, deviceId.trim());
+    if (!out.ok) {
+      const map = {
+        not_found: 404,
+        forbidden: 403,
+        deleted: 410,
+        room_not_active: 409,
+        need_two_participants: 409,
+        already_pending: 409,
+        race_or_invalid_state: 409,
+        invalid_device: 400,
+        group_mutual_save_unsupported: 403,
+      };
+      const status = map[out.reason] || 400;
+      return res.status(status).json({ error: out.reason });
+    }
+    if (out.alreadyMutual) {
+      return res.status(200).json({
+        ok: true,
+        alreadyMutual: true,
+        save: out.save,
+      });
+    }
+    if (out.idempotent) {
+      return res.status(200).json({
+        ok: true,
+        idempotent: true,
+        save: out.save,
+      });
+    }
+    return res.status(200).json({ ok: true, save: out.save });
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/save/request:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/rooms/:roomId/save/respond", (req, res) => {
+  try {
+    if (!mutualSaveEnabled()) {
+      return res.status(403).json({
+        error: "Mutual save is disabled on this server",
+        mutualSaveEnabled: false,
+      });
+    }
+    const { roomId } = req.params;
+    const { deviceId, decision } = bodyWithSessionDevice(req);
+    if (!roomId || typeof roomId !== "string") {
+      return res.status(400).json({ error: "Missing or invalid roomId" });
+    }
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    if (decision !== "accept" && decision !== "decline") {
+      return res.status(400).json({ error: 'decision must be "accept" or "decline"' });
+    }
+
+    const out = store.rooms.respondMutualSaveForDevice(
       roomId,
       deviceId.trim(),
       decision
@@ -1169,7 +1872,7 @@ app.post("/v2/rooms/:roomId/save/respond", (req, res) => {
 
 app.post("/v2/billing/create-membership-checkout-session", async (req, res) => {
   try {
-    const { deviceId, successUrl, cancelUrl } = req.body || {};
+    const { deviceId, successUrl, cancelUrl } = bodyWithSessionDevice(req);
     if (!isValidDeviceId(deviceId)) {
       return res.status(400).json({ error: "Missing or invalid deviceId" });
     }
@@ -1223,7 +1926,7 @@ app.post("/v2/billing/create-membership-checkout-session", async (req, res) => {
 // CONNECT Pro — Stripe Customer Portal (manage/cancel; Phase M3b)
 app.post("/v2/billing/create-portal-session", async (req, res) => {
   try {
-    const { deviceId } = req.body || {};
+    const { deviceId } = bodyWithSessionDevice(req);
     if (!isValidDeviceId(deviceId)) {
       return res.status(400).json({ error: "Missing or invalid deviceId" });
     }
@@ -1282,7 +1985,7 @@ app.post("/v2/billing/create-portal-session", async (req, res) => {
 // CONNECT Pro membership status (read-only; deviceId-only identity — Phase M3a)
 app.get("/v2/billing/membership", (req, res) => {
   try {
-    const deviceId = req.query.deviceId;
+    const deviceId = requestDeviceId(req, req.query.deviceId);
     if (!isValidDeviceId(deviceId)) {
       return res.status(400).json({ error: "Missing or invalid deviceId" });
     }
@@ -1314,7 +2017,7 @@ app.post("/v2/billing/coin-pack/create-checkout", (req, res) => {
 // CONNECT prepaid coin wallet (device-bound — Phase Coins-3)
 app.get("/v2/billing/wallet", (req, res) => {
   try {
-    const deviceId = req.query.deviceId;
+    const deviceId = requestDeviceId(req, req.query.deviceId);
     if (!isValidDeviceId(deviceId)) {
       return res.status(400).json({ error: "Missing or invalid deviceId" });
     }
@@ -1333,7 +2036,7 @@ app.get("/v2/billing/wallet", (req, res) => {
 // CONNECT coin spend / debit (idempotent `call_debit` — Phase Call-Meter-1)
 app.post("/v2/billing/spend-coins", (req, res) => {
   try {
-    const out = processCoinSpendRequest(store.coins, req.body || {});
+    const out = processCoinSpendRequest(store.coins, bodyWithSessionDevice(req));
     return res.status(out.status).json(out.json);
   } catch (err) {
     console.error("Error in POST /v2/billing/spend-coins:", err);
@@ -1345,8 +2048,12 @@ app.post("/v2/billing/spend-coins", (req, res) => {
 app.post("/v2/billing/call-charge/start", (req, res) => {
   try {
     const tariff = getCallTariffFromEnv();
-    const out = processCallChargeStart(store.coins, req.body || {}, tariff, {
+    const out = processCallChargeStart(store.coins, bodyWithSessionDevice(req), tariff, {
       callFree: store.callFree,
+      metering: store.callMetering,
+      membership: store.membership,
+      rooms: store.rooms,
+      history: store.callHistory,
     });
     return res.status(out.status).json(out.json);
   } catch (err) {
@@ -1358,9 +2065,12 @@ app.post("/v2/billing/call-charge/start", (req, res) => {
 app.post("/v2/billing/call-charge/settle", (req, res) => {
   try {
     const tariff = getCallTariffFromEnv();
-    const out = processCallChargeSettle(store.coins, req.body || {}, tariff, {
+    const out = processCallChargeSettle(store.coins, bodyWithSessionDevice(req), tariff, {
       db: store.db,
       callFree: store.callFree,
+      metering: store.callMetering,
+      rooms: store.rooms,
+      history: store.callHistory,
     });
     return res.status(out.status).json(out.json);
   } catch (err) {
@@ -1369,10 +2079,66 @@ app.post("/v2/billing/call-charge/settle", (req, res) => {
   }
 });
 
-// CONNECT LiveKit access token (voice 1:1 — Phase Call-Arch-2)
+// CONNECT device transfer — wallet + membership to a new deviceId (Phase Device-Transfer-1)
+const DEVICE_TRANSFER_ACTIONS = {
+  start: (deviceId) => processStartDeviceTransfer({ deviceTransfers: store.deviceTransfers }, deviceId),
+  claim: (deviceId, body) =>
+    processClaimDeviceTransfer({ deviceTransfers: store.deviceTransfers }, deviceId, body),
+  confirm: (deviceId, body) =>
+    processConfirmDeviceTransfer({ deviceTransfers: store.deviceTransfers }, deviceId, body),
+  cancel: (deviceId, body) =>
+    processCancelDeviceTransfer({ deviceTransfers: store.deviceTransfers }, deviceId, body),
+};
+
+app.post(
+  "/v2/billing/transfer/:action",
+  (req, res, next) => (req.params.action === "claim" ? rateLimit.join(req, res, next) : next()),
+  (req, res) => {
+    try {
+      const action = Object.hasOwn(DEVICE_TRANSFER_ACTIONS, req.params.action)
+        ? DEVICE_TRANSFER_ACTIONS[req.params.action]
+        : null;
+      if (!action) {
+        return res.status(404).json({ error: "Unknown transfer action", reason: "not_found" });
+      }
+      const body = bodyWithSessionDevice(req);
+      if (!isValidDeviceId(body.deviceId)) {
+        return res.status(400).json({ error: "Missing or invalid deviceId" });
+      }
+      const out = action(body.deviceId.trim(), body);
+      if (out.json.reason === "invalid_transfer_code") recordJoinFailure(store.rateLimits, req);
+      return res.status(out.status).json(out.json);
+    } catch (err) {
+      console.error("Error in POST /v2/billing/transfer/:action:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+  }
+);
+
+app.get("/v2/billing/transfer", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processGetDeviceTransfer({ deviceTransfers: store.deviceTransfers }, deviceId.trim());
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/billing/transfer:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// CONNECT LiveKit access token (voice 1:1 — Phase Call-Arch-2; video — Phase Call-Video-1)
 app.post("/v2/calls/livekit-token", async (req, res) => {
   try {
-    const out = await processLivekitTokenRequest(store.rooms, req.body || {});
+    const out = await processLivekitTokenRequest(store.rooms, bodyWithSessionDevice(req), {
+      metering: store.callMetering,
+      coins: store.coins,
+      membership: store.membership,
+      signaling: store.callSignaling,
+      history: store.callHistory,
+    });
     return res.status(out.status).json(out.json);
   } catch (err) {
     console.error("Error in POST /v2/calls/livekit-token:", err);
@@ -1380,6 +2146,266 @@ app.post("/v2/calls/livekit-token", async (req, res) => {
   }
 });
 
+// Call signaling — server-issued callSessionId, ring / accept / decline / cancel / end
+// (Phase Call-Signal-1, docs/connect-call-signaling.md)
+function callSignalingDeps() {
+  return {
+    rooms: store.rooms,
+    signaling: store.callSignaling,
+    metering: store.callMetering,
+    coins: store.coins,
+    membership: store.membership,
+    history: store.callHistory,
+  };
+}
+
+app.post("/v2/rooms/:roomId/calls", async (req, res) => {
+  try {
+    const { deviceId } = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = await processCallCreate(
+      callSignalingDeps(),
+      req.params.roomId,
+      deviceId.trim(),
+      bodyWithSessionDevice(req)
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/calls:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Per-room call history (Phase Call-History-1, docs/connect-call-history.md)
+app.get("/v2/rooms/:roomId/calls", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processRoomCallHistoryRequest(
+      { rooms: store.rooms, history: store.callHistory },
+      req.params.roomId,
+      deviceId.trim(),
+      req.query
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/calls:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/rooms/:roomId/calls/seen", (req, res) => {
+  try {
+    const { deviceId } = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processCallsSeen(callSignalingDeps(), req.params.roomId, deviceId.trim());
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/calls/seen:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/v2/rooms/:roomId/calls/:callSessionId", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processCallGet(
+      callSignalingDeps(),
+      req.params.roomId,
+      req.params.callSessionId,
+      deviceId.trim()
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/calls/:callSessionId:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/rooms/:roomId/calls/:callSessionId/:action", async (req, res) => {
+  try {
+    const { deviceId } = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = await processCallAction(
+      callSignalingDeps(),
+      req.params.roomId,
+      req.params.callSessionId,
+      req.params.action,
+      deviceId.trim(),
+      bodyWithSessionDevice(req)
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/rooms/:roomId/calls/:callSessionId/:action:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Group call roster — who is connected now (Phase Group-Calls-1, docs/connect-group-calls.md)
+app.get("/v2/rooms/:roomId/calls/:callSessionId/roster", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processCallRosterRequest(store.rooms, store.callMetering, {
+      roomId: req.params.roomId,
+      callSessionId: req.params.callSessionId,
+      deviceId,
+    });
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/calls/:callSessionId/roster:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- E2EE public key directory (Phase E2EE-Keys-1, docs/connect-e2ee-key-directory.md) ----------
+
+app.put("/v2/devices/e2ee-keys", (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processPublishDeviceKeys(
+      { e2eeKeys: store.e2eeKeys },
+      body.deviceId.trim(),
+      body
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in PUT /v2/devices/e2ee-keys:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/v2/devices/e2ee-keys", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processGetOwnDeviceKeys({ e2eeKeys: store.e2eeKeys }, deviceId.trim());
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/devices/e2ee-keys:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/v2/rooms/:roomId/members/keys", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processRoomKeyDirectory(
+      { rooms: store.rooms, e2eeKeys: store.e2eeKeys },
+      req.params.roomId,
+      deviceId.trim()
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/members/keys:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/v2/rooms/:roomId/members/:memberId/keys", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processMemberKeyBundle(
+      { rooms: store.rooms, e2eeKeys: store.e2eeKeys },
+      req.params.roomId,
+      deviceId.trim(),
+      req.params.memberId
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/rooms/:roomId/members/:memberId/keys:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- Multi-device accounts (Phase Accounts-1, docs/connect-device-accounts.md) ----------
+
+app.post("/v2/account/pairing-codes", rateLimit.create, (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processCreatePairingCode({ accounts: store.accounts }, body.deviceId.trim(), body);
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/account/pairing-codes:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.post("/v2/account/pair", rateLimit.join, (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    if (!isValidDeviceId(body.deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processRedeemPairingCode({ accounts: store.accounts }, body.deviceId.trim(), body);
+    if (out.json.reason === "invalid_pairing_code") recordJoinFailure(store.rateLimits, req);
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in POST /v2/account/pair:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.get("/v2/account/devices", (req, res) => {
+  try {
+    const deviceId = requestDeviceId(req, req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processListAccountDevices({ accounts: store.accounts }, deviceId.trim());
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in GET /v2/account/devices:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+app.delete("/v2/account/devices/:deviceRef", (req, res) => {
+  try {
+    const body = bodyWithSessionDevice(req);
+    const deviceId = requestDeviceId(req, body.deviceId || req.query.deviceId);
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ error: "Missing or invalid deviceId" });
+    }
+    const out = processRevokeAccountDevice(
+      { accounts: store.accounts },
+      deviceId.trim(),
+      req.params.deviceRef
+    );
+    return res.status(out.status).json(out.json);
+  } catch (err) {
+    console.error("Error in DELETE /v2/account/devices/:deviceRef:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 // ---------- V2 billing webhook (verified retention entitlements — see docs/v2-billing-ingestion.md) ----------
 
 app.post("/v2/webhooks/billing", (req, res) => {
@@ -1396,7 +2422,7 @@ app.post("/v2/webhooks/billing", (req, res) => {
 app.get("/v2/rooms/:roomId/retention", (req, res) => {
   try {
     const { roomId } = req.params;
-    const deviceId = req.query.deviceId;
+    const deviceId = requestDeviceId(req, req.query.deviceId);
     if (!roomId || typeof roomId !== "string") {
       return res.status(400).json({ error: "Missing or invalid roomId" });
     }
@@ -1426,7 +2452,7 @@ app.post("/v2/rooms/:roomId/retention", (req, res) => {
   try {
     const { roomId } = req.params;
     const { deviceId, retentionTier, retentionUntil, note, externalRef } =
-      req.body || {};
+      bodyWithSessionDevice(req);
     if (!roomId || typeof roomId !== "string") {
       return res.status(400).json({ error: "Missing or invalid roomId" });
     }
@@ -1483,11 +2509,11 @@ app.post("/v2/rooms/:roomId/retention", (req, res) => {
 
 // ---------- V2 Stripe Checkout (retention — see docs/v2-stripe-checkout.md) ----------
 
-app.post("/v2/rooms/:roomId/billing/create-checkout-session", async (req, res) => {
+app.post("/v2/rooms/:roomId/billing/create-checkout-session", rateLimit.billing, async (req, res) => {
   try {
     const { roomId } = req.params;
     const { deviceId, retentionTier, retentionUntil, successUrl, cancelUrl } =
-      req.body || {};
+      bodyWithSessionDevice(req);
     if (!roomId || typeof roomId !== "string") {
       return res.status(400).json({ error: "Missing or invalid roomId" });
     }
@@ -1579,7 +2605,7 @@ app.get(
   async (req, res) => {
     try {
       const { roomId, sessionId } = req.params;
-      const deviceId = req.query.deviceId;
+      const deviceId = requestDeviceId(req, req.query.deviceId);
       if (!roomId || typeof roomId !== "string") {
         return res.status(400).json({ error: "Missing or invalid roomId" });
       }
@@ -1695,11 +2721,32 @@ app.get("/metrics/stats", (req, res) => {
 
 // ---------- Start server ----------
 
+/**
+ * WebSocket routes share the HTTP server (Express only sees plain requests).
+ * @param {import("http").Server} httpServer
+ */
+function attachRealtime(httpServer) {
+  return attachRoomStream(httpServer, store);
+}
+
 if (require.main === module) {
   const PORT = Number(process.env.PORT) || 4000;
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`🔥 Burner Link server listening on port ${PORT}`);
   });
+  attachRealtime(server);
+  const purgeJob = startRetentionPurgeJob(store);
+  console.log(
+    `[connect] retention purge: ${purgeJob ? "scheduled" : "off (CONNECT_RETENTION_PURGE_ENABLED unset)"}`
+  );
+  const sweepJob = startAttachmentSweepJob(store);
+  console.log(
+    `[connect] attachment sweep: ${sweepJob ? "scheduled" : "off (needs CONNECT_ATTACHMENT_GC_ENABLED + storage)"}`
+  );
+  const holdJob = startCallHoldReconcileJob(store);
+  console.log(
+    `[connect] call hold reconcile: ${holdJob ? "scheduled" : "off (CONNECT_CALL_HOLD_RECONCILE_ENABLED unset)"}`
+  );
 }
 
-module.exports = { app };
+module.exports = { app, attachRealtime };
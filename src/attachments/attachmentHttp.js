@@ -146,6 +146,12 @@ async function handleFinalizeAttachment(store, roomId, attachmentId, body) {
   if (row.device_id !== deviceId) {
     return { status: 403, json: { error: "Forbidden", reason: "forbidden" } };
   }
+  if (row.swept_at != null) {
+    return {
+      status: 410,
+      json: { error: "Upload window expired", reason: "attachment_swept" },
+    };
+  }
   if (row.status !== "pending") {
     return {
       status: 409,
@@ -237,6 +243,12 @@ async function handleDownloadAttachment(store, roomId, attachmentId, deviceId) {
   if (!row || row.room_id !== roomId) {
     return { status: 404, json: { error: "Not found", reason: "not_found" } };
   }
+  if (row.swept_at != null || row.delete_requested_at != null) {
+    return {
+      status: 410,
+      json: { error: "Attachment was removed", reason: "attachment_swept" },
+    };
+  }
   if (row.status !== "linked") {
     return {
       status: 409,
@@ -3,6 +3,8 @@
  * @see docs/connect-attachments-storage.md
  */
 
+const { envFlag, envInt } = require("../envFlags");
+
 const ALLOWED_KINDS = new Set(["image", "video", "file"]);
 
 /**
@@ -49,6 +51,35 @@ function envPresignGetSeconds() {
   return Math.floor(n);
 }
 
+/** `CONNECT_ATTACHMENT_GC_ENABLED` — schedule the orphan sweeper (Media-GC-1). Default: off. */
+function envGcEnabled() {
+  return envFlag("CONNECT_ATTACHMENT_GC_ENABLED", false);
+}
+
+function envGcIntervalMs() {
+  return envInt("CONNECT_ATTACHMENT_GC_INTERVAL_MS", 3_600_000, 10_000, 86_400_000);
+}
+
+/** Extra time after the presigned PUT window before pending / unlinked ready rows are orphans. */
+function envGcGraceMs() {
+  return envInt("CONNECT_ATTACHMENT_GC_GRACE_MS", 3_600_000, 0, 30 * 86_400_000);
+}
+
+/** How long a soft-deleted room keeps its objects before the sweeper removes them. */
+function envDeletedRoomGraceMs() {
+  return envInt(
+    "CONNECT_DELETED_ROOM_GC_GRACE_MS",
+    7 * 86_400_000,
+    0,
+    365 * 86_400_000
+  );
+}
+
+/** Keys per S3 `DeleteObjects` call (max 1000). */
+function envGcBatchSize() {
+  return envInt("CONNECT_ATTACHMENT_GC_BATCH_SIZE", 500, 1, 1000);
+}
+
 /**
  * Loose MIME allowlist by kind (client may encrypt; bytes are opaque to server).
  * @param {string} kind
@@ -106,6 +137,11 @@ module.exports = {
   envMaxBytes,
   envPresignPutSeconds,
   envPresignGetSeconds,
+  envGcEnabled,
+  envGcIntervalMs,
+  envGcGraceMs,
+  envDeletedRoomGraceMs,
+  envGcBatchSize,
   validatePrepareBody,
   mimeAllowedForKind,
 };
@@ -0,0 +1,146 @@
+/**
+ * Orphaned attachment sweeper (Media-GC-1).
+ *
+ * Removes S3 objects nobody can reach any more and marks their `room_attachments` rows
+ * `swept_at` (rows are kept for audit):
+ * - `pending` rows older than the presigned PUT window + grace (finalize never came),
+ * - `ready` rows never linked to a message within the same window,
+ * - every attachment of a soft-deleted room once `CONNECT_DELETED_ROOM_GC_GRACE_MS` has passed,
+ * - attachments of unsent messages whose delete after the unsend failed (`delete_requested_at`).
+ *
+ * Each batch claims rows first (so finalize / link can no longer use them), then deletes keys;
+ * on a storage error the claim is released and the batch retries next run.
+ *
+ * @see docs/connect-attachments-storage.md
+ */
+
+const {
+  envPresignPutSeconds,
+  envGcEnabled,
+  envGcIntervalMs,
+  envGcGraceMs,
+  envDeletedRoomGraceMs,
+  envGcBatchSize,
+} = require("./attachmentPolicy");
+const { startIntervalJob } = require("../backgroundJob");
+
+/**
+ * @param {{ attachments: object, attachmentStorage: { deleteObjects: (keys: string[]) => Promise<{ deleted: number }> } }} store
+ * @param {'pending'|'ready'|'room'|'unsent'} kind
+ * @param {{ id: string, storage_key: string }[]} rows
+ * @param {number} now
+ * @returns {Promise<{ swept: number, storageKeysDeleted: number }>}
+ */
+async function sweepBatch(store, kind, rows, now) {
+  const claimed = store.attachments.claimForSweep(kind, rows, now);
+  if (claimed.length === 0) {
+    return { swept: 0, storageKeysDeleted: 0 };
+  }
+  try {
+    const del = await store.attachmentStorage.deleteObjects(
+      claimed.map((r) => r.storage_key)
+    );
+    return { swept: claimed.length, storageKeysDeleted: del.deleted };
+  } catch (err) {
+    store.attachments.releaseSweepClaim(claimed, now);
+    throw err;
+  }
+}
+
+/**
+ * One sweep pass. Requires `store.attachmentStorage` (returns `skipped` otherwise).
+ * @param {{ attachments: object, attachmentStorage: object|null }} store
+ * @param {{ now?: number, batchSize?: number }} [opts]
+ */
+async function runAttachmentSweep(store, opts = {}) {
+  const summary = {
+    skipped: false,
+    pendingSwept: 0,
+    readySwept: 0,
+    unsentSwept: 0,
+    deletedRoomsSwept: 0,
+    deletedRoomAttachmentsSwept: 0,
+    storageKeysDeleted: 0,
+    failures: 0,
+  };
+  if (!store.attachmentStorage) {
+    summary.skipped = true;
+    return summary;
+  }
+
+  const now = typeof opts.now === "number" ? opts.now : Date.now();
+  const batchSize = opts.batchSize || envGcBatchSize();
+  const orphanCutoff = now - envPresignPutSeconds() * 1000 - envGcGraceMs();
+
+  const counters = { pending: "pendingSwept", ready: "readySwept", unsent: "unsentSwept" };
+  for (const [kind, counter] of Object.entries(counters)) {
+    try {
+      for (;;) {
+        const rows =
+          kind === "unsent"
+            ? store.attachments.listDeleteRequested(batchSize)
+            : store.attachments.listStale(kind, orphanCutoff, batchSize);
+        if (rows.length === 0) break;
+        const out = await sweepBatch(store, kind, rows, now);
+        summary[counter] += out.swept;
+        summary.storageKeysDeleted += out.storageKeysDeleted;
+        if (rows.length < batchSize) break;
+      }
+    } catch (err) {
+      summary.failures += 1;
+      console.error(`[connect] attachment sweep (${kind}) failed:`, err);
+    }
+  }
+
+  const roomCutoff = now - envDeletedRoomGraceMs();
+  for (const roomId of store.attachments.listDeletedRoomsDue(roomCutoff, batchSize)) {
+    try {
+      for (;;) {
+        const rows = store.attachments.listUnsweptForRoom(roomId, batchSize);
+        if (rows.length === 0) break;
+        const out = await sweepBatch(store, "room", rows, now);
+        summary.deletedRoomAttachmentsSwept += out.swept;
+        summary.storageKeysDeleted += out.storageKeysDeleted;
+        if (rows.length < batchSize) break;
+      }
+      if (store.attachments.markRoomSwept(roomId, now)) {
+        summary.deletedRoomsSwept += 1;
+      }
+    } catch (err) {
+      summary.failures += 1;
+      console.error(`[connect] attachment sweep failed for deleted room ${roomId}:`, err);
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Starts the sweeper when `CONNECT_ATTACHMENT_GC_ENABLED` is set and storage is configured.
+ * @param {Parameters<typeof runAttachmentSweep>[0]} store
+ */
+function startAttachmentSweepJob(store) {
+  if (!envGcEnabled() || !store.attachmentStorage) return null;
+  return startIntervalJob({
+    name: "attachment sweep",
+    intervalMs: envGcIntervalMs(),
+    runOnStart: true,
+    run: async () => {
+      const s = await runAttachmentSweep(store);
+      const total =
+        s.pendingSwept + s.readySwept + s.unsentSwept + s.deletedRoomAttachmentsSwept + s.failures;
+      if (total > 0) {
+        console.log(
+          `[connect] attachment sweep pending=${s.pendingSwept} ready=${s.readySwept} unsent=${s.unsentSwept} deletedRooms=${s.deletedRoomsSwept} deletedRoomAttachments=${s.deletedRoomAttachmentsSwept} storageKeys=${s.storageKeysDeleted} failures=${s.failures}`
+        );
+      }
+      return s;
+    },
+  });
+}
+
+module.exports = {
+  sweepBatch,
+  runAttachmentSweep,
+  startAttachmentSweepJob,
+};
@@ -0,0 +1,41 @@
+/**
+ * Minimal in-process interval runner for server maintenance jobs.
+ * One run at a time per job (a slow run skips the next tick instead of overlapping);
+ * timer is `unref`'d so it never holds the process open.
+ */
+
+/**
+ * @param {{ name: string, intervalMs: number, run: () => Promise<unknown> | unknown, runOnStart?: boolean }} p
+ * @returns {{ stop: () => void, runNow: () => Promise<unknown> }}
+ */
+function startIntervalJob(p) {
+  let running = false;
+
+  async function tick() {
+    if (running) return null;
+    running = true;
+    try {
+      return await p.run();
+    } catch (err) {
+      console.error(`[connect] ${p.name} run failed:`, err);
+      return null;
+    } finally {
+      running = false;
+    }
+  }
+
+  const timer = setInterval(tick, p.intervalMs);
+  timer.unref();
+  if (p.runOnStart) {
+    setImmediate(tick);
+  }
+
+  return {
+    stop() {
+      clearInterval(timer);
+    },
+    runNow: tick,
+  };
+}
+
+module.exports = { startIntervalJob };
@@ -49,8 +49,12 @@ function nextUtcMidnightIso(nowMs = Date.now()) {
 
 /**
  * @param {import("better-sqlite3").Database} db
+ * @param {{ accounts?: { resolveBillingId: (deviceId: string) => string } }} [deps] when set, the
+ *   daily pool is shared by the devices of an account (docs/connect-device-accounts.md)
  */
-function createCallFreeAllowance(db) {
+function createCallFreeAllowance(db, deps = {}) {
+  const resolveBillingId = deps.accounts ? deps.accounts.resolveBillingId : (d) => d;
+
   const selectUsage = db.prepare(
     `SELECT free_seconds_used FROM device_daily_call_free_usage
      WHERE device_id = ? AND usage_utc_date = ?`
@@ -84,7 +88,7 @@ function createCallFreeAllowance(db) {
         daily_free_reset_at: resetAt,
       };
     }
-    const row = selectUsage.get(dev, day);
+    const row = selectUsage.get(resolveBillingId(dev), day);
     const used = row ? row.free_seconds_used : 0;
     const remaining = Math.max(0, cap - used);
     const resetAt = nextUtcMidnightIso();
@@ -111,10 +115,11 @@ function createCallFreeAllowance(db) {
    * }}
    */
   function consumeAgainstAllowanceInTransaction(deviceId, billedSeconds) {
-    const dev = typeof deviceId === "string" ? deviceId.trim() : "";
-    if (!dev) {
+    const requested = typeof deviceId === "string" ? deviceId.trim() : "";
+    if (!requested) {
       throw new Error("call_free: invalid deviceId");
     }
+    const dev = resolveBillingId(requested);
     if (!Number.isInteger(billedSeconds) || billedSeconds < 0) {
       throw new Error("call_free: invalid billedSeconds");
     }
@@ -0,0 +1,87 @@
+/**
+ * `GET /v2/rooms/:roomId/calls` — per-room call history (Phase Call-History-1).
+ * Peers see when a call happened, how long it lasted and how many devices took part; coin
+ * amounts, reserves and wallet state are never included (docs/connect-coins-wallet-design.md).
+ *
+ * @see docs/connect-call-history.md
+ */
+
+const { parseMessagePageQuery, DEFAULT_PAGE_LIMIT } = require("./messagePagination");
+
+function toIso(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+/**
+ * @param {object} row `listRoomCalls` row
+ */
+function roomCallToResponseJson(row) {
+  return {
+    callSessionId: row.call_session_id,
+    callType: row.call_type,
+    callKind: row.call_kind,
+    state: row.invite_state || null,
+    startedAt: toIso(row.started_at),
+    endedAt: toIso(row.ended_at),
+    durationSeconds: row.duration_seconds,
+    participantCount: row.participant_count,
+    participated: row.participated === 1,
+  };
+}
+
+/**
+ * @param {{
+ *   rooms: ReturnType<import("./store/roomRepository").createRoomRepository>,
+ *   history: ReturnType<import("./store/callHistoryRepository").createCallHistoryRepository>,
+ * }} deps
+ * @param {string} roomId
+ * @param {string} deviceId validated by the route
+ * @param {Record<string, unknown>} query `before` (cursor from `nextCursor`), `limit`
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processRoomCallHistoryRequest(deps, roomId, deviceId, query) {
+  const paging = parseMessagePageQuery(query);
+  if (!paging.ok || (paging.page && paging.page.after != null)) {
+    return {
+      status: 400,
+      json: {
+        error: "Invalid before / limit",
+        reason: paging.ok ? "invalid_cursor" : paging.reason,
+      },
+    };
+  }
+  const page = paging.page || { before: null, limit: DEFAULT_PAGE_LIMIT };
+
+  const access = deps.rooms.checkDeviceRoomAccess(roomId, deviceId);
+  if (!access.ok) {
+    if (access.reason === "forbidden") {
+      return {
+        status: 403,
+        json: { error: "Device is not linked to this room", reason: "forbidden" },
+      };
+    }
+    if (access.reason === "deleted") {
+      return { status: 410, json: { error: "Room was deleted", reason: "deleted" } };
+    }
+    return { status: 404, json: { error: "Room not found", reason: "not_found" } };
+  }
+
+  const out = deps.history.listRoomCalls(roomId, deviceId, {
+    before: page.before,
+    limit: page.limit,
+  });
+  return {
+    status: 200,
+    json: {
+      roomId,
+      calls: out.calls.map(roomCallToResponseJson),
+      nextCursor: out.nextCursor,
+      hasMore: out.hasMore,
+    },
+  };
+}
+
+module.exports = {
+  roomCallToResponseJson,
+  processRoomCallHistoryRequest,
+};
@@ -0,0 +1,38 @@
+/**
+ * Stale call hold reconciler policy (Phase Call-Meter-4): env switches + age threshold.
+ * @see docs/connect-call-charging.md
+ */
+
+const { envFlag, envInt } = require("./envFlags");
+
+const HOUR_MS = 3600000;
+
+/** `CONNECT_CALL_HOLD_RECONCILE_ENABLED` — scheduled reconciler runs in-process. Default: off. */
+function callHoldReconcileEnabled() {
+  return envFlag("CONNECT_CALL_HOLD_RECONCILE_ENABLED", false);
+}
+
+/** Interval between runs. Default 10 minutes; 10s – 24h. */
+function callHoldReconcileIntervalMs() {
+  return envInt("CONNECT_CALL_HOLD_RECONCILE_INTERVAL_MS", 10 * 60 * 1000, 10000, 24 * HOUR_MS);
+}
+
+/**
+ * `CONNECT_CALL_HOLD_MAX_AGE_MS` — a hold older than this with no settle is considered abandoned.
+ * Default 6h; 5 min – 7 days. Keep it above the longest call you expect to be settled normally.
+ */
+function callHoldMaxAgeMs() {
+  return envInt("CONNECT_CALL_HOLD_MAX_AGE_MS", 6 * HOUR_MS, 5 * 60 * 1000, 7 * 24 * HOUR_MS);
+}
+
+/** Holds per batch. Default 200. */
+function callHoldReconcileBatchSize() {
+  return envInt("CONNECT_CALL_HOLD_RECONCILE_BATCH_SIZE", 200, 1, 1000);
+}
+
+module.exports = {
+  callHoldReconcileEnabled,
+  callHoldReconcileIntervalMs,
+  callHoldMaxAgeMs,
+  callHoldReconcileBatchSize,
+};
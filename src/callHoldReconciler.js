@@ -0,0 +1,217 @@
+/**
+ * Stale call hold reconciler (Phase Call-Meter-4).
+ *
+ * A client that calls `call-charge/start` and never reaches `settle` leaves `call:<id>:hold`
+ * in `reserved_coins` forever. Once a hold is older than `CONNECT_CALL_HOLD_MAX_AGE_MS` with no
+ * `:settle` / `:release`, this job settles it through `applyCallSessionSettlement` — same keys as
+ * the client route, so a late client settle becomes a `duplicate`:
+ * - no server-observed duration, or `CONNECT_CALL_METERING_MODE=off` → release the reserve,
+ *   `call_debit` of 0;
+ * - LiveKit webhooks saw the device connected → observed seconds go through today's free
+ *   allowance (`device_daily_call_free_usage`), the rest is debited, capped at the reserve.
+ * Group call holds are keyed `call:<callSessionId>/<device hash>:hold` (Phase Group-Calls-1).
+ *
+ * @see docs/connect-call-charging.md
+ */
+
+const { MAX_BILLABLE_SECONDS } = require("./connectCallTariff");
+const { callMeteringMode } = require("./callMetering");
+const {
+  callHoldReconcileEnabled,
+  callHoldReconcileIntervalMs,
+  callHoldMaxAgeMs,
+  callHoldReconcileBatchSize,
+} = require("./callHoldReconcilePolicy");
+const { startIntervalJob } = require("./backgroundJob");
+
+/**
+ * @param {string} key `call:<sessionId>:hold`
+ * @returns {string}
+ */
+function sessionIdFromHoldKey(key) {
+  return key.slice("call:".length, -":hold".length);
+}
+
+/**
+ * @param {string} billingSessionId `<callSessionId>` or group `<callSessionId>/<device hash>`
+ * @returns {string}
+ */
+function callSessionIdFromBillingId(billingSessionId) {
+  const i = billingSessionId.indexOf("/");
+  return i === -1 ? billingSessionId : billingSessionId.slice(0, i);
+}
+
+/**
+ * Settle one abandoned hold. Returns what happened for the run summary.
+ * @param {{ coins: object, callMetering?: object|null, callFree?: object|null, db?: import("better-sqlite3").Database }} store
+ * @param {{ deviceId: string, createdAt: number, idempotencyKey: string, metadataJson: string|null }} hold
+ * @param {number} now
+ * @returns {'released'|'debited'|'duplicate'|'skipped_live'|'skipped_no_amount'|'failed'}
+ */
+function reconcileHold(store, hold, now) {
+  let meta = {};
+  try {
+    if (hold.metadataJson) meta = JSON.parse(hold.metadataJson);
+  } catch (_) {
+    /* ignore */
+  }
+  const reserveCoins = Number(meta.reserveCoins);
+  if (!Number.isInteger(reserveCoins) || reserveCoins <= 0) {
+    return "skipped_no_amount";
+  }
+
+  const sessionId = sessionIdFromHoldKey(hold.idempotencyKey);
+  const callSessionId = callSessionIdFromBillingId(sessionId);
+  const callType = typeof meta.callType === "string" ? meta.callType : "voice";
+  const meteredDeviceId =
+    typeof meta.deviceId === "string" && meta.deviceId ? meta.deviceId : hold.deviceId;
+  const observed = store.callMetering
+    ? store.callMetering.getObservedForDevice(callSessionId, meteredDeviceId, now)
+    : null;
+  // Still in the LiveKit room: leave it for the client unless past the hard call cap.
+  if (observed && observed.connected && hold.createdAt > now - MAX_BILLABLE_SECONDS * 1000) {
+    return "skipped_live";
+  }
+
+  const mode = callMeteringMode();
+  const observedSeconds = observed ? Math.min(observed.observedSeconds, MAX_BILLABLE_SECONDS) : 0;
+  // `off`: only the client's figure is billed, and it never sent one. Observed time is recorded.
+  const billedSeconds = mode === "off" ? 0 : observedSeconds;
+  const coinsPerSecond = Number.isInteger(meta.coinsPerSecond) ? meta.coinsPerSecond : 0;
+
+  const settle = (freeSeconds) => {
+    const coinBillableSeconds = billedSeconds - freeSeconds;
+    const debitCoins = Math.min(reserveCoins, Math.ceil(coinBillableSeconds * coinsPerSecond));
+    const out = store.coins.applyCallSessionSettlement({
+      deviceId: hold.deviceId,
+      sessionId,
+      releaseCoins: reserveCoins,
+      debitCoins,
+      releaseMetadataJson: JSON.stringify({
+        callSessionId,
+        callType,
+        phase: "reserve_release",
+        releasedCoins: reserveCoins,
+        tariffVersion: meta.tariffVersion,
+        reconciled: true,
+      }),
+      debitMetadataJson: JSON.stringify({
+        callSessionId,
+        callType,
+        billedSeconds,
+        tariffVersion: meta.tariffVersion,
+        reservedAmount: reserveCoins,
+        finalDebitCoins: debitCoins,
+        freeSecondsApplied: freeSeconds,
+        coinBillableSeconds,
+        reconciled: true,
+        holdCreatedAt: hold.createdAt,
+        metering: {
+          mode,
+          source: observed && mode !== "off" ? "server" : "none",
+          clientBilledSeconds: null,
+          observedSeconds: observed ? observedSeconds : null,
+          deltaSeconds: null,
+          flagged: false,
+        },
+      }),
+      debitExternalReference: `call:${sessionId}`,
+    });
+    return { ...out, debitCoins };
+  };
+
+  // Free seconds come out of today's pool in the same transaction as the settlement, like the
+  // client settle route; a failed or duplicate settlement rolls the allowance back.
+  let r;
+  if (store.callFree && store.db) {
+    try {
+      store.db.transaction(() => {
+        const alloc = store.callFree.consumeAgainstAllowanceInTransaction(
+          hold.deviceId,
+          billedSeconds
+        );
+        r = settle(alloc.freeSecondsApplied);
+        if (!r.ok || r.duplicate) throw new Error("RECONCILE_ROLLBACK");
+      })();
+    } catch (e) {
+      if (!r || e.message !== "RECONCILE_ROLLBACK") throw e;
+    }
+  } else {
+    r = settle(0);
+  }
+
+  if (!r.ok) {
+    console.error(
+      `[connect] call hold reconcile failed session=${sessionId} device=${hold.deviceId}: ${r.reason}`
+    );
+    return "failed";
+  }
+  if (r.duplicate) return "duplicate";
+  return r.debitCoins > 0 ? "debited" : "released";
+}
+
+/**
+ * One reconciler pass.
+ * @param {{ coins: ReturnType<import("./store/coinWalletRepository").createCoinWalletRepository>, callMetering?: object|null, callFree?: ReturnType<import("./callFreeAllowance").createCallFreeAllowance>|null, db?: import("better-sqlite3").Database }} store
+ * @param {{ now?: number, maxAgeMs?: number, batchSize?: number }} [opts]
+ */
+async function runCallHoldReconcile(store, opts = {}) {
+  const now = typeof opts.now === "number" ? opts.now : Date.now();
+  const maxAgeMs = typeof opts.maxAgeMs === "number" ? opts.maxAgeMs : callHoldMaxAgeMs();
+  const batchSize = opts.batchSize || callHoldReconcileBatchSize();
+  const cutoff = now - maxAgeMs;
+
+  const summary = {
+    holdsScanned: 0,
+    holdsReleased: 0,
+    holdsDebited: 0,
+    skipped: 0,
+    failures: 0,
+  };
+
+  // Keyset paging: skipped / failed holds stay unsettled but never block the holds behind them.
+  let after = null;
+  for (;;) {
+    const holds = store.coins.listStaleCallHolds(cutoff, batchSize, after);
+    if (holds.length === 0) break;
+    for (const hold of holds) {
+      summary.holdsScanned += 1;
+      const outcome = reconcileHold(store, hold, now);
+      if (outcome === "released") summary.holdsReleased += 1;
+      else if (outcome === "debited") summary.holdsDebited += 1;
+      else if (outcome === "failed") summary.failures += 1;
+      else if (outcome !== "duplicate") summary.skipped += 1;
+    }
+    after = holds[holds.length - 1];
+    if (holds.length < batchSize) break;
+  }
+
+  return summary;
+}
+
+/**
+ * Starts the reconciler when `CONNECT_CALL_HOLD_RECONCILE_ENABLED` is set; otherwise returns null.
+ * @param {Parameters<typeof runCallHoldReconcile>[0]} store
+ */
+function startCallHoldReconcileJob(store) {
+  if (!callHoldReconcileEnabled()) return null;
+  return startIntervalJob({
+    name: "call hold reconcile",
+    intervalMs: callHoldReconcileIntervalMs(),
+    runOnStart: true,
+    run: async () => {
+      const s = await runCallHoldReconcile(store);
+      if (s.holdsScanned > 0) {
+        console.log(
+          `[connect] call hold reconcile scanned=${s.holdsScanned} released=${s.holdsReleased} debited=${s.holdsDebited} skipped=${s.skipped} failures=${s.failures}`
+        );
+      }
+      return s;
+    },
+  });
+}
+
+module.exports = {
+  runCallHoldReconcile,
+  startCallHoldReconcileJob,
+};
@@ -0,0 +1,144 @@
+/**
+ * Call media policy (Phase Call-Video-1): which call types may be started, video gating,
+ * LiveKit publish sources per type, and one call type per `callSessionId`.
+ *
+ * @see docs/connect-livekit-token.md
+ */
+
+const { TrackSource } = require("livekit-server-sdk");
+const { CALL_TYPES } = require("./connectCallTariff");
+const { envFlag } = require("./envFlags");
+
+/** `CONNECT_VIDEO_CALLS_ENABLED` — accept `callType: "video"`. Default: off. */
+function videoCallsEnabled() {
+  return envFlag("CONNECT_VIDEO_CALLS_ENABLED", false);
+}
+
+/** `CONNECT_VIDEO_CALLS_REQUIRE_PRO` — only CONNECT Pro devices may start video. Default: off. */
+function videoCallsRequirePro() {
+  return envFlag("CONNECT_VIDEO_CALLS_REQUIRE_PRO", false);
+}
+
+/** `CONNECT_CALL_SCREEN_SHARE_ENABLED` — video tokens may request screen-share sources. Default: off. */
+function screenShareEnabled() {
+  return envFlag("CONNECT_CALL_SCREEN_SHARE_ENABLED", false);
+}
+
+/**
+ * Video gate. A device joining a session already established as video (by a device that passed
+ * the gate) is let through, so the Pro check applies to whoever starts the call.
+ *
+ * @param {string} callType
+ * @param {string} deviceId
+ * @param {{ isDeviceMember: (d: string) => boolean } | null | undefined} membership
+ * @param {string | null} registeredCallType
+ * @returns {{ ok: true } | { ok: false, reason: 'video_calls_disabled' | 'pro_required' }}
+ */
+function checkCallTypeAllowed(callType, deviceId, membership, registeredCallType) {
+  if (callType !== CALL_TYPES.VIDEO) {
+    return { ok: true };
+  }
+  if (!videoCallsEnabled()) {
+    return { ok: false, reason: "video_calls_disabled" };
+  }
+  if (
+    videoCallsRequirePro() &&
+    registeredCallType !== CALL_TYPES.VIDEO &&
+    (!membership || !membership.isDeviceMember(deviceId))
+  ) {
+    return { ok: false, reason: "pro_required" };
+  }
+  return { ok: true };
+}
+
+/**
+ * Call type already fixed for this session by a LiveKit token (`call_rooms`) or a reserve hold.
+ *
+ * With `roomName` (the token route), only a token minted for that LiveKit room counts: a
+ * `callSessionId` reused from another room, or a hold that names no room, never lets a device
+ * past the video gate.
+ *
+ * @param {string} callSessionId normalized
+ * @param {{ metering?: { getCallTypeForSession: (s: string) => string|null, getCallRoom: (n: string) => { call_type: string } | null } | null, coins?: { getLedgerEntryByIdempotencyKey: (k: string) => { metadataJson: string|null } | null } | null, holdSessionId?: string, roomName?: string }} deps
+ *   `holdSessionId`: billing id whose hold to read (group calls hold per participant); defaults to `callSessionId`.
+ *   `roomName`: `deriveLiveKitRoomName(roomId, callSessionId)` for the room being joined.
+ * @returns {string | null}
+ */
+function registeredCallTypeForSession(callSessionId, deps) {
+  if (deps.roomName) {
+    const callRoom = deps.metering ? deps.metering.getCallRoom(deps.roomName) : null;
+    return callRoom ? callRoom.call_type : null;
+  }
+  const fromRoom = deps.metering ? deps.metering.getCallTypeForSession(callSessionId) : null;
+  if (fromRoom) {
+    return fromRoom;
+  }
+  const holdSessionId = deps.holdSessionId || callSessionId;
+  const hold = deps.coins
+    ? deps.coins.getLedgerEntryByIdempotencyKey(`call:${holdSessionId}:hold`)
+    : null;
+  if (hold && hold.metadataJson) {
+    try {
+      const meta = JSON.parse(hold.metadataJson);
+      if (typeof meta.callType === "string") return meta.callType;
+    } catch (_) {
+      /* ignore */
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {string} callType
+ * @param {boolean} screenShare
+ * @returns {number[]} LiveKit `TrackSource` values for `canPublishSources`
+ */
+function publishSourcesForCallType(callType, screenShare) {
+  if (callType !== CALL_TYPES.VIDEO) {
+    return [TrackSource.MICROPHONE];
+  }
+  const sources = [TrackSource.MICROPHONE, TrackSource.CAMERA];
+  if (screenShare) {
+    sources.push(TrackSource.SCREEN_SHARE, TrackSource.SCREEN_SHARE_AUDIO);
+  }
+  return sources;
+}
+
+/** HTTP shape for `checkCallTypeAllowed` failures. */
+function callTypeDeniedResponse(reason) {
+  if (reason === "pro_required") {
+    return {
+      status: 403,
+      json: { error: "Video calls require CONNECT Pro", reason: "pro_required" },
+    };
+  }
+  return {
+    status: 403,
+    json: { error: "Video calls are not enabled", reason: "video_calls_disabled" },
+  };
+}
+
+/**
+ * @param {string} registeredCallType
+ */
+function callTypeMismatchResponse(registeredCallType) {
+  return {
+    status: 409,
+    json: {
+      error: "callType does not match the type this call session was started with",
+      reason: "call_type_mismatch",
+      registeredCallType,
+    },
+  };
+}
+
+module.exports = {
+  videoCallsEnabled,
+  videoCallsRequirePro,
+  screenShareEnabled,
+  checkCallTypeAllowed,
+  registeredCallTypeForSession,
+  publishSourcesForCallType,
+  callTypeDeniedResponse,
+  callTypeMismatchResponse,
+};
@@ -0,0 +1,100 @@
+/**
+ * Server-authoritative call metering (Phase Call-Meter-3).
+ *
+ * Settle compares the client's `billedSeconds` with the connected time LiveKit reported through
+ * verified webhooks (`call_participants`). Depending on `CONNECT_CALL_METERING_MODE` the server's
+ * figure replaces the client's (`server`, default), only caps it (`cap`), or is recorded without
+ * affecting the charge (`off`). Deltas above the tolerance are flagged in ledger metadata.
+ *
+ * @see docs/connect-livekit-webhooks.md
+ */
+
+const { MAX_BILLABLE_SECONDS } = require("./connectCallTariff");
+const { envInt } = require("./envFlags");
+
+const METERING_MODES = new Set(["server", "cap", "off"]);
+
+/** `CONNECT_CALL_METERING_MODE` — `server` | `cap` | `off`. Default `server`. */
+function callMeteringMode() {
+  const v = String(process.env.CONNECT_CALL_METERING_MODE || "").trim().toLowerCase();
+  return METERING_MODES.has(v) ? v : "server";
+}
+
+/** `CONNECT_CALL_METERING_TOLERANCE_SECONDS` — |client − observed| above this is flagged. Default 5; 0 – 3600. */
+function callMeteringToleranceSeconds() {
+  return envInt("CONNECT_CALL_METERING_TOLERANCE_SECONDS", 5, 0, 3600);
+}
+
+/**
+ * `LIVEKIT_TOKEN_TTL_SECONDS` — token lifetime. Default 600; 60 – 86400. An unused token counts as
+ * pending (group call slot, settle deferral) for this long after it was minted.
+ * @returns {number} seconds
+ */
+function livekitTokenTtlSeconds() {
+  const raw = process.env.LIVEKIT_TOKEN_TTL_SECONDS;
+  if (raw === undefined || raw === "") {
+    return 600;
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 60 || n > 86400) {
+    return 600;
+  }
+  return Math.floor(n);
+}
+
+/**
+ * @param {number} clientSeconds validated `billedSeconds` from the settle body
+ * @param {{ observedSeconds: number, connected: boolean } | null} observed
+ * @param {{ mode?: string, toleranceSeconds?: number }} [opts]
+ * @returns {{ billedSeconds: number, metering: { mode: string, source: 'server'|'client', clientBilledSeconds: number, observedSeconds: number|null, deltaSeconds: number|null, flagged: boolean } }}
+ */
+function resolveMeteredBilledSeconds(clientSeconds, observed, opts = {}) {
+  const mode = opts.mode || callMeteringMode();
+  const tolerance =
+    typeof opts.toleranceSeconds === "number"
+      ? opts.toleranceSeconds
+      : callMeteringToleranceSeconds();
+
+  if (!observed) {
+    return {
+      billedSeconds: clientSeconds,
+      metering: {
+        mode,
+        source: "client",
+        clientBilledSeconds: clientSeconds,
+        observedSeconds: null,
+        deltaSeconds: null,
+        flagged: false,
+      },
+    };
+  }
+
+  const observedSeconds = Math.min(observed.observedSeconds, MAX_BILLABLE_SECONDS);
+  const deltaSeconds = clientSeconds - observedSeconds;
+  let billedSeconds = clientSeconds;
+  if (mode === "server") {
+    billedSeconds = observedSeconds;
+  } else if (mode === "cap") {
+    billedSeconds = Math.min(clientSeconds, observedSeconds);
+  }
+
+  return {
+    billedSeconds,
+    metering: {
+      mode,
+      source: mode === "server" || billedSeconds !== clientSeconds ? "server" : "client",
+      clientBilledSeconds: clientSeconds,
+      observedSeconds,
+      deltaSeconds,
+      flagged: Math.abs(deltaSeconds) > tolerance,
+    },
+  };
+}
+
+module.exports = {
+  METERING_MODES,
+  callMeteringMode,
+  callMeteringToleranceSeconds,
+  livekitTokenTtlSeconds,
+  resolveMeteredBilledSeconds,
+};
@@ -0,0 +1,316 @@
+/**
+ * CONNECT call signaling (Phase Call-Signal-1): `/v2/rooms/:roomId/calls`.
+ * The server issues the `callSessionId`, rings the room, and hands each side its LiveKit token
+ * (caller on create, callee on accept). Billing stays on `call-charge/start` + `settle`.
+ *
+ * @see docs/connect-call-signaling.md
+ */
+
+const crypto = require("crypto");
+const { processLivekitTokenRequest } = require("./livekitConnect");
+const { normalizeCallSessionId } = require("./connectCallBilling");
+const { ALLOWED_CALL_TYPES } = require("./connectCallTariff");
+const {
+  CALL_STATES,
+  callInviteViewForDevice,
+} = require("./store/callSignalingRepository");
+const { envInt } = require("./envFlags");
+
+/** `CONNECT_CALL_RING_TIMEOUT_MS` — unanswered calls become `missed`. Default 45s; 10s – 5 min. */
+function callRingTimeoutMs() {
+  return envInt("CONNECT_CALL_RING_TIMEOUT_MS", 45000, 10000, 5 * 60 * 1000);
+}
+
+const ACTIONS = new Set(["accept", "decline", "cancel", "end"]);
+
+/**
+ * @typedef {{
+ *   rooms: ReturnType<import("./store/roomRepository").createRoomRepository>,
+ *   signaling: ReturnType<import("./store/callSignalingRepository").createCallSignalingRepository>,
+ *   metering?: ReturnType<import("./store/callMeteringRepository").createCallMeteringRepository>,
+ *   coins?: ReturnType<import("./store/coinWalletRepository").createCoinWalletRepository>,
+ *   membership?: ReturnType<import("./deviceMembership").createDeviceMembershipStore>,
+ *   history?: ReturnType<import("./store/callHistoryRepository").createCallHistoryRepository>,
+ * }} CallSignalingDeps
+ */
+
+/**
+ * @param {string} reason from `checkDeviceRoomAccess`
+ */
+function roomAccessErrorResponse(reason) {
+  if (reason === "forbidden") {
+    return {
+      status: 403,
+      json: { error: "Device is not linked to this room", reason: "forbidden" },
+    };
+  }
+  if (reason === "deleted") {
+    return { status: 410, json: { error: "Room was deleted", reason: "deleted" } };
+  }
+  return { status: 404, json: { error: "Room not found", reason: "not_found" } };
+}
+
+function callNotFoundResponse() {
+  return { status: 404, json: { error: "Call not found", reason: "call_not_found" } };
+}
+
+/**
+ * @param {object} call `call_invites` row
+ * @param {string} deviceId
+ */
+function invalidStateResponse(call, deviceId) {
+  return {
+    status: 409,
+    json: {
+      error: `Call is ${call.state}`,
+      reason: "invalid_call_state",
+      call: callInviteViewForDevice(call, deviceId),
+    },
+  };
+}
+
+/**
+ * Token fields handed back on create / accept (`processLivekitTokenRequest` success body).
+ * @param {Record<string, unknown>} json
+ */
+function livekitPayload(json) {
+  return {
+    token: json.token,
+    url: json.url,
+    roomName: json.roomName,
+    expiresAt: json.expiresAt,
+    screenShare: json.screenShare,
+    maxParticipants: json.maxParticipants,
+  };
+}
+
+/**
+ * `POST /v2/rooms/:roomId/calls` — ring the room. Room, call type and video gates are the token
+ * route's; one ringing / accepted call per room.
+ *
+ * @param {CallSignalingDeps} deps
+ * @param {string} roomId
+ * @param {string} deviceId validated by the route
+ * @param {Record<string, unknown>} body
+ * @returns {Promise<{ status: number, json: Record<string, unknown> }>}
+ */
+async function processCallCreate(deps, roomId, deviceId, body) {
+  const raw = body && typeof body === "object" ? body : {};
+  const callType = typeof raw.callType === "string" ? raw.callType.trim() : "voice";
+  if (!ALLOWED_CALL_TYPES.has(callType)) {
+    return {
+      status: 400,
+      json: { error: "callType must be voice or video", reason: "unsupported_call_type" },
+    };
+  }
+
+  const access = deps.rooms.checkDeviceRoomAccess(roomId, deviceId);
+  if (!access.ok) {
+    return roomAccessErrorResponse(access.reason);
+  }
+  const active = deps.signaling.getActiveCallForRoom(roomId);
+  if (active) {
+    return {
+      status: 409,
+      json: {
+        error: "A call is already ringing or in progress in this room",
+        reason: "call_in_progress",
+        call: callInviteViewForDevice(active, deviceId),
+      },
+    };
+  }
+
+  const callSessionId = crypto.randomUUID();
+  const tok = await processLivekitTokenRequest(
+    deps.rooms,
+    { deviceId, roomId, callSessionId, callType, screenShare: raw.screenShare },
+    {
+      metering: deps.metering,
+      coins: deps.coins,
+      membership: deps.membership,
+      history: deps.history,
+    }
+  );
+  if (tok.status !== 200) {
+    return tok;
+  }
+
+  const created = deps.signaling.createCall({
+    callSessionId,
+    roomId,
+    callType,
+    callKind: tok.json.callKind,
+    callerDeviceId: deviceId,
+    ringTimeoutMs: callRingTimeoutMs(),
+  });
+  if (!created.ok) {
+    return {
+      status: 409,
+      json: {
+        error: "A call is already ringing or in progress in this room",
+        reason: "call_in_progress",
+        call: callInviteViewForDevice(created.call, deviceId),
+      },
+    };
+  }
+
+  return {
+    status: 201,
+    json: {
+      call: callInviteViewForDevice(created.call, deviceId),
+      livekit: livekitPayload(tok.json),
+    },
+  };
+}
+
+/**
+ * Shared lookup: device linked to the room and the call belongs to it.
+ * @param {CallSignalingDeps} deps
+ * @returns {{ ok: true, call: object, callSessionId: string } | { ok: false, response: { status: number, json: Record<string, unknown> } }}
+ */
+function loadCallForDevice(deps, roomId, rawCallSessionId, deviceId) {
+  const callSessionId = normalizeCallSessionId(rawCallSessionId);
+  if (!callSessionId) {
+    return {
+      ok: false,
+      response: {
+        status: 400,
+        json: { error: "Missing or invalid callSessionId", reason: "invalid_call_session_id" },
+      },
+    };
+  }
+  const access = deps.rooms.checkDeviceRoomAccess(roomId, deviceId);
+  if (!access.ok) {
+    return { ok: false, response: roomAccessErrorResponse(access.reason) };
+  }
+  const call = deps.signaling.getCall(callSessionId);
+  if (!call || call.room_id !== roomId) {
+    return { ok: false, response: callNotFoundResponse() };
+  }
+  return { ok: true, call, callSessionId };
+}
+
+/**
+ * `GET /v2/rooms/:roomId/calls/:callSessionId`
+ * @param {CallSignalingDeps} deps
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processCallGet(deps, roomId, callSessionId, deviceId) {
+  const found = loadCallForDevice(deps, roomId, callSessionId, deviceId);
+  if (!found.ok) return found.response;
+  return { status: 200, json: { call: callInviteViewForDevice(found.call, deviceId) } };
+}
+
+/**
+ * `POST /v2/rooms/:roomId/calls/seen` — clears this device's missed-call count in the room.
+ * @param {CallSignalingDeps} deps
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processCallsSeen(deps, roomId, deviceId) {
+  const access = deps.rooms.checkDeviceRoomAccess(roomId, deviceId);
+  if (!access.ok) return roomAccessErrorResponse(access.reason);
+  const calls = deps.signaling.markMissedCallsSeen(roomId, deviceId);
+  return { status: 200, json: { roomId, calls } };
+}
+
+/**
+ * `POST /v2/rooms/:roomId/calls/:callSessionId/{accept|decline|cancel|end}`
+ *
+ * - **accept** (not the caller): ringing → accepted; on an accepted call it just joins. Returns a token.
+ * - **decline** (not the caller): ringing → declined in direct rooms. In group rooms the call keeps
+ *   ringing for the other members; the response says `declined: true`.
+ * - **cancel** (caller only): ringing → cancelled.
+ * - **end** (any linked device): accepted → ended.
+ *
+ * @param {CallSignalingDeps} deps
+ * @param {string} action
+ * @returns {Promise<{ status: number, json: Record<string, unknown> }>}
+ */
+async function processCallAction(deps, roomId, callSessionId, action, deviceId, body) {
+  if (!ACTIONS.has(action)) {
+    return { status: 404, json: { error: "Unknown call action", reason: "unknown_action" } };
+  }
+  const raw = body && typeof body === "object" ? body : {};
+  const found = loadCallForDevice(deps, roomId, callSessionId, deviceId);
+  if (!found.ok) return found.response;
+  const { call } = found;
+  const isCaller = call.caller_device_id === deviceId;
+
+  if ((action === "accept" || action === "decline") && isCaller) {
+    return {
+      status: 403,
+      json: { error: "The caller cannot answer their own call", reason: "caller_cannot_answer" },
+    };
+  }
+  if (action === "cancel" && !isCaller) {
+    return {
+      status: 403,
+      json: { error: "Only the caller can cancel a call", reason: "not_caller" },
+    };
+  }
+
+  if (action === "accept") {
+    if (call.state !== CALL_STATES.RINGING && call.state !== CALL_STATES.ACCEPTED) {
+      return invalidStateResponse(call, deviceId);
+    }
+    const tok = await processLivekitTokenRequest(
+      deps.rooms,
+      {
+        deviceId,
+        roomId,
+        callSessionId: found.callSessionId,
+        callType: call.call_type,
+        screenShare: raw.screenShare,
+      },
+      {
+        metering: deps.metering,
+        coins: deps.coins,
+        membership: deps.membership,
+        history: deps.history,
+      }
+    );
+    if (tok.status !== 200) {
+      return tok;
+    }
+    const r = deps.signaling.acceptCall(found.callSessionId, deviceId);
+    if (!r.ok) {
+      return r.call ? invalidStateResponse(r.call, deviceId) : callNotFoundResponse();
+    }
+    return {
+      status: 200,
+      json: {
+        call: callInviteViewForDevice(r.call, deviceId),
+        livekit: livekitPayload(tok.json),
+      },
+    };
+  }
+
+  if (action === "decline" && call.call_kind === "group") {
+    if (call.state !== CALL_STATES.RINGING) {
+      return invalidStateResponse(call, deviceId);
+    }
+    return {
+      status: 200,
+      json: { call: callInviteViewForDevice(call, deviceId), declined: true },
+    };
+  }
+
+  const [from, to] = {
+    decline: [CALL_STATES.RINGING, CALL_STATES.DECLINED],
+    cancel: [CALL_STATES.RINGING, CALL_STATES.CANCELLED],
+    end: [CALL_STATES.ACCEPTED, CALL_STATES.ENDED],
+  }[action];
+  const r = deps.signaling.transition(found.callSessionId, from, to, deviceId);
+  if (!r.ok) {
+    return r.call ? invalidStateResponse(r.call, deviceId) : callNotFoundResponse();
+  }
+  return { status: 200, json: { call: callInviteViewForDevice(r.call, deviceId) } };
+}
+
+module.exports = {
+  callRingTimeoutMs,
+  processCallCreate,
+  processCallGet,
+  processCallAction,
+  processCallsSeen,
+};
@@ -12,6 +12,9 @@ const COIN_LEDGER_ENTRY_KINDS = Object.freeze({
   CALL_DEBIT: "call_debit",
   RESERVE_HOLD: "reserve_hold",
   RESERVE_RELEASE: "reserve_release",
+  /** Paired entries of a device transfer (docs/connect-device-transfer.md). */
+  TRANSFER_OUT: "transfer_out",
+  TRANSFER_IN: "transfer_in",
 });
 
 const ALLOWED_KINDS = new Set(Object.values(COIN_LEDGER_ENTRY_KINDS));
@@ -1,11 +1,18 @@
 /**
  * CONNECT call charging — reserve at start, settle at end (Phase Call-Meter-2).
  * Free daily seconds (Phase Billing-Free-Usage-1) apply before coin debit.
+ * Settle uses server-observed LiveKit duration when available (Phase Call-Meter-3).
+ * Group calls bill each participant device on its own hold / settle (Phase Group-Calls-1).
+ * Successful starts / settles are logged in the room's call history (Phase Call-History-1).
  *
  * @see docs/connect-call-charging.md
+ * @see docs/connect-livekit-webhooks.md
  * @see docs/connect-call-free-allowance.md
+ * @see docs/connect-group-calls.md
+ * @see docs/connect-call-history.md
  */
 
+const crypto = require("crypto");
 const {
   getCallTariffFromEnv,
   ALLOWED_CALL_TYPES,
@@ -19,6 +26,17 @@ const {
   walletToResponseJson,
   ledgerEntryToResponseJson,
 } = require("./connectCoinSpend");
+const {
+  callMeteringMode,
+  livekitTokenTtlSeconds,
+  resolveMeteredBilledSeconds,
+} = require("./callMetering");
+const {
+  checkCallTypeAllowed,
+  registeredCallTypeForSession,
+  callTypeDeniedResponse,
+  callTypeMismatchResponse,
+} = require("./callMediaPolicy");
 
 const MAX_SESSION_ID_LEN = 160;
 
@@ -40,6 +58,108 @@ function normalizeCallSessionId(v) {
   return s;
 }
 
+/**
+ * Per-participant billing id for group calls: `<callSessionId>/<device hash>`. `/` is not allowed
+ * in client session ids, so these never collide with a direct call's ledger keys.
+ *
+ * @param {string} callSessionId normalized
+ * @param {string} deviceId
+ * @returns {string}
+ */
+function deriveParticipantBillingSessionId(callSessionId, deviceId) {
+  const h = crypto.createHash("sha256").update(String(deviceId), "utf8").digest("hex");
+  return `${callSessionId}/${h.slice(0, 16)}`;
+}
+
+/**
+ * Scope stored on this device's existing hold (start writes `billingScope` into the hold
+ * metadata). A participant hold is keyed by device; a session hold only counts when it was
+ * placed for this device. Holds from before group calls carry no scope and are `session`.
+ *
+ * @param {string} callSessionId normalized
+ * @param {string} deviceId
+ * @param {*} coins
+ * @returns {{ billingSessionId: string, billingScope: 'session' | 'participant' } | null}
+ */
+function recordedCallBillingScope(callSessionId, deviceId, coins) {
+  const participantId = deriveParticipantBillingSessionId(callSessionId, deviceId);
+  if (coins.getLedgerEntryByIdempotencyKey(`call:${participantId}:hold`)) {
+    return { billingSessionId: participantId, billingScope: "participant" };
+  }
+  const sessionHold = coins.getLedgerEntryByIdempotencyKey(`call:${callSessionId}:hold`);
+  if (!sessionHold) return null;
+  let meta = {};
+  try {
+    meta = sessionHold.metadataJson ? JSON.parse(sessionHold.metadataJson) : {};
+  } catch (_) {
+    meta = {};
+  }
+  const holder = typeof meta.deviceId === "string" ? meta.deviceId : sessionHold.deviceId;
+  if (holder !== deviceId || (meta.billingScope && meta.billingScope !== "session")) return null;
+  return { billingSessionId: callSessionId, billingScope: "session" };
+}
+
+/**
+ * Which ledger keys this device's charge uses. A scope already recorded on the device's hold
+ * wins, so a settle (or a replayed start) uses the same keys as the start even if the call was
+ * registered as a group call in between. Otherwise group calls (`call_rooms.call_kind`, or the
+ * optional body `roomId` being a group room) bill per participant; everything else keeps one
+ * hold / settle per `callSessionId`.
+ *
+ * @param {string} callSessionId normalized
+ * @param {string} deviceId
+ * @param {Record<string, unknown>} raw request body
+ * @param {{ coins: *, metering?: *, rooms?: * }} deps
+ * @returns {{ billingSessionId: string, billingScope: 'session' | 'participant' }}
+ */
+function resolveCallBillingScope(callSessionId, deviceId, raw, deps) {
+  const recorded = recordedCallBillingScope(callSessionId, deviceId, deps.coins);
+  if (recorded) return recorded;
+  const participant = {
+    billingSessionId: deriveParticipantBillingSessionId(callSessionId, deviceId),
+    billingScope: "participant",
+  };
+  if (deps.metering && deps.metering.getCallKindForSession(callSessionId) === "group") {
+    return participant;
+  }
+  const roomId = typeof raw.roomId === "string" ? raw.roomId.trim() : "";
+  if (roomId && deps.rooms) {
+    const detail = deps.rooms.getRoomDetailForDevice(roomId, deviceId);
+    if (detail.ok && detail.room.roomKind === "group") {
+      return participant;
+    }
+  }
+  return { billingSessionId: callSessionId, billingScope: "session" };
+}
+
+/**
+ * Room call log for a successful start. A body `roomId` is only trusted when the device is linked.
+ * @param {{ rooms?: *, history?: * }} opts
+ */
+function logCallStart(opts, raw, callSessionId, callType, deviceId) {
+  if (!opts.history) return;
+  const roomId = typeof raw.roomId === "string" ? raw.roomId.trim() : "";
+  const verifiedRoomId =
+    roomId && opts.rooms && opts.rooms.checkDeviceRoomAccess(roomId, deviceId).ok ? roomId : null;
+  opts.history.recordChargeStart({ roomId: verifiedRoomId, callSessionId, callType, deviceId });
+}
+
+/**
+ * Room call log for a settle that charged (not a duplicate replay).
+ * @param {{ history?: * }} opts
+ * @param {{ status: number, json: Record<string, unknown> }} out
+ */
+function logCallSettle(opts, out, callSessionId, deviceId) {
+  if (!opts.history || out.status !== 200 || out.json.duplicate) return out;
+  opts.history.recordSettle({
+    callSessionId,
+    deviceId,
+    billedSeconds: out.json.billedSeconds,
+    now: opts.now,
+  });
+  return out;
+}
+
 /**
  * Canonical call-charge/start free fields: **`freeSecondsRemaining`** and **`willUseCoins`**
  * (client must not infer coin usage from estimates alone).
@@ -63,7 +183,13 @@ function augmentCallChargeStartFreeFields(freeJson, paidEstimateSeconds) {
  * @param {*} coins
  * @param {Record<string, unknown>} body
  * @param {ReturnType<typeof getCallTariffFromEnv>} tariff
- * @param {{ callFree?: ReturnType<import("./callFreeAllowance").createCallFreeAllowance> }} [opts]
+ * @param {{
+ *   callFree?: ReturnType<import("./callFreeAllowance").createCallFreeAllowance>,
+ *   metering?: ReturnType<import("./store/callMeteringRepository").createCallMeteringRepository>,
+ *   membership?: ReturnType<import("./deviceMembership").createDeviceMembershipStore>,
+ *   rooms?: ReturnType<import("./store/roomRepository").createRoomRepository>,
+ *   history?: ReturnType<import("./store/callHistoryRepository").createCallHistoryRepository>,
+ * }} [opts]
  * @returns {{ status: number, json: Record<string, unknown> }}
  */
 function processCallChargeStart(coins, body, tariff, opts = {}) {
@@ -123,6 +249,31 @@ function processCallChargeStart(coins, body, tariff, opts = {}) {
     estimatedSeconds = es;
   }
 
+  const { billingSessionId, billingScope } = resolveCallBillingScope(
+    callSessionId,
+    deviceId,
+    raw,
+    { coins, metering: opts.metering, rooms: opts.rooms }
+  );
+
+  const registeredCallType = registeredCallTypeForSession(callSessionId, {
+    metering: opts.metering,
+    coins,
+    holdSessionId: billingSessionId,
+  });
+  if (registeredCallType && registeredCallType !== callType) {
+    return callTypeMismatchResponse(registeredCallType);
+  }
+  const allowed = checkCallTypeAllowed(
+    callType,
+    deviceId,
+    opts.membership,
+    registeredCallType
+  );
+  if (!allowed.ok) {
+    return callTypeDeniedResponse(allowed.reason);
+  }
+
   const coinsPerSecond =
     callType === "voice"
       ? tariff.voice.coinsPerSecond
@@ -139,10 +290,13 @@ function processCallChargeStart(coins, body, tariff, opts = {}) {
     tariff
   );
 
-  const holdKey = `call:${callSessionId}:hold`;
+  const holdKey = `call:${billingSessionId}:hold`;
   const releaseMeta = JSON.stringify({
     callSessionId,
     callType,
+    billingScope,
+    // Ledger rows of linked devices are keyed by account; the reconciler meters this device.
+    deviceId,
     phase: "hold",
     estimatedBillableSeconds: estimatedSeconds,
     paidEstimateSeconds,
@@ -167,6 +321,7 @@ function processCallChargeStart(coins, body, tariff, opts = {}) {
 
   if (reserveCoins === 0) {
     const w = coins.getWallet(deviceId);
+    logCallStart(opts, raw, callSessionId, callType, deviceId);
     return {
       status: 200,
       json: {
@@ -174,6 +329,7 @@ function processCallChargeStart(coins, body, tariff, opts = {}) {
         duplicate: false,
         callSessionId,
         callType,
+        billingScope,
         tariffVersion: tariff.version,
         coinsPerSecond,
         estimatedBillableSeconds: estimatedSeconds,
@@ -230,6 +386,7 @@ function processCallChargeStart(coins, body, tariff, opts = {}) {
     };
   }
 
+  logCallStart(opts, raw, callSessionId, callType, deviceId);
   const snapAfter = opts.callFree
     ? opts.callFree.getSnapshot(deviceId)
     : null;
@@ -253,6 +410,7 @@ function processCallChargeStart(coins, body, tariff, opts = {}) {
       duplicate: h.duplicate === true,
       callSessionId,
       callType,
+      billingScope,
       tariffVersion: tariff.version,
       coinsPerSecond,
       estimatedBillableSeconds: estimatedSeconds,
@@ -271,6 +429,10 @@ function processCallChargeStart(coins, body, tariff, opts = {}) {
  * @param {{
  *   db?: import("better-sqlite3").Database,
  *   callFree?: ReturnType<import("./callFreeAllowance").createCallFreeAllowance>,
+ *   metering?: ReturnType<import("./store/callMeteringRepository").createCallMeteringRepository>,
+ *   rooms?: ReturnType<import("./store/roomRepository").createRoomRepository>,
+ *   history?: ReturnType<import("./store/callHistoryRepository").createCallHistoryRepository>,
+ *   now?: number,
  * }} [opts]
  * @returns {{ status: number, json: Record<string, unknown> }}
  */
@@ -316,8 +478,8 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
     };
   }
 
-  const bs = raw.billedSeconds;
-  if (!Number.isInteger(bs) || bs < 0 || bs > MAX_BILLABLE_SECONDS) {
+  const clientBs = raw.billedSeconds;
+  if (!Number.isInteger(clientBs) || clientBs < 0 || clientBs > MAX_BILLABLE_SECONDS) {
     return {
       status: 400,
       json: {
@@ -342,7 +504,14 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
     reservedAmount = ra;
   }
 
-  const settleKey = `call:${callSessionId}:settle`;
+  const { billingSessionId, billingScope } = resolveCallBillingScope(
+    callSessionId,
+    deviceId,
+    raw,
+    { coins, metering: opts.metering, rooms: opts.rooms }
+  );
+
+  const settleKey = `call:${billingSessionId}:settle`;
   const existingDebit = coins.getLedgerEntryByIdempotencyKey(settleKey);
   if (existingDebit) {
     if (existingDebit.deviceId !== deviceId) {
@@ -355,7 +524,7 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
       };
     }
     const w = coins.getWallet(deviceId);
-    const releaseKey = `call:${callSessionId}:release`;
+    const releaseKey = `call:${billingSessionId}:release`;
     const rel = coins.getLedgerEntryByIdempotencyKey(releaseKey);
     let meta = {};
     try {
@@ -374,12 +543,14 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
         duplicate: true,
         callSessionId,
         callType,
-        billedSeconds: bs,
+        billingScope,
+        billedSeconds: meta.billedSeconds ?? clientBs,
         tariffVersion: meta.tariffVersion ?? tariff.version,
         releasedReserveCoins: reservedAmount,
         finalDebitCoins,
         freeSecondsApplied: meta.freeSecondsApplied,
         coinBillableSeconds: meta.coinBillableSeconds,
+        metering: meta.metering ?? null,
         ...(snap
           ? {
               usageUtcDate: snap.usageUtcDate,
@@ -402,6 +573,46 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
     };
   }
 
+  const registeredCallType = registeredCallTypeForSession(callSessionId, {
+    metering: opts.metering,
+    coins,
+    holdSessionId: billingSessionId,
+  });
+  if (registeredCallType && registeredCallType !== callType) {
+    return callTypeMismatchResponse(registeredCallType);
+  }
+
+  const now = typeof opts.now === "number" ? opts.now : Date.now();
+  const observed = opts.metering
+    ? opts.metering.getObservedForDevice(callSessionId, deviceId, now)
+    : null;
+  if (
+    !observed &&
+    opts.metering &&
+    callMeteringMode() !== "off" &&
+    opts.metering.hasReceivedWebhooks() &&
+    opts.metering.hasPendingTokenForDevice(
+      callSessionId,
+      deviceId,
+      now - livekitTokenTtlSeconds() * 1000
+    )
+  ) {
+    // Settling before the join would bill the client's figure and leave the token usable for free.
+    return {
+      status: 409,
+      json: {
+        error: "This device has an unused call token; settle after joining or once it expires",
+        reason: "call_not_joined",
+      },
+    };
+  }
+  const { billedSeconds: bs, metering } = resolveMeteredBilledSeconds(clientBs, observed);
+  if (metering.flagged) {
+    console.warn(
+      `[connect] call settle metering delta session=${callSessionId} client=${metering.clientBilledSeconds}s observed=${metering.observedSeconds}s mode=${metering.mode}`
+    );
+  }
+
   const releaseCoins = reservedAmount;
 
   const runSettlement = (debitCoins, debitMetaObj, releaseMetaStr) => {
@@ -409,12 +620,12 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
     const debitMeta = JSON.stringify(debitMetaObj);
     return coins.applyCallSessionSettlement({
       deviceId,
-      sessionId: callSessionId,
+      sessionId: billingSessionId,
       releaseCoins,
       debitCoins,
       releaseMetadataJson: releaseMeta,
       debitMetadataJson: debitMeta,
-      debitExternalReference: `call:${callSessionId}`,
+      debitExternalReference: `call:${billingSessionId}`,
     });
   };
 
@@ -423,6 +634,7 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
     const releaseMeta = JSON.stringify({
       callSessionId,
       callType,
+      billingScope,
       phase: "reserve_release",
       releasedCoins: releaseCoins,
       tariffVersion: tariff.version,
@@ -430,18 +642,22 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
     const debitMeta = {
       callSessionId,
       callType,
+      billingScope,
       billedSeconds: bs,
       tariffVersion: tariff.version,
       reservedAmount: releaseCoins,
       finalDebitCoins: debitCoins,
       freeSecondsApplied: 0,
       coinBillableSeconds: bs,
+      metering,
     };
     const r = runSettlement(debitCoins, debitMeta, releaseMeta);
-    return finishSettleResponse(r, {
+    const out = finishSettleResponse(r, {
       coins,
       deviceId,
       callSessionId,
+      billingSessionId,
+      billingScope,
       callType,
       bs,
       releaseCoins,
@@ -450,7 +666,9 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
       coinBillableSeconds: bs,
       callFreeSnapshot: null,
       tariff,
+      metering,
     });
+    return logCallSettle(opts, out, callSessionId, deviceId);
   }
 
   let alloc;
@@ -466,6 +684,7 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
       const releaseMeta = JSON.stringify({
         callSessionId,
         callType,
+        billingScope,
         phase: "reserve_release",
         releasedCoins: releaseCoins,
         tariffVersion: tariff.version,
@@ -473,12 +692,14 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
       const debitMeta = {
         callSessionId,
         callType,
+        billingScope,
         billedSeconds: bs,
         tariffVersion: tariff.version,
         reservedAmount: releaseCoins,
         finalDebitCoins: debitCoins,
         freeSecondsApplied: alloc.freeSecondsApplied,
         coinBillableSeconds: alloc.coinBillableSeconds,
+        metering,
       };
       const r = runSettlement(debitCoins, debitMeta, releaseMeta);
       if (!r.ok) {
@@ -494,6 +715,8 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
         coins,
         deviceId,
         callSessionId,
+        billingSessionId,
+        billingScope,
         callType,
         bs,
         releaseCoins,
@@ -502,18 +725,21 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
         coinBillableSeconds: alloc?.coinBillableSeconds,
         callFreeSnapshot: opts.callFree.getSnapshot(deviceId),
         tariff,
+        metering,
       });
     }
     throw e;
   }
 
   const snap = opts.callFree.getSnapshot(deviceId);
-  return finishSettleResponse(
+  const out = finishSettleResponse(
     { ok: true, duplicate: false },
     {
       coins,
       deviceId,
       callSessionId,
+      billingSessionId,
+      billingScope,
       callType,
       bs,
       releaseCoins,
@@ -522,8 +748,10 @@ function processCallChargeSettle(coins, body, tariff, opts = {}) {
       coinBillableSeconds: alloc.coinBillableSeconds,
       callFreeSnapshot: snap,
       tariff,
+      metering,
     }
   );
+  return logCallSettle(opts, out, callSessionId, deviceId);
 }
 
 /**
@@ -535,6 +763,8 @@ function finishSettleResponse(r, p) {
     coins: coinsRepo,
     deviceId,
     callSessionId,
+    billingSessionId = callSessionId,
+    billingScope = "session",
     callType,
     bs,
     releaseCoins,
@@ -543,6 +773,7 @@ function finishSettleResponse(r, p) {
     coinBillableSeconds,
     callFreeSnapshot,
     tariff,
+    metering,
   } = p;
 
   if (!r.ok) {
@@ -630,8 +861,8 @@ function finishSettleResponse(r, p) {
   }
 
   const w = coinsRepo.getWallet(deviceId);
-  const settleKey = `call:${callSessionId}:settle`;
-  const releaseKey = `call:${callSessionId}:release`;
+  const settleKey = `call:${billingSessionId}:settle`;
+  const releaseKey = `call:${billingSessionId}:release`;
   const debitEntry = coinsRepo.getLedgerEntryByIdempotencyKey(settleKey);
   const rel = coinsRepo.getLedgerEntryByIdempotencyKey(releaseKey);
   return {
@@ -641,12 +872,14 @@ function finishSettleResponse(r, p) {
       duplicate: r.duplicate === true,
       callSessionId,
       callType,
+      billingScope,
       billedSeconds: bs,
       tariffVersion: tariff ? tariff.version : undefined,
       releasedReserveCoins: releaseCoins,
       finalDebitCoins: debitCoins,
       freeSecondsApplied,
       coinBillableSeconds,
+      metering: metering ?? null,
       ...(callFreeSnapshot
         ? {
             usageUtcDate: callFreeSnapshot.usageUtcDate,
@@ -673,6 +906,7 @@ function finishSettleResponse(r, p) {
 
 module.exports = {
   normalizeCallSessionId,
+  deriveParticipantBillingSessionId,
   processCallChargeStart,
   processCallChargeSettle,
   MAX_SESSION_ID_LEN,
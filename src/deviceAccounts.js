@@ -0,0 +1,199 @@
+/**
+ * Multi-device accounts (Phase Accounts-1). A device issues a one-time pairing code; another
+ * device redeems it and joins the same account. Membership, coin wallet, daily free call seconds
+ * and room links then resolve at account level, so a reinstall or a new phone keeps Pro and coins.
+ *
+ * @see docs/connect-device-accounts.md
+ */
+
+const { normalizePairingCode } = require("./store/accountRepository");
+const { envInt } = require("./envFlags");
+
+const MAX_LABEL_LENGTH = 64;
+
+/** `CONNECT_ACCOUNT_PAIRING_CODE_TTL_MS` — default 10 min; 1 – 60 min. */
+function pairingCodeTtlMs() {
+  return envInt("CONNECT_ACCOUNT_PAIRING_CODE_TTL_MS", 10 * 60 * 1000, 60000, 60 * 60 * 1000);
+}
+
+/** `CONNECT_ACCOUNT_MAX_DEVICES` — default 5; 2 – 20. */
+function accountMaxDevices() {
+  return envInt("CONNECT_ACCOUNT_MAX_DEVICES", 5, 2, 20);
+}
+
+function bodyObject(raw) {
+  return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {{ ok: true, label: string|null } | { ok: false }}
+ */
+function parseLabel(raw) {
+  if (raw === undefined || raw === null) return { ok: true, label: null };
+  if (typeof raw !== "string") return { ok: false };
+  const t = raw.trim();
+  if (t.length > MAX_LABEL_LENGTH) return { ok: false };
+  return { ok: true, label: t || null };
+}
+
+function invalidLabel() {
+  return {
+    status: 400,
+    json: { error: `label must be a string of at most ${MAX_LABEL_LENGTH} characters`, reason: "invalid_label" },
+  };
+}
+
+function devicesJson(account, deviceId) {
+  return account.devices.map((d) => ({
+    deviceRef: d.deviceRef,
+    label: d.label,
+    isSelf: d.deviceId === deviceId,
+    linkedVia: d.linkedVia,
+    linkedAt: new Date(d.linkedAt).toISOString(),
+  }));
+}
+
+/**
+ * `POST /v2/account/pairing-codes` — body `{ deviceId, label? }`. Opens the account on first use
+ * (`label` names this device) and returns a code for the next device.
+ * @param {{ accounts: ReturnType<import("./store/accountRepository").createAccountRepository> }} deps
+ * @param {string} deviceId validated by the route
+ * @param {unknown} rawBody
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processCreatePairingCode(deps, deviceId, rawBody) {
+  const label = parseLabel(bodyObject(rawBody).label);
+  if (!label.ok) return invalidLabel();
+  const out = deps.accounts.createPairingCode({
+    deviceId,
+    label: label.label,
+    ttlMs: pairingCodeTtlMs(),
+  });
+  return {
+    status: 201,
+    json: {
+      code: out.code,
+      expiresAt: new Date(out.expiresAt).toISOString(),
+      accountCreated: out.accountCreated,
+    },
+  };
+}
+
+/**
+ * `POST /v2/account/pair` — body `{ deviceId, code, label? }`. Links the calling device to the
+ * account that issued `code`.
+ * @param {{ accounts: ReturnType<import("./store/accountRepository").createAccountRepository> }} deps
+ * @param {string} deviceId validated by the route
+ * @param {unknown} rawBody
+ */
+function processRedeemPairingCode(deps, deviceId, rawBody) {
+  const b = bodyObject(rawBody);
+  const code = normalizePairingCode(b.code);
+  const label = parseLabel(b.label);
+  if (!label.ok) return invalidLabel();
+  if (!code) {
+    return {
+      status: 400,
+      json: { error: "Pairing code is unknown, used or expired", reason: "invalid_pairing_code" },
+    };
+  }
+  const out = deps.accounts.redeemPairingCode({
+    deviceId,
+    code,
+    label: label.label,
+    maxDevices: accountMaxDevices(),
+  });
+  if (!out.ok) {
+    if (out.reason === "invalid_pairing_code") {
+      return {
+        status: 400,
+        json: { error: "Pairing code is unknown, used or expired", reason: out.reason },
+      };
+    }
+    if (out.reason === "device_limit_reached") {
+      return {
+        status: 409,
+        json: {
+          error: `An account can link at most ${out.maxDevices} devices`,
+          reason: out.reason,
+          maxDevices: out.maxDevices,
+        },
+      };
+    }
+    if (out.reason === "device_has_billing_state") {
+      return {
+        status: 409,
+        json: {
+          error: "This device has its own coins or active membership and cannot join an account",
+          reason: out.reason,
+        },
+      };
+    }
+    return {
+      status: 409,
+      json: { error: "This device is already linked to an account", reason: out.reason },
+    };
+  }
+  const account = deps.accounts.getAccountForDevice(deviceId);
+  return {
+    status: 201,
+    json: { deviceRef: out.deviceRef, devices: devicesJson(account, deviceId) },
+  };
+}
+
+/**
+ * `GET /v2/account/devices` — devices of the caller's account. `linked: false` when the device
+ * has not opened or joined an account.
+ * @param {{ accounts: ReturnType<import("./store/accountRepository").createAccountRepository> }} deps
+ * @param {string} deviceId
+ */
+function processListAccountDevices(deps, deviceId) {
+  const account = deps.accounts.getAccountForDevice(deviceId);
+  if (!account) {
+    return { status: 200, json: { linked: false, devices: [] } };
+  }
+  return {
+    status: 200,
+    json: { linked: true, devices: devicesJson(account, deviceId) },
+  };
+}
+
+/**
+ * `DELETE /v2/account/devices/:deviceRef` — unlink a device (the caller's own `deviceRef` leaves
+ * the account). The last device cannot be removed.
+ * @param {{ accounts: ReturnType<import("./store/accountRepository").createAccountRepository> }} deps
+ * @param {string} deviceId
+ * @param {string} deviceRef
+ */
+function processRevokeAccountDevice(deps, deviceId, deviceRef) {
+  const out = deps.accounts.revokeDevice({ deviceId, deviceRef: String(deviceRef || "") });
+  if (!out.ok) {
+    if (out.reason === "last_device") {
+      return {
+        status: 409,
+        json: { error: "The last device of an account cannot be removed", reason: out.reason },
+      };
+    }
+    if (out.reason === "not_linked") {
+      return {
+        status: 404,
+        json: { error: "This device is not linked to an account", reason: out.reason },
+      };
+    }
+    return {
+      status: 404,
+      json: { error: "Device not found in this account", reason: out.reason },
+    };
+  }
+  return { status: 200, json: { revoked: true, revokedSelf: out.revokedSelf } };
+}
+
+module.exports = {
+  pairingCodeTtlMs,
+  accountMaxDevices,
+  processCreatePairingCode,
+  processRedeemPairingCode,
+  processListAccountDevices,
+  processRevokeAccountDevice,
+};
@@ -0,0 +1,387 @@
+/**
+ * Signed-request device authentication (Phase Device-Auth-1).
+ *
+ * A device registers an Ed25519 public key once (`POST /v2/devices/keys`), then signs each
+ * request over method, path + query, timestamp, nonce and a SHA-256 of the raw body. The
+ * middleware runs before route handlers read `deviceId`, so a request that names a device must
+ * be signed by that device's key. `CONNECT_DEVICE_AUTH_MODE` rolls this out: `off` (default),
+ * `warn` (verify + log, never reject) and `enforce` (401 on failure).
+ *
+ * @see docs/connect-device-auth.md
+ */
+
+const crypto = require("crypto");
+const { envInt } = require("./envFlags");
+
+const SIGNATURE_VERSION = "CONNECT-DEVICE-SIG-1";
+
+const HEADERS = {
+  deviceId: "x-connect-device-id",
+  timestamp: "x-connect-timestamp",
+  nonce: "x-connect-nonce",
+  signature: "x-connect-signature",
+};
+
+const DEVICE_AUTH_MODES = ["off", "warn", "enforce"];
+
+// DER prefix of an Ed25519 SubjectPublicKeyInfo; the raw 32-byte key follows.
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+const BASE64_RE = /^[A-Za-z0-9+/_-]+={0,2}$/;
+const NONCE_RE = /^[A-Za-z0-9_-]{16,128}$/;
+const TIMESTAMP_RE = /^\d{1,15}$/;
+
+const REASON_MESSAGES = {
+  signature_required: "Signed request required for this device",
+  invalid_signature_headers: "Malformed device signature headers",
+  stale_timestamp: "Request timestamp outside the allowed window",
+  unknown_device_key: "No public key registered for this device",
+  invalid_signature: "Device signature does not verify",
+  replayed_nonce: "Request nonce was already used",
+  device_mismatch: "Signed device does not match the device named in the request",
+};
+
+/**
+ * `CONNECT_DEVICE_AUTH_MODE` — `off` | `warn` | `enforce`. Default `off`; unknown values → `off`.
+ * @returns {"off"|"warn"|"enforce"}
+ */
+function deviceAuthMode() {
+  const v = String(process.env.CONNECT_DEVICE_AUTH_MODE || "").trim().toLowerCase();
+  return DEVICE_AUTH_MODES.includes(v) ? /** @type {any} */ (v) : "off";
+}
+
+/** Allowed clock skew either side of server time, and how long nonces are kept. Default 5 min; 30s – 15 min. */
+function deviceAuthMaxSkewMs() {
+  return envInt("CONNECT_DEVICE_AUTH_MAX_SKEW_MS", 5 * 60 * 1000, 30000, 15 * 60 * 1000);
+}
+
+/**
+ * @param {Buffer|undefined|null} buf
+ * @returns {string} lowercase hex
+ */
+function sha256Hex(buf) {
+  return crypto.createHash("sha256").update(buf || Buffer.alloc(0)).digest("hex");
+}
+
+/**
+ * Exact bytes the device signs (UTF-8), one field per line.
+ * @param {{ method: string, path: string, timestamp: string, nonce: string, bodySha256: string }} p
+ */
+function buildSignaturePayload(p) {
+  return [
+    SIGNATURE_VERSION,
+    String(p.method).toUpperCase(),
+    p.path,
+    p.timestamp,
+    p.nonce,
+    p.bodySha256,
+  ].join("\n");
+}
+
+/**
+ * @param {unknown} input base64 / base64url of the raw 32-byte Ed25519 public key
+ * @returns {{ ok: true, publicKey: string, keyObject: crypto.KeyObject } | { ok: false, reason: "invalid_public_key" }}
+ */
+function parsePublicKey(input) {
+  if (typeof input !== "string" || !BASE64_RE.test(input.trim())) {
+    return { ok: false, reason: "invalid_public_key" };
+  }
+  const raw = Buffer.from(input.trim(), "base64");
+  if (raw.length !== 32) return { ok: false, reason: "invalid_public_key" };
+  try {
+    const keyObject = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, raw]),
+      format: "der",
+      type: "spki",
+    });
+    return { ok: true, publicKey: raw.toString("base64url"), keyObject };
+  } catch (_) {
+    return { ok: false, reason: "invalid_public_key" };
+  }
+}
+
+function headerValue(headers, name) {
+  const v = headers[name];
+  if (Array.isArray(v)) return v.length === 1 ? String(v[0]).trim() : "";
+  return typeof v === "string" ? v.trim() : "";
+}
+
+/**
+ * @param {import("http").IncomingHttpHeaders} headers
+ * @returns {{ present: boolean, deviceId: string, timestamp: string, nonce: string, signature: string }}
+ */
+function readSignatureHeaders(headers) {
+  const out = {
+    deviceId: headerValue(headers, HEADERS.deviceId),
+    timestamp: headerValue(headers, HEADERS.timestamp),
+    nonce: headerValue(headers, HEADERS.nonce),
+    signature: headerValue(headers, HEADERS.signature),
+  };
+  const present = Boolean(out.deviceId || out.timestamp || out.nonce || out.signature);
+  return { present, ...out };
+}
+
+/**
+ * Verify one signed request. The nonce is only consumed after the signature verifies, so
+ * unsigned garbage cannot burn a device's nonces.
+ *
+ * @param {ReturnType<import("./store/deviceKeyRepository").createDeviceKeyRepository>} deviceKeys
+ * @param {{
+ *   method: string,
+ *   path: string,
+ *   headers: import("http").IncomingHttpHeaders,
+ *   rawBody?: Buffer|null,
+ *   now?: number,
+ *   keyObject?: crypto.KeyObject,
+ * }} req `keyObject` overrides the stored key (key registration proves possession this way)
+ * @returns {{ ok: true, deviceId: string } | { ok: false, reason: string }}
+ */
+function verifySignedRequest(deviceKeys, req) {
+  const now = typeof req.now === "number" ? req.now : Date.now();
+  const h = readSignatureHeaders(req.headers);
+  if (!h.present) return { ok: false, reason: "signature_required" };
+  if (
+    !h.deviceId ||
+    !TIMESTAMP_RE.test(h.timestamp) ||
+    !NONCE_RE.test(h.nonce) ||
+    !BASE64_RE.test(h.signature)
+  ) {
+    return { ok: false, reason: "invalid_signature_headers" };
+  }
+
+  const skew = deviceAuthMaxSkewMs();
+  const ts = Number(h.timestamp);
+  if (Math.abs(now - ts) > skew) return { ok: false, reason: "stale_timestamp" };
+
+  let keyObject = req.keyObject;
+  if (!keyObject) {
+    const stored = deviceKeys.getKey(h.deviceId);
+    const parsed = stored ? parsePublicKey(stored.publicKey) : null;
+    if (!parsed || !parsed.ok) return { ok: false, reason: "unknown_device_key" };
+    keyObject = parsed.keyObject;
+  }
+
+  const signature = Buffer.from(h.signature, "base64");
+  const payload = buildSignaturePayload({
+    method: req.method,
+    path: req.path,
+    timestamp: h.timestamp,
+    nonce: h.nonce,
+    bodySha256: sha256Hex(req.rawBody),
+  });
+  let valid = false;
+  try {
+    valid =
+      signature.length === 64 &&
+      crypto.verify(null, Buffer.from(payload, "utf8"), keyObject, signature);
+  } catch (_) {
+    valid = false;
+  }
+  if (!valid) return { ok: false, reason: "invalid_signature" };
+
+  if (!deviceKeys.consumeNonce(h.deviceId, h.nonce, ts + skew, now)) {
+    return { ok: false, reason: "replayed_nonce" };
+  }
+  if (!req.keyObject) deviceKeys.markVerified(h.deviceId, now);
+  return { ok: true, deviceId: h.deviceId };
+}
+
+function nonEmptyTrimmedStrings(...candidates) {
+  const out = [];
+  for (const v of candidates) {
+    if (typeof v === "string" && v.trim().length > 0) out.push(v.trim());
+  }
+  return out;
+}
+
+/**
+ * Every device identity a route could read from the body or query string: `deviceId` /
+ * `device_id`, and the message `senderId` / `sender_id` (V1 `POST /messages`, V2 sends). All of
+ * them must name the authenticated device. The bearer session layer uses the same list.
+ * @param {{ body?: unknown, query?: unknown }} req
+ * @returns {string[]} distinct trimmed ids
+ */
+function claimedDeviceIds(req) {
+  const b =
+    req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+  const q =
+    req.query && typeof req.query === "object" && !Array.isArray(req.query) ? req.query : {};
+  return [
+    ...new Set(
+      nonEmptyTrimmedStrings(
+        b.deviceId,
+        b.device_id,
+        b.senderId,
+        b.sender_id,
+        q.deviceId,
+        q.device_id,
+        q.senderId,
+        q.sender_id
+      )
+    ),
+  ];
+}
+
+/**
+ * Shared by the HTTP middleware and the stream upgrade.
+ * @returns {{ ok: true, deviceId: string|null, verified: boolean } | { ok: false, reason: string }}
+ */
+function authorizeDeviceRequest(deviceKeys, req, claimed) {
+  const h = readSignatureHeaders(req.headers);
+  if (claimed.length === 0 && !h.present) return { ok: true, deviceId: null, verified: false };
+  const out = verifySignedRequest(deviceKeys, req);
+  if (!out.ok) return out;
+  if (claimed.some((id) => id !== out.deviceId)) return { ok: false, reason: "device_mismatch" };
+  return { ok: true, deviceId: out.deviceId, verified: true };
+}
+
+function logWarn(method, path, reason) {
+  console.warn(`[device-auth] warn mode: would reject ${method} ${path} (${reason})`);
+}
+
+/**
+ * Express middleware. Mount after the body parsers (they must capture `req.rawBody`) and before
+ * any route that reads `deviceId`. Sets `req.deviceAuth = { deviceId, verified }` when it runs, and
+ * lets through requests the bearer session middleware already verified.
+ *
+ * @param {ReturnType<import("./store/deviceKeyRepository").createDeviceKeyRepository>} deviceKeys
+ */
+function createDeviceAuthMiddleware(deviceKeys) {
+  return function deviceAuthMiddleware(req, res, next) {
+    const mode = deviceAuthMode();
+    // Bearer sessions (src/deviceSessions.js) already proved the device.
+    if (mode === "off" || (req.deviceAuth && req.deviceAuth.verified)) return next();
+
+    let out;
+    try {
+      out = authorizeDeviceRequest(
+        deviceKeys,
+        {
+          method: req.method,
+          path: req.originalUrl,
+          headers: req.headers,
+          rawBody: req.rawBody,
+        },
+        claimedDeviceIds(req)
+      );
+    } catch (err) {
+      console.error("Error in device auth middleware:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+
+    if (out.ok) {
+      req.deviceAuth = { deviceId: out.deviceId, verified: out.verified };
+      return next();
+    }
+    if (mode === "warn") {
+      logWarn(req.method, req.path, out.reason);
+      req.deviceAuth = { deviceId: null, verified: false };
+      return next();
+    }
+    return res.status(401).json({ error: REASON_MESSAGES[out.reason], reason: out.reason });
+  };
+}
+
+/**
+ * Same rules for `GET /v2/rooms/:roomId/stream` before the WebSocket upgrade.
+ * @param {ReturnType<import("./store/deviceKeyRepository").createDeviceKeyRepository>} deviceKeys
+ * @param {import("http").IncomingMessage} req
+ * @param {string} deviceId from the query string
+ * @returns {{ ok: true } | { ok: false, reason: string }}
+ */
+function authorizeStreamUpgrade(deviceKeys, req, deviceId) {
+  const mode = deviceAuthMode();
+  if (mode === "off") return { ok: true };
+  const out = authorizeDeviceRequest(
+    deviceKeys,
+    { method: "GET", path: req.url, headers: req.headers, rawBody: null },
+    deviceId ? [deviceId] : []
+  );
+  if (out.ok) return { ok: true };
+  if (mode === "warn") {
+    logWarn("GET", "/v2/rooms/:roomId/stream", out.reason);
+    return { ok: true };
+  }
+  return out;
+}
+
+/**
+ * `POST /v2/devices/keys` — register the device's Ed25519 public key. The request must be signed
+ * with the key being registered (proof of possession). Works in every mode so clients can
+ * register before the server switches to `enforce`.
+ *
+ * @param {ReturnType<import("./store/deviceKeyRepository").createDeviceKeyRepository>} deviceKeys
+ * @param {{ method: string, originalUrl: string, headers: import("http").IncomingHttpHeaders, rawBody?: Buffer, body?: unknown }} req
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processDeviceKeyRegistration(deviceKeys, req) {
+  const b =
+    req.body && typeof req.body === "object" && !Array.isArray(req.body) ? req.body : {};
+  const deviceId = typeof b.deviceId === "string" ? b.deviceId.trim() : "";
+  if (!deviceId) {
+    return { status: 400, json: { error: "Invalid or missing deviceId", reason: "invalid_device" } };
+  }
+  const key = parsePublicKey(b.publicKey);
+  if (!key.ok) {
+    return {
+      status: 400,
+      json: {
+        error: "publicKey must be a base64 / base64url raw 32-byte Ed25519 key",
+        reason: "invalid_public_key",
+      },
+    };
+  }
+
+  const proof = verifySignedRequest(deviceKeys, {
+    method: req.method,
+    path: req.originalUrl,
+    headers: req.headers,
+    rawBody: req.rawBody,
+    keyObject: key.keyObject,
+  });
+  if (!proof.ok) {
+    return { status: 401, json: { error: REASON_MESSAGES[proof.reason], reason: proof.reason } };
+  }
+  if (proof.deviceId !== deviceId) {
+    return {
+      status: 401,
+      json: { error: REASON_MESSAGES.device_mismatch, reason: "device_mismatch" },
+    };
+  }
+
+  const out = deviceKeys.registerKey({ deviceId, publicKey: key.publicKey });
+  if (!out.ok) {
+    return {
+      status: 409,
+      json: {
+        error: "A different key is already registered for this device",
+        reason: "device_key_exists",
+      },
+    };
+  }
+  return {
+    status: out.created ? 201 : 200,
+    json: {
+      deviceId,
+      algorithm: out.key.algorithm,
+      publicKey: out.key.publicKey,
+      createdAt: new Date(out.key.createdAt).toISOString(),
+      mode: deviceAuthMode(),
+    },
+  };
+}
+
+module.exports = {
+  SIGNATURE_VERSION,
+  HEADERS,
+  deviceAuthMode,
+  deviceAuthMaxSkewMs,
+  sha256Hex,
+  buildSignaturePayload,
+  parsePublicKey,
+  verifySignedRequest,
+  claimedDeviceIds,
+  createDeviceAuthMiddleware,
+  authorizeStreamUpgrade,
+  processDeviceKeyRegistration,
+};
@@ -10,8 +10,12 @@ function nowMs() {
 
 /**
  * @param {import("better-sqlite3").Database} db
+ * @param {{ accounts?: { resolveBillingId: (deviceId: string) => string } }} [deps] when set,
+ *   membership rows are keyed by the device's account (docs/connect-device-accounts.md)
  */
-function createDeviceMembershipStore(db) {
+function createDeviceMembershipStore(db, deps = {}) {
+  const resolveBillingId = deps.accounts ? deps.accounts.resolveBillingId : (d) => d;
+
   const insertIdempotent = db.prepare(
     `INSERT OR IGNORE INTO membership_stripe_events (event_id, device_id, kind, created_at)
      VALUES (@event_id, @device_id, @kind, @created_at)`
@@ -49,13 +53,19 @@ function createDeviceMembershipStore(db) {
      FROM device_memberships WHERE stripe_subscription_id = ?`
   );
 
+  const deleteMembership = db.prepare(`DELETE FROM device_memberships WHERE device_id = ?`);
+
+  const moveMembership = db.prepare(
+    `UPDATE device_memberships SET device_id = ?, updated_at = ? WHERE device_id = ?`
+  );
+
   /**
    * @param {string} deviceId
    */
   function isDeviceMember(deviceId) {
     const d = String(deviceId || "").trim();
     if (!d) return false;
-    const row = stmtMembership.get(d);
+    const row = stmtMembership.get(resolveBillingId(d));
     if (!row) return false;
     const until = row.membership_active_until;
     if (until == null) return false;
@@ -68,7 +78,7 @@ function createDeviceMembershipStore(db) {
   function getMembershipRecord(deviceId) {
     const d = String(deviceId || "").trim();
     if (!d) return null;
-    const row = stmtMembership.get(d);
+    const row = stmtMembership.get(resolveBillingId(d));
     if (!row) return null;
     const until = row.membership_active_until;
     const active = until != null && until > nowMs();
@@ -87,8 +97,8 @@ function createDeviceMembershipStore(db) {
    */
   function applyActivationOrRenewal(p) {
     const eventId = String(p.eventId || "").trim();
-    const deviceId = String(p.deviceId || "").trim();
-    if (!eventId || !deviceId || !p.stripeSubscriptionId) {
+    const requested = String(p.deviceId || "").trim();
+    if (!eventId || !requested || !p.stripeSubscriptionId) {
       return { ok: false, reason: "invalid_input" };
     }
     const tier = String(p.tier || "pro").trim() || "pro";
@@ -97,6 +107,10 @@ function createDeviceMembershipStore(db) {
       return { ok: false, reason: "invalid_period" };
     }
 
+    // Checkout metadata carries the paying device; the row belongs to its account when linked.
+    // A subscription moved by a device transfer keeps renewing the row that now holds it.
+    const bySubscription = findBySubscriptionId.get(String(p.stripeSubscriptionId).trim());
+    const deviceId = bySubscription ? bySubscription.device_id : resolveBillingId(requested);
     const t = nowMs();
     const ins = insertIdempotent.run({
       event_id: eventId.slice(0, 256),
@@ -182,6 +196,31 @@ function createDeviceMembershipStore(db) {
     });
   }
 
+  /**
+   * Device transfer (Phase Device-Transfer-1): re-keys the source row, Stripe customer and
+   * subscription ids included, to `toDeviceId`. An inactive target row is replaced. Run **only**
+   * inside `db.transaction`.
+   *
+   * @param {string} fromDeviceId
+   * @param {string} toDeviceId
+   * @param {number} now
+   * @returns {{ ok: true, moved: boolean } | { ok: false, reason: "target_has_membership" }}
+   */
+  function moveMembershipInTransaction(fromDeviceId, toDeviceId, now) {
+    const from = resolveBillingId(fromDeviceId);
+    const to = resolveBillingId(toDeviceId);
+    if (!stmtMembership.get(from)) {
+      return { ok: true, moved: false };
+    }
+    const target = stmtMembership.get(to);
+    if (target && target.membership_active_until != null && target.membership_active_until > now) {
+      return { ok: false, reason: "target_has_membership" };
+    }
+    deleteMembership.run(to);
+    moveMembership.run(to, now, from);
+    return { ok: true, moved: true };
+  }
+
   /**
    * Read model for GET /v2/billing/membership — no Stripe identifiers exposed.
    * @param {string} deviceId
@@ -205,7 +244,7 @@ function createDeviceMembershipStore(db) {
     }
     const untilMs = rec.membershipActiveUntil;
     return {
-      deviceId: rec.deviceId,
+      deviceId: dev,
       isMember: rec.isMember,
       membershipTier: rec.membershipTier,
       membershipActiveUntil:
@@ -224,6 +263,7 @@ function createDeviceMembershipStore(db) {
     applyActivationOrRenewal,
     applyExpirationBySubscription,
     applyPaymentFailed,
+    moveMembershipInTransaction,
   };
 }
 
@@ -0,0 +1,273 @@
+/**
+ * Challenge / verify device sessions (Phase Device-Auth-2) — a lighter alternative to signing
+ * every request (`src/deviceAuth.js`). The device signs one server challenge with its registered
+ * Ed25519 key and gets a short-lived bearer access token plus a refresh token. Routes then take
+ * the device from `Authorization: Bearer …` instead of `deviceId` in the body or query string.
+ *
+ * @see docs/connect-device-sessions.md
+ */
+
+const crypto = require("crypto");
+const { parsePublicKey, claimedDeviceIds } = require("./deviceAuth");
+const { envInt } = require("./envFlags");
+
+const CHALLENGE_VERSION = "CONNECT-DEVICE-AUTH-1";
+const CHALLENGE_TTL_MS = 2 * 60 * 1000;
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Paths with their own `Authorization` scheme (e.g. `POST /v2/webhooks/billing` shared secret).
+const BEARER_EXEMPT_PREFIXES = ["/v2/webhooks/"];
+
+const REASON_MESSAGES = {
+  invalid_access_token: "Access token is not valid",
+  access_token_expired: "Access token expired; refresh it",
+  device_mismatch: "Token device does not match the device named in the request",
+};
+
+/** `CONNECT_AUTH_ACCESS_TOKEN_TTL_MS` — default 15 min; 1 min – 24h. */
+function accessTokenTtlMs() {
+  return envInt("CONNECT_AUTH_ACCESS_TOKEN_TTL_MS", 15 * 60 * 1000, 60000, DAY_MS);
+}
+
+/** `CONNECT_AUTH_REFRESH_TOKEN_TTL_MS` — default 30 days; 1h – 180 days. */
+function refreshTokenTtlMs() {
+  return envInt("CONNECT_AUTH_REFRESH_TOKEN_TTL_MS", 30 * DAY_MS, HOUR_MS, 180 * DAY_MS);
+}
+
+/**
+ * Exact bytes the device signs for `POST /v2/auth/verify` (UTF-8, no trailing newline).
+ * @param {{ deviceId: string, challengeId: string, challenge: string }} p
+ */
+function buildChallengePayload(p) {
+  return [CHALLENGE_VERSION, p.deviceId, p.challengeId, p.challenge].join("\n");
+}
+
+function bodyObject(body) {
+  return body && typeof body === "object" && !Array.isArray(body) ? body : {};
+}
+
+function trimmedString(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+function tokenResponseJson(out) {
+  return {
+    deviceId: out.deviceId,
+    tokenType: "Bearer",
+    accessToken: out.accessToken,
+    accessTokenExpiresAt: new Date(out.accessExpiresAt).toISOString(),
+    refreshToken: out.refreshToken,
+    refreshTokenExpiresAt: new Date(out.refreshExpiresAt).toISOString(),
+  };
+}
+
+/**
+ * `POST /v2/auth/challenge` — body `{ deviceId }`. The device must have registered a key.
+ * @param {{ deviceKeys: object, sessions: ReturnType<import("./store/deviceSessionRepository").createDeviceSessionRepository> }} deps
+ * @param {unknown} rawBody
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processAuthChallenge(deps, rawBody) {
+  const deviceId = trimmedString(bodyObject(rawBody).deviceId);
+  if (!deviceId) {
+    return { status: 400, json: { error: "Invalid or missing deviceId", reason: "invalid_device" } };
+  }
+  if (!deps.deviceKeys.getKey(deviceId)) {
+    return {
+      status: 401,
+      json: {
+        error: "Register a device key first (POST /v2/devices/keys)",
+        reason: "unknown_device_key",
+      },
+    };
+  }
+  const c = deps.sessions.createChallenge(deviceId, CHALLENGE_TTL_MS);
+  return {
+    status: 201,
+    json: {
+      challengeId: c.challengeId,
+      challenge: c.challenge,
+      expiresAt: new Date(c.expiresAt).toISOString(),
+    },
+  };
+}
+
+/**
+ * `POST /v2/auth/verify` — body `{ deviceId, challengeId, signature }`; `signature` is base64 /
+ * base64url Ed25519 over `buildChallengePayload`. Challenges are single use.
+ * @param {{ deviceKeys: object, sessions: ReturnType<import("./store/deviceSessionRepository").createDeviceSessionRepository> }} deps
+ * @param {unknown} rawBody
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processAuthVerify(deps, rawBody) {
+  const b = bodyObject(rawBody);
+  const deviceId = trimmedString(b.deviceId);
+  const challengeId = trimmedString(b.challengeId);
+  const signatureText = trimmedString(b.signature);
+  if (!deviceId || !challengeId || !signatureText) {
+    return {
+      status: 400,
+      json: { error: "deviceId, challengeId and signature are required", reason: "invalid_body" },
+    };
+  }
+
+  const challenge = deps.sessions.getOpenChallenge(challengeId, deviceId);
+  if (!challenge) {
+    return {
+      status: 401,
+      json: { error: "Challenge is unknown, expired or already used", reason: "invalid_challenge" },
+    };
+  }
+  const stored = deps.deviceKeys.getKey(deviceId);
+  const key = stored ? parsePublicKey(stored.publicKey) : null;
+  if (!key || !key.ok) {
+    return {
+      status: 401,
+      json: { error: "No public key registered for this device", reason: "unknown_device_key" },
+    };
+  }
+
+  const signature = Buffer.from(signatureText, "base64");
+  const payload = buildChallengePayload({ deviceId, challengeId, challenge: challenge.challenge });
+  let valid = false;
+  try {
+    valid =
+      signature.length === 64 &&
+      crypto.verify(null, Buffer.from(payload, "utf8"), key.keyObject, signature);
+  } catch (_) {
+    valid = false;
+  }
+  if (!valid) {
+    return {
+      status: 401,
+      json: { error: "Device signature does not verify", reason: "invalid_signature" },
+    };
+  }
+
+  const out = deps.sessions.openSession({
+    challengeId,
+    deviceId,
+    accessTtlMs: accessTokenTtlMs(),
+    refreshTtlMs: refreshTokenTtlMs(),
+  });
+  if (!out.ok) {
+    return {
+      status: 401,
+      json: { error: "Challenge is unknown, expired or already used", reason: out.reason },
+    };
+  }
+  return { status: 200, json: tokenResponseJson(out) };
+}
+
+/**
+ * `POST /v2/auth/refresh` — body `{ refreshToken }`. Both tokens rotate; the old refresh token
+ * stops working.
+ * @param {{ sessions: ReturnType<import("./store/deviceSessionRepository").createDeviceSessionRepository> }} deps
+ * @param {unknown} rawBody
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processAuthRefresh(deps, rawBody) {
+  const refreshToken = trimmedString(bodyObject(rawBody).refreshToken);
+  if (!refreshToken) {
+    return { status: 400, json: { error: "refreshToken is required", reason: "invalid_body" } };
+  }
+  const out = deps.sessions.refreshSession({
+    refreshToken,
+    accessTtlMs: accessTokenTtlMs(),
+    refreshTtlMs: refreshTokenTtlMs(),
+  });
+  if (!out.ok) {
+    return {
+      status: 401,
+      json: { error: "Refresh token is not valid", reason: out.reason },
+    };
+  }
+  return { status: 200, json: tokenResponseJson(out) };
+}
+
+/**
+ * `POST /v2/auth/logout` — revokes the bearer session (access and refresh token).
+ * @param {{ sessions: ReturnType<import("./store/deviceSessionRepository").createDeviceSessionRepository> }} deps
+ * @param {{ sessionId: string } | undefined} deviceSession set by the middleware
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processAuthLogout(deps, deviceSession) {
+  if (!deviceSession) {
+    return {
+      status: 401,
+      json: { error: "Bearer access token required", reason: "invalid_access_token" },
+    };
+  }
+  deps.sessions.revokeSession(deviceSession.sessionId);
+  return { status: 200, json: { revoked: true } };
+}
+
+/**
+ * @param {import("http").IncomingHttpHeaders} headers
+ * @returns {string|null} token, or null when there is no `Bearer` authorization
+ */
+function readBearerToken(headers) {
+  const auth = headers.authorization;
+  if (typeof auth !== "string" || !/^Bearer\s+/i.test(auth)) return null;
+  return auth.replace(/^Bearer\s+/i, "").trim();
+}
+
+/**
+ * Resolve a bearer access token and check it against every `deviceId` the request names.
+ * @param {ReturnType<import("./store/deviceSessionRepository").createDeviceSessionRepository>} sessions
+ * @param {import("http").IncomingHttpHeaders} headers
+ * @param {string[]} claimed device ids from body / query
+ * @returns {{ ok: true, session: { sessionId: string, deviceId: string } | null } | { ok: false, reason: string }}
+ */
+function resolveBearerSession(sessions, headers, claimed) {
+  const token = readBearerToken(headers);
+  if (token == null) return { ok: true, session: null };
+  if (!token) return { ok: false, reason: "invalid_access_token" };
+  const out = sessions.resolveAccessToken(token);
+  if (!out.ok) return out;
+  if (claimed.some((id) => id !== out.deviceId)) return { ok: false, reason: "device_mismatch" };
+  return { ok: true, session: { sessionId: out.sessionId, deviceId: out.deviceId } };
+}
+
+/**
+ * Express middleware. A valid bearer sets `req.deviceSession = { sessionId, deviceId }` and marks
+ * the request verified for the signed-request middleware. A bearer that is present but invalid is
+ * always a `401`, whatever `CONNECT_DEVICE_AUTH_MODE` says: the client chose token auth.
+ *
+ * @param {ReturnType<import("./store/deviceSessionRepository").createDeviceSessionRepository>} sessions
+ */
+function createDeviceSessionMiddleware(sessions) {
+  return function deviceSessionMiddleware(req, res, next) {
+    if (BEARER_EXEMPT_PREFIXES.some((p) => req.path.startsWith(p))) return next();
+    let out;
+    try {
+      out = resolveBearerSession(sessions, req.headers, claimedDeviceIds(req));
+    } catch (err) {
+      console.error("Error in device session middleware:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+    if (!out.ok) {
+      return res.status(401).json({ error: REASON_MESSAGES[out.reason], reason: out.reason });
+    }
+    if (out.session) {
+      req.deviceSession = out.session;
+      req.deviceAuth = { deviceId: out.session.deviceId, verified: true };
+    }
+    return next();
+  };
+}
+
+module.exports = {
+  CHALLENGE_VERSION,
+  accessTokenTtlMs,
+  refreshTokenTtlMs,
+  buildChallengePayload,
+  processAuthChallenge,
+  processAuthVerify,
+  processAuthRefresh,
+  processAuthLogout,
+  readBearerToken,
+  resolveBearerSession,
+  createDeviceSessionMiddleware,
+};
@@ -0,0 +1,147 @@
+/**
+ * Device transfer routes (Phase Device-Transfer-1). Moves a device's coin balance and CONNECT Pro
+ * membership (Stripe customer / subscription ids included) to a new `deviceId` without an account:
+ * the old device starts and finally confirms, the new device claims with a short code in between.
+ *
+ * @see docs/connect-device-transfer.md
+ */
+
+const { normalizePairingCode } = require("./store/accountRepository");
+const { TRANSFER_CODE_LENGTH } = require("./store/deviceTransferRepository");
+const { envInt } = require("./envFlags");
+
+/** `CONNECT_DEVICE_TRANSFER_TTL_MS` — default 10 min; 1 – 30 min. Covers claim and confirm. */
+function deviceTransferTtlMs() {
+  return envInt("CONNECT_DEVICE_TRANSFER_TTL_MS", 10 * 60 * 1000, 60000, 30 * 60 * 1000);
+}
+
+const REASONS = {
+  account_linked: [409, "Devices linked to an account share billing already; use pairing instead"],
+  nothing_to_transfer: [409, "This device has no coins or membership to transfer"],
+  invalid_transfer_code: [400, "Transfer code is unknown, used or expired"],
+  cannot_transfer_to_self: [409, "Claim the transfer on the new device"],
+  transfer_not_found: [404, "Transfer not found"],
+  transfer_not_claimed: [409, "The new device has not claimed this transfer yet"],
+  transfer_expired: [410, "Transfer expired; start a new one"],
+  transfer_finished: [409, "Transfer is already completed or cancelled"],
+  source_has_reserved_coins: [409, "Coins are reserved for a call in progress; end it first"],
+  target_has_membership: [409, "The new device already has an active membership"],
+};
+
+function failure(reason) {
+  const [status, error] = REASONS[reason] || [400, "Transfer failed"];
+  return { status, json: { error, reason } };
+}
+
+function bodyObject(raw) {
+  return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+}
+
+function toIso(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+/**
+ * @param {NonNullable<ReturnType<ReturnType<import("./store/deviceTransferRepository").createDeviceTransferRepository>["getPendingTransfer"]>>} t
+ */
+function transferJson(t) {
+  return {
+    transferId: t.transferId,
+    role: t.role,
+    state: t.state,
+    expiresAt: toIso(t.expiresAt),
+    claimedAt: toIso(t.claimedAt),
+    finishedAt: toIso(t.finishedAt),
+    coins: t.coins,
+    membership: t.membership
+      ? {
+          isMember: t.membership.isMember,
+          membershipActiveUntil: toIso(t.membership.membershipActiveUntil),
+        }
+      : null,
+    membershipMoved: t.membershipMoved,
+  };
+}
+
+function transferIdFrom(body) {
+  return typeof body.transferId === "string" ? body.transferId.trim() : "";
+}
+
+/**
+ * `POST /v2/billing/transfer/start` — old device opens a transfer and gets the code to show.
+ * @param {{ deviceTransfers: ReturnType<import("./store/deviceTransferRepository").createDeviceTransferRepository> }} deps
+ * @param {string} deviceId validated by the route
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processStartDeviceTransfer(deps, deviceId) {
+  const out = deps.deviceTransfers.startTransfer({ deviceId, ttlMs: deviceTransferTtlMs() });
+  if (!out.ok) return failure(out.reason);
+  return {
+    status: 201,
+    json: { transferId: out.transferId, code: out.code, expiresAt: toIso(out.expiresAt) },
+  };
+}
+
+/**
+ * `POST /v2/billing/transfer/claim` — body `{ deviceId, code }`; new device claims the transfer.
+ * @param {{ deviceTransfers: ReturnType<import("./store/deviceTransferRepository").createDeviceTransferRepository> }} deps
+ * @param {string} deviceId
+ * @param {unknown} rawBody
+ */
+function processClaimDeviceTransfer(deps, deviceId, rawBody) {
+  const code = normalizePairingCode(bodyObject(rawBody).code, TRANSFER_CODE_LENGTH);
+  if (!code) return failure("invalid_transfer_code");
+  const out = deps.deviceTransfers.claimTransfer({ deviceId, code });
+  if (!out.ok) return failure(out.reason);
+  return { status: 200, json: transferJson(out.transfer) };
+}
+
+/**
+ * `POST /v2/billing/transfer/confirm` — body `{ deviceId, transferId }`; old device completes it.
+ * @param {{ deviceTransfers: ReturnType<import("./store/deviceTransferRepository").createDeviceTransferRepository> }} deps
+ * @param {string} deviceId
+ * @param {unknown} rawBody
+ */
+function processConfirmDeviceTransfer(deps, deviceId, rawBody) {
+  const transferId = transferIdFrom(bodyObject(rawBody));
+  if (!transferId) return failure("transfer_not_found");
+  const out = deps.deviceTransfers.confirmTransfer({ deviceId, transferId });
+  if (!out.ok) return failure(out.reason);
+  return { status: 200, json: transferJson(out.transfer) };
+}
+
+/**
+ * `POST /v2/billing/transfer/cancel` — body `{ deviceId, transferId }`; either device.
+ * @param {{ deviceTransfers: ReturnType<import("./store/deviceTransferRepository").createDeviceTransferRepository> }} deps
+ * @param {string} deviceId
+ * @param {unknown} rawBody
+ */
+function processCancelDeviceTransfer(deps, deviceId, rawBody) {
+  const transferId = transferIdFrom(bodyObject(rawBody));
+  if (!transferId) return failure("transfer_not_found");
+  const out = deps.deviceTransfers.cancelTransfer({ deviceId, transferId });
+  if (!out.ok) return failure(out.reason);
+  return { status: 200, json: { transferId, state: "cancelled" } };
+}
+
+/**
+ * `GET /v2/billing/transfer` — pending transfer of either side (poll while waiting).
+ * @param {{ deviceTransfers: ReturnType<import("./store/deviceTransferRepository").createDeviceTransferRepository> }} deps
+ * @param {string} deviceId
+ */
+function processGetDeviceTransfer(deps, deviceId) {
+  const t = deps.deviceTransfers.getPendingTransfer(deviceId);
+  if (!t) {
+    return { status: 404, json: { error: "No pending transfer", reason: "transfer_not_found" } };
+  }
+  return { status: 200, json: transferJson(t) };
+}
+
+module.exports = {
+  deviceTransferTtlMs,
+  processStartDeviceTransfer,
+  processClaimDeviceTransfer,
+  processConfirmDeviceTransfer,
+  processCancelDeviceTransfer,
+  processGetDeviceTransfer,
+};
@@ -0,0 +1,237 @@
+/**
+ * E2EE public key directory routes (Phase E2EE-Keys-1). Devices publish an identity key, a signed
+ * prekey and one-time prekeys; room members fetch each other's bundles by opaque member id to
+ * start Signal-style sessions. The server stores public material only and does not verify the
+ * signed prekey signature (curve and signature scheme are client-defined) — clients must.
+ *
+ * @see docs/connect-e2ee-key-directory.md
+ */
+
+const { deriveRoomMemberId, findDeviceByMemberId } = require("./roomMemberIdentity");
+
+const BASE64_RE = /^[A-Za-z0-9+/_-]+={0,2}$/;
+const MAX_PREKEYS_PER_UPLOAD = 100;
+const MAX_STORED_PREKEYS = 500;
+const MAX_KEY_ID = 0xffffff;
+
+function toIso(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+/**
+ * @param {unknown} v
+ * @param {number} minBytes
+ * @param {number} maxBytes
+ * @returns {string|null} trimmed input when it decodes to an allowed length
+ */
+function base64Field(v, minBytes, maxBytes) {
+  if (typeof v !== "string") return null;
+  const t = v.trim();
+  if (!BASE64_RE.test(t)) return null;
+  const n = Buffer.from(t, "base64").length;
+  return n >= minBytes && n <= maxBytes ? t : null;
+}
+
+function keyIdField(v) {
+  return Number.isInteger(v) && v >= 0 && v <= MAX_KEY_ID ? v : null;
+}
+
+function invalid(reason, error) {
+  return { status: 400, json: { error, reason } };
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {{ ok: true, value: { identityKey: string, signedPrekey: { keyId: number, publicKey: string, signature: string }, oneTimePrekeys: { keyId: number, publicKey: string }[] } } | { ok: false, out: { status: number, json: Record<string, unknown> } }}
+ */
+function parsePublishBody(raw) {
+  const b = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const identityKey = base64Field(b.identityKey, 32, 65);
+  if (!identityKey) {
+    return {
+      ok: false,
+      out: invalid("invalid_identity_key", "identityKey must be a base64 public key (32–65 bytes)"),
+    };
+  }
+  const sp = b.signedPrekey && typeof b.signedPrekey === "object" ? b.signedPrekey : {};
+  const signedPrekey = {
+    keyId: keyIdField(sp.keyId),
+    publicKey: base64Field(sp.publicKey, 32, 65),
+    signature: base64Field(sp.signature, 64, 128),
+  };
+  if (signedPrekey.keyId == null || !signedPrekey.publicKey || !signedPrekey.signature) {
+    return {
+      ok: false,
+      out: invalid("invalid_signed_prekey", "signedPrekey needs keyId, publicKey and signature"),
+    };
+  }
+  const list = b.oneTimePrekeys === undefined ? [] : b.oneTimePrekeys;
+  if (!Array.isArray(list) || list.length > MAX_PREKEYS_PER_UPLOAD) {
+    return {
+      ok: false,
+      out: invalid(
+        "invalid_one_time_prekeys",
+        `oneTimePrekeys must be an array of at most ${MAX_PREKEYS_PER_UPLOAD}`
+      ),
+    };
+  }
+  const oneTimePrekeys = [];
+  for (const k of list) {
+    const keyId = keyIdField(k && k.keyId);
+    const publicKey = base64Field(k && k.publicKey, 32, 65);
+    if (keyId == null || !publicKey) {
+      return {
+        ok: false,
+        out: invalid("invalid_one_time_prekeys", "Each one-time prekey needs keyId and publicKey"),
+      };
+    }
+    oneTimePrekeys.push({ keyId, publicKey });
+  }
+  return { ok: true, value: { identityKey, signedPrekey, oneTimePrekeys } };
+}
+
+function ownKeysJson(view) {
+  return {
+    identityKey: view.identityKey,
+    identityChangedAt: toIso(view.identityChangedAt),
+    signedPrekey: view.signedPrekey,
+    oneTimePrekeyCount: view.oneTimePrekeyCount,
+    updatedAt: toIso(view.updatedAt),
+  };
+}
+
+/**
+ * `PUT /v2/devices/e2ee-keys` — publish identity key + signed prekey, add one-time prekeys.
+ * @param {{ e2eeKeys: ReturnType<import("./store/e2eeKeyRepository").createE2eeKeyRepository> }} deps
+ * @param {string} deviceId validated by the route
+ * @param {unknown} body
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processPublishDeviceKeys(deps, deviceId, body) {
+  const parsed = parsePublishBody(body);
+  if (!parsed.ok) return parsed.out;
+  const out = deps.e2eeKeys.publishKeys({
+    deviceId,
+    ...parsed.value,
+    maxStoredPrekeys: MAX_STORED_PREKEYS,
+  });
+  if (!out.ok) {
+    return {
+      status: 409,
+      json: {
+        error: `At most ${MAX_STORED_PREKEYS} one-time prekeys can be stored`,
+        reason: out.reason,
+      },
+    };
+  }
+  return {
+    status: out.created ? 201 : 200,
+    json: {
+      ...ownKeysJson(deps.e2eeKeys.getOwnKeys(deviceId)),
+      identityChanged: out.identityChanged,
+    },
+  };
+}
+
+/**
+ * `GET /v2/devices/e2ee-keys` — the caller's own published keys and remaining prekey count.
+ * @param {{ e2eeKeys: ReturnType<import("./store/e2eeKeyRepository").createE2eeKeyRepository> }} deps
+ * @param {string} deviceId
+ */
+function processGetOwnDeviceKeys(deps, deviceId) {
+  const view = deps.e2eeKeys.getOwnKeys(deviceId);
+  if (!view) {
+    return { status: 404, json: { error: "No keys published", reason: "keys_not_published" } };
+  }
+  return { status: 200, json: ownKeysJson(view) };
+}
+
+function roomAccessError(access) {
+  if (access.reason === "forbidden") {
+    return {
+      status: 403,
+      json: { error: "Device is not linked to this room", reason: "forbidden" },
+    };
+  }
+  if (access.reason === "deleted") {
+    return { status: 410, json: { error: "Room was deleted", reason: "deleted" } };
+  }
+  return { status: 404, json: { error: "Room not found", reason: "not_found" } };
+}
+
+/**
+ * `GET /v2/rooms/:roomId/members/keys` — identity keys of every linked member (no prekeys claimed).
+ * @param {{ rooms: object, e2eeKeys: ReturnType<import("./store/e2eeKeyRepository").createE2eeKeyRepository> }} deps
+ * @param {string} roomId
+ * @param {string} deviceId
+ */
+function processRoomKeyDirectory(deps, roomId, deviceId) {
+  const access = deps.rooms.checkDeviceRoomAccess(roomId, deviceId);
+  if (!access.ok) return roomAccessError(access);
+  const members = deps.e2eeKeys.listRoomDirectory(roomId).map((m) => ({
+    memberId: deriveRoomMemberId(roomId, m.deviceId),
+    isSelf: m.deviceId === deviceId,
+    identityKey: m.identityKey,
+    identityChangedAt: toIso(m.identityChangedAt),
+  }));
+  return {
+    status: 200,
+    json: { roomId, selfMemberId: deriveRoomMemberId(roomId, deviceId), members },
+  };
+}
+
+/**
+ * `GET /v2/rooms/:roomId/members/:memberId/keys` — prekey bundle for one member. Claims one
+ * one-time prekey from the member's pool (none when fetching your own bundle).
+ * @param {{ rooms: object, e2eeKeys: ReturnType<import("./store/e2eeKeyRepository").createE2eeKeyRepository> }} deps
+ * @param {string} roomId
+ * @param {string} deviceId requester
+ * @param {string} memberId
+ */
+function processMemberKeyBundle(deps, roomId, deviceId, memberId) {
+  const access = deps.rooms.checkDeviceRoomAccess(roomId, deviceId);
+  if (!access.ok) return roomAccessError(access);
+
+  const linked = deps.e2eeKeys.listRoomDirectory(roomId).map((m) => m.deviceId);
+  const target = findDeviceByMemberId(roomId, linked, String(memberId || ""));
+  if (!target) {
+    return {
+      status: 404,
+      json: { error: "Member not found in this room", reason: "member_not_found" },
+    };
+  }
+
+  let bundle;
+  if (target === deviceId) {
+    const own = deps.e2eeKeys.getOwnKeys(target);
+    bundle = own ? { ...own, oneTimePrekey: null } : null;
+  } else {
+    bundle = deps.e2eeKeys.claimBundle(target);
+  }
+  if (!bundle) {
+    return {
+      status: 404,
+      json: { error: "Member has not published keys", reason: "keys_not_published" },
+    };
+  }
+  return {
+    status: 200,
+    json: {
+      roomId,
+      memberId,
+      identityKey: bundle.identityKey,
+      identityChangedAt: toIso(bundle.identityChangedAt),
+      signedPrekey: bundle.signedPrekey,
+      oneTimePrekey: bundle.oneTimePrekey,
+    },
+  };
+}
+
+module.exports = {
+  MAX_PREKEYS_PER_UPLOAD,
+  MAX_STORED_PREKEYS,
+  processPublishDeviceKeys,
+  processGetOwnDeviceKeys,
+  processRoomKeyDirectory,
+  processMemberKeyBundle,
+};
@@ -1,5 +1,5 @@
 /**
- * Shared process.env readers for CONNECT server (feature flags).
+ * Shared process.env readers for CONNECT server (feature flags, bounded integers).
  */
 
 function envFlag(name, defaultValue = false) {
@@ -8,6 +8,22 @@ function envFlag(name, defaultValue = false) {
   return /^(1|true|yes|on)$/i.test(String(v).trim());
 }
 
+/**
+ * Integer env var within `[min, max]`. Unset, empty, non-numeric or out-of-range → `defaultValue`.
+ * @param {string} name
+ * @param {number} defaultValue
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function envInt(name, defaultValue, min, max) {
+  const v = process.env[name];
+  if (v === undefined || v === "") return defaultValue;
+  const n = parseInt(String(v).trim(), 10);
+  if (!Number.isFinite(n) || n < min || n > max) return defaultValue;
+  return n;
+}
+
 /**
  * When true: mutual-save request/respond endpoints are active; GET list/detail include `save` truth.
  * Default false — temporary-only behavior unchanged for existing deployments.
@@ -18,5 +34,6 @@ function mutualSaveEnabled() {
 
 module.exports = {
   envFlag,
+  envInt,
   mutualSaveEnabled,
 };
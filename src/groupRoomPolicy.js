@@ -35,6 +35,16 @@ function connectGroupMinMemberCap() {
   return Math.max(3, Math.min(connectGroupMaxMemberCap(), n));
 }
 
+/**
+ * Max devices in one group call (connected or holding an unused token). Default 8.
+ * @see docs/connect-group-calls.md
+ */
+function connectGroupCallMaxParticipants() {
+  const d = 8;
+  const n = envInt("CONNECT_GROUP_CALL_MAX_PARTICIPANTS", d);
+  return Math.max(2, Math.min(100, n));
+}
+
 /**
  * @param {string | null | undefined} raw
  * @returns {'direct' | 'group'}
@@ -76,6 +86,20 @@ function parseGroupMemberCap(raw) {
   return { ok: true, memberCap: n };
 }
 
+/**
+ * `joinMode` on `POST /v2/rooms/create`: `open` (default — a valid code or token joins at once)
+ * or `knock` (joining files a request the room creator approves).
+ * @see docs/connect-join-requests.md
+ * @param {unknown} raw
+ * @returns {{ ok: true, joinMode: 'open' | 'knock' } | { ok: false, reason: 'invalid_join_mode' }}
+ */
+function parseRoomJoinMode(raw) {
+  if (raw === undefined || raw === null || raw === "") return { ok: true, joinMode: "open" };
+  const v = String(raw).trim().toLowerCase();
+  if (v === "open" || v === "knock") return { ok: true, joinMode: v };
+  return { ok: false, reason: "invalid_join_mode" };
+}
+
 /**
  * Mutual save is 1:1-only; hide from API surface when the room is a group.
  * When `room` is missing, returns true so callers can still show the neutral `{ enabled: true, state: "none" }` stub.
@@ -90,8 +114,10 @@ module.exports = {
   groupRoomsRequirePro,
   connectGroupMaxMemberCap,
   connectGroupMinMemberCap,
+  connectGroupCallMaxParticipants,
   normalizeRoomKind,
   effectiveJoinMemberCap,
   parseGroupMemberCap,
+  parseRoomJoinMode,
   mutualSaveApplicableForRoom,
 };
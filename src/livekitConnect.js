@@ -1,13 +1,27 @@
 /**
  * CONNECT LiveKit access tokens (Phase Call-Arch-2).
- * Voice-only, 1:1; no billing here — use call-charge/start + settle separately.
+ * Voice (microphone) and, when enabled, video (camera + optional screen share) — Phase Call-Video-1.
+ * Group rooms get multi-party calls with a participant cap and a roster — Phase Group-Calls-1.
+ * No billing here — use call-charge/start + settle separately.
  *
  * @see docs/connect-livekit-token.md
+ * @see docs/connect-group-calls.md
  */
 
 const crypto = require("crypto");
-const { AccessToken, TrackSource } = require("livekit-server-sdk");
+const { AccessToken } = require("livekit-server-sdk");
 const { normalizeCallSessionId } = require("./connectCallBilling");
+const { ALLOWED_CALL_TYPES, CALL_TYPES } = require("./connectCallTariff");
+const {
+  screenShareEnabled,
+  checkCallTypeAllowed,
+  registeredCallTypeForSession,
+  publishSourcesForCallType,
+  callTypeDeniedResponse,
+  callTypeMismatchResponse,
+} = require("./callMediaPolicy");
+const { connectGroupCallMaxParticipants } = require("./groupRoomPolicy");
+const { livekitTokenTtlSeconds } = require("./callMetering");
 
 const MAX_ROOM_ID_LEN = 128;
 
@@ -75,27 +89,25 @@ function deriveOpaqueParticipantIdentity(roomId, callSessionId, deviceId) {
   return `p_${hex.slice(0, 36)}`;
 }
 
-/**
- * @returns {number} seconds
- */
-function tokenTtlSeconds() {
-  const raw = process.env.LIVEKIT_TOKEN_TTL_SECONDS;
-  if (raw === undefined || raw === "") {
-    return 600;
-  }
-  const n = Number(raw);
-  if (!Number.isFinite(n) || n < 60 || n > 86400) {
-    return 600;
-  }
-  return Math.floor(n);
-}
-
 /**
  * @param {*} rooms — `createRoomRepository` API
  * @param {Record<string, unknown>} body
+ * @param {{
+ *   metering?: ReturnType<import("./store/callMeteringRepository").createCallMeteringRepository>,
+ *   coins?: ReturnType<import("./store/coinWalletRepository").createCoinWalletRepository>,
+ *   membership?: ReturnType<import("./deviceMembership").createDeviceMembershipStore>,
+ *   signaling?: ReturnType<import("./store/callSignalingRepository").createCallSignalingRepository>,
+ *   history?: ReturnType<import("./store/callHistoryRepository").createCallHistoryRepository>,
+ * }} [opts]
+ *   `metering`: the minted room + participant are registered so LiveKit webhooks can be metered;
+ *   group calls also enforce `CONNECT_GROUP_CALL_MAX_PARTICIPANTS` from those rows.
+ *   `metering` / `coins`: keep `callType` consistent with the session's token / reserve hold.
+ *   `membership`: Pro gate for video (`CONNECT_VIDEO_CALLS_REQUIRE_PRO`).
+ *   `signaling`: a server-issued `callSessionId` only gets tokens while ringing / accepted.
+ *   `history`: the call and this device are logged in `room_calls`.
  * @returns {Promise<{ status: number, json: Record<string, unknown> }>}
  */
-async function processLivekitTokenRequest(rooms, body) {
+async function processLivekitTokenRequest(rooms, body, opts = {}) {
   const raw = body && typeof body === "object" ? body : {};
   const cfg = getLiveKitConfigFromEnv();
   if (!cfg) {
@@ -137,16 +149,36 @@ async function processLivekitTokenRequest(rooms, body) {
   }
 
   const callType = typeof raw.callType === "string" ? raw.callType.trim() : "";
-  if (callType !== "voice") {
+  if (!ALLOWED_CALL_TYPES.has(callType)) {
     return {
       status: 400,
       json: {
-        error: "Only callType voice is supported",
+        error: "callType must be voice or video",
         reason: "unsupported_call_type",
       },
     };
   }
 
+  const screenShare = raw.screenShare === true;
+  if (screenShare && callType !== CALL_TYPES.VIDEO) {
+    return {
+      status: 400,
+      json: {
+        error: "screenShare is only available on video calls",
+        reason: "screen_share_requires_video",
+      },
+    };
+  }
+  if (screenShare && !screenShareEnabled()) {
+    return {
+      status: 403,
+      json: {
+        error: "Screen sharing is not enabled",
+        reason: "screen_share_disabled",
+      },
+    };
+  }
+
   const detail = rooms.getRoomDetailForDevice(roomId, deviceId);
   if (!detail.ok) {
     if (detail.reason === "forbidden") {
@@ -192,15 +224,69 @@ async function processLivekitTokenRequest(rooms, body) {
     };
   }
 
+  if (opts.signaling) {
+    const invite = opts.signaling.getCall(callSessionId);
+    if (invite && (invite.room_id !== roomId || !["ringing", "accepted"].includes(invite.state))) {
+      return {
+        status: 409,
+        json: {
+          error: "This call is no longer ringing or in progress",
+          reason: "call_not_active",
+          state: invite.state,
+        },
+      };
+    }
+  }
+
   const roomName = deriveLiveKitRoomName(roomId, callSessionId);
+  const registeredCallType = registeredCallTypeForSession(callSessionId, {
+    metering: opts.metering,
+    coins: opts.coins,
+    roomName,
+  });
+  if (registeredCallType && registeredCallType !== callType) {
+    return callTypeMismatchResponse(registeredCallType);
+  }
+  const allowed = checkCallTypeAllowed(
+    callType,
+    deviceId,
+    opts.membership,
+    registeredCallType
+  );
+  if (!allowed.ok) {
+    return callTypeDeniedResponse(allowed.reason);
+  }
+
   const identity = deriveOpaqueParticipantIdentity(
     roomId,
     callSessionId,
     deviceId
   );
-  const ttlSec = tokenTtlSeconds();
+  const ttlSec = livekitTokenTtlSeconds();
   const ttlMs = ttlSec * 1000;
 
+  const callKind = detail.room.roomKind === "group" ? "group" : "direct";
+  const maxParticipants =
+    callKind === "group" ? connectGroupCallMaxParticipants() : 2;
+  if (callKind === "group" && opts.metering) {
+    // A token not yet used to connect keeps its slot until it expires.
+    const occupied = opts.metering.countOtherOccupiedSlots(
+      roomName,
+      deviceId,
+      Date.now() - ttlMs
+    );
+    if (occupied >= maxParticipants) {
+      return {
+        status: 409,
+        json: {
+          error: "This group call is full",
+          reason: "call_full",
+          maxParticipants,
+        },
+      };
+    }
+  }
+
   const at = new AccessToken(cfg.apiKey, cfg.apiSecret, {
     identity,
     ttl: ttlSec,
@@ -212,7 +298,7 @@ async function processLivekitTokenRequest(rooms, body) {
     canPublish: true,
     canSubscribe: true,
     canPublishData: true,
-    canPublishSources: [TrackSource.MICROPHONE],
+    canPublishSources: publishSourcesForCallType(callType, screenShare),
   });
 
   let token;
@@ -228,6 +314,21 @@ async function processLivekitTokenRequest(rooms, body) {
     };
   }
 
+  if (opts.metering) {
+    opts.metering.registerParticipant({
+      roomName,
+      roomId,
+      callSessionId,
+      callType,
+      callKind,
+      identity,
+      deviceId,
+    });
+  }
+  if (opts.history) {
+    opts.history.recordToken({ roomId, callSessionId, callType, callKind, deviceId });
+  }
+
   const expiresAt = new Date(Date.now() + ttlMs).toISOString();
 
   return {
@@ -238,7 +339,82 @@ async function processLivekitTokenRequest(rooms, body) {
       roomName,
       expiresAt,
       callSessionId,
-      callType: "voice",
+      callType,
+      screenShare,
+      callKind,
+      maxParticipants,
+    },
+  };
+}
+
+/**
+ * `GET /v2/rooms/:roomId/calls/:callSessionId/roster` — who LiveKit reports in the call now.
+ * Participants are listed by their opaque LiveKit identity; device ids are never returned.
+ *
+ * @param {*} rooms — `createRoomRepository` API
+ * @param {ReturnType<import("./store/callMeteringRepository").createCallMeteringRepository>} metering
+ * @param {{ roomId: string, callSessionId: unknown, deviceId: string }} p
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processCallRosterRequest(rooms, metering, p) {
+  const callSessionId = normalizeCallSessionId(p.callSessionId);
+  if (!callSessionId) {
+    return {
+      status: 400,
+      json: {
+        error: "Missing or invalid callSessionId",
+        reason: "invalid_call_session_id",
+      },
+    };
+  }
+
+  const access = rooms.checkDeviceRoomAccess(p.roomId, p.deviceId);
+  if (!access.ok) {
+    if (access.reason === "forbidden") {
+      return {
+        status: 403,
+        json: { error: "Device is not linked to this room", reason: "forbidden" },
+      };
+    }
+    if (access.reason === "deleted") {
+      return {
+        status: 410,
+        json: { error: "Room was deleted", reason: "deleted" },
+      };
+    }
+    return {
+      status: 404,
+      json: { error: "Room not found", reason: "not_found" },
+    };
+  }
+
+  const roomName = deriveLiveKitRoomName(p.roomId, callSessionId);
+  const call = metering.getCallRoom(roomName);
+  if (!call) {
+    return {
+      status: 404,
+      json: { error: "Call not found", reason: "call_not_found" },
+    };
+  }
+
+  const participants = metering.listConnectedParticipants(roomName).map((row) => ({
+    participantId: row.identity,
+    joinedAt: new Date(row.joined_at).toISOString(),
+    self: row.device_id === p.deviceId,
+  }));
+  const callKind = call.call_kind === "group" ? "group" : "direct";
+
+  return {
+    status: 200,
+    json: {
+      roomId: p.roomId,
+      callSessionId,
+      callType: call.call_type,
+      callKind,
+      maxParticipants: callKind === "group" ? connectGroupCallMaxParticipants() : 2,
+      finished: call.finished_at != null,
+      connectedCount: participants.length,
+      participants,
     },
   };
 }
@@ -249,5 +425,6 @@ module.exports = {
   deriveLiveKitRoomName,
   deriveOpaqueParticipantIdentity,
   processLivekitTokenRequest,
+  processCallRosterRequest,
   MAX_ROOM_ID_LEN,
 };
@@ -0,0 +1,98 @@
+/**
+ * Phase Call-Meter-3 — LiveKit-signed webhooks → `call_participants` connected intervals.
+ *
+ * LiveKit signs each delivery with a JWT (API key/secret) whose `sha256` claim covers the raw
+ * body, so this route is registered with `express.raw()` before `express.json()`.
+ * Only rooms this server minted tokens for (`deriveLiveKitRoomName`) are recorded.
+ * `room_finished` also closes the signaled call for that session (Phase Call-Signal-1).
+ *
+ * @see docs/connect-livekit-webhooks.md
+ * @see docs/connect-call-signaling.md
+ */
+
+const crypto = require("crypto");
+const { WebhookReceiver } = require("livekit-server-sdk");
+const { getLiveKitConfigFromEnv } = require("./livekitConnect");
+
+const METERED_EVENTS = new Set(["participant_joined", "participant_left", "room_finished"]);
+
+/**
+ * @param {{ createdAt?: bigint|number }} event
+ * @param {number} now
+ * @returns {number} epoch ms
+ */
+function eventTimeMs(event, now) {
+  const sec = Number(event.createdAt || 0);
+  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : now;
+}
+
+/**
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {ReturnType<import("./store/callMeteringRepository").createCallMeteringRepository>} metering
+ * @param {ReturnType<import("./store/callSignalingRepository").createCallSignalingRepository>} [signaling]
+ */
+async function handleLivekitWebhookPost(req, res, metering, signaling) {
+  const cfg = getLiveKitConfigFromEnv();
+  if (!cfg) {
+    return res.status(503).json({
+      error:
+        "LiveKit is not configured (set LIVEKIT_URL, LIVEKIT_API_KEY, LIVEKIT_API_SECRET)",
+      reason: "livekit_not_configured",
+    });
+  }
+
+  const auth = req.headers.authorization;
+  if (typeof auth !== "string" || auth.trim() === "") {
+    return res.status(401).json({
+      error: "Missing Authorization header",
+      reason: "missing_signature",
+    });
+  }
+
+  const rawBody = req.body;
+  if (!Buffer.isBuffer(rawBody)) {
+    return res.status(500).json({
+      error: "Server misconfiguration: LiveKit webhook route expects raw body",
+      reason: "raw_body_required",
+    });
+  }
+
+  const bodyText = rawBody.toString("utf8");
+  let event;
+  try {
+    const receiver = new WebhookReceiver(cfg.apiKey, cfg.apiSecret);
+    event = await receiver.receive(bodyText, auth);
+  } catch (_err) {
+    return res.status(401).json({
+      error: "Invalid LiveKit webhook signature",
+      reason: "invalid_signature",
+    });
+  }
+
+  const roomName = event.room && event.room.name ? String(event.room.name) : "";
+  if (!METERED_EVENTS.has(event.event) || !roomName) {
+    return res.status(200).json({ received: true, applied: false, reason: "ignored_event" });
+  }
+
+  const now = Date.now();
+  const at = eventTimeMs(event, now);
+  const out = metering.applyWebhookEvent({
+    id: event.id || crypto.createHash("sha256").update(bodyText, "utf8").digest("hex"),
+    event: event.event,
+    roomName,
+    identity: event.participant ? event.participant.identity : null,
+    at,
+    now,
+  });
+  if (out.applied && event.event === "room_finished" && signaling) {
+    const call = metering.getCallRoom(roomName);
+    signaling.finishFromLivekit(call.call_session_id, Math.min(at, now));
+  }
+  return res.status(200).json({ received: true, ...out });
+}
+
+module.exports = {
+  handleLivekitWebhookPost,
+  METERED_EVENTS,
+};
@@ -0,0 +1,70 @@
+/**
+ * Cursor paging for `GET /v2/rooms/:roomId/messages` (Phase Messages-Paging-1).
+ *
+ * Cursors are the per-room `room_messages.seq` as a decimal string. `before` pages backwards
+ * (older history), `after` pages forwards (catch-up); they are mutually exclusive.
+ * No paging params → legacy full transcript (unchanged response for existing clients).
+ *
+ * @see docs/v2-message-transport.md
+ */
+
+const DEFAULT_PAGE_LIMIT = 50;
+const MAX_PAGE_LIMIT = 200;
+
+/**
+ * @param {unknown} raw
+ * @returns {number|null|undefined} undefined = absent, null = invalid
+ */
+function parseCursor(raw) {
+  if (raw === undefined || raw === null || raw === "") return undefined;
+  const s = String(raw).trim();
+  if (!/^\d{1,15}$/.test(s)) return null;
+  return Number(s);
+}
+
+/**
+ * @param {Record<string, unknown>} query Express `req.query`
+ * @returns {{ ok: true, page: null } | { ok: true, page: { before: number|null, after: number|null, limit: number } } | { ok: false, reason: 'invalid_cursor'|'invalid_limit'|'cursor_conflict' }}
+ */
+function parseMessagePageQuery(query) {
+  const q = query && typeof query === "object" ? query : {};
+  const before = parseCursor(q.before);
+  const after = parseCursor(q.after);
+  const limitRaw = q.limit;
+  const hasLimit = limitRaw !== undefined && limitRaw !== null && limitRaw !== "";
+
+  if (before === null || after === null) {
+    return { ok: false, reason: "invalid_cursor" };
+  }
+  if (before !== undefined && after !== undefined) {
+    return { ok: false, reason: "cursor_conflict" };
+  }
+
+  let limit = DEFAULT_PAGE_LIMIT;
+  if (hasLimit) {
+    const s = String(limitRaw).trim();
+    const n = /^\d+$/.test(s) ? Number(s) : NaN;
+    if (!Number.isInteger(n) || n < 1 || n > MAX_PAGE_LIMIT) {
+      return { ok: false, reason: "invalid_limit" };
+    }
+    limit = n;
+  }
+
+  if (before === undefined && after === undefined && !hasLimit) {
+    return { ok: true, page: null };
+  }
+  return {
+    ok: true,
+    page: {
+      before: before === undefined ? null : before,
+      after: after === undefined ? null : after,
+      limit,
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  parseMessagePageQuery,
+};
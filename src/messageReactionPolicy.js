@@ -0,0 +1,67 @@
+/**
+ * Message reactions (Phase Message-Reactions-1): which reaction values the server accepts.
+ * A reaction is either an emoji from a small allowlist or an opaque client-encrypted blob.
+ * @see docs/connect-message-reactions.md
+ */
+
+const { envFlag } = require("./envFlags");
+
+const DEFAULT_REACTION_EMOJI = ["👍", "👎", "❤️", "😂", "😮", "😢", "🙏", "🔥"];
+
+/** Max length of an `encrypted` reaction blob (chars). */
+const MAX_ENCRYPTED_REACTION_CHARS = 1024;
+
+/** Max distinct reactions one member may put on one message. */
+const MAX_REACTIONS_PER_MEMBER = 20;
+
+/**
+ * `CONNECT_REACTION_EMOJI`: comma-separated allowlist. Unset → default set; empty entries dropped.
+ * @returns {Set<string>}
+ */
+function reactionEmojiAllowlist() {
+  const raw = process.env.CONNECT_REACTION_EMOJI;
+  if (raw === undefined || raw.trim() === "") return new Set(DEFAULT_REACTION_EMOJI);
+  return new Set(
+    raw
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean)
+  );
+}
+
+/** `CONNECT_REACTIONS_ENCRYPTED` (default on): accept `encrypted` reaction blobs. */
+function encryptedReactionsEnabled() {
+  return envFlag("CONNECT_REACTIONS_ENCRYPTED", true);
+}
+
+/**
+ * Body `{ emoji }` or `{ encrypted }` (exactly one) → stored `kind` + `value`.
+ * @param {unknown} raw
+ * @returns {{ ok: true, kind: 'emoji'|'encrypted', value: string } | { ok: false, reason: 'invalid_reaction'|'reaction_not_allowed'|'payload_too_large' }}
+ */
+function parseReaction(raw) {
+  const b = raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+  const hasEmoji = b.emoji !== undefined && b.emoji !== null && b.emoji !== "";
+  const hasEncrypted = b.encrypted !== undefined && b.encrypted !== null && b.encrypted !== "";
+  if (hasEmoji === hasEncrypted) return { ok: false, reason: "invalid_reaction" };
+  if (hasEmoji) {
+    if (typeof b.emoji !== "string") return { ok: false, reason: "invalid_reaction" };
+    if (!reactionEmojiAllowlist().has(b.emoji)) return { ok: false, reason: "reaction_not_allowed" };
+    return { ok: true, kind: "emoji", value: b.emoji };
+  }
+  if (typeof b.encrypted !== "string") return { ok: false, reason: "invalid_reaction" };
+  if (!encryptedReactionsEnabled()) return { ok: false, reason: "reaction_not_allowed" };
+  if (b.encrypted.length > MAX_ENCRYPTED_REACTION_CHARS) {
+    return { ok: false, reason: "payload_too_large" };
+  }
+  return { ok: true, kind: "encrypted", value: b.encrypted };
+}
+
+module.exports = {
+  DEFAULT_REACTION_EMOJI,
+  MAX_ENCRYPTED_REACTION_CHARS,
+  MAX_REACTIONS_PER_MEMBER,
+  reactionEmojiAllowlist,
+  encryptedReactionsEnabled,
+  parseReaction,
+};
@@ -0,0 +1,197 @@
+/**
+ * Rate limiting and brute-force protection (Phase Rate-Limit-1).
+ *
+ * Each route family (`join`, `create`, `messages`, `billing`) has a per-IP and a per-device token
+ * bucket (capacity = the per-minute limit, refilled evenly over a minute). Failed code guesses
+ * (`/sessions/join`, pairing and transfer codes, `invite_taken` on create) also count towards an
+ * exponential lockout per IP and per device. Over the limit → `429` with `Retry-After`.
+ *
+ * @see docs/connect-rate-limits.md
+ */
+
+const { envFlag, envInt } = require("./envFlags");
+
+const RATE_LIMIT_FAMILIES = ["join", "create", "messages", "billing"];
+
+/** Per-minute defaults: `[perIp, perDevice]`. */
+const FAMILY_DEFAULTS = {
+  join: [20, 10],
+  create: [20, 10],
+  messages: [240, 120],
+  billing: [60, 30],
+};
+
+const MINUTE_MS = 60000;
+const MAX_DEVICE_ID_CHARS = 256;
+
+/** `CONNECT_RATE_LIMIT_ENABLED` — default on; `0` turns every limit and lockout off. */
+function rateLimitEnabled() {
+  return envFlag("CONNECT_RATE_LIMIT_ENABLED", true);
+}
+
+/**
+ * `CONNECT_RATE_LIMIT_<FAMILY>_IP_PER_MIN` / `…_DEVICE_PER_MIN` — 0 – 100000; `0` disables that bucket.
+ * @param {string} family one of {@link RATE_LIMIT_FAMILIES}
+ * @returns {{ ipPerMin: number, devicePerMin: number }}
+ */
+function rateLimitFamilyConfig(family) {
+  const [ip, device] = FAMILY_DEFAULTS[family];
+  const prefix = `CONNECT_RATE_LIMIT_${family.toUpperCase()}`;
+  return {
+    ipPerMin: envInt(`${prefix}_IP_PER_MIN`, ip, 0, 100000),
+    devicePerMin: envInt(`${prefix}_DEVICE_PER_MIN`, device, 0, 100000),
+  };
+}
+
+/**
+ * Failed-join lockout. `CONNECT_JOIN_LOCKOUT_THRESHOLD` failures (default 5) inside
+ * `CONNECT_JOIN_FAILURE_WINDOW_MS` (default 15 min) lock for `CONNECT_JOIN_LOCKOUT_BASE_MS`
+ * (default 30s), doubling per further failure up to `CONNECT_JOIN_LOCKOUT_MAX_MS` (default 1h).
+ */
+function joinLockoutConfig() {
+  return {
+    threshold: envInt("CONNECT_JOIN_LOCKOUT_THRESHOLD", 5, 1, 100),
+    baseMs: envInt("CONNECT_JOIN_LOCKOUT_BASE_MS", 30000, 1000, 3600000),
+    maxMs: envInt("CONNECT_JOIN_LOCKOUT_MAX_MS", 3600000, MINUTE_MS, 24 * 3600000),
+    windowMs: envInt("CONNECT_JOIN_FAILURE_WINDOW_MS", 15 * MINUTE_MS, MINUTE_MS, 24 * 3600000),
+  };
+}
+
+/**
+ * `CONNECT_TRUST_PROXY_HOPS` — reverse proxies in front of the server (default 0). Set to `1`
+ * behind Railway / a load balancer so `req.ip` is the client, not the proxy.
+ */
+function trustProxyHops() {
+  return envInt("CONNECT_TRUST_PROXY_HOPS", 0, 0, 10);
+}
+
+/**
+ * Who the request counts against: client IP and, when proven, the device — a bearer session, or
+ * a signed request verified by the device auth middleware (`req.deviceAuth.verified`). An
+ * unverified `deviceId` in the body or query is ignored, so nobody can drain another device's
+ * buckets or lock it out of joins by naming it.
+ * @param {import("express").Request} req
+ * @returns {{ ip: string, deviceId: string|null }}
+ */
+function rateLimitSubjects(req) {
+  const ip = req.ip || (req.socket && req.socket.remoteAddress) || "unknown";
+  if (req.deviceSession) return { ip, deviceId: req.deviceSession.deviceId };
+  const auth = req.deviceAuth;
+  const deviceId = auth && auth.verified && typeof auth.deviceId === "string" ? auth.deviceId : "";
+  return {
+    ip,
+    deviceId: deviceId && deviceId.length <= MAX_DEVICE_ID_CHARS ? deviceId : null,
+  };
+}
+
+function subjectKeys(prefix, subjects) {
+  const keys = [`${prefix}:ip:${subjects.ip}`];
+  if (subjects.deviceId) keys.push(`${prefix}:device:${subjects.deviceId}`);
+  return keys;
+}
+
+/**
+ * Lockout first (join family only), then both buckets. The device bucket is only charged once
+ * the IP bucket let the request through.
+ *
+ * @param {ReturnType<import("./store/rateLimitRepository").createRateLimitRepository>} repo
+ * @param {string} family
+ * @param {{ ip: string, deviceId: string|null }} subjects
+ * @param {number} [now]
+ * @returns {{ ok: true } | { ok: false, reason: "rate_limited" | "join_locked_out", retryAfterMs: number }}
+ */
+function checkRateLimit(repo, family, subjects, now = Date.now()) {
+  if (!rateLimitEnabled()) return { ok: true };
+  if (family === "join") {
+    for (const key of subjectKeys("join-fail", subjects)) {
+      const lockedUntil = repo.getLockedUntil(key, now);
+      if (lockedUntil != null) {
+        return { ok: false, reason: "join_locked_out", retryAfterMs: lockedUntil - now };
+      }
+    }
+  }
+  const cfg = rateLimitFamilyConfig(family);
+  const buckets = [[`${family}:ip:${subjects.ip}`, cfg.ipPerMin]];
+  if (subjects.deviceId) buckets.push([`${family}:device:${subjects.deviceId}`, cfg.devicePerMin]);
+  for (const [key, perMin] of buckets) {
+    if (perMin === 0) continue;
+    const out = repo.takeToken({ key, capacity: perMin, refillPerMs: perMin / MINUTE_MS, now });
+    if (!out.ok) return { ok: false, reason: "rate_limited", retryAfterMs: out.retryAfterMs };
+  }
+  return { ok: true };
+}
+
+/**
+ * Count a wrong code against the request's IP and, when proven, its device.
+ * @param {ReturnType<import("./store/rateLimitRepository").createRateLimitRepository>} repo
+ * @param {import("express").Request} req
+ * @param {number} [now]
+ */
+function recordJoinFailure(repo, req, now = Date.now()) {
+  if (!rateLimitEnabled()) return;
+  const cfg = joinLockoutConfig();
+  for (const key of subjectKeys("join-fail", rateLimitSubjects(req))) {
+    const out = repo.recordFailure({ key, ...cfg, now });
+    if (out.lockedUntil != null && out.failures === cfg.threshold) {
+      console.warn(`[rate-limit] join lockout for ${key} after ${out.failures} failed codes`);
+    }
+  }
+}
+
+/**
+ * A correct code clears the device's failure count. The IP count is left to expire, so one
+ * valid code cannot be used to reset guessing from the same address.
+ * @param {ReturnType<import("./store/rateLimitRepository").createRateLimitRepository>} repo
+ * @param {import("express").Request} req
+ */
+function clearJoinFailures(repo, req) {
+  const { deviceId } = rateLimitSubjects(req);
+  if (deviceId) repo.clearFailures(`join-fail:device:${deviceId}`);
+}
+
+const REASON_MESSAGES = {
+  rate_limited: "Too many requests; retry later",
+  join_locked_out: "Too many wrong codes; retry later",
+};
+
+/**
+ * Express middleware for one route family. Mount on the route, after the session / device auth
+ * middleware so a bearer session's device is known.
+ * @param {ReturnType<import("./store/rateLimitRepository").createRateLimitRepository>} repo
+ * @param {string} family one of {@link RATE_LIMIT_FAMILIES}
+ */
+function createRateLimitMiddleware(repo, family) {
+  if (!RATE_LIMIT_FAMILIES.includes(family)) {
+    throw new Error(`unknown rate limit family: ${family}`);
+  }
+  return function rateLimitMiddleware(req, res, next) {
+    let out;
+    try {
+      out = checkRateLimit(repo, family, rateLimitSubjects(req));
+    } catch (err) {
+      console.error("Error in rate limit middleware:", err);
+      return res.status(500).json({ error: "Internal server error" });
+    }
+    if (out.ok) return next();
+    res.set("Retry-After", String(Math.max(1, Math.ceil(out.retryAfterMs / 1000))));
+    return res.status(429).json({
+      error: REASON_MESSAGES[out.reason],
+      reason: out.reason,
+      family,
+      retryAfterMs: out.retryAfterMs,
+    });
+  };
+}
+
+module.exports = {
+  RATE_LIMIT_FAMILIES,
+  rateLimitEnabled,
+  rateLimitFamilyConfig,
+  joinLockoutConfig,
+  trustProxyHops,
+  rateLimitSubjects,
+  checkRateLimit,
+  recordJoinFailure,
+  clearJoinFailures,
+  createRateLimitMiddleware,
+};
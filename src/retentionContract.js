@@ -3,9 +3,16 @@
  * Single source of truth for list, detail, GET/POST /v2/rooms/:id/retention responses.
  */
 
+const { retentionEnforcementActive } = require("./retentionPurgePolicy");
+
+/** Returned while the purge job is off or in dry-run. */
 const ENFORCEMENT_NOTE =
   "Message TTL deletion is not enforced in this server phase; retention_until is advisory for future jobs.";
 
+/** Returned when the purge job deletes for real (Phase Retention-Purge-1). */
+const ENFORCED_NOTE =
+  "Messages older than the room's retention window are deleted by the server; retention_until ends a paid window, after which the room falls back to the default tier (kept unless the server sets a default window).";
+
 /** Documented sources; unknown strings preserved for forward compatibility. */
 const KNOWN_SOURCES = new Set([
   "server_default",
@@ -46,6 +53,7 @@ function buildRetentionView(room, io) {
   const tier = room.retention_tier || "default";
   const source = normalizeRetentionSource(room.retention_source);
   const isPaid = tier !== "default";
+  const enforced = retentionEnforcementActive();
   return {
     roomId: room.id,
     retentionTier: tier,
@@ -53,12 +61,14 @@ function buildRetentionView(room, io) {
     retentionSource: source,
     isPaidRetention: isPaid,
     canExtendRetention: computeCanExtendRetention(room),
-    enforcementNote: ENFORCEMENT_NOTE,
+    retentionEnforced: enforced,
+    enforcementNote: enforced ? ENFORCED_NOTE : ENFORCEMENT_NOTE,
   };
 }
 
 module.exports = {
   ENFORCEMENT_NOTE,
+  ENFORCED_NOTE,
   normalizeRetentionSource,
   computeCanExtendRetention,
   buildRetentionView,
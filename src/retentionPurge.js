@@ -0,0 +1,170 @@
+/**
+ * Retention enforcement job (Phase Retention-Purge-1).
+ *
+ * Deletes `room_messages` (and linked `room_attachments` + S3 objects) older than the room's
+ * effective history window. Effective tier = stored tier, falling back to `default` once a paid
+ * `retention_until` has passed, raised to the CONNECT Pro included tier when any linked device
+ * is an active member (same overlay as list/detail).
+ *
+ * Batches are idempotent: S3 keys are deleted first (missing keys are a no-op), then rows +
+ * audit in one SQLite transaction. A crash between the two simply repeats the batch next run.
+ *
+ * @see docs/v2-retention-purge.md
+ */
+
+const crypto = require("crypto");
+const { getConnectMemberIncludedRetentionTier } = require("./connectMemberRetention");
+const { tierRank, ALLOWED_RETENTION_TIERS } = require("./store/roomRepository");
+const {
+  retentionPurgeEnabled,
+  retentionPurgeDryRun,
+  retentionPurgeIntervalMs,
+  retentionPurgeBatchSize,
+  messageWindowMsForTier,
+} = require("./retentionPurgePolicy");
+const { ROOM_EVENT_TYPES } = require("./roomEvents");
+const { startIntervalJob } = require("./backgroundJob");
+
+/**
+ * @param {{ retention_tier: string|null, retention_until: number|null }} room
+ * @param {string[]} linkedDeviceIds
+ * @param {{ isDeviceMember: (d: string) => boolean }|null} membership
+ * @param {number} now
+ * @returns {string}
+ */
+function effectiveTierForPurge(room, linkedDeviceIds, membership, now) {
+  let tier = room.retention_tier || "default";
+  if (
+    (tier === "7_days" || tier === "30_days") &&
+    typeof room.retention_until === "number" &&
+    room.retention_until <= now
+  ) {
+    tier = "default";
+  }
+  if (membership && linkedDeviceIds.some((d) => membership.isDeviceMember(d))) {
+    const inc = getConnectMemberIncludedRetentionTier();
+    if (ALLOWED_RETENTION_TIERS.has(inc) && tierRank(inc) > tierRank(tier)) {
+      tier = inc;
+    }
+  }
+  return tier;
+}
+
+/**
+ * One full pass over rooms with messages.
+ * @param {{ retentionPurge: ReturnType<import("./store/retentionPurgeRepository").createRetentionPurgeRepository>, membership?: object|null, attachmentStorage?: { deleteObjects: (keys: string[]) => Promise<{ deleted: number }> }|null, events?: object|null }} store
+ * @param {{ dryRun?: boolean, batchSize?: number, now?: number }} [opts]
+ */
+async function runRetentionPurge(store, opts = {}) {
+  const dryRun = opts.dryRun != null ? opts.dryRun === true : retentionPurgeDryRun();
+  const batchSize = opts.batchSize || retentionPurgeBatchSize();
+  const now = typeof opts.now === "number" ? opts.now : Date.now();
+  const runId = crypto.randomUUID();
+  const repo = store.retentionPurge;
+
+  const summary = {
+    runId,
+    dryRun,
+    roomsScanned: 0,
+    roomsPurged: 0,
+    messagesDeleted: 0,
+    attachmentsDeleted: 0,
+    storageKeysDeleted: 0,
+    roomsFailed: 0,
+  };
+
+  for (const room of repo.listRoomsWithMessages()) {
+    summary.roomsScanned += 1;
+    const linked = repo.listLinkedDeviceIds(room.id);
+    const tier = effectiveTierForPurge(room, linked, store.membership || null, now);
+    const windowMs = messageWindowMsForTier(tier);
+    if (windowMs == null) continue;
+    const cutoff = now - windowMs;
+    if (!(room.oldest_message_at < cutoff)) continue;
+
+    if (dryRun) {
+      // Logged, not audited: a dry run repeats every interval and would grow the audit table.
+      const counts = repo.countExpiredForRoom(room.id, cutoff);
+      console.log(
+        `[connect] retention purge dry run=${runId} room=${room.id} tier=${tier} cutoff=${new Date(cutoff).toISOString()} messages=${counts.messages} attachments=${counts.attachments}`
+      );
+      summary.roomsPurged += 1;
+      summary.messagesDeleted += counts.messages;
+      summary.attachmentsDeleted += counts.attachments;
+      continue;
+    }
+
+    let roomDeleted = 0;
+    try {
+      for (;;) {
+        const batch = repo.listExpiredBatch(room.id, cutoff, batchSize);
+        if (batch.length === 0) break;
+        const keys = batch.map((r) => r.storage_key).filter(Boolean);
+        let storageKeysDeleted = 0;
+        if (keys.length > 0 && store.attachmentStorage) {
+          const del = await store.attachmentStorage.deleteObjects(keys);
+          storageKeysDeleted = del.deleted;
+        }
+        const out = repo.deleteBatchWithAudit({
+          auditId: crypto.randomUUID(),
+          runId,
+          roomId: room.id,
+          effectiveTier: tier,
+          cutoff,
+          batch,
+          storageKeysDeleted,
+          now,
+        });
+        roomDeleted += out.messagesDeleted;
+        summary.messagesDeleted += out.messagesDeleted;
+        summary.attachmentsDeleted += out.attachmentsDeleted;
+        summary.storageKeysDeleted += storageKeysDeleted;
+        if (batch.length < batchSize) break;
+      }
+    } catch (err) {
+      // Storage or DB failure: leave the remaining rows for the next run.
+      summary.roomsFailed += 1;
+      console.error(`[connect] retention purge failed for room ${room.id}:`, err);
+    }
+
+    if (roomDeleted > 0) {
+      summary.roomsPurged += 1;
+      if (store.events) {
+        store.events.publish(room.id, ROOM_EVENT_TYPES.MESSAGES_PURGED, {
+          purgedBefore: new Date(cutoff).toISOString(),
+          count: roomDeleted,
+        });
+      }
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Starts the scheduled purge when `CONNECT_RETENTION_PURGE_ENABLED` is set; otherwise returns null.
+ * @param {Parameters<typeof runRetentionPurge>[0]} store
+ */
+function startRetentionPurgeJob(store) {
+  if (!retentionPurgeEnabled()) return null;
+  return startIntervalJob({
+    name: "retention purge",
+    intervalMs: retentionPurgeIntervalMs(),
+    runOnStart: true,
+    run: async () => {
+      const s = await runRetentionPurge(store);
+      if (s.roomsPurged > 0 || s.roomsFailed > 0) {
+        console.log(
+          `[connect] retention purge run=${s.runId} dryRun=${s.dryRun} rooms=${s.roomsPurged} messages=${s.messagesDeleted} attachments=${s.attachmentsDeleted} storageKeys=${s.storageKeysDeleted} failed=${s.roomsFailed}`
+        );
+      }
+      return s;
+    },
+  });
+}
+
+module.exports = {
+  effectiveTierForPurge,
+  runRetentionPurge,
+  startRetentionPurgeJob,
+};
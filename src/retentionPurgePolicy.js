@@ -0,0 +1,69 @@
+/**
+ * Retention enforcement policy (Phase Retention-Purge-1): env switches + per-tier message windows.
+ * @see docs/v2-retention-purge.md
+ */
+
+const { envFlag, envInt } = require("./envFlags");
+
+const DAY_MS = 86400000;
+
+const TIER_WINDOW_MS = Object.freeze({
+  "7_days": 7 * DAY_MS,
+  "30_days": 30 * DAY_MS,
+});
+
+/** `CONNECT_RETENTION_PURGE_ENABLED` — scheduled purge runs in-process. Default: off. */
+function retentionPurgeEnabled() {
+  return envFlag("CONNECT_RETENTION_PURGE_ENABLED", false);
+}
+
+/** `CONNECT_RETENTION_PURGE_DRY_RUN` — count + log only, nothing deleted. Default: off. */
+function retentionPurgeDryRun() {
+  return envFlag("CONNECT_RETENTION_PURGE_DRY_RUN", false);
+}
+
+/** Interval between runs. Default 15 minutes; 10s – 24h. */
+function retentionPurgeIntervalMs() {
+  return envInt("CONNECT_RETENTION_PURGE_INTERVAL_MS", 15 * 60 * 1000, 10000, DAY_MS);
+}
+
+/** Max messages per delete batch (one S3 DeleteObjects call + one SQLite transaction). Default 500. */
+function retentionPurgeBatchSize() {
+  return envInt("CONNECT_RETENTION_PURGE_BATCH_SIZE", 500, 1, 1000);
+}
+
+/**
+ * History window for `retention_tier = default`. The default tier has no TTL (docs/v2-retention.md),
+ * so unset or `0` keeps default-tier rooms out of the purge; only an explicit window enables it.
+ */
+function defaultTierWindowMs() {
+  return envInt("CONNECT_RETENTION_DEFAULT_WINDOW_MS", 0, 0, 3650 * DAY_MS);
+}
+
+/**
+ * @param {string} tier effective tier (after lapse + Pro overlay)
+ * @returns {number|null} message max age in ms; null = keep forever
+ */
+function messageWindowMsForTier(tier) {
+  if (tier === "permanent") return null;
+  if (Object.prototype.hasOwnProperty.call(TIER_WINDOW_MS, tier)) {
+    return TIER_WINDOW_MS[tier];
+  }
+  const d = defaultTierWindowMs();
+  return d > 0 ? d : null;
+}
+
+/** True when the job deletes for real — drives `retentionEnforced` on API responses. */
+function retentionEnforcementActive() {
+  return retentionPurgeEnabled() && !retentionPurgeDryRun();
+}
+
+module.exports = {
+  retentionPurgeEnabled,
+  retentionPurgeDryRun,
+  retentionPurgeIntervalMs,
+  retentionPurgeBatchSize,
+  defaultTierWindowMs,
+  messageWindowMsForTier,
+  retentionEnforcementActive,
+};
@@ -0,0 +1,84 @@
+/**
+ * In-process room event fan-out (Phase Realtime-1).
+ * `roomRepository` publishes after each committed write; `roomStream` forwards to WebSocket subscribers.
+ * Single-process only (same limit as SQLite) — see docs/v2-room-stream.md.
+ */
+
+const { EventEmitter } = require("events");
+
+const ROOM_EVENT_TYPES = Object.freeze({
+  MESSAGE: "message",
+  MESSAGE_DELETED: "message_deleted",
+  MESSAGE_EDITED: "message_edited",
+  MESSAGE_REACTION: "message_reaction",
+  READ_STATE: "read_state",
+  ROOM_ENDED: "room_ended",
+  ROOM_DELETED: "room_deleted",
+  ROOM_REOPENED: "room_reopened",
+  INVITE_ROTATED: "invite_rotated",
+  SAVE_STATE: "save_state",
+  MESSAGES_PURGED: "messages_purged",
+  CALL_STATE: "call_state",
+  SAFETY_NUMBER_CHANGED: "safety_number_changed",
+  JOIN_REQUEST: "join_request",
+  MEMBER_ROLE: "member_role",
+  MEMBER_REMOVED: "member_removed",
+});
+
+function createRoomEventBus() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  /**
+   * @param {string} roomId
+   * @param {string} type one of ROOM_EVENT_TYPES
+   * @param {Record<string, unknown>} [payload]
+   */
+  function publish(roomId, type, payload = {}) {
+    const event = {
+      type,
+      roomId,
+      at: new Date().toISOString(),
+      ...payload,
+    };
+    emitter.emit(String(roomId), event);
+    return event;
+  }
+
+  /**
+   * Listener errors are logged, never thrown back into the publishing write path.
+   * @param {string} roomId
+   * @param {(event: Record<string, unknown>) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  function subscribe(roomId, listener) {
+    const key = String(roomId);
+    const wrapped = (event) => {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error("[connect] room event listener failed:", err);
+      }
+    };
+    emitter.on(key, wrapped);
+    return () => emitter.off(key, wrapped);
+  }
+
+  /**
+   * @param {string} roomId
+   */
+  function subscriberCount(roomId) {
+    return emitter.listenerCount(String(roomId));
+  }
+
+  return {
+    publish,
+    subscribe,
+    subscriberCount,
+  };
+}
+
+module.exports = {
+  ROOM_EVENT_TYPES,
+  createRoomEventBus,
+};
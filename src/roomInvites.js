@@ -0,0 +1,202 @@
+/**
+ * Invite token routes (Phase Invite-Tokens-1). A room admin mints long random tokens for deep
+ * links / QR codes with an optional expiry and max-uses count, lists and revokes them; anyone
+ * holding a live token joins through the same member-cap checks as a 6-digit code join.
+ *
+ * @see docs/connect-invite-tokens.md
+ */
+
+const { envInt } = require("./envFlags");
+
+const MIN_TTL_MS = 60000;
+const MAX_TTL_MS = 365 * 24 * 3600000;
+const MAX_USES_LIMIT = 10000;
+const TOKEN_RE = /^[A-Za-z0-9_-]{32,128}$/;
+
+/** `CONNECT_INVITE_TOKENS_MAX_PER_ROOM` — usable (not revoked / expired / used up) tokens per room. Default 20; 1 – 200. */
+function inviteTokensMaxPerRoom() {
+  return envInt("CONNECT_INVITE_TOKENS_MAX_PER_ROOM", 20, 1, 200);
+}
+
+const REASONS = {
+  not_found: [404, "Room not found"],
+  forbidden: [403, "Device is not linked to this room"],
+  deleted: [410, "Room was deleted"],
+  not_room_admin: [403, "Only room admins can manage invites"],
+  banned: [403, "Device is banned from this room"],
+  not_active: [409, "Invites can only be created for active rooms"],
+  too_many_invites: [409, "Too many live invites for this room; revoke one first"],
+  invite_not_found: [404, "Invite not found"],
+  invalid_invite_token: [404, "Invite is unknown, revoked, expired or used up"],
+};
+
+function failure(reason, extra = {}) {
+  const [status, error] = REASONS[reason] || [400, "Invite request failed"];
+  return { status, json: { error, reason, ...extra } };
+}
+
+function bodyObject(raw) {
+  return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+}
+
+function toIso(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+/**
+ * @param {object} v invite view from `src/store/roomInviteRepository.js`
+ */
+function inviteJson(v) {
+  return {
+    tokenId: v.tokenId,
+    status: v.status,
+    createdAt: toIso(v.createdAt),
+    createdBySelf: v.createdBySelf,
+    expiresAt: toIso(v.expiresAt),
+    maxUses: v.maxUses,
+    useCount: v.useCount,
+    lastUsedAt: toIso(v.lastUsedAt),
+    revokedAt: toIso(v.revokedAt),
+  };
+}
+
+/**
+ * Optional positive integer in `[min, max]`; absent / null → null.
+ * @returns {{ ok: true, value: number|null } | { ok: false }}
+ */
+function optionalInt(raw, min, max) {
+  if (raw === undefined || raw === null) return { ok: true, value: null };
+  if (typeof raw !== "number" || !Number.isInteger(raw) || raw < min || raw > max) return { ok: false };
+  return { ok: true, value: raw };
+}
+
+/**
+ * `POST /v2/rooms/:roomId/invites` — body `{ deviceId, expiresInMs?, maxUses? }`.
+ * @param {{ invites: ReturnType<import("./store/roomInviteRepository").createRoomInviteRepository> }} deps
+ * @param {string} roomId
+ * @param {string} deviceId validated by the route
+ * @param {unknown} rawBody
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processCreateRoomInvite(deps, roomId, deviceId, rawBody) {
+  const body = bodyObject(rawBody);
+  const ttl = optionalInt(body.expiresInMs, MIN_TTL_MS, MAX_TTL_MS);
+  if (!ttl.ok) {
+    return {
+      status: 400,
+      json: {
+        error: `expiresInMs must be an integer between ${MIN_TTL_MS} and ${MAX_TTL_MS}`,
+        reason: "invalid_expires_in",
+      },
+    };
+  }
+  const uses = optionalInt(body.maxUses, 1, MAX_USES_LIMIT);
+  if (!uses.ok) {
+    return {
+      status: 400,
+      json: { error: `maxUses must be an integer between 1 and ${MAX_USES_LIMIT}`, reason: "invalid_max_uses" },
+    };
+  }
+  const maxPerRoom = inviteTokensMaxPerRoom();
+  const out = deps.invites.createInvite({
+    roomId,
+    deviceId,
+    ttlMs: ttl.value,
+    maxUses: uses.value,
+    maxPerRoom,
+  });
+  if (!out.ok) {
+    return failure(out.reason, out.reason === "too_many_invites" ? { maxPerRoom } : {});
+  }
+  return { status: 201, json: { roomId, token: out.token, ...inviteJson(out.invite) } };
+}
+
+/**
+ * `GET /v2/rooms/:roomId/invites` — all tokens of the room (never the raw token).
+ * @param {{ invites: ReturnType<import("./store/roomInviteRepository").createRoomInviteRepository> }} deps
+ * @param {string} roomId
+ * @param {string} deviceId
+ */
+function processListRoomInvites(deps, roomId, deviceId) {
+  const out = deps.invites.listInvites({ roomId, deviceId });
+  if (!out.ok) return failure(out.reason);
+  return { status: 200, json: { roomId, invites: out.invites.map(inviteJson) } };
+}
+
+/**
+ * `DELETE /v2/rooms/:roomId/invites/:tokenId` — revoke; idempotent.
+ * @param {{ invites: ReturnType<import("./store/roomInviteRepository").createRoomInviteRepository> }} deps
+ * @param {string} roomId
+ * @param {string} deviceId
+ * @param {string} tokenId
+ */
+function processRevokeRoomInvite(deps, roomId, deviceId, tokenId) {
+  const out = deps.invites.revokeInvite({ roomId, deviceId, tokenId });
+  if (!out.ok) return failure(out.reason);
+  return {
+    status: 200,
+    json: { roomId, alreadyRevoked: out.alreadyRevoked, ...inviteJson(out.invite) },
+  };
+}
+
+/**
+ * `POST /v2/invites/redeem` — body `{ deviceId, token }`; join the token's room.
+ * @param {{ invites: ReturnType<import("./store/roomInviteRepository").createRoomInviteRepository> }} deps
+ * @param {string} deviceId
+ * @param {unknown} rawBody
+ */
+function processRedeemRoomInvite(deps, deviceId, rawBody) {
+  const token = bodyObject(rawBody).token;
+  if (typeof token !== "string" || !TOKEN_RE.test(token)) {
+    return { status: 400, json: { error: "Missing or invalid token", reason: "invalid_token" } };
+  }
+  const out = deps.invites.redeemInvite({ token, deviceId });
+  if (!out.ok) {
+    if (out.reason === "full") {
+      return {
+        status: 403,
+        json: {
+          error: "Room is full",
+          reason: "full",
+          roomKind: out.roomKind,
+          memberCap: out.memberCap,
+          memberCount: out.memberCount,
+        },
+      };
+    }
+    if (out.reason === "banned") {
+      return failure("banned", { roomKind: out.roomKind });
+    }
+    if (out.reason === "join_request_pending") {
+      return {
+        status: 202,
+        json: {
+          error: "Join request sent; wait for approval",
+          reason: "join_request_pending",
+          roomId: out.roomId,
+          roomKind: out.roomKind,
+          joinRequest: out.joinRequest,
+        },
+      };
+    }
+    return failure("invalid_invite_token");
+  }
+  return {
+    status: 200,
+    json: {
+      ok: true,
+      roomId: out.roomId,
+      id: out.roomId,
+      roomKind: out.roomKind,
+      alreadyMember: out.alreadyMember,
+    },
+  };
+}
+
+module.exports = {
+  inviteTokensMaxPerRoom,
+  processCreateRoomInvite,
+  processListRoomInvites,
+  processRevokeRoomInvite,
+  processRedeemRoomInvite,
+};
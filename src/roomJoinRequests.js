@@ -0,0 +1,87 @@
+/**
+ * Join request routes for `knock` group rooms (Phase Join-Requests-1). A code or token join into a
+ * knock room files a pending request; a room admin lists and approves / rejects requests, and
+ * the requester polls its own request (or cancels it).
+ *
+ * @see docs/connect-join-requests.md
+ */
+
+const REASONS = {
+  not_found: [404, "Room not found"],
+  forbidden: [403, "Device is not linked to this room"],
+  deleted: [410, "Room was deleted"],
+  not_room_admin: [403, "Only room admins can manage join requests"],
+  join_request_not_found: [404, "Join request not found"],
+  join_request_decided: [409, "Join request was already decided or cancelled"],
+  not_active: [409, "Room is not active"],
+  full: [409, "Room is full"],
+};
+
+function failure(out) {
+  const [status, error] = REASONS[out.reason] || [400, "Join request failed"];
+  const json = { error, reason: out.reason };
+  if (out.reason === "full") {
+    json.memberCap = out.memberCap;
+    json.memberCount = out.memberCount;
+  }
+  return { status, json };
+}
+
+/**
+ * `GET /v2/rooms/:roomId/join-requests` — query `state=pending` (default) or `all`. Admins only.
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} deviceId validated by the route
+ * @param {Record<string, unknown>} query
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processListJoinRequests(deps, roomId, deviceId, query) {
+  const state = query.state === undefined ? "pending" : query.state;
+  if (state !== "pending" && state !== "all") {
+    return { status: 400, json: { error: "state must be pending or all", reason: "invalid_state" } };
+  }
+  const out = deps.rooms.listJoinRequestsForDevice({ roomId, deviceId, state });
+  if (!out.ok) return failure(out);
+  return { status: 200, json: { roomId, requests: out.requests } };
+}
+
+/**
+ * `GET /v2/rooms/:roomId/join-requests/:requestId` — requester polling, or an admin.
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} requestId
+ * @param {string} deviceId
+ */
+function processGetJoinRequest(deps, roomId, requestId, deviceId) {
+  const out = deps.rooms.getJoinRequestForDevice({ roomId, requestId, deviceId });
+  if (!out.ok) return failure(out);
+  return { status: 200, json: out.request };
+}
+
+/**
+ * `POST /v2/rooms/:roomId/join-requests/:requestId/:action` — `approve` / `reject` (admin) or
+ * `cancel` (requester).
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} requestId
+ * @param {string} action
+ * @param {string} deviceId
+ */
+function processJoinRequestAction(deps, roomId, requestId, action, deviceId) {
+  let out;
+  if (action === "approve" || action === "reject") {
+    out = deps.rooms.decideJoinRequestForDevice({ roomId, requestId, deviceId, decision: action });
+  } else if (action === "cancel") {
+    out = deps.rooms.cancelJoinRequestForDevice({ roomId, requestId, deviceId });
+  } else {
+    return { status: 404, json: { error: "Unknown join request action", reason: "not_found" } };
+  }
+  if (!out.ok) return failure(out);
+  return { status: 200, json: out.request };
+}
+
+module.exports = {
+  processListJoinRequests,
+  processGetJoinRequest,
+  processJoinRequestAction,
+};
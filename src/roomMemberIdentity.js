@@ -0,0 +1,43 @@
+/**
+ * Opaque per-room member ids. Same idea as `deriveOpaqueParticipantIdentity` for LiveKit: peers
+ * can tell members apart inside one room, but the id does not reveal the `deviceId` and differs
+ * between rooms, so it cannot be used to link a device across rooms.
+ *
+ * @see docs/connect-e2ee-key-directory.md
+ */
+
+const crypto = require("crypto");
+
+/**
+ * @param {string} roomId
+ * @param {string} deviceId
+ * @returns {string} `m_` + 36 hex chars
+ */
+function deriveRoomMemberId(roomId, deviceId) {
+  const hex = crypto
+    .createHash("sha256")
+    .update("rmid|", "utf8")
+    .update(String(roomId), "utf8")
+    .update("|", "utf8")
+    .update(String(deviceId), "utf8")
+    .digest("hex");
+  return `m_${hex.slice(0, 36)}`;
+}
+
+/**
+ * @param {string} roomId
+ * @param {string[]} deviceIds linked devices of the room
+ * @param {string} memberId
+ * @returns {string|null} the matching device, or null
+ */
+function findDeviceByMemberId(roomId, deviceIds, memberId) {
+  for (const deviceId of deviceIds) {
+    if (deriveRoomMemberId(roomId, deviceId) === memberId) return deviceId;
+  }
+  return null;
+}
+
+module.exports = {
+  deriveRoomMemberId,
+  findDeviceByMemberId,
+};
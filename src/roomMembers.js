@@ -0,0 +1,129 @@
+/**
+ * Room member list (Phase Room-Members-1) and group room roles, removal and bans (Phase
+ * Room-Roles-1). Members are addressed by their opaque per-room `memberId`
+ * (`src/roomMemberIdentity.js`), never by `deviceId`.
+ *
+ * @see docs/connect-room-members.md
+ * @see docs/connect-room-roles.md
+ */
+
+const ASSIGNABLE_ROLES = new Set(["admin", "member"]);
+
+const REASONS = {
+  not_found: [404, "Room not found"],
+  forbidden: [403, "Device is not linked to this room"],
+  deleted: [410, "Room was deleted"],
+  not_group_room: [409, "Roles only apply to group rooms"],
+  not_room_admin: [403, "Only room admins can manage members"],
+  not_room_owner: [403, "Only the room owner can change roles"],
+  member_not_found: [404, "Member not found"],
+  ban_not_found: [404, "Ban not found"],
+  cannot_change_owner: [409, "The owner's role cannot change"],
+  cannot_target_self: [409, "Cannot remove or ban yourself"],
+  insufficient_role: [403, "Target member has an equal or higher role"],
+};
+
+function failure(reason) {
+  const [status, error] = REASONS[reason] || [400, "Member request failed"];
+  return { status, json: { error, reason } };
+}
+
+function bodyObject(raw) {
+  return raw && typeof raw === "object" && !Array.isArray(raw) ? raw : {};
+}
+
+/**
+ * `GET /v2/rooms/:roomId/members` — linked members with role, join time and coarse presence.
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} deviceId validated by the route
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processListRoomMembers(deps, roomId, deviceId) {
+  const out = deps.rooms.listMembersForDevice({ roomId, deviceId });
+  if (!out.ok) return failure(out.reason);
+  return {
+    status: 200,
+    json: {
+      roomId,
+      roomKind: out.roomKind,
+      selfMemberId: out.selfMemberId,
+      members: out.members,
+    },
+  };
+}
+
+/**
+ * `POST /v2/rooms/:roomId/members/:memberId/role` — body `{ deviceId, role: "admin" | "member" }`.
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} memberId
+ * @param {string} deviceId validated by the route
+ * @param {unknown} rawBody
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processSetMemberRole(deps, roomId, memberId, deviceId, rawBody) {
+  const role = bodyObject(rawBody).role;
+  if (typeof role !== "string" || !ASSIGNABLE_ROLES.has(role)) {
+    return { status: 400, json: { error: "role must be admin or member", reason: "invalid_role" } };
+  }
+  const out = deps.rooms.setMemberRoleForDevice({ roomId, deviceId, memberId, role });
+  if (!out.ok) return failure(out.reason);
+  return { status: 200, json: { roomId, ...out.member, changed: out.changed } };
+}
+
+/**
+ * `DELETE /v2/rooms/:roomId/members/:memberId` (remove) and
+ * `POST /v2/rooms/:roomId/members/:memberId/ban` (remove + ban).
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} memberId
+ * @param {string} deviceId
+ * @param {{ ban: boolean }} opts
+ */
+function processRemoveMember(deps, roomId, memberId, deviceId, opts) {
+  const out = deps.rooms.removeMemberForDevice({ roomId, deviceId, memberId, ban: opts.ban });
+  if (!out.ok) return failure(out.reason);
+  return {
+    status: 200,
+    json: {
+      roomId,
+      memberId: out.memberId,
+      banned: out.banned,
+      removedMemberIds: out.removedMemberIds,
+    },
+  };
+}
+
+/**
+ * `GET /v2/rooms/:roomId/bans`
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} deviceId
+ */
+function processListRoomBans(deps, roomId, deviceId) {
+  const out = deps.rooms.listBansForDevice({ roomId, deviceId });
+  if (!out.ok) return failure(out.reason);
+  return { status: 200, json: { roomId, bans: out.bans } };
+}
+
+/**
+ * `DELETE /v2/rooms/:roomId/bans/:memberId`
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} memberId
+ * @param {string} deviceId
+ */
+function processUnbanMember(deps, roomId, memberId, deviceId) {
+  const out = deps.rooms.unbanMemberForDevice({ roomId, deviceId, memberId });
+  if (!out.ok) return failure(out.reason);
+  return { status: 200, json: { roomId, memberId: out.memberId, unbanned: true } };
+}
+
+module.exports = {
+  processListRoomMembers,
+  processSetMemberRole,
+  processRemoveMember,
+  processListRoomBans,
+  processUnbanMember,
+};
@@ -0,0 +1,163 @@
+/**
+ * Per-message routes on V2 room messages: unsend / delete-for-everyone (Phase Message-Unsend-1),
+ * sender edits (Phase Message-Edit-1), reply threads (Phase Message-Replies-1) and reactions
+ * (Phase Message-Reactions-1). Send and list stay in `server.js` (docs/v2-message-transport.md).
+ *
+ * @see docs/connect-message-unsend.md
+ * @see docs/connect-message-edits.md
+ * @see docs/connect-message-replies.md
+ * @see docs/connect-message-reactions.md
+ */
+
+const { parseMessagePageQuery } = require("./messagePagination");
+const { sweepBatch } = require("./attachments/attachmentSweeper");
+const { parseReaction } = require("./messageReactionPolicy");
+
+const REASONS = {
+  not_found: [404, "Room not found"],
+  forbidden: [403, "Device is not a member of this room"],
+  deleted: [410, "Room was deleted"],
+  ended: [410, "Room has ended"],
+  message_not_found: [404, "Message not found"],
+  not_sender: [403, "Only the sender can change this message"],
+  not_deletable: [409, "screenshot_event messages cannot be deleted"],
+  delete_window_expired: [409, "Delete window for this message has passed"],
+  message_deleted: [409, "Message was deleted"],
+  not_editable: [409, "Only text messages can be edited"],
+  edit_limit_reached: [409, "Message has reached its edit limit"],
+  invalid_payload: [400, "Invalid encrypted payload shape"],
+  payload_too_large: [413, "Encrypted message payload exceeds server limits"],
+  invalid_reaction: [400, "Send exactly one of emoji or encrypted"],
+  reaction_not_allowed: [400, "Reaction is not allowed on this server"],
+  too_many_reactions: [409, "Too many reactions on this message"],
+};
+
+function failure(reason) {
+  const [status, error] = REASONS[reason] || [400, "Message request failed"];
+  return { status, json: { error, reason } };
+}
+
+/**
+ * `DELETE /v2/rooms/:roomId/messages/:messageId` — tombstones the message, then deletes its
+ * attachment object from storage. On a storage error the tombstone stands and the attachment
+ * sweeper retries the delete.
+ * @param {{
+ *   rooms: ReturnType<import("./store/roomRepository").createRoomRepository>,
+ *   attachments: ReturnType<import("./store/attachmentRepository").createAttachmentRepository>,
+ *   attachmentStorage?: { deleteObjects: (keys: string[]) => Promise<{ deleted: number }> } | null,
+ * }} deps
+ * @param {string} roomId
+ * @param {string} messageId
+ * @param {string} deviceId validated by the route
+ * @returns {Promise<{ status: number, json: Record<string, unknown> }>}
+ */
+async function processDeleteMessage(deps, roomId, messageId, deviceId) {
+  const out = deps.rooms.deleteMessageForDevice({ roomId, deviceId, messageId });
+  if (!out.ok) return failure(out.reason);
+  if (out.attachmentsToDelete.length > 0 && deps.attachmentStorage) {
+    try {
+      await sweepBatch(deps, "unsent", out.attachmentsToDelete, Date.now());
+    } catch (err) {
+      console.error("S3 delete after message unsend failed (the sweeper retries):", err);
+    }
+  }
+  return {
+    status: 200,
+    json: {
+      roomId,
+      messageId: out.messageId,
+      seq: out.seq,
+      deletedAt: out.deletedAt,
+      alreadyDeleted: out.alreadyDeleted,
+    },
+  };
+}
+
+/**
+ * `PATCH /v2/rooms/:roomId/messages/:messageId` — body `{ deviceId, encrypted: { ciphertext, nonce } }`.
+ * Other body fields are ignored: type, fileName and attachment never change on edit.
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} messageId
+ * @param {string} deviceId validated by the route
+ * @param {unknown} rawBody
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processEditMessage(deps, roomId, messageId, deviceId, rawBody) {
+  const encrypted =
+    rawBody && typeof rawBody === "object" && !Array.isArray(rawBody) ? rawBody.encrypted : null;
+  if (!encrypted || typeof encrypted !== "object" || !encrypted.ciphertext || !encrypted.nonce) {
+    return { status: 400, json: { error: "Missing encrypted payload", reason: "invalid_payload" } };
+  }
+  const out = deps.rooms.editMessageForDevice({ roomId, deviceId, messageId, encrypted });
+  if (!out.ok) return failure(out.reason);
+  return { status: 200, json: out.message };
+}
+
+/**
+ * `GET /v2/rooms/:roomId/messages/:messageId/replies` — same `before` / `after` / `limit` paging as
+ * the message list; no paging params → the whole thread.
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} messageId
+ * @param {string} deviceId validated by the route
+ * @param {Record<string, unknown>} query
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processListReplies(deps, roomId, messageId, deviceId, query) {
+  const paging = parseMessagePageQuery(query);
+  if (!paging.ok) {
+    return { status: 400, json: { error: "Invalid before / after / limit", reason: paging.reason } };
+  }
+  const out = deps.rooms.listRepliesForDevice({ roomId, deviceId, messageId, page: paging.page });
+  if (!out.ok) return failure(out.reason);
+  return {
+    status: 200,
+    json: {
+      roomId,
+      messageId,
+      roomState: out.roomState,
+      replies: out.replies,
+      nextCursor: out.nextCursor,
+      hasMore: out.hasMore,
+    },
+  };
+}
+
+/**
+ * `POST` (add) and `DELETE` (remove) `/v2/rooms/:roomId/messages/:messageId/reactions` — body or
+ * query `{ emoji }` or `{ encrypted }`. Both are idempotent.
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} messageId
+ * @param {string} deviceId validated by the route
+ * @param {unknown} rawBody
+ * @param {{ remove: boolean }} opts
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processMessageReaction(deps, roomId, messageId, deviceId, rawBody, opts) {
+  const reaction = parseReaction(rawBody);
+  if (!reaction.ok) return failure(reaction.reason);
+  const p = { roomId, deviceId, messageId, kind: reaction.kind, value: reaction.value };
+  const out = opts.remove
+    ? deps.rooms.removeReactionForDevice(p)
+    : deps.rooms.addReactionForDevice(p);
+  if (!out.ok) return failure(out.reason);
+  return {
+    status: 200,
+    json: {
+      roomId,
+      messageId,
+      memberId: out.memberId,
+      reaction: { [reaction.kind]: reaction.value },
+      ...(opts.remove ? { removed: out.removed } : { added: out.added }),
+    },
+  };
+}
+
+module.exports = {
+  processDeleteMessage,
+  processEditMessage,
+  processListReplies,
+  processMessageReaction,
+};
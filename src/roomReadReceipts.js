@@ -0,0 +1,86 @@
+/**
+ * Delivery and read receipts (Phase Read-Receipts-1): per-device cursors over message `seq`,
+ * unread counts, and opt-in sharing of the cursors with peers.
+ *
+ * @see docs/connect-read-receipts.md
+ */
+
+const REASONS = {
+  not_found: [404, "Room not found"],
+  forbidden: [403, "Device is not a member of this room"],
+  deleted: [410, "Room was deleted"],
+  message_not_found: [404, "Message not found"],
+};
+
+function failure(reason) {
+  const [status, error] = REASONS[reason] || [400, "Read receipt request failed"];
+  return { status, json: { error, reason } };
+}
+
+function invalid(message) {
+  return { status: 400, json: { error: message, reason: "invalid_read_cursor" } };
+}
+
+/** @returns {number|null|undefined} undefined = absent, null = invalid */
+function parseSeq(raw) {
+  if (raw === undefined || raw === null) return undefined;
+  return Number.isSafeInteger(raw) && raw >= 0 ? raw : null;
+}
+
+/** @returns {string|null|undefined} undefined = absent, null = invalid */
+function parseMessageId(raw) {
+  if (raw === undefined || raw === null) return undefined;
+  return typeof raw === "string" && raw.trim() ? raw.trim() : null;
+}
+
+/**
+ * `POST /v2/rooms/:roomId/read` — body `{ deviceId, readSeq | readMessageId, deliveredSeq |
+ * deliveredMessageId, shareReadState }`, at least one field besides `deviceId`.
+ * @param {{ rooms: ReturnType<import("./store/roomRepository").createRoomRepository> }} deps
+ * @param {string} roomId
+ * @param {string} deviceId validated by the route
+ * @param {unknown} rawBody
+ * @returns {{ status: number, json: Record<string, unknown> }}
+ */
+function processMarkRead(deps, roomId, deviceId, rawBody) {
+  const b = rawBody && typeof rawBody === "object" && !Array.isArray(rawBody) ? rawBody : {};
+  const readSeq = parseSeq(b.readSeq);
+  const deliveredSeq = parseSeq(b.deliveredSeq);
+  const readMessageId = parseMessageId(b.readMessageId);
+  const deliveredMessageId = parseMessageId(b.deliveredMessageId);
+  if ([readSeq, deliveredSeq, readMessageId, deliveredMessageId].includes(null)) {
+    return invalid("Seq must be a non-negative integer and message ids non-empty strings");
+  }
+  if (
+    (readSeq !== undefined && readMessageId !== undefined) ||
+    (deliveredSeq !== undefined && deliveredMessageId !== undefined)
+  ) {
+    return invalid("Send a seq or a message id for each cursor, not both");
+  }
+  if (b.shareReadState !== undefined && typeof b.shareReadState !== "boolean") {
+    return invalid("shareReadState must be a boolean");
+  }
+  if (
+    [readSeq, deliveredSeq, readMessageId, deliveredMessageId, b.shareReadState].every(
+      (v) => v === undefined
+    )
+  ) {
+    return invalid("Nothing to update");
+  }
+
+  const out = deps.rooms.markReadForDevice({
+    roomId,
+    deviceId,
+    readSeq,
+    readMessageId,
+    deliveredSeq,
+    deliveredMessageId,
+    shareReadState: b.shareReadState,
+  });
+  if (!out.ok) return failure(out.reason);
+  return { status: 200, json: { roomId, readState: out.readState } };
+}
+
+module.exports = {
+  processMarkRead,
+};
@@ -0,0 +1,198 @@
+/**
+ * Realtime room stream (Phase Realtime-1): `GET /v2/rooms/:roomId/stream?deviceId=` upgraded to WebSocket.
+ *
+ * Server → client only. Same access rules as `GET /v2/rooms/:roomId/messages` (`device_room_links`).
+ * Rejections happen before the upgrade with a plain HTTP status + `{ error, reason }` JSON body.
+ *
+ * @see docs/v2-room-stream.md
+ */
+
+const { WebSocketServer } = require("ws");
+const { ROOM_EVENT_TYPES } = require("./roomEvents");
+const { authorizeStreamUpgrade } = require("./deviceAuth");
+const { resolveBearerSession } = require("./deviceSessions");
+const { deriveRoomMemberId } = require("./roomMemberIdentity");
+const { envInt } = require("./envFlags");
+
+const STREAM_PATH_RE = /^\/v2\/rooms\/([^/]+)\/stream\/?$/;
+const PING_MS_DEFAULT = 30000;
+
+function streamPingIntervalMs() {
+  return envInt("CONNECT_STREAM_PING_MS", PING_MS_DEFAULT, 1000, 3600000);
+}
+
+const REJECT_STATUS = {
+  invalid_device: 400,
+  forbidden: 403,
+  not_found: 404,
+  deleted: 410,
+};
+
+const STATUS_TEXT = {
+  400: "Bad Request",
+  401: "Unauthorized",
+  403: "Forbidden",
+  404: "Not Found",
+  410: "Gone",
+  500: "Internal Server Error",
+};
+
+/**
+ * @param {import("net").Socket} socket
+ * @param {number} status
+ * @param {string} reason
+ */
+function rejectUpgrade(socket, status, reason) {
+  const body = JSON.stringify({ error: reason, reason });
+  socket.write(
+    `HTTP/1.1 ${status} ${STATUS_TEXT[status] || "Error"}\r\n` +
+      "Content-Type: application/json\r\n" +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+      "Connection: close\r\n\r\n" +
+      body
+  );
+  socket.destroy();
+}
+
+/**
+ * @param {string} rawUrl
+ * @returns {{ roomId: string, deviceId: string } | null} null when the path is not a room stream
+ * @throws {TypeError} when `rawUrl` is not a parseable request target (e.g. `//[`)
+ */
+function parseStreamRequest(rawUrl) {
+  const u = new URL(rawUrl || "/", "http://localhost");
+  const m = STREAM_PATH_RE.exec(u.pathname);
+  if (!m) return null;
+  let roomId;
+  try {
+    roomId = decodeURIComponent(m[1]);
+  } catch (_) {
+    roomId = m[1];
+  }
+  const deviceId = (u.searchParams.get("deviceId") || "").trim();
+  return { roomId, deviceId };
+}
+
+/**
+ * Attach the room stream to an `http.Server` (the one returned by `app.listen`).
+ * Non-stream upgrade requests are left untouched for other handlers.
+ *
+ * @param {import("http").Server} httpServer
+ * @param {{ rooms: object, events: ReturnType<import("./roomEvents").createRoomEventBus>, deviceKeys: object, deviceSessions: object }} store
+ * @returns {{ wss: WebSocketServer, close: () => void }}
+ */
+function attachRoomStream(httpServer, store) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  httpServer.on("upgrade", (req, socket, head) => {
+    let parsed;
+    try {
+      parsed = parseStreamRequest(req.url);
+    } catch (_) {
+      // Unauthenticated input: a malformed target must not throw out of the `upgrade` listener.
+      rejectUpgrade(socket, 400, "invalid_request");
+      return;
+    }
+    if (!parsed) return;
+
+    let access;
+    let deviceId;
+    try {
+      // A bearer session names the device, so `?deviceId=` may be omitted (docs/connect-device-sessions.md).
+      const bearer = resolveBearerSession(
+        store.deviceSessions,
+        req.headers,
+        parsed.deviceId ? [parsed.deviceId] : []
+      );
+      if (!bearer.ok) {
+        rejectUpgrade(socket, 401, bearer.reason);
+        return;
+      }
+      deviceId = bearer.session ? bearer.session.deviceId : parsed.deviceId;
+      if (!deviceId) {
+        rejectUpgrade(socket, REJECT_STATUS.invalid_device, "invalid_device");
+        return;
+      }
+      // Signed upgrade (docs/connect-device-auth.md); no-op while CONNECT_DEVICE_AUTH_MODE=off.
+      if (!bearer.session) {
+        const auth = authorizeStreamUpgrade(store.deviceKeys, req, deviceId);
+        if (!auth.ok) {
+          rejectUpgrade(socket, 401, auth.reason);
+          return;
+        }
+      }
+      access = store.rooms.checkDeviceRoomAccess(parsed.roomId, deviceId);
+    } catch (err) {
+      console.error("Error in GET /v2/rooms/:roomId/stream:", err);
+      rejectUpgrade(socket, 500, "internal_error");
+      return;
+    }
+    if (!access.ok) {
+      rejectUpgrade(socket, REJECT_STATUS[access.reason] || 403, access.reason);
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      onConnection(ws, parsed.roomId, deviceId, access.roomState);
+    });
+  });
+
+  function onConnection(ws, roomId, deviceId, roomState) {
+    // Removal revokes the link; close this device's socket too (docs/connect-room-roles.md).
+    const memberId = deriveRoomMemberId(roomId, deviceId);
+    ws.isAlive = true;
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+
+    const unsubscribe = store.events.subscribe(roomId, (event) => {
+      if (ws.readyState !== ws.OPEN) return;
+      ws.send(JSON.stringify(event));
+      if (event.type === ROOM_EVENT_TYPES.ROOM_DELETED) {
+        ws.close(1000, "room_deleted");
+      } else if (event.type === ROOM_EVENT_TYPES.MEMBER_REMOVED && event.memberId === memberId) {
+        ws.close(1000, "member_removed");
+      }
+    });
+    ws.on("close", unsubscribe);
+    ws.on("error", unsubscribe);
+
+    ws.send(
+      JSON.stringify({
+        type: "ready",
+        roomId,
+        roomState,
+        at: new Date().toISOString(),
+      })
+    );
+  }
+
+  const ping = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (ws.isAlive === false) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, streamPingIntervalMs());
+  ping.unref();
+
+  function close() {
+    clearInterval(ping);
+    for (const ws of wss.clients) {
+      ws.terminate();
+    }
+    wss.close();
+  }
+
+  httpServer.on("close", close);
+
+  return { wss, close };
+}
+
+module.exports = {
+  attachRoomStream,
+  parseStreamRequest,
+};
@@ -0,0 +1,342 @@
+const crypto = require("crypto");
+const { ROOM_EVENT_TYPES } = require("../roomEvents");
+const { deriveRoomMemberId } = require("../roomMemberIdentity");
+
+/** Unambiguous alphabet (no 0/O, 1/I/L) for codes read off one screen and typed on another. */
+const PAIRING_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const PAIRING_CODE_LENGTH = 8;
+
+function hashCode(code) {
+  return crypto.createHash("sha256").update(String(code), "utf8").digest("hex");
+}
+
+/**
+ * @param {number} [length]
+ * @returns {string}
+ */
+function randomPairingCode(length = PAIRING_CODE_LENGTH) {
+  let out = "";
+  for (let i = 0; i < length; i += 1) {
+    out += PAIRING_CODE_ALPHABET[crypto.randomInt(PAIRING_CODE_ALPHABET.length)];
+  }
+  return out;
+}
+
+/**
+ * Upper-cases and drops spaces / dashes so `abcd-efgh` matches `ABCDEFGH`.
+ * @param {unknown} raw
+ * @param {number} [length]
+ * @returns {string} empty when the input cannot be a pairing code
+ */
+function normalizePairingCode(raw, length = PAIRING_CODE_LENGTH) {
+  if (typeof raw !== "string") return "";
+  const t = raw.replace(/[\s-]/g, "").toUpperCase();
+  if (t.length !== length) return "";
+  for (const ch of t) {
+    if (!PAIRING_CODE_ALPHABET.includes(ch)) return "";
+  }
+  return t;
+}
+
+/**
+ * Multi-device accounts (Phase Accounts-1). A device opens an account by issuing its first pairing
+ * code; other devices join by redeeming a code. Membership, wallet and daily free-call rows are
+ * keyed by the account id once an account exists (`resolveBillingId`), and room links are shared
+ * across the account's devices.
+ *
+ * @see docs/connect-device-accounts.md
+ * @param {import("better-sqlite3").Database} db
+ * @param {{ events?: ReturnType<import("../roomEvents").createRoomEventBus> }} [deps]
+ */
+function createAccountRepository(db, deps = {}) {
+  const { events } = deps;
+
+  const selectLink = db.prepare(
+    `SELECT device_id, account_id, device_ref, label, linked_via, linked_at
+     FROM account_devices WHERE device_id = ?`
+  );
+
+  const selectAccountDevices = db.prepare(
+    `SELECT device_id, account_id, device_ref, label, linked_via, linked_at
+     FROM account_devices WHERE account_id = ?
+     ORDER BY linked_at ASC, device_ref ASC`
+  );
+
+  const insertAccount = db.prepare(
+    `INSERT INTO accounts (id, created_by_device_id, created_at) VALUES (?, ?, ?)`
+  );
+
+  const insertAccountDevice = db.prepare(
+    `INSERT INTO account_devices (device_id, account_id, device_ref, label, linked_via, linked_at)
+     VALUES (@device_id, @account_id, @device_ref, @label, @linked_via, @linked_at)`
+  );
+
+  const deleteAccountDevice = db.prepare(
+    `DELETE FROM account_devices WHERE device_id = ?`
+  );
+
+  const expireOpenCodes = db.prepare(
+    `UPDATE account_pairing_codes SET expires_at = ?
+     WHERE account_id = ? AND used_at IS NULL AND expires_at > ?`
+  );
+
+  const insertPairingCode = db.prepare(
+    `INSERT INTO account_pairing_codes (
+       id, account_id, code_hash, created_by_device_id, created_at, expires_at
+     ) VALUES (?, ?, ?, ?, ?, ?)`
+  );
+
+  const selectPairingCode = db.prepare(
+    `SELECT * FROM account_pairing_codes WHERE code_hash = ?`
+  );
+
+  const markPairingCodeUsed = db.prepare(
+    `UPDATE account_pairing_codes SET used_at = ?, used_by_device_id = ?
+     WHERE id = ? AND used_at IS NULL`
+  );
+
+  // Billing rows that follow the account (see docs/connect-device-accounts.md § Migration).
+  const moveMembership = db.prepare(
+    `UPDATE device_memberships SET device_id = ? WHERE device_id = ?`
+  );
+
+  const copyWallet = db.prepare(
+    `INSERT INTO device_coin_wallets (device_id, available_coins, reserved_coins, updated_at, version)
+     SELECT ?, available_coins, reserved_coins, updated_at, version
+     FROM device_coin_wallets WHERE device_id = ?`
+  );
+
+  const moveLedger = db.prepare(
+    `UPDATE coin_ledger_entries SET device_id = ? WHERE device_id = ?`
+  );
+
+  const deleteWallet = db.prepare(
+    `DELETE FROM device_coin_wallets WHERE device_id = ?`
+  );
+
+  const moveFreeUsage = db.prepare(
+    `UPDATE device_daily_call_free_usage SET device_id = ? WHERE device_id = ?`
+  );
+
+  const selectBillingState = db.prepare(
+    `SELECT
+       (SELECT available_coins FROM device_coin_wallets WHERE device_id = @device_id) AS coins,
+       (SELECT membership_active_until FROM device_memberships WHERE device_id = @device_id) AS member_until`
+  );
+
+  // Union of room links: every device of the account sees every non-deleted room of the account,
+  // except rooms it is banned from.
+  const shareRoomLinks = db.prepare(
+    `INSERT INTO device_room_links (room_id, device_id, linked_at)
+     SELECT DISTINCT l.room_id, d.device_id, @now
+     FROM device_room_links l
+     INNER JOIN account_devices src ON src.device_id = l.device_id
+     INNER JOIN account_devices d ON d.account_id = src.account_id
+     INNER JOIN rooms r ON r.id = l.room_id
+     WHERE src.account_id = @account_id AND r.deleted_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM room_bans b WHERE b.room_id = l.room_id AND b.device_id = d.device_id
+       )
+     ON CONFLICT (room_id, device_id) DO NOTHING`
+  );
+
+  // Links the device only has through the account: no `room_members` row of its own.
+  const deleteSharedRoomLinks = db.prepare(
+    `DELETE FROM device_room_links
+     WHERE device_id = @device_id
+       AND NOT EXISTS (
+         SELECT 1 FROM room_members m
+         WHERE m.room_id = device_room_links.room_id AND m.device_id = @device_id
+       )
+     RETURNING room_id`
+  );
+
+  const revokeDeviceSessions = db.prepare(
+    `UPDATE device_sessions SET revoked_at = ? WHERE device_id = ? AND revoked_at IS NULL`
+  );
+
+  function linkView(row) {
+    return {
+      deviceId: row.device_id,
+      deviceRef: row.device_ref,
+      label: row.label,
+      linkedVia: row.linked_via,
+      linkedAt: row.linked_at,
+    };
+  }
+
+  /**
+   * Key for membership / wallet / free-call rows: the account id for linked devices, else the
+   * device id itself. Idempotent (an account id resolves to itself).
+   * @param {string} deviceId
+   * @returns {string}
+   */
+  function resolveBillingId(deviceId) {
+    const row = selectLink.get(deviceId);
+    return row ? row.account_id : deviceId;
+  }
+
+  /**
+   * Devices whose room links are shared with `deviceId` (itself included).
+   * @param {string} deviceId
+   * @returns {string[]}
+   */
+  function listLinkedDeviceIds(deviceId) {
+    const row = selectLink.get(deviceId);
+    if (!row) return [deviceId];
+    return selectAccountDevices.all(row.account_id).map((r) => r.device_id);
+  }
+
+  /**
+   * @param {string} deviceId
+   * @returns {{ accountId: string, devices: ReturnType<typeof linkView>[] } | null}
+   */
+  function getAccountForDevice(deviceId) {
+    const row = selectLink.get(deviceId);
+    if (!row) return null;
+    return {
+      accountId: row.account_id,
+      devices: selectAccountDevices.all(row.account_id).map(linkView),
+    };
+  }
+
+  function newDeviceRef() {
+    return `d_${crypto.randomBytes(8).toString("hex")}`;
+  }
+
+  /**
+   * Opens an account for `deviceId` and moves its billing rows to the account id.
+   * Run inside a transaction.
+   */
+  function openAccountInTransaction(deviceId, label, now) {
+    const accountId = `acct_${crypto.randomBytes(12).toString("hex")}`;
+    insertAccount.run(accountId, deviceId, now);
+    insertAccountDevice.run({
+      device_id: deviceId,
+      account_id: accountId,
+      device_ref: newDeviceRef(),
+      label,
+      linked_via: "created",
+      linked_at: now,
+    });
+    moveMembership.run(accountId, deviceId);
+    if (copyWallet.run(accountId, deviceId).changes > 0) {
+      moveLedger.run(accountId, deviceId);
+      deleteWallet.run(deviceId);
+    }
+    moveFreeUsage.run(accountId, deviceId);
+    return accountId;
+  }
+
+  /**
+   * Issue a one-time pairing code; opens the account on first use. Earlier unused codes of the
+   * account stop working.
+   *
+   * @param {{ deviceId: string, label?: string|null, ttlMs: number, now?: number }} p
+   * @returns {{ ok: true, code: string, expiresAt: number, accountCreated: boolean }}
+   */
+  function createPairingCode(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      const link = selectLink.get(p.deviceId);
+      const accountId = link
+        ? link.account_id
+        : openAccountInTransaction(p.deviceId, p.label || null, now);
+      expireOpenCodes.run(now, accountId, now);
+      let code = randomPairingCode();
+      while (selectPairingCode.get(hashCode(code))) code = randomPairingCode();
+      const expiresAt = now + p.ttlMs;
+      insertPairingCode.run(crypto.randomUUID(), accountId, hashCode(code), p.deviceId, now, expiresAt);
+      return { ok: true, code, expiresAt, accountCreated: !link };
+    })();
+  }
+
+  /**
+   * Link `deviceId` to the account that issued `code`. Shares every room of the account with it,
+   * direct rooms included; see docs/connect-device-accounts.md.
+   *
+   * @param {{ deviceId: string, code: string, label?: string|null, maxDevices: number, now?: number }} p
+   * @returns {{ ok: true, accountId: string, deviceRef: string } | { ok: false, reason: "invalid_pairing_code" | "already_linked" | "device_limit_reached" | "device_has_billing_state", maxDevices?: number }}
+   */
+  function redeemPairingCode(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      const row = selectPairingCode.get(hashCode(p.code));
+      if (!row || row.used_at != null || row.expires_at <= now) {
+        return { ok: false, reason: "invalid_pairing_code" };
+      }
+      if (selectLink.get(p.deviceId)) {
+        return { ok: false, reason: "already_linked" };
+      }
+      if (selectAccountDevices.all(row.account_id).length >= p.maxDevices) {
+        return { ok: false, reason: "device_limit_reached", maxDevices: p.maxDevices };
+      }
+      const own = selectBillingState.get({ device_id: p.deviceId });
+      if ((own.coins || 0) > 0 || (own.member_until != null && own.member_until > now)) {
+        return { ok: false, reason: "device_has_billing_state" };
+      }
+      markPairingCodeUsed.run(now, p.deviceId, row.id);
+      const deviceRef = newDeviceRef();
+      insertAccountDevice.run({
+        device_id: p.deviceId,
+        account_id: row.account_id,
+        device_ref: deviceRef,
+        label: p.label || null,
+        linked_via: "pairing",
+        linked_at: now,
+      });
+      shareRoomLinks.run({ account_id: row.account_id, now });
+      return { ok: true, accountId: row.account_id, deviceRef };
+    })();
+  }
+
+  /**
+   * Unlink a device of the caller's account (itself included). The removed device loses the
+   * room links it only had through the account and its bearer sessions; rooms it joined itself
+   * (its own `room_members` row) stay linked. The account keeps its billing rows. Each unlinked
+   * room gets `member_removed` for the device, which closes its open room streams.
+   *
+   * @param {{ deviceId: string, deviceRef: string, now?: number }} p
+   * @returns {{ ok: true, revokedSelf: boolean, removedMembers: { roomId: string, memberId: string }[] } | { ok: false, reason: "not_linked" | "device_not_found" | "last_device" }}
+   */
+  function revokeDevice(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    const out = db.transaction(() => {
+      const link = selectLink.get(p.deviceId);
+      if (!link) return { ok: false, reason: "not_linked" };
+      const devices = selectAccountDevices.all(link.account_id);
+      const target = devices.find((d) => d.device_ref === p.deviceRef);
+      if (!target) return { ok: false, reason: "device_not_found" };
+      if (devices.length <= 1) return { ok: false, reason: "last_device" };
+      deleteAccountDevice.run(target.device_id);
+      const removedMembers = deleteSharedRoomLinks
+        .all({ device_id: target.device_id })
+        .map((r) => ({ roomId: r.room_id, memberId: deriveRoomMemberId(r.room_id, target.device_id) }));
+      revokeDeviceSessions.run(now, target.device_id);
+      return { ok: true, revokedSelf: target.device_id === p.deviceId, removedMembers };
+    })();
+    if (out.ok && events) {
+      for (const { roomId, memberId } of out.removedMembers) {
+        events.publish(roomId, ROOM_EVENT_TYPES.MEMBER_REMOVED, { memberId, banned: false });
+      }
+    }
+    return out;
+  }
+
+  return {
+    resolveBillingId,
+    listLinkedDeviceIds,
+    getAccountForDevice,
+    createPairingCode,
+    redeemPairingCode,
+    revokeDevice,
+  };
+}
+
+module.exports = {
+  PAIRING_CODE_LENGTH,
+  createAccountRepository,
+  hashCode,
+  normalizePairingCode,
+  randomPairingCode,
+};
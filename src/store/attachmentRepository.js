@@ -18,12 +18,13 @@ function createAttachmentRepository(db) {
 
   const finalizeReady = db.prepare(
     `UPDATE room_attachments SET status = 'ready', finalized_at = @finalized_at
-     WHERE id = @id AND status = 'pending'`
+     WHERE id = @id AND status = 'pending' AND swept_at IS NULL`
   );
 
   const linkMessage = db.prepare(
     `UPDATE room_attachments SET status = 'linked', message_id = @message_id
-     WHERE id = @id AND room_id = @room_id AND status = 'ready' AND device_id = @device_id`
+     WHERE id = @id AND room_id = @room_id AND status = 'ready' AND device_id = @device_id
+       AND swept_at IS NULL`
   );
 
   const selectKeysByRoom = db.prepare(
@@ -38,6 +39,150 @@ function createAttachmentRepository(db) {
     `DELETE FROM room_attachments WHERE id = ? AND room_id = ? AND device_id = ? AND status = 'pending'`
   );
 
+  // Message unsend keeps the row until the object is deleted (see `claimDeleteRequested`).
+  const markDeleteRequested = db.prepare(
+    `UPDATE room_attachments SET delete_requested_at = @at
+     WHERE id = @id AND room_id = @room_id AND message_id = @message_id AND status = 'linked'
+       AND delete_requested_at IS NULL AND swept_at IS NULL`
+  );
+
+  const selectDeleteRequested = db.prepare(
+    `SELECT id, storage_key FROM room_attachments
+     WHERE delete_requested_at IS NOT NULL AND swept_at IS NULL
+     ORDER BY delete_requested_at ASC
+     LIMIT @limit`
+  );
+
+  const selectStalePending = db.prepare(
+    `SELECT id, storage_key FROM room_attachments
+     WHERE status = 'pending' AND swept_at IS NULL AND created_at < @cutoff
+     ORDER BY created_at ASC
+     LIMIT @limit`
+  );
+
+  const selectStaleReady = db.prepare(
+    `SELECT id, storage_key FROM room_attachments
+     WHERE status = 'ready' AND message_id IS NULL AND swept_at IS NULL
+       AND COALESCE(finalized_at, created_at) < @cutoff
+     ORDER BY created_at ASC
+     LIMIT @limit`
+  );
+
+  const selectUnsweptForRoom = db.prepare(
+    `SELECT id, storage_key FROM room_attachments
+     WHERE room_id = @room_id AND swept_at IS NULL
+     ORDER BY created_at ASC
+     LIMIT @limit`
+  );
+
+  const selectDeletedRoomsDue = db.prepare(
+    `SELECT id FROM rooms
+     WHERE deleted_at IS NOT NULL AND deleted_at < @cutoff AND attachments_swept_at IS NULL
+     ORDER BY deleted_at ASC
+     LIMIT @limit`
+  );
+
+  // Claim guards repeat the selection predicate so a row finalized / linked since the SELECT is skipped.
+  const claimStalePending = db.prepare(
+    `UPDATE room_attachments SET swept_at = @swept_at
+     WHERE id = @id AND status = 'pending' AND swept_at IS NULL`
+  );
+
+  const claimStaleReady = db.prepare(
+    `UPDATE room_attachments SET swept_at = @swept_at
+     WHERE id = @id AND status = 'ready' AND message_id IS NULL AND swept_at IS NULL`
+  );
+
+  const claimRoomAttachment = db.prepare(
+    `UPDATE room_attachments SET swept_at = @swept_at
+     WHERE id = @id AND swept_at IS NULL`
+  );
+
+  const claimDeleteRequested = db.prepare(
+    `UPDATE room_attachments SET swept_at = @swept_at
+     WHERE id = @id AND delete_requested_at IS NOT NULL AND swept_at IS NULL`
+  );
+
+  const unclaim = db.prepare(
+    `UPDATE room_attachments SET swept_at = NULL WHERE id = @id AND swept_at = @swept_at`
+  );
+
+  const markRoomAttachmentsSwept = db.prepare(
+    `UPDATE rooms SET attachments_swept_at = @swept_at
+     WHERE id = @id AND attachments_swept_at IS NULL`
+  );
+
+  const CLAIMS = {
+    pending: claimStalePending,
+    ready: claimStaleReady,
+    room: claimRoomAttachment,
+    unsent: claimDeleteRequested,
+  };
+
+  /**
+   * Sweeper candidates (Phase Media-GC-1).
+   * @param {'pending'|'ready'} kind
+   * @param {number} cutoff epoch ms
+   * @param {number} limit
+   * @returns {{ id: string, storage_key: string }[]}
+   */
+  function listStale(kind, cutoff, limit) {
+    const stmt = kind === "pending" ? selectStalePending : selectStaleReady;
+    return stmt.all({ cutoff, limit });
+  }
+
+  /**
+   * @returns {{ id: string, storage_key: string }[]}
+   */
+  function listUnsweptForRoom(roomId, limit) {
+    return selectUnsweptForRoom.all({ room_id: roomId, limit });
+  }
+
+  /**
+   * Attachments of unsent messages whose object is not deleted yet.
+   * @returns {{ id: string, storage_key: string }[]}
+   */
+  function listDeleteRequested(limit) {
+    return selectDeleteRequested.all({ limit });
+  }
+
+  /**
+   * @returns {string[]} soft-deleted room ids past `cutoff` not yet swept
+   */
+  function listDeletedRoomsDue(cutoff, limit) {
+    return selectDeletedRoomsDue.all({ cutoff, limit }).map((r) => r.id);
+  }
+
+  /**
+   * Marks rows swept in one transaction; returns only rows this call claimed.
+   * @param {'pending'|'ready'|'room'|'unsent'} kind
+   * @param {{ id: string, storage_key: string }[]} rows
+   * @param {number} sweptAt
+   */
+  function claimForSweep(kind, rows, sweptAt) {
+    const stmt = CLAIMS[kind];
+    const tx = db.transaction(() =>
+      rows.filter((r) => stmt.run({ id: r.id, swept_at: sweptAt }).changes === 1)
+    );
+    return tx();
+  }
+
+  /**
+   * Undo a claim after a storage failure so the next run retries.
+   * @param {{ id: string }[]} rows
+   * @param {number} sweptAt value passed to `claimForSweep`
+   */
+  function releaseSweepClaim(rows, sweptAt) {
+    const tx = db.transaction(() => {
+      for (const r of rows) unclaim.run({ id: r.id, swept_at: sweptAt });
+    });
+    tx();
+  }
+
+  function markRoomSwept(roomId, sweptAt) {
+    return markRoomAttachmentsSwept.run({ id: roomId, swept_at: sweptAt }).changes === 1;
+  }
+
   /**
    * @param {string} roomId
    * @returns {string[]}
@@ -53,14 +198,38 @@ function createAttachmentRepository(db) {
     return selectById.get(id) || null;
   }
 
+  /**
+   * Marks the attachment linked to an unsent message for deletion. Run inside the unsend
+   * transaction; the caller deletes the object afterwards (`claimForSweep('unsent', …)`).
+   * @param {string} id
+   * @param {string} roomId
+   * @param {string} messageId
+   * @param {number} at epoch ms
+   * @returns {{ id: string, storage_key: string } | null}
+   */
+  function requestLinkedDelete(id, roomId, messageId, at) {
+    const row = selectById.get(id);
+    if (!row) return null;
+    const r = markDeleteRequested.run({ id, room_id: roomId, message_id: messageId, at });
+    return r.changes === 1 ? { id: row.id, storage_key: row.storage_key } : null;
+  }
+
   return {
     getById,
     listStorageKeysForRoom,
+    listStale,
+    listUnsweptForRoom,
+    listDeletedRoomsDue,
+    listDeleteRequested,
+    claimForSweep,
+    releaseSweepClaim,
+    markRoomSwept,
     insertPending,
     finalizeReady,
     linkMessage,
     deleteByRoom,
     deletePendingByIdForDevice,
+    requestLinkedDelete,
     selectById,
   };
 }
@@ -0,0 +1,167 @@
+/**
+ * Per-room call log (Phase Call-History-1). Rows are written by the LiveKit token route and
+ * call-charge start / settle; nothing here is billing data. Coin amounts stay in the ledger and
+ * are never copied into `room_calls`, which every linked device in the room can read.
+ *
+ * Only devices linked to the call's room are written into it (`rooms.checkDeviceRoomAccess`):
+ * knowing a `callSessionId` is not enough to join another room's log or stretch its duration.
+ *
+ * @see docs/connect-call-history.md
+ * @param {import("better-sqlite3").Database} db
+ * @param {{ rooms: { checkDeviceRoomAccess: (roomId: string, deviceId: string) => { ok: boolean } } }} deps
+ */
+function createCallHistoryRepository(db, deps) {
+  const { rooms } = deps;
+
+  function canWrite(roomId, deviceId) {
+    return rooms.checkDeviceRoomAccess(roomId, deviceId).ok;
+  }
+
+  const insertCall = db.prepare(
+    `INSERT INTO room_calls (
+       call_session_id, room_id, call_type, call_kind, started_at, updated_at
+     ) VALUES (@call_session_id, @room_id, @call_type, @call_kind, @now, @now)
+     ON CONFLICT (call_session_id) DO NOTHING`
+  );
+
+  const selectCallBySession = db.prepare(
+    `SELECT * FROM room_calls WHERE call_session_id = ?`
+  );
+
+  // Charge start without a body `roomId` still lands in the right room once a token was minted.
+  const selectRoomIdFromCallRooms = db.prepare(
+    `SELECT room_id, call_kind FROM call_rooms WHERE call_session_id = ?
+     ORDER BY created_at ASC LIMIT 1`
+  );
+
+  const insertParticipant = db.prepare(
+    `INSERT INTO room_call_participants (room_call_id, device_id, joined_at)
+     VALUES (?, ?, ?)
+     ON CONFLICT (room_call_id, device_id) DO NOTHING`
+  );
+
+  const updateSettled = db.prepare(
+    `UPDATE room_calls
+     SET ended_at = MAX(COALESCE(ended_at, 0), @now),
+         duration_seconds = MAX(COALESCE(duration_seconds, 0), @billed_seconds),
+         updated_at = @now
+     WHERE id = @id`
+  );
+
+  const selectPage = db.prepare(
+    `SELECT c.*,
+       (SELECT COUNT(*) FROM room_call_participants p WHERE p.room_call_id = c.id) AS participant_count,
+       EXISTS (
+         SELECT 1 FROM room_call_participants p
+         WHERE p.room_call_id = c.id AND p.device_id = @device_id
+       ) AS participated,
+       i.state AS invite_state
+     FROM room_calls c
+     LEFT JOIN call_invites i ON i.call_session_id = c.call_session_id
+     WHERE c.room_id = @room_id AND (@before IS NULL OR c.id < @before)
+     ORDER BY c.id DESC
+     LIMIT @limit`
+  );
+
+  /**
+   * Ensure the call row exists and count `deviceId` as a participant.
+   * @param {{ roomId: string, callSessionId: string, callType: string, callKind?: string, deviceId: string, now?: number }} p
+   */
+  function recordParticipant(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    db.transaction(() => {
+      insertCall.run({
+        call_session_id: p.callSessionId,
+        room_id: p.roomId,
+        call_type: p.callType,
+        call_kind: p.callKind === "group" ? "group" : "direct",
+        now,
+      });
+      const row = selectCallBySession.get(p.callSessionId);
+      if (row.room_id === p.roomId) {
+        insertParticipant.run(row.id, p.deviceId, now);
+      }
+    })();
+  }
+
+  /**
+   * LiveKit token minted for a device.
+   * @param {{ roomId: string, callSessionId: string, callType: string, callKind: string, deviceId: string, now?: number }} p
+   */
+  function recordToken(p) {
+    recordParticipant(p);
+  }
+
+  /**
+   * Charge start. The room comes from a verified body `roomId`, an existing row, or `call_rooms`;
+   * with none of those, or when the device is not linked to that room, the start is not logged
+   * (the token route will log the call).
+   * @param {{ roomId?: string|null, callSessionId: string, callType: string, deviceId: string, now?: number }} p
+   * @returns {boolean} logged
+   */
+  function recordChargeStart(p) {
+    const existing = selectCallBySession.get(p.callSessionId);
+    const fromToken = selectRoomIdFromCallRooms.get(p.callSessionId);
+    const roomId = existing
+      ? existing.room_id
+      : p.roomId || (fromToken ? fromToken.room_id : null);
+    if (!roomId || !canWrite(roomId, p.deviceId)) return false;
+    recordParticipant({
+      roomId,
+      callSessionId: p.callSessionId,
+      callType: p.callType,
+      callKind: fromToken ? fromToken.call_kind : undefined,
+      deviceId: p.deviceId,
+      now: p.now,
+    });
+    return true;
+  }
+
+  /**
+   * Charge settle: the call's end time and duration (longest settled participant). Ignored for a
+   * device not linked to the call's room.
+   * @param {{ callSessionId: string, deviceId: string, billedSeconds: number, now?: number }} p
+   * @returns {boolean} logged
+   */
+  function recordSettle(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    const row = selectCallBySession.get(p.callSessionId);
+    if (!row || !canWrite(row.room_id, p.deviceId)) return false;
+    db.transaction(() => {
+      insertParticipant.run(row.id, p.deviceId, now);
+      updateSettled.run({ id: row.id, now, billed_seconds: p.billedSeconds });
+    })();
+    return true;
+  }
+
+  /**
+   * Newest first. `nextCursor` is the last row id as a decimal string (pass as `before`).
+   * @param {string} roomId
+   * @param {string} deviceId viewer (for `participated`)
+   * @param {{ before: number|null, limit: number }} page
+   */
+  function listRoomCalls(roomId, deviceId, page) {
+    const rows = selectPage.all({
+      room_id: roomId,
+      device_id: deviceId,
+      before: page.before,
+      limit: page.limit + 1,
+    });
+    const hasMore = rows.length > page.limit;
+    const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+    return {
+      calls: pageRows,
+      hasMore,
+      nextCursor: hasMore ? String(pageRows[pageRows.length - 1].id) : null,
+    };
+  }
+
+  return {
+    recordToken,
+    recordChargeStart,
+    recordSettle,
+    listRoomCalls,
+  };
+}
+
+module.exports = { createCallHistoryRepository };
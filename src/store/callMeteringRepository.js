@@ -0,0 +1,294 @@
+/**
+ * SQLite side of server-observed call metering (Phase Call-Meter-3).
+ * Token mint registers `call_rooms` + `call_participants`; verified LiveKit webhooks open / close
+ * connected intervals on those rows. Policy (how settle uses the result) lives in `src/callMetering.js`.
+ *
+ * @see docs/connect-livekit-webhooks.md
+ * @param {import("better-sqlite3").Database} db
+ */
+function createCallMeteringRepository(db) {
+  const insertCallRoom = db.prepare(
+    `INSERT OR IGNORE INTO call_rooms (
+       livekit_room_name, room_id, call_session_id, call_type, call_kind, created_at
+     ) VALUES (
+       @livekit_room_name, @room_id, @call_session_id, @call_type, @call_kind, @created_at
+     )`
+  );
+
+  const upsertParticipant = db.prepare(
+    `INSERT INTO call_participants (livekit_room_name, identity, device_id, registered_at)
+     VALUES (@livekit_room_name, @identity, @device_id, @registered_at)
+     ON CONFLICT (livekit_room_name, identity) DO UPDATE SET registered_at = excluded.registered_at`
+  );
+
+  // Devices other than `device_id` holding a slot: connected now, or minted a token since
+  // `pending_since` that has not been used yet (`participant_joined` clears `registered_at`).
+  const countOccupiedSlots = db.prepare(
+    `SELECT COUNT(DISTINCT device_id) AS n
+     FROM call_participants
+     WHERE livekit_room_name = @livekit_room_name
+       AND device_id != @device_id
+       AND (joined_at IS NOT NULL OR registered_at >= @pending_since)`
+  );
+
+  const selectConnectedParticipants = db.prepare(
+    `SELECT identity, device_id, joined_at, first_joined_at
+     FROM call_participants
+     WHERE livekit_room_name = ? AND joined_at IS NOT NULL
+     ORDER BY joined_at ASC, identity ASC`
+  );
+
+  const selectCallKindForSession = db.prepare(
+    `SELECT call_kind FROM call_rooms WHERE call_session_id = ? ORDER BY created_at ASC LIMIT 1`
+  );
+
+  const selectCallRoom = db.prepare(
+    `SELECT * FROM call_rooms WHERE livekit_room_name = ?`
+  );
+
+  const insertWebhookEvent = db.prepare(
+    `INSERT OR IGNORE INTO livekit_webhook_events (id, event, livekit_room_name, received_at)
+     VALUES (@id, @event, @livekit_room_name, @received_at)`
+  );
+
+  const openInterval = db.prepare(
+    `UPDATE call_participants
+     SET joined_at = COALESCE(joined_at, @at),
+         first_joined_at = COALESCE(first_joined_at, @at),
+         last_event_at = @at,
+         registered_at = NULL
+     WHERE livekit_room_name = @livekit_room_name AND identity = @identity`
+  );
+
+  const closeInterval = db.prepare(
+    `UPDATE call_participants
+     SET connected_ms = connected_ms + MAX(0, @at - joined_at),
+         joined_at = NULL,
+         last_event_at = @at
+     WHERE livekit_room_name = @livekit_room_name AND identity = @identity
+       AND joined_at IS NOT NULL`
+  );
+
+  const closeAllIntervals = db.prepare(
+    `UPDATE call_participants
+     SET connected_ms = connected_ms + MAX(0, @at - joined_at),
+         joined_at = NULL,
+         last_event_at = @at
+     WHERE livekit_room_name = @livekit_room_name AND joined_at IS NOT NULL`
+  );
+
+  const reopenCallRoom = db.prepare(
+    `UPDATE call_rooms SET finished_at = NULL WHERE livekit_room_name = ?`
+  );
+
+  const finishCallRoom = db.prepare(
+    `UPDATE call_rooms SET finished_at = @at WHERE livekit_room_name = @livekit_room_name`
+  );
+
+  const selectCallTypeForSession = db.prepare(
+    `SELECT call_type FROM call_rooms WHERE call_session_id = ? ORDER BY created_at ASC LIMIT 1`
+  );
+
+  const selectParticipantsForDevice = db.prepare(
+    `SELECT p.first_joined_at, p.joined_at, p.connected_ms, r.finished_at
+     FROM call_participants p
+     JOIN call_rooms r ON r.livekit_room_name = p.livekit_room_name
+     WHERE r.call_session_id = ? AND p.device_id = ?`
+  );
+
+  // Unused token (minted at or after `pending_since`) and no join yet for this device in the call.
+  const selectPendingTokenForDevice = db.prepare(
+    `SELECT 1
+     FROM call_participants p
+     JOIN call_rooms r ON r.livekit_room_name = p.livekit_room_name
+     WHERE r.call_session_id = ? AND p.device_id = ?
+       AND p.first_joined_at IS NULL AND p.registered_at >= ?
+     LIMIT 1`
+  );
+
+  const selectAnyWebhookEvent = db.prepare(`SELECT 1 FROM livekit_webhook_events LIMIT 1`);
+
+  /**
+   * Called after a LiveKit token is minted. Idempotent: the first mint fixes roomId / callType /
+   * callKind; each mint sets the participant's `registered_at` (pending token, cleared on join).
+   * @param {{ roomName: string, roomId: string, callSessionId: string, callType: string, callKind?: 'direct'|'group', identity: string, deviceId: string, now?: number }} p
+   */
+  function registerParticipant(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    db.transaction(() => {
+      insertCallRoom.run({
+        livekit_room_name: p.roomName,
+        room_id: p.roomId,
+        call_session_id: p.callSessionId,
+        call_type: p.callType,
+        call_kind: p.callKind === "group" ? "group" : "direct",
+        created_at: now,
+      });
+      upsertParticipant.run({
+        livekit_room_name: p.roomName,
+        identity: p.identity,
+        device_id: p.deviceId,
+        registered_at: now,
+      });
+    })();
+  }
+
+  /**
+   * @param {string} roomName
+   */
+  function getCallRoom(roomName) {
+    return selectCallRoom.get(roomName) || null;
+  }
+
+  /**
+   * Call type fixed by the first token minted for this session, if any.
+   * @param {string} callSessionId
+   * @returns {string|null}
+   */
+  function getCallTypeForSession(callSessionId) {
+    const row = selectCallTypeForSession.get(callSessionId);
+    return row ? row.call_type : null;
+  }
+
+  /**
+   * @param {string} callSessionId
+   * @returns {'direct'|'group'|null}
+   */
+  function getCallKindForSession(callSessionId) {
+    const row = selectCallKindForSession.get(callSessionId);
+    return row ? row.call_kind : null;
+  }
+
+  /**
+   * Group call slots taken by other devices (connected, or holding an unused token minted at or
+   * after `pendingSince`).
+   * @param {string} roomName
+   * @param {string} deviceId
+   * @param {number} pendingSince epoch ms
+   * @returns {number}
+   */
+  function countOtherOccupiedSlots(roomName, deviceId, pendingSince) {
+    return countOccupiedSlots.get({
+      livekit_room_name: roomName,
+      device_id: deviceId,
+      pending_since: pendingSince,
+    }).n;
+  }
+
+  /**
+   * Participants LiveKit currently reports in the room (open interval).
+   * @param {string} roomName
+   * @returns {{ identity: string, device_id: string, joined_at: number, first_joined_at: number }[]}
+   */
+  function listConnectedParticipants(roomName) {
+    return selectConnectedParticipants.all(roomName);
+  }
+
+  /**
+   * Apply one verified webhook. Unknown rooms are ignored (not ours / not minted by this server);
+   * a redelivered event id is a no-op.
+   *
+   * @param {{ id: string, event: string, roomName: string, identity?: string|null, at: number, now?: number }} e
+   * @returns {{ applied: true } | { applied: false, reason: 'unknown_room'|'duplicate'|'unknown_participant'|'no_open_interval'|'ignored_event' }}
+   */
+  function applyWebhookEvent(e) {
+    const now = typeof e.now === "number" ? e.now : Date.now();
+    if (!getCallRoom(e.roomName)) {
+      return { applied: false, reason: "unknown_room" };
+    }
+    return db.transaction(() => {
+      const ins = insertWebhookEvent.run({
+        id: e.id,
+        event: e.event,
+        livekit_room_name: e.roomName,
+        received_at: now,
+      });
+      if (ins.changes === 0) {
+        return { applied: false, reason: "duplicate" };
+      }
+      const row = { livekit_room_name: e.roomName, identity: e.identity || "", at: e.at };
+      if (e.event === "participant_joined") {
+        if (openInterval.run(row).changes === 0) {
+          return { applied: false, reason: "unknown_participant" };
+        }
+        reopenCallRoom.run(e.roomName);
+        return { applied: true };
+      }
+      if (e.event === "participant_left") {
+        if (closeInterval.run(row).changes === 0) {
+          return { applied: false, reason: "no_open_interval" };
+        }
+        return { applied: true };
+      }
+      if (e.event === "room_finished") {
+        closeAllIntervals.run(row);
+        finishCallRoom.run(row);
+        return { applied: true };
+      }
+      return { applied: false, reason: "ignored_event" };
+    })();
+  }
+
+  /**
+   * Connected time observed by LiveKit for this device in this call. An interval still open is
+   * counted up to room finish or `now`. `null` when the device never joined (no webhook seen yet).
+   *
+   * @param {string} callSessionId
+   * @param {string} deviceId
+   * @param {number} [now]
+   * @returns {{ observedSeconds: number, connected: boolean } | null}
+   */
+  function getObservedForDevice(callSessionId, deviceId, now = Date.now()) {
+    const rows = selectParticipantsForDevice
+      .all(callSessionId, deviceId)
+      .filter((r) => r.first_joined_at != null);
+    if (rows.length === 0) {
+      return null;
+    }
+    let ms = 0;
+    let connected = false;
+    for (const r of rows) {
+      ms += r.connected_ms;
+      if (r.joined_at != null) {
+        const end = r.finished_at != null && r.finished_at >= r.joined_at ? r.finished_at : now;
+        ms += Math.max(0, end - r.joined_at);
+        connected = connected || r.finished_at == null;
+      }
+    }
+    return { observedSeconds: Math.floor(ms / 1000), connected };
+  }
+
+  /**
+   * Device minted a token for this call at or after `pendingSince` and has not joined with it yet.
+   * @param {string} callSessionId
+   * @param {string} deviceId
+   * @param {number} pendingSince epoch ms
+   * @returns {boolean}
+   */
+  function hasPendingTokenForDevice(callSessionId, deviceId, pendingSince) {
+    return !!selectPendingTokenForDevice.get(callSessionId, deviceId, pendingSince);
+  }
+
+  /**
+   * At least one verified LiveKit webhook has been recorded (webhooks are configured).
+   * @returns {boolean}
+   */
+  function hasReceivedWebhooks() {
+    return !!selectAnyWebhookEvent.get();
+  }
+
+  return {
+    registerParticipant,
+    getCallRoom,
+    getCallTypeForSession,
+    getCallKindForSession,
+    countOtherOccupiedSlots,
+    listConnectedParticipants,
+    applyWebhookEvent,
+    getObservedForDevice,
+    hasPendingTokenForDevice,
+    hasReceivedWebhooks,
+  };
+}
+
+module.exports = { createCallMeteringRepository };
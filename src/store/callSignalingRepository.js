@@ -0,0 +1,311 @@
+/**
+ * SQLite side of call signaling (Phase Call-Signal-1): one `call_invites` row per server-issued
+ * `callSessionId`, moving ringing → accepted / declined / cancelled / missed → ended.
+ * Timeouts are applied lazily on every read / write, like pending mutual saves.
+ * Every state change is published as a `call_state` room event.
+ *
+ * @see docs/connect-call-signaling.md
+ */
+
+const { ROOM_EVENT_TYPES } = require("../roomEvents");
+const { deriveOpaqueParticipantIdentity } = require("../livekitConnect");
+
+const CALL_STATES = Object.freeze({
+  RINGING: "ringing",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  CANCELLED: "cancelled",
+  MISSED: "missed",
+  ENDED: "ended",
+});
+
+function toIso(ms) {
+  return ms == null ? null : new Date(ms).toISOString();
+}
+
+/**
+ * Viewer-neutral call view (stream events). Device ids are never exposed; the caller is
+ * identified by its opaque LiveKit participant identity.
+ * @param {object} row `call_invites` row
+ */
+function callInviteView(row) {
+  return {
+    callSessionId: row.call_session_id,
+    roomId: row.room_id,
+    callType: row.call_type,
+    callKind: row.call_kind,
+    state: row.state,
+    callerParticipantId: deriveOpaqueParticipantIdentity(
+      row.room_id,
+      row.call_session_id,
+      row.caller_device_id
+    ),
+    createdAt: toIso(row.created_at),
+    ringExpiresAt: toIso(row.ring_expires_at),
+    answeredAt: toIso(row.answered_at),
+    endedAt: toIso(row.ended_at),
+  };
+}
+
+/**
+ * @param {object} row
+ * @param {string} viewerDeviceId
+ */
+function callInviteViewForDevice(row, viewerDeviceId) {
+  return { ...callInviteView(row), isCaller: row.caller_device_id === viewerDeviceId };
+}
+
+/**
+ * @param {import("better-sqlite3").Database} db
+ * @param {{ events?: ReturnType<import("../roomEvents").createRoomEventBus> | null, maxActiveMs?: number }} [opts]
+ *   `maxActiveMs`: accepted calls older than this are ended on the next read (hard call cap).
+ */
+function createCallSignalingRepository(db, opts = {}) {
+  const events = opts.events || null;
+  const maxActiveMs = opts.maxActiveMs;
+
+  const insertCall = db.prepare(
+    `INSERT INTO call_invites (
+       call_session_id, room_id, call_type, call_kind, caller_device_id, state,
+       created_at, ring_expires_at, updated_at
+     ) VALUES (
+       @call_session_id, @room_id, @call_type, @call_kind, @caller_device_id, 'ringing',
+       @created_at, @ring_expires_at, @created_at
+     )`
+  );
+
+  const selectCall = db.prepare(`SELECT * FROM call_invites WHERE call_session_id = ?`);
+
+  const selectActiveForRoom = db.prepare(
+    `SELECT * FROM call_invites
+     WHERE room_id = ? AND state IN ('ringing', 'accepted')
+     ORDER BY created_at DESC LIMIT 1`
+  );
+
+  const expireRinging = db.prepare(
+    `UPDATE call_invites
+     SET state = 'missed', ended_at = ring_expires_at, updated_at = @now
+     WHERE state = 'ringing' AND ring_expires_at <= @now
+     RETURNING *`
+  );
+
+  const expireAccepted = db.prepare(
+    `UPDATE call_invites
+     SET state = 'ended', ended_at = answered_at + @max_active_ms, updated_at = @now
+     WHERE state = 'accepted' AND answered_at <= @now - @max_active_ms
+     RETURNING *`
+  );
+
+  const markAccepted = db.prepare(
+    `UPDATE call_invites
+     SET state = 'accepted', answered_at = @now, answered_by_device_id = @device_id,
+         updated_at = @now
+     WHERE call_session_id = @call_session_id AND state = 'ringing'
+     RETURNING *`
+  );
+
+  const markFinal = db.prepare(
+    `UPDATE call_invites
+     SET state = @to, ended_at = @now, ended_by_device_id = @device_id, updated_at = @now
+     WHERE call_session_id = @call_session_id AND state = @from
+     RETURNING *`
+  );
+
+  // Missed since the device was linked and since it last marked calls seen; calls placed by the
+  // device or another device of its account (docs/connect-device-accounts.md) do not count.
+  const countMissedForDevice = db.prepare(
+    `SELECT COUNT(*) AS n, MAX(c.ended_at) AS last_at
+     FROM call_invites c
+     INNER JOIN device_room_links l ON l.room_id = c.room_id AND l.device_id = @device_id
+     LEFT JOIN call_seen_cursors s ON s.room_id = c.room_id AND s.device_id = @device_id
+     WHERE c.room_id = @room_id AND c.state = 'missed'
+       AND c.created_at >= l.linked_at
+       AND c.ended_at > COALESCE(s.seen_at, 0)
+       AND c.caller_device_id != @device_id
+       AND c.caller_device_id NOT IN (
+         SELECT d.device_id FROM account_devices d
+         INNER JOIN account_devices me ON me.account_id = d.account_id
+         WHERE me.device_id = @device_id
+       )`
+  );
+
+  const upsertSeenCursor = db.prepare(
+    `INSERT INTO call_seen_cursors (room_id, device_id, seen_at)
+     VALUES (@room_id, @device_id, @now)
+     ON CONFLICT (room_id, device_id) DO UPDATE SET seen_at = MAX(seen_at, excluded.seen_at)`
+  );
+
+  function publish(row) {
+    if (events) {
+      events.publish(row.room_id, ROOM_EVENT_TYPES.CALL_STATE, { call: callInviteView(row) });
+    }
+  }
+
+  /**
+   * Ringing calls past `ring_expires_at` → missed; accepted calls past the call cap → ended.
+   * @param {number} [now]
+   */
+  function expireStaleCalls(now = Date.now()) {
+    const rows = expireRinging.all({ now });
+    if (typeof maxActiveMs === "number") {
+      rows.push(...expireAccepted.all({ now, max_active_ms: maxActiveMs }));
+    }
+    rows.forEach(publish);
+    return rows.length;
+  }
+
+  /**
+   * @param {{ callSessionId: string, roomId: string, callType: string, callKind: 'direct'|'group', callerDeviceId: string, ringTimeoutMs: number, now?: number }} p
+   * @returns {{ ok: true, call: object } | { ok: false, reason: 'call_in_progress', call: object }}
+   */
+  function createCall(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    expireStaleCalls(now);
+    const out = db.transaction(() => {
+      const active = selectActiveForRoom.get(p.roomId);
+      if (active) {
+        return { ok: false, reason: "call_in_progress", call: active };
+      }
+      insertCall.run({
+        call_session_id: p.callSessionId,
+        room_id: p.roomId,
+        call_type: p.callType,
+        call_kind: p.callKind,
+        caller_device_id: p.callerDeviceId,
+        created_at: now,
+        ring_expires_at: now + p.ringTimeoutMs,
+      });
+      return { ok: true, call: selectCall.get(p.callSessionId) };
+    })();
+    if (out.ok) publish(out.call);
+    return out;
+  }
+
+  /**
+   * @param {string} callSessionId
+   * @param {number} [now]
+   */
+  function getCall(callSessionId, now = Date.now()) {
+    expireStaleCalls(now);
+    return selectCall.get(callSessionId) || null;
+  }
+
+  /**
+   * @param {string} roomId
+   * @param {number} [now]
+   */
+  function getActiveCallForRoom(roomId, now = Date.now()) {
+    expireStaleCalls(now);
+    return selectActiveForRoom.get(roomId) || null;
+  }
+
+  /**
+   * ringing → accepted. A call that is already accepted stays as is (another device joining).
+   * @returns {{ ok: true, call: object } | { ok: false, reason: 'not_found'|'invalid_call_state', call?: object }}
+   */
+  function acceptCall(callSessionId, deviceId, now = Date.now()) {
+    expireStaleCalls(now);
+    const row = markAccepted.get({ call_session_id: callSessionId, device_id: deviceId, now });
+    if (row) {
+      publish(row);
+      return { ok: true, call: row };
+    }
+    const current = selectCall.get(callSessionId);
+    if (!current) return { ok: false, reason: "not_found" };
+    if (current.state === CALL_STATES.ACCEPTED) return { ok: true, call: current };
+    return { ok: false, reason: "invalid_call_state", call: current };
+  }
+
+  /**
+   * Terminal transition guarded by the expected current state.
+   * @param {string} callSessionId
+   * @param {string} from
+   * @param {string} to
+   * @param {string|null} deviceId
+   * @param {number} [now]
+   * @returns {{ ok: true, call: object } | { ok: false, reason: 'not_found'|'invalid_call_state', call?: object }}
+   */
+  function transition(callSessionId, from, to, deviceId, now = Date.now()) {
+    expireStaleCalls(now);
+    const row = markFinal.get({
+      call_session_id: callSessionId,
+      from,
+      to,
+      device_id: deviceId,
+      now,
+    });
+    if (row) {
+      publish(row);
+      return { ok: true, call: row };
+    }
+    const current = selectCall.get(callSessionId);
+    if (!current) return { ok: false, reason: "not_found" };
+    return { ok: false, reason: "invalid_call_state", call: current };
+  }
+
+  /**
+   * LiveKit `room_finished`: nobody is left in the media room. Ringing → missed, accepted → ended.
+   * @param {string} callSessionId
+   * @param {number} at
+   */
+  function finishFromLivekit(callSessionId, at) {
+    const current = getCall(callSessionId, at);
+    if (!current) return null;
+    if (current.state === CALL_STATES.RINGING) {
+      return transition(callSessionId, CALL_STATES.RINGING, CALL_STATES.MISSED, null, at);
+    }
+    if (current.state === CALL_STATES.ACCEPTED) {
+      return transition(callSessionId, CALL_STATES.ACCEPTED, CALL_STATES.ENDED, null, at);
+    }
+    return null;
+  }
+
+  /**
+   * Room detail summary: the ringing / accepted call, and calls this device missed
+   * (calls its account did not place that nobody answered) since it was linked to the room
+   * and since its last `markMissedCallsSeen`.
+   * @param {string} roomId
+   * @param {string} deviceId
+   */
+  function getRoomCallSummary(roomId, deviceId, now = Date.now()) {
+    const active = getActiveCallForRoom(roomId, now);
+    const missed = countMissedForDevice.get({ room_id: roomId, device_id: deviceId });
+    return {
+      active: active ? callInviteViewForDevice(active, deviceId) : null,
+      missedCount: missed.n,
+      lastMissedAt: toIso(missed.last_at),
+    };
+  }
+
+  /**
+   * Clears the missed count for `deviceId` in `roomId` (seen cursor only moves forward).
+   * Caller checks room access.
+   * @param {string} roomId
+   * @param {string} deviceId
+   * @param {number} [now]
+   */
+  function markMissedCallsSeen(roomId, deviceId, now = Date.now()) {
+    expireStaleCalls(now);
+    upsertSeenCursor.run({ room_id: roomId, device_id: deviceId, now });
+    return getRoomCallSummary(roomId, deviceId, now);
+  }
+
+  return {
+    expireStaleCalls,
+    createCall,
+    getCall,
+    getActiveCallForRoom,
+    acceptCall,
+    transition,
+    finishFromLivekit,
+    getRoomCallSummary,
+    markMissedCallsSeen,
+  };
+}
+
+module.exports = {
+  CALL_STATES,
+  callInviteView,
+  callInviteViewForDevice,
+  createCallSignalingRepository,
+};
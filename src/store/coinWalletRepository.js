@@ -9,6 +9,7 @@
  * - Reserve ops: `reserve_hold` / `reserve_release` adjust `reserved_coins` under the same
  *   spendable rules (see inline comments).
  * - `applyCallSessionSettlement`: atomic release + final `call_debit` for call billing (Phase Call-Meter-2).
+ * - `listStaleCallHolds`: holds the reconciler settles when the client never did (Phase Call-Meter-4).
  *
  * @see docs/connect-coins-wallet-design.md
  */
@@ -32,8 +33,12 @@ function newLedgerId() {
 
 /**
  * @param {import("better-sqlite3").Database} db
+ * @param {{ accounts?: { resolveBillingId: (deviceId: string) => string } }} [deps] when set, the
+ *   wallet and ledger of a linked device are the account's (docs/connect-device-accounts.md)
  */
-function createCoinWalletRepository(db) {
+function createCoinWalletRepository(db, deps = {}) {
+  const resolveBillingId = deps.accounts ? deps.accounts.resolveBillingId : (d) => d;
+
   const insertWalletIgnore = db.prepare(
     `INSERT OR IGNORE INTO device_coin_wallets (
        device_id, available_coins, reserved_coins, updated_at, version
@@ -117,12 +122,16 @@ function createCoinWalletRepository(db) {
     return typeof key === "string" ? key.trim() : "";
   }
 
-  function mapWalletRow(row) {
+  /**
+   * @param {object|undefined} row
+   * @param {string} [deviceId] requesting device; shown instead of the account id for linked devices
+   */
+  function mapWalletRow(row, deviceId) {
     if (!row) return null;
     const available = row.available_coins;
     const reserved = row.reserved_coins;
     return {
-      deviceId: row.device_id,
+      deviceId: deviceId || row.device_id,
       availableCoins: available,
       reservedCoins: reserved,
       spendableCoins: available - reserved,
@@ -131,11 +140,37 @@ function createCoinWalletRepository(db) {
     };
   }
 
-  function mapLedgerRow(row) {
+  // Call holds (`call:<id>:hold`) older than the cutoff with neither `:settle` nor `:release`.
+  const selectStaleCallHolds = db.prepare(
+    `SELECT h.id, h.device_id, h.created_at, h.delta_coins, h.balance_after, h.entry_kind,
+            h.idempotency_key, h.pack_id, h.stripe_checkout_session_id,
+            h.stripe_payment_intent_id, h.external_reference, h.metadata_json
+     FROM coin_ledger_entries h
+     WHERE h.entry_kind = 'reserve_hold'
+       AND h.idempotency_key LIKE 'call:%:hold'
+       AND h.created_at < @cutoff
+       AND (h.created_at > @after_created_at OR (h.created_at = @after_created_at AND h.id > @after_id))
+       AND NOT EXISTS (
+         SELECT 1 FROM coin_ledger_entries s
+         WHERE s.idempotency_key = substr(h.idempotency_key, 1, length(h.idempotency_key) - 5) || ':settle'
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM coin_ledger_entries r
+         WHERE r.idempotency_key = substr(h.idempotency_key, 1, length(h.idempotency_key) - 5) || ':release'
+       )
+     ORDER BY h.created_at ASC, h.id ASC
+     LIMIT @limit`
+  );
+
+  /**
+   * @param {object|undefined} row
+   * @param {string} [deviceId] requesting device (see `mapWalletRow`)
+   */
+  function mapLedgerRow(row, deviceId) {
     if (!row) return null;
     return {
       id: row.id,
-      deviceId: row.device_id,
+      deviceId: deviceId || row.device_id,
       createdAt: row.created_at,
       deltaCoins: row.delta_coins,
       balanceAfter: row.balance_after,
@@ -155,14 +190,15 @@ function createCoinWalletRepository(db) {
    * @returns {{ deviceId: string, availableCoins: number, reservedCoins: number, spendableCoins: number, updatedAt: number, version: number }}
    */
   function getOrCreateWallet(deviceId) {
-    const dev = normalizeDeviceId(deviceId);
+    const requested = normalizeDeviceId(deviceId);
+    const dev = resolveBillingId(requested);
     if (!dev) {
       throw new Error("coin wallet: invalid deviceId");
     }
     const t = nowMs();
     insertWalletIgnore.run({ device_id: dev, updated_at: t });
     const row = selectWallet.get(dev);
-    return mapWalletRow(row);
+    return mapWalletRow(row, requested);
   }
 
   /**
@@ -170,12 +206,13 @@ function createCoinWalletRepository(db) {
    * @returns {{ deviceId: string, availableCoins: number, reservedCoins: number, spendableCoins: number, updatedAt: number, version: number } | null}
    */
   function getWallet(deviceId) {
-    const dev = normalizeDeviceId(deviceId);
+    const requested = normalizeDeviceId(deviceId);
+    const dev = resolveBillingId(requested);
     if (!dev) {
       return null;
     }
     const row = selectWallet.get(dev);
-    return mapWalletRow(row);
+    return mapWalletRow(row, requested);
   }
 
   /**
@@ -191,7 +228,8 @@ function createCoinWalletRepository(db) {
    * @param {string} [p.metadataJson]
    */
   function applyLedgerCredit(p) {
-    const dev = normalizeDeviceId(p.deviceId);
+    const requested = normalizeDeviceId(p.deviceId);
+    const dev = resolveBillingId(requested);
     const key = normalizeIdempotencyKey(p.idempotencyKey);
     const amount = Number(p.amount);
     const kind = p.entryKind;
@@ -224,8 +262,8 @@ function createCoinWalletRepository(db) {
       return {
         ok: true,
         duplicate: true,
-        wallet: mapWalletRow(w),
-        entry: mapLedgerRow(existing),
+        wallet: mapWalletRow(w, requested),
+        entry: mapLedgerRow(existing, requested),
       };
     }
 
@@ -270,8 +308,8 @@ function createCoinWalletRepository(db) {
           return {
             ok: true,
             duplicate: true,
-            wallet: mapWalletRow(w),
-            entry: mapLedgerRow(row),
+            wallet: mapWalletRow(w, requested),
+            entry: mapLedgerRow(row, requested),
           };
         }
         return { ok: false, reason: "idempotency_key_conflict" };
@@ -284,8 +322,8 @@ function createCoinWalletRepository(db) {
     return {
       ok: true,
       duplicate: false,
-      wallet: mapWalletRow(w),
-      entry: mapLedgerRow(entry),
+      wallet: mapWalletRow(w, requested),
+      entry: mapLedgerRow(entry, requested),
     };
   }
 
@@ -303,7 +341,8 @@ function createCoinWalletRepository(db) {
    * @param {string} [p.metadataJson]
    */
   function applyLedgerDebit(p) {
-    const dev = normalizeDeviceId(p.deviceId);
+    const requested = normalizeDeviceId(p.deviceId);
+    const dev = resolveBillingId(requested);
     const key = normalizeIdempotencyKey(p.idempotencyKey);
     const amount = Number(p.amount);
     const kind = p.entryKind;
@@ -336,8 +375,8 @@ function createCoinWalletRepository(db) {
       return {
         ok: true,
         duplicate: true,
-        wallet: mapWalletRow(w),
-        entry: mapLedgerRow(existing),
+        wallet: mapWalletRow(w, requested),
+        entry: mapLedgerRow(existing, requested),
       };
     }
 
@@ -399,8 +438,8 @@ function createCoinWalletRepository(db) {
           return {
             ok: true,
             duplicate: true,
-            wallet: mapWalletRow(w),
-            entry: mapLedgerRow(row),
+            wallet: mapWalletRow(w, requested),
+            entry: mapLedgerRow(row, requested),
           };
         }
         return { ok: false, reason: "idempotency_key_conflict" };
@@ -413,8 +452,8 @@ function createCoinWalletRepository(db) {
     return {
       ok: true,
       duplicate: false,
-      wallet: mapWalletRow(w),
-      entry: mapLedgerRow(entry),
+      wallet: mapWalletRow(w, requested),
+      entry: mapLedgerRow(entry, requested),
     };
   }
 
@@ -438,7 +477,8 @@ function createCoinWalletRepository(db) {
   }
 
   function applyReserveMutation(p, mode) {
-    const dev = normalizeDeviceId(p.deviceId);
+    const requested = normalizeDeviceId(p.deviceId);
+    const dev = resolveBillingId(requested);
     const key = normalizeIdempotencyKey(p.idempotencyKey);
     const amount = Number(p.amount);
     const kind =
@@ -465,8 +505,8 @@ function createCoinWalletRepository(db) {
       return {
         ok: true,
         duplicate: true,
-        wallet: mapWalletRow(w),
-        entry: mapLedgerRow(existing),
+        wallet: mapWalletRow(w, requested),
+        entry: mapLedgerRow(existing, requested),
       };
     }
 
@@ -554,8 +594,8 @@ function createCoinWalletRepository(db) {
           return {
             ok: true,
             duplicate: true,
-            wallet: mapWalletRow(w),
-            entry: mapLedgerRow(row),
+            wallet: mapWalletRow(w, requested),
+            entry: mapLedgerRow(row, requested),
           };
         }
         return { ok: false, reason: "idempotency_key_conflict" };
@@ -568,8 +608,8 @@ function createCoinWalletRepository(db) {
     return {
       ok: true,
       duplicate: false,
-      wallet: mapWalletRow(w),
-      entry: mapLedgerRow(entry),
+      wallet: mapWalletRow(w, requested),
+      entry: mapLedgerRow(entry, requested),
     };
   }
 
@@ -591,15 +631,94 @@ function createCoinWalletRepository(db) {
     return row ? mapLedgerRow(row) : null;
   }
 
+  /**
+   * Unsettled call reserve holds created before `cutoff` (Phase Call-Meter-4 reconciler), ordered
+   * by `(createdAt, id)`. Pass the last hold of the previous page as `after`, so holds the caller
+   * skipped do not come back and block the rest.
+   * @param {number} cutoff epoch ms
+   * @param {number} limit
+   * @param {{ createdAt: number, id: string } | null} [after]
+   * @returns {Array<ReturnType<typeof mapLedgerRow>>}
+   */
+  function listStaleCallHolds(cutoff, limit, after = null) {
+    return selectStaleCallHolds
+      .all({
+        cutoff,
+        limit,
+        after_created_at: after ? after.createdAt : -1,
+        after_id: after ? after.id : "",
+      })
+      .map((row) => mapLedgerRow(row));
+  }
+
+  /**
+   * Device transfer (Phase Device-Transfer-1): moves the whole balance of `fromDeviceId` to
+   * `toDeviceId` as a `transfer_out` / `transfer_in` pair keyed `transfer:<id>:out|in`. The source
+   * must have no reserved coins. Run **only** inside `db.transaction`.
+   *
+   * @param {{ fromDeviceId: string, toDeviceId: string, transferId: string, now: number }} p
+   * @returns {{ ok: true, coinsMoved: number } | { ok: false, reason: "source_has_reserved_coins" }}
+   */
+  function applyTransferInTransaction(p) {
+    const from = resolveBillingId(normalizeDeviceId(p.fromDeviceId));
+    const to = resolveBillingId(normalizeDeviceId(p.toDeviceId));
+    if (!from || !to || from === to) {
+      throw new Error("coin wallet: invalid transfer devices");
+    }
+    const src = selectWallet.get(from);
+    if (!src || src.available_coins === 0) {
+      return { ok: true, coinsMoved: 0 };
+    }
+    if (src.reserved_coins > 0) {
+      return { ok: false, reason: "source_has_reserved_coins" };
+    }
+    const amount = src.available_coins;
+    const metadataJson = JSON.stringify({ transferId: p.transferId });
+    updateWalletDebit.run({ device_id: from, amount, updated_at: p.now });
+    insertLedger.run({
+      id: newLedgerId(),
+      device_id: from,
+      created_at: p.now,
+      delta_coins: -amount,
+      balance_after: 0,
+      entry_kind: COIN_LEDGER_ENTRY_KINDS.TRANSFER_OUT,
+      idempotency_key: `transfer:${p.transferId}:out`,
+      pack_id: null,
+      stripe_checkout_session_id: null,
+      stripe_payment_intent_id: null,
+      external_reference: p.transferId,
+      metadata_json: metadataJson,
+    });
+    insertWalletIgnore.run({ device_id: to, updated_at: p.now });
+    const dst = selectWallet.get(to);
+    updateWalletCredit.run({ device_id: to, delta: amount, updated_at: p.now });
+    insertLedger.run({
+      id: newLedgerId(),
+      device_id: to,
+      created_at: p.now,
+      delta_coins: amount,
+      balance_after: dst.available_coins + amount,
+      entry_kind: COIN_LEDGER_ENTRY_KINDS.TRANSFER_IN,
+      idempotency_key: `transfer:${p.transferId}:in`,
+      pack_id: null,
+      stripe_checkout_session_id: null,
+      stripe_payment_intent_id: null,
+      external_reference: p.transferId,
+      metadata_json: metadataJson,
+    });
+    return { ok: true, coinsMoved: amount };
+  }
+
   function listLedgerEntries(deviceId, opts = {}) {
-    const dev = normalizeDeviceId(deviceId);
+    const requested = normalizeDeviceId(deviceId);
+    const dev = resolveBillingId(requested);
     if (!dev) {
       return [];
     }
     const limitRaw = opts.limit != null ? Number(opts.limit) : 20;
     const limit = Math.min(100, Math.max(1, Number.isFinite(limitRaw) ? limitRaw : 20));
     const rows = listLedger.all(dev, limit);
-    return rows.map(mapLedgerRow);
+    return rows.map((row) => mapLedgerRow(row, requested));
   }
 
   /**
@@ -617,7 +736,8 @@ function createCoinWalletRepository(db) {
    * @param {string} [p.debitExternalReference]
    */
   function applyCallSessionSettlement(p) {
-    const dev = normalizeDeviceId(p.deviceId);
+    const requested = normalizeDeviceId(p.deviceId);
+    const dev = resolveBillingId(requested);
     const sessionId =
       typeof p.sessionId === "string" ? p.sessionId.trim() : "";
     const releaseCoins = Number(p.releaseCoins);
@@ -650,9 +770,9 @@ function createCoinWalletRepository(db) {
       return {
         ok: true,
         duplicate: true,
-        wallet: mapWalletRow(w),
-        releaseEntry: releaseEntry ? mapLedgerRow(releaseEntry) : null,
-        debitEntry: mapLedgerRow(existingSettle),
+        wallet: mapWalletRow(w, requested),
+        releaseEntry: releaseEntry ? mapLedgerRow(releaseEntry, requested) : null,
+        debitEntry: mapLedgerRow(existingSettle, requested),
       };
     }
 
@@ -776,9 +896,9 @@ function createCoinWalletRepository(db) {
           return {
             ok: true,
             duplicate: true,
-            wallet: mapWalletRow(w),
-            releaseEntry: releaseEntry ? mapLedgerRow(releaseEntry) : null,
-            debitEntry: mapLedgerRow(row),
+            wallet: mapWalletRow(w, requested),
+            releaseEntry: releaseEntry ? mapLedgerRow(releaseEntry, requested) : null,
+            debitEntry: mapLedgerRow(row, requested),
           };
         }
         return { ok: false, reason: "idempotency_key_conflict" };
@@ -792,9 +912,9 @@ function createCoinWalletRepository(db) {
     return {
       ok: true,
       duplicate: false,
-      wallet: mapWalletRow(wFinal),
-      releaseEntry: releaseEntry ? mapLedgerRow(releaseEntry) : null,
-      debitEntry: debitEntry ? mapLedgerRow(debitEntry) : null,
+      wallet: mapWalletRow(wFinal, requested),
+      releaseEntry: releaseEntry ? mapLedgerRow(releaseEntry, requested) : null,
+      debitEntry: debitEntry ? mapLedgerRow(debitEntry, requested) : null,
     };
   }
 
@@ -806,8 +926,10 @@ function createCoinWalletRepository(db) {
     applyReserveHold,
     applyReserveRelease,
     applyCallSessionSettlement,
+    applyTransferInTransaction,
     getLedgerEntryByIdempotencyKey,
     listLedgerEntries,
+    listStaleCallHolds,
   };
 }
 
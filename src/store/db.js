@@ -241,6 +241,28 @@ function openDatabase(dbFilePath) {
   migrateRoomMemberLiveChatPresence(db);
   migrateRoomAttachments(db);
   migrateGroupRooms(db);
+  migrateRoomMessageSeq(db);
+  migrateRetentionPurgeAudit(db);
+  migrateAttachmentSweep(db);
+  migrateCallMetering(db);
+  migrateCallHoldReconcile(db);
+  migrateGroupCalls(db);
+  migrateCallSignaling(db);
+  migrateRoomCallHistory(db);
+  migrateDeviceKeys(db);
+  migrateDeviceSessions(db);
+  migrateE2eeKeyDirectory(db);
+  migrateDeviceAccounts(db);
+  migrateDeviceTransfers(db);
+  migrateRateLimits(db);
+  migrateRoomInviteTokens(db);
+  migrateRoomJoinRequests(db);
+  migrateRoomMemberRoles(db);
+  migrateMessageTombstones(db);
+  migrateMessageRevisions(db);
+  migrateMessageReplies(db);
+  migrateMessageReactions(db);
+  migrateRoomReadCursors(db);
 
   // Best-effort backfill for DBs created before device_room_links existed.
   db.exec(`
@@ -458,6 +480,606 @@ function migrateGroupRooms(db) {
   `);
 }
 
+/**
+ * Phase Messages-Paging-1 — stable per-room `seq` on `room_messages` (cursor for GET messages).
+ * `rooms.message_seq` is the last issued value; never reset on burn so cursors stay monotonic.
+ * @see docs/v2-message-transport.md
+ */
+function migrateRoomMessageSeq(db) {
+  const roomCols = db.prepare(`PRAGMA table_info(rooms)`).all();
+  if (!new Set(roomCols.map((c) => c.name)).has("message_seq")) {
+    db.exec(`ALTER TABLE rooms ADD COLUMN message_seq INTEGER NOT NULL DEFAULT 0`);
+  }
+
+  const msgCols = db.prepare(`PRAGMA table_info(room_messages)`).all();
+  if (!new Set(msgCols.map((c) => c.name)).has("seq")) {
+    db.exec(`ALTER TABLE room_messages ADD COLUMN seq INTEGER`);
+    // Backfill legacy rows in the old (created_at, id) display order.
+    db.exec(`
+      CREATE TEMP TABLE room_message_seq_backfill (id TEXT PRIMARY KEY, rn INTEGER NOT NULL);
+      INSERT INTO room_message_seq_backfill (id, rn)
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY room_id ORDER BY created_at ASC, id ASC)
+        FROM room_messages;
+      UPDATE room_messages
+      SET seq = (SELECT b.rn FROM room_message_seq_backfill b WHERE b.id = room_messages.id);
+      DROP TABLE room_message_seq_backfill;
+      UPDATE rooms
+      SET message_seq = COALESCE(
+        (SELECT MAX(m.seq) FROM room_messages m WHERE m.room_id = rooms.id), 0
+      );
+    `);
+  }
+
+  db.exec(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_room_messages_room_seq
+      ON room_messages (room_id, seq);
+  `);
+}
+
+/**
+ * Phase Retention-Purge-1 — one audit row per room per purge batch. Dry runs are logged, not
+ * audited, so `dry_run` is always 0 for new rows. No FK to `rooms`: the audit outlives the room row.
+ * @see docs/v2-retention-purge.md
+ */
+function migrateRetentionPurgeAudit(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS retention_purge_audit (
+      id TEXT PRIMARY KEY,
+      run_id TEXT NOT NULL,
+      room_id TEXT NOT NULL,
+      effective_tier TEXT NOT NULL,
+      cutoff_at INTEGER NOT NULL,
+      messages_deleted INTEGER NOT NULL DEFAULT 0,
+      attachments_deleted INTEGER NOT NULL DEFAULT 0,
+      storage_keys_deleted INTEGER NOT NULL DEFAULT 0,
+      dry_run INTEGER NOT NULL DEFAULT 0 CHECK (dry_run IN (0, 1)),
+      created_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_retention_purge_audit_room
+      ON retention_purge_audit (room_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_retention_purge_audit_run
+      ON retention_purge_audit (run_id);
+  `);
+}
+
+/**
+ * Phase Media-GC-1 — `swept_at` markers for the attachment sweeper (rows kept for audit).
+ * @see docs/connect-attachments-storage.md
+ */
+function migrateAttachmentSweep(db) {
+  const attCols = db.prepare(`PRAGMA table_info(room_attachments)`).all();
+  if (!new Set(attCols.map((c) => c.name)).has("swept_at")) {
+    db.exec(`ALTER TABLE room_attachments ADD COLUMN swept_at INTEGER`);
+  }
+  const roomCols = db.prepare(`PRAGMA table_info(rooms)`).all();
+  if (!new Set(roomCols.map((c) => c.name)).has("attachments_swept_at")) {
+    db.exec(`ALTER TABLE rooms ADD COLUMN attachments_swept_at INTEGER`);
+  }
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_room_attachments_status_created
+      ON room_attachments (status, created_at);
+  `);
+}
+
+/**
+ * Phase Call-Meter-3 — server-observed call presence from LiveKit webhooks.
+ * `call_rooms` / `call_participants` are registered when a token is minted; webhooks only
+ * update rows that already exist. `livekit_webhook_events` de-duplicates redeliveries.
+ * @see docs/connect-livekit-webhooks.md
+ */
+function migrateCallMetering(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS call_rooms (
+      livekit_room_name TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      call_session_id TEXT NOT NULL,
+      call_type TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      finished_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_call_rooms_session
+      ON call_rooms (call_session_id);
+    CREATE TABLE IF NOT EXISTS call_participants (
+      livekit_room_name TEXT NOT NULL,
+      identity TEXT NOT NULL,
+      device_id TEXT NOT NULL,
+      first_joined_at INTEGER,
+      joined_at INTEGER,
+      connected_ms INTEGER NOT NULL DEFAULT 0,
+      last_event_at INTEGER,
+      PRIMARY KEY (livekit_room_name, identity),
+      FOREIGN KEY (livekit_room_name) REFERENCES call_rooms(livekit_room_name) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_call_participants_device
+      ON call_participants (device_id);
+    CREATE TABLE IF NOT EXISTS livekit_webhook_events (
+      id TEXT PRIMARY KEY,
+      event TEXT NOT NULL,
+      livekit_room_name TEXT,
+      received_at INTEGER NOT NULL
+    );
+  `);
+}
+
+/**
+ * Phase Call-Meter-4 — lets the stale hold reconciler scan `reserve_hold` rows by age.
+ * @see docs/connect-call-charging.md
+ */
+function migrateCallHoldReconcile(db) {
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_coin_ledger_kind_created
+      ON coin_ledger_entries (entry_kind, created_at);
+  `);
+}
+
+/**
+ * Phase Group-Calls-1 — `call_kind` on `call_rooms` (direct / group) and the last unused token mint
+ * per participant (`registered_at`, cleared on join) so a pending token holds a group call slot
+ * only for the token TTL.
+ * @see docs/connect-group-calls.md
+ */
+function migrateGroupCalls(db) {
+  const roomCols = db.prepare(`PRAGMA table_info(call_rooms)`).all();
+  if (!new Set(roomCols.map((c) => c.name)).has("call_kind")) {
+    db.exec(`ALTER TABLE call_rooms ADD COLUMN call_kind TEXT NOT NULL DEFAULT 'direct'`);
+  }
+  const partCols = db.prepare(`PRAGMA table_info(call_participants)`).all();
+  if (!new Set(partCols.map((c) => c.name)).has("registered_at")) {
+    db.exec(`ALTER TABLE call_participants ADD COLUMN registered_at INTEGER`);
+  }
+}
+
+/**
+ * Phase Call-Signal-1 — server-issued call invites and their ring / answer / end state, plus a
+ * per-device seen cursor for the missed-call count.
+ * @see docs/connect-call-signaling.md
+ */
+function migrateCallSignaling(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS call_invites (
+      call_session_id TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      call_type TEXT NOT NULL,
+      call_kind TEXT NOT NULL DEFAULT 'direct',
+      caller_device_id TEXT NOT NULL,
+      state TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      ring_expires_at INTEGER NOT NULL,
+      answered_at INTEGER,
+      answered_by_device_id TEXT,
+      ended_at INTEGER,
+      ended_by_device_id TEXT,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_call_invites_room_created
+      ON call_invites (room_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_call_invites_state
+      ON call_invites (state, ring_expires_at);
+    CREATE TABLE IF NOT EXISTS call_seen_cursors (
+      room_id TEXT NOT NULL,
+      device_id TEXT NOT NULL,
+      seen_at INTEGER NOT NULL,
+      PRIMARY KEY (room_id, device_id),
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+/**
+ * Phase Call-History-1 — per-room call log fed by the token route and call-charge start / settle.
+ * No coin amounts: the list is visible to every linked device in the room.
+ * @see docs/connect-call-history.md
+ */
+function migrateRoomCallHistory(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS room_calls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_session_id TEXT NOT NULL UNIQUE,
+      room_id TEXT NOT NULL,
+      call_type TEXT NOT NULL,
+      call_kind TEXT NOT NULL DEFAULT 'direct',
+      started_at INTEGER NOT NULL,
+      ended_at INTEGER,
+      duration_seconds INTEGER,
+      updated_at INTEGER NOT NULL,
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_room_calls_room_id
+      ON room_calls (room_id, id);
+    CREATE TABLE IF NOT EXISTS room_call_participants (
+      room_call_id INTEGER NOT NULL,
+      device_id TEXT NOT NULL,
+      joined_at INTEGER NOT NULL,
+      PRIMARY KEY (room_call_id, device_id),
+      FOREIGN KEY (room_call_id) REFERENCES room_calls(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+/**
+ * Phase Device-Auth-1 — Ed25519 public key per device and the replay window for signed requests.
+ * @see docs/connect-device-auth.md
+ */
+function migrateDeviceKeys(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS device_keys (
+      device_id TEXT PRIMARY KEY,
+      algorithm TEXT NOT NULL DEFAULT 'ed25519',
+      public_key TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      last_verified_at INTEGER
+    );
+    CREATE TABLE IF NOT EXISTS device_request_nonces (
+      device_id TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      PRIMARY KEY (device_id, nonce)
+    );
+    CREATE INDEX IF NOT EXISTS idx_device_request_nonces_expires
+      ON device_request_nonces (expires_at);
+  `);
+}
+
+/**
+ * Phase Device-Auth-2 — challenge / verify sessions. Tokens are stored as SHA-256 hashes only.
+ * @see docs/connect-device-sessions.md
+ */
+function migrateDeviceSessions(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS device_auth_challenges (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      challenge TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      used_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_device_auth_challenges_expires
+      ON device_auth_challenges (expires_at);
+    CREATE TABLE IF NOT EXISTS device_sessions (
+      id TEXT PRIMARY KEY,
+      device_id TEXT NOT NULL,
+      access_token_hash TEXT NOT NULL UNIQUE,
+      access_expires_at INTEGER NOT NULL,
+      refresh_token_hash TEXT NOT NULL UNIQUE,
+      refresh_expires_at INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      refreshed_at INTEGER,
+      revoked_at INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_device_sessions_device
+      ON device_sessions (device_id);
+  `);
+}
+
+/**
+ * Phase E2EE-Keys-1 — public key directory: identity key + signed prekey per device, and a pool of
+ * one-time prekeys handed out once each. Public material only; the server never sees private keys.
+ * @see docs/connect-e2ee-key-directory.md
+ */
+function migrateE2eeKeyDirectory(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS device_identity_keys (
+      device_id TEXT PRIMARY KEY,
+      identity_key TEXT NOT NULL,
+      signed_prekey_id INTEGER NOT NULL,
+      signed_prekey TEXT NOT NULL,
+      signed_prekey_signature TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      updated_at INTEGER NOT NULL,
+      identity_changed_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS device_one_time_prekeys (
+      device_id TEXT NOT NULL,
+      key_id INTEGER NOT NULL,
+      public_key TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (device_id, key_id)
+    );
+  `);
+}
+
+/**
+ * Phase Accounts-1 — optional account layer over `deviceId`. Devices without an `account_devices`
+ * row keep using their own id for membership / wallet / free-call rows, so existing single-device
+ * data needs no rewrite; those rows move to the account id when the device opens an account.
+ * @see docs/connect-device-accounts.md
+ */
+function migrateDeviceAccounts(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS accounts (
+      id TEXT PRIMARY KEY,
+      created_by_device_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS account_devices (
+      device_id TEXT PRIMARY KEY,
+      account_id TEXT NOT NULL,
+      device_ref TEXT NOT NULL UNIQUE,
+      label TEXT,
+      linked_via TEXT NOT NULL CHECK (linked_via IN ('created', 'pairing')),
+      linked_at INTEGER NOT NULL,
+      FOREIGN KEY (account_id) REFERENCES accounts(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_account_devices_account
+      ON account_devices (account_id);
+    CREATE TABLE IF NOT EXISTS account_pairing_codes (
+      id TEXT PRIMARY KEY,
+      account_id TEXT NOT NULL,
+      code_hash TEXT NOT NULL UNIQUE,
+      created_by_device_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      used_at INTEGER,
+      used_by_device_id TEXT,
+      FOREIGN KEY (account_id) REFERENCES accounts(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_account_pairing_codes_account
+      ON account_pairing_codes (account_id);
+  `);
+}
+
+/**
+ * Phase Device-Transfer-1 — move a device's wallet balance and membership row to another device.
+ * Coin movements are `transfer_out` / `transfer_in` ledger rows; this table is the handshake.
+ * @see docs/connect-device-transfer.md
+ */
+function migrateDeviceTransfers(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS device_transfers (
+      id TEXT PRIMARY KEY,
+      from_device_id TEXT NOT NULL,
+      to_device_id TEXT,
+      code_hash TEXT NOT NULL,
+      state TEXT NOT NULL
+        CHECK (state IN ('open', 'claimed', 'completed', 'cancelled')),
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER NOT NULL,
+      claimed_at INTEGER,
+      finished_at INTEGER,
+      coins_moved INTEGER,
+      membership_moved INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_device_transfers_code
+      ON device_transfers (code_hash, state);
+    CREATE INDEX IF NOT EXISTS idx_device_transfers_from
+      ON device_transfers (from_device_id, state);
+    CREATE INDEX IF NOT EXISTS idx_device_transfers_to
+      ON device_transfers (to_device_id, state);
+  `);
+}
+
+/**
+ * Phase Rate-Limit-1 — token buckets per (route family, IP or device) and failed-join counters
+ * with lockouts. Both tables are pruned by `updated_at` / `last_failure_at`.
+ * @see docs/connect-rate-limits.md
+ */
+function migrateRateLimits(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+      bucket_key TEXT PRIMARY KEY,
+      tokens REAL NOT NULL,
+      updated_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated
+      ON rate_limit_buckets (updated_at);
+    CREATE TABLE IF NOT EXISTS rate_limit_failures (
+      subject_key TEXT PRIMARY KEY,
+      failures INTEGER NOT NULL,
+      last_failure_at INTEGER NOT NULL,
+      locked_until INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_failures_last
+      ON rate_limit_failures (last_failure_at);
+  `);
+}
+
+/**
+ * Phase Invite-Tokens-1 — high-entropy invite secrets next to `rooms.invite_code`. Only the token
+ * hash is stored; expiry, max uses and revocation are per row. Rows cascade with the room.
+ * @see docs/connect-invite-tokens.md
+ */
+function migrateRoomInviteTokens(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS room_invite_tokens (
+      id TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      created_by_device_id TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER,
+      max_uses INTEGER,
+      use_count INTEGER NOT NULL DEFAULT 0,
+      last_used_at INTEGER,
+      revoked_at INTEGER,
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_room_invite_tokens_room
+      ON room_invite_tokens (room_id, created_at);
+  `);
+}
+
+/**
+ * Phase Join-Requests-1 — knock mode for group rooms. `created_by_device_id` is backfilled from
+ * the earliest member so existing rooms have an approver.
+ * @see docs/connect-join-requests.md
+ */
+function migrateRoomJoinRequests(db) {
+  const cols = db.prepare(`PRAGMA table_info(rooms)`).all();
+  const names = new Set(cols.map((c) => c.name));
+  if (!names.has("join_mode")) {
+    db.exec(`
+      ALTER TABLE rooms ADD COLUMN join_mode TEXT NOT NULL DEFAULT 'open'
+        CHECK (join_mode IN ('open', 'knock'))
+    `);
+  }
+  if (!names.has("created_by_device_id")) {
+    db.exec(`ALTER TABLE rooms ADD COLUMN created_by_device_id TEXT`);
+    db.exec(`
+      UPDATE rooms SET created_by_device_id = (
+        SELECT m.device_id FROM room_members m
+        WHERE m.room_id = rooms.id
+        ORDER BY m.joined_at ASC, m.device_id ASC LIMIT 1
+      )
+      WHERE created_by_device_id IS NULL
+    `);
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS room_join_requests (
+      id TEXT PRIMARY KEY,
+      room_id TEXT NOT NULL,
+      device_id TEXT NOT NULL,
+      state TEXT NOT NULL
+        CHECK (state IN ('pending', 'approved', 'rejected', 'cancelled')),
+      created_at INTEGER NOT NULL,
+      decided_at INTEGER,
+      decided_by_device_id TEXT,
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_room_join_requests_pending
+      ON room_join_requests (room_id, device_id) WHERE state = 'pending';
+    CREATE INDEX IF NOT EXISTS idx_room_join_requests_room
+      ON room_join_requests (room_id, state, created_at);
+  `);
+}
+
+/**
+ * Phase Room-Roles-1 — `owner` / `admin` / `member` on `room_members` and per-room bans. The room
+ * creator is backfilled as owner.
+ * @see docs/connect-room-roles.md
+ */
+function migrateRoomMemberRoles(db) {
+  const cols = db.prepare(`PRAGMA table_info(room_members)`).all();
+  if (!cols.some((c) => c.name === "role")) {
+    db.exec(`
+      ALTER TABLE room_members ADD COLUMN role TEXT NOT NULL DEFAULT 'member'
+        CHECK (role IN ('owner', 'admin', 'member'))
+    `);
+    db.exec(`
+      UPDATE room_members SET role = 'owner'
+      WHERE device_id = (SELECT r.created_by_device_id FROM rooms r WHERE r.id = room_members.room_id)
+    `);
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS room_bans (
+      room_id TEXT NOT NULL,
+      device_id TEXT NOT NULL,
+      banned_at INTEGER NOT NULL,
+      banned_by_device_id TEXT NOT NULL,
+      PRIMARY KEY (room_id, device_id),
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+/**
+ * Phase Message-Unsend-1 — `deleted_at` marks a tombstoned `room_messages` row (payload cleared,
+ * `seq` kept so cursors stay stable). `room_attachments.delete_requested_at` marks the attachment
+ * of an unsent message; the row stays until its object is deleted (`swept_at`).
+ * @see docs/connect-message-unsend.md
+ */
+function migrateMessageTombstones(db) {
+  const cols = db.prepare(`PRAGMA table_info(room_messages)`).all();
+  if (!cols.some((c) => c.name === "deleted_at")) {
+    db.exec(`ALTER TABLE room_messages ADD COLUMN deleted_at INTEGER`);
+  }
+  const attCols = db.prepare(`PRAGMA table_info(room_attachments)`).all();
+  if (!attCols.some((c) => c.name === "delete_requested_at")) {
+    db.exec(`ALTER TABLE room_attachments ADD COLUMN delete_requested_at INTEGER`);
+  }
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_room_attachments_delete_requested
+      ON room_attachments (delete_requested_at);
+  `);
+}
+
+/**
+ * Phase Message-Edit-1 — edits overwrite the payload on `room_messages` (`revision`, `edited_at`);
+ * every edit's payload is also kept in `room_message_revisions`, bounded per message.
+ * @see docs/connect-message-edits.md
+ */
+function migrateMessageRevisions(db) {
+  const cols = new Set(db.prepare(`PRAGMA table_info(room_messages)`).all().map((c) => c.name));
+  if (!cols.has("revision")) {
+    db.exec(`ALTER TABLE room_messages ADD COLUMN revision INTEGER NOT NULL DEFAULT 0`);
+  }
+  if (!cols.has("edited_at")) {
+    db.exec(`ALTER TABLE room_messages ADD COLUMN edited_at INTEGER`);
+  }
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS room_message_revisions (
+      message_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      ciphertext TEXT NOT NULL,
+      nonce TEXT NOT NULL,
+      edited_at INTEGER NOT NULL,
+      PRIMARY KEY (message_id, revision),
+      FOREIGN KEY (message_id) REFERENCES room_messages(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+/**
+ * Phase Message-Replies-1 — optional `reply_to_message_id` (same room) for reply threads. No FK:
+ * the parent may later be purged, and the reply keeps its pointer.
+ * @see docs/connect-message-replies.md
+ */
+function migrateMessageReplies(db) {
+  const cols = db.prepare(`PRAGMA table_info(room_messages)`).all();
+  if (!cols.some((c) => c.name === "reply_to_message_id")) {
+    db.exec(`ALTER TABLE room_messages ADD COLUMN reply_to_message_id TEXT`);
+  }
+  db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_room_messages_reply_to
+      ON room_messages (room_id, reply_to_message_id)
+      WHERE reply_to_message_id IS NOT NULL
+  `);
+}
+
+/**
+ * Phase Message-Reactions-1 — one row per (message, opaque member, reaction). Rows cascade with
+ * the message on unsend, burn and retention purge.
+ * @see docs/connect-message-reactions.md
+ */
+function migrateMessageReactions(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS message_reactions (
+      room_id TEXT NOT NULL,
+      message_id TEXT NOT NULL,
+      member_id TEXT NOT NULL,
+      kind TEXT NOT NULL CHECK (kind IN ('emoji', 'encrypted')),
+      value TEXT NOT NULL,
+      created_at INTEGER NOT NULL,
+      PRIMARY KEY (message_id, member_id, kind, value),
+      FOREIGN KEY (message_id) REFERENCES room_messages(id) ON DELETE CASCADE,
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    );
+  `);
+}
+
+/**
+ * Phase Read-Receipts-1 — per-device delivered / read cursors (message `seq` + id) and the
+ * device's opt-in to share them with peers.
+ * @see docs/connect-read-receipts.md
+ */
+function migrateRoomReadCursors(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS room_read_cursors (
+      room_id TEXT NOT NULL,
+      device_id TEXT NOT NULL,
+      delivered_seq INTEGER NOT NULL DEFAULT 0,
+      delivered_message_id TEXT,
+      read_seq INTEGER NOT NULL DEFAULT 0,
+      read_message_id TEXT,
+      share_read_state INTEGER NOT NULL DEFAULT 0,
+      updated_at INTEGER NOT NULL,
+      PRIMARY KEY (room_id, device_id),
+      FOREIGN KEY (room_id) REFERENCES rooms(id) ON DELETE CASCADE
+    );
+  `);
+}
+
 function migrateCoinWallet(db) {
   db.exec(`
     CREATE TABLE IF NOT EXISTS device_coin_wallets (
@@ -0,0 +1,98 @@
+/**
+ * Device public keys and the nonce replay window for signed requests (Phase Device-Auth-1).
+ * Keys are stored as base64url raw Ed25519 public keys; verification lives in `src/deviceAuth.js`.
+ *
+ * @see docs/connect-device-auth.md
+ * @param {import("better-sqlite3").Database} db
+ */
+function createDeviceKeyRepository(db) {
+  const selectKey = db.prepare(
+    `SELECT device_id, algorithm, public_key, created_at, last_verified_at
+     FROM device_keys WHERE device_id = ?`
+  );
+
+  const insertKey = db.prepare(
+    `INSERT INTO device_keys (device_id, algorithm, public_key, created_at)
+     VALUES (?, 'ed25519', ?, ?)
+     ON CONFLICT (device_id) DO NOTHING`
+  );
+
+  const touchVerified = db.prepare(
+    `UPDATE device_keys SET last_verified_at = ? WHERE device_id = ?`
+  );
+
+  const deleteExpiredNonces = db.prepare(
+    `DELETE FROM device_request_nonces WHERE expires_at < ?`
+  );
+
+  const insertNonce = db.prepare(
+    `INSERT INTO device_request_nonces (device_id, nonce, expires_at)
+     VALUES (?, ?, ?)
+     ON CONFLICT (device_id, nonce) DO NOTHING`
+  );
+
+  /**
+   * @param {string} deviceId
+   * @returns {{ deviceId: string, algorithm: string, publicKey: string, createdAt: number, lastVerifiedAt: number|null } | null}
+   */
+  function getKey(deviceId) {
+    const row = selectKey.get(deviceId);
+    if (!row) return null;
+    return {
+      deviceId: row.device_id,
+      algorithm: row.algorithm,
+      publicKey: row.public_key,
+      createdAt: row.created_at,
+      lastVerifiedAt: row.last_verified_at,
+    };
+  }
+
+  /**
+   * First registration wins. Re-sending the same key is a no-op; a different key is refused.
+   * @param {{ deviceId: string, publicKey: string, now?: number }} p
+   * @returns {{ ok: true, created: boolean, key: NonNullable<ReturnType<typeof getKey>> } | { ok: false, reason: "key_mismatch" }}
+   */
+  function registerKey(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      const info = insertKey.run(p.deviceId, p.publicKey, now);
+      const key = getKey(p.deviceId);
+      if (info.changes === 0 && key.publicKey !== p.publicKey) {
+        return { ok: false, reason: "key_mismatch" };
+      }
+      return { ok: true, created: info.changes === 1, key };
+    })();
+  }
+
+  /**
+   * Record a nonce for the replay window. Expired nonces are pruned first.
+   * @param {string} deviceId
+   * @param {string} nonce
+   * @param {number} expiresAt ms
+   * @param {number} [now]
+   * @returns {boolean} false when the nonce was already used inside the window
+   */
+  function consumeNonce(deviceId, nonce, expiresAt, now = Date.now()) {
+    return db.transaction(() => {
+      deleteExpiredNonces.run(now);
+      return insertNonce.run(deviceId, nonce, expiresAt).changes === 1;
+    })();
+  }
+
+  /**
+   * @param {string} deviceId
+   * @param {number} [now]
+   */
+  function markVerified(deviceId, now = Date.now()) {
+    touchVerified.run(now, deviceId);
+  }
+
+  return {
+    getKey,
+    registerKey,
+    consumeNonce,
+    markVerified,
+  };
+}
+
+module.exports = { createDeviceKeyRepository };
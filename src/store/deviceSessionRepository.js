@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+
+function randomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token), "utf8").digest("hex");
+}
+
+/**
+ * Challenge / verify device sessions (Phase Device-Auth-2). Access and refresh tokens are opaque
+ * random strings returned once; only their SHA-256 hashes are stored, so a database copy cannot
+ * be replayed as a bearer.
+ *
+ * @see docs/connect-device-sessions.md
+ * @param {import("better-sqlite3").Database} db
+ */
+function createDeviceSessionRepository(db) {
+  const deleteExpiredChallenges = db.prepare(
+    `DELETE FROM device_auth_challenges WHERE expires_at < ?`
+  );
+
+  const insertChallenge = db.prepare(
+    `INSERT INTO device_auth_challenges (id, device_id, challenge, created_at, expires_at)
+     VALUES (?, ?, ?, ?, ?)`
+  );
+
+  const selectChallenge = db.prepare(
+    `SELECT * FROM device_auth_challenges WHERE id = ?`
+  );
+
+  const markChallengeUsed = db.prepare(
+    `UPDATE device_auth_challenges SET used_at = ? WHERE id = ? AND used_at IS NULL`
+  );
+
+  const insertSession = db.prepare(
+    `INSERT INTO device_sessions (
+       id, device_id, access_token_hash, access_expires_at,
+       refresh_token_hash, refresh_expires_at, created_at
+     ) VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  const selectByAccessHash = db.prepare(
+    `SELECT * FROM device_sessions WHERE access_token_hash = ?`
+  );
+
+  const selectByRefreshHash = db.prepare(
+    `SELECT * FROM device_sessions WHERE refresh_token_hash = ?`
+  );
+
+  const rotateTokens = db.prepare(
+    `UPDATE device_sessions
+     SET access_token_hash = ?, access_expires_at = ?,
+         refresh_token_hash = ?, refresh_expires_at = ?, refreshed_at = ?
+     WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`
+  );
+
+  const revokeById = db.prepare(
+    `UPDATE device_sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`
+  );
+
+  /**
+   * @param {string} deviceId
+   * @param {number} ttlMs
+   * @param {number} [now]
+   * @returns {{ challengeId: string, challenge: string, expiresAt: number }}
+   */
+  function createChallenge(deviceId, ttlMs, now = Date.now()) {
+    const challengeId = crypto.randomUUID();
+    const challenge = randomToken();
+    const expiresAt = now + ttlMs;
+    db.transaction(() => {
+      deleteExpiredChallenges.run(now);
+      insertChallenge.run(challengeId, deviceId, challenge, now, expiresAt);
+    })();
+    return { challengeId, challenge, expiresAt };
+  }
+
+  /**
+   * @param {string} challengeId
+   * @param {string} deviceId
+   * @param {number} [now]
+   * @returns {{ id: string, device_id: string, challenge: string } | null} null when unknown, used, expired or for another device
+   */
+  function getOpenChallenge(challengeId, deviceId, now = Date.now()) {
+    const row = selectChallenge.get(challengeId);
+    if (!row || row.device_id !== deviceId || row.used_at != null || row.expires_at < now) {
+      return null;
+    }
+    return row;
+  }
+
+  function issueTokens(now, accessTtlMs, refreshTtlMs) {
+    const accessToken = randomToken();
+    const refreshToken = randomToken();
+    return {
+      accessToken,
+      refreshToken,
+      accessHash: hashToken(accessToken),
+      refreshHash: hashToken(refreshToken),
+      accessExpiresAt: now + accessTtlMs,
+      refreshExpiresAt: now + refreshTtlMs,
+    };
+  }
+
+  /**
+   * Consume the challenge (single use) and open a session.
+   * @param {{ challengeId: string, deviceId: string, accessTtlMs: number, refreshTtlMs: number, now?: number }} p
+   * @returns {{ ok: true, sessionId: string, deviceId: string, accessToken: string, accessExpiresAt: number, refreshToken: string, refreshExpiresAt: number } | { ok: false, reason: "invalid_challenge" }}
+   */
+  function openSession(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      if (!getOpenChallenge(p.challengeId, p.deviceId, now)) {
+        return { ok: false, reason: "invalid_challenge" };
+      }
+      if (markChallengeUsed.run(now, p.challengeId).changes !== 1) {
+        return { ok: false, reason: "invalid_challenge" };
+      }
+      const t = issueTokens(now, p.accessTtlMs, p.refreshTtlMs);
+      const sessionId = crypto.randomUUID();
+      insertSession.run(
+        sessionId,
+        p.deviceId,
+        t.accessHash,
+        t.accessExpiresAt,
+        t.refreshHash,
+        t.refreshExpiresAt,
+        now
+      );
+      return {
+        ok: true,
+        sessionId,
+        deviceId: p.deviceId,
+        accessToken: t.accessToken,
+        accessExpiresAt: t.accessExpiresAt,
+        refreshToken: t.refreshToken,
+        refreshExpiresAt: t.refreshExpiresAt,
+      };
+    })();
+  }
+
+  /**
+   * @param {string} accessToken
+   * @param {number} [now]
+   * @returns {{ ok: true, sessionId: string, deviceId: string } | { ok: false, reason: "invalid_access_token" | "access_token_expired" }}
+   */
+  function resolveAccessToken(accessToken, now = Date.now()) {
+    const row = selectByAccessHash.get(hashToken(accessToken));
+    if (!row || row.revoked_at != null) return { ok: false, reason: "invalid_access_token" };
+    if (row.access_expires_at <= now) return { ok: false, reason: "access_token_expired" };
+    return { ok: true, sessionId: row.id, deviceId: row.device_id };
+  }
+
+  /**
+   * Rotate both tokens. The old refresh token stops working immediately.
+   * @param {{ refreshToken: string, accessTtlMs: number, refreshTtlMs: number, now?: number }} p
+   */
+  function refreshSession(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      const oldHash = hashToken(p.refreshToken);
+      const row = selectByRefreshHash.get(oldHash);
+      if (!row || row.revoked_at != null || row.refresh_expires_at <= now) {
+        return { ok: false, reason: "invalid_refresh_token" };
+      }
+      const t = issueTokens(now, p.accessTtlMs, p.refreshTtlMs);
+      const info = rotateTokens.run(
+        t.accessHash,
+        t.accessExpiresAt,
+        t.refreshHash,
+        t.refreshExpiresAt,
+        now,
+        row.id,
+        oldHash
+      );
+      if (info.changes !== 1) return { ok: false, reason: "invalid_refresh_token" };
+      return {
+        ok: true,
+        sessionId: row.id,
+        deviceId: row.device_id,
+        accessToken: t.accessToken,
+        accessExpiresAt: t.accessExpiresAt,
+        refreshToken: t.refreshToken,
+        refreshExpiresAt: t.refreshExpiresAt,
+      };
+    })();
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {number} [now]
+   * @returns {boolean} true when the session was open
+   */
+  function revokeSession(sessionId, now = Date.now()) {
+    return revokeById.run(now, sessionId).changes === 1;
+  }
+
+  return {
+    createChallenge,
+    getOpenChallenge,
+    openSession,
+    resolveAccessToken,
+    refreshSession,
+    revokeSession,
+  };
+}
+
+module.exports = { createDeviceSessionRepository };
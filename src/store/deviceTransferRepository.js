@@ -0,0 +1,209 @@
+const crypto = require("crypto");
+const { hashCode, randomPairingCode } = require("./accountRepository");
+
+const TRANSFER_CODE_LENGTH = 6;
+
+/**
+ * Device transfer (Phase Device-Transfer-1). The source device opens a transfer and shows a short
+ * code; the target device claims it with the code; the source confirms. Confirming moves the whole
+ * coin balance (`transfer_out` / `transfer_in`) and the membership row in one SQLite transaction.
+ *
+ * @see docs/connect-device-transfer.md
+ * @param {import("better-sqlite3").Database} db
+ * @param {{
+ *   coins: ReturnType<import("./coinWalletRepository").createCoinWalletRepository>,
+ *   membership: ReturnType<import("../deviceMembership").createDeviceMembershipStore>,
+ *   accounts: ReturnType<import("./accountRepository").createAccountRepository>,
+ * }} deps
+ */
+function createDeviceTransferRepository(db, deps) {
+  const { coins, membership, accounts } = deps;
+
+  const insertTransfer = db.prepare(
+    `INSERT INTO device_transfers (id, from_device_id, code_hash, state, created_at, expires_at)
+     VALUES (?, ?, ?, 'open', ?, ?)`
+  );
+
+  const cancelPendingFrom = db.prepare(
+    `UPDATE device_transfers SET state = 'cancelled', finished_at = ?
+     WHERE from_device_id = ? AND state IN ('open', 'claimed')`
+  );
+
+  const selectOpenByCode = db.prepare(
+    `SELECT * FROM device_transfers
+     WHERE code_hash = ? AND state = 'open' AND expires_at > ?`
+  );
+
+  const selectById = db.prepare(`SELECT * FROM device_transfers WHERE id = ?`);
+
+  const selectPendingForDevice = db.prepare(
+    `SELECT * FROM device_transfers
+     WHERE (from_device_id = @device_id OR to_device_id = @device_id)
+       AND state IN ('open', 'claimed') AND expires_at > @now
+     ORDER BY created_at DESC LIMIT 1`
+  );
+
+  const markClaimed = db.prepare(
+    `UPDATE device_transfers SET state = 'claimed', to_device_id = ?, claimed_at = ?
+     WHERE id = ? AND state = 'open'`
+  );
+
+  const markCompleted = db.prepare(
+    `UPDATE device_transfers
+     SET state = 'completed', finished_at = ?, coins_moved = ?, membership_moved = ?
+     WHERE id = ? AND state = 'claimed'`
+  );
+
+  const markCancelled = db.prepare(
+    `UPDATE device_transfers SET state = 'cancelled', finished_at = ?
+     WHERE id = ? AND state IN ('open', 'claimed')`
+  );
+
+  function isAccountLinked(deviceId) {
+    return accounts.getAccountForDevice(deviceId) != null;
+  }
+
+  /**
+   * What the source would hand over right now.
+   * @param {string} deviceId
+   */
+  function sourceSummary(deviceId) {
+    const wallet = coins.getWallet(deviceId);
+    const rec = membership.getMembershipRecord(deviceId);
+    return {
+      coins: wallet ? wallet.availableCoins : 0,
+      reservedCoins: wallet ? wallet.reservedCoins : 0,
+      membership: rec ? { isMember: rec.isMember, membershipActiveUntil: rec.membershipActiveUntil } : null,
+    };
+  }
+
+  /**
+   * @param {object} row `device_transfers` row
+   * @param {string} deviceId viewer
+   */
+  function transferView(row, deviceId) {
+    const summary = sourceSummary(row.from_device_id);
+    return {
+      transferId: row.id,
+      role: row.from_device_id === deviceId ? "source" : "target",
+      state: row.state,
+      expiresAt: row.expires_at,
+      claimedAt: row.claimed_at,
+      finishedAt: row.finished_at,
+      coins: row.state === "completed" ? row.coins_moved : summary.coins,
+      membership: row.state === "completed" ? null : summary.membership,
+      membershipMoved: row.state === "completed" ? Boolean(row.membership_moved) : null,
+    };
+  }
+
+  /**
+   * Open a transfer for `deviceId`; any earlier pending transfer of the device is cancelled.
+   * @param {{ deviceId: string, ttlMs: number, now?: number }} p
+   * @returns {{ ok: true, transferId: string, code: string, expiresAt: number } | { ok: false, reason: "account_linked" | "nothing_to_transfer" }}
+   */
+  function startTransfer(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      if (isAccountLinked(p.deviceId)) return { ok: false, reason: "account_linked" };
+      const summary = sourceSummary(p.deviceId);
+      if (summary.coins === 0 && !summary.membership) {
+        return { ok: false, reason: "nothing_to_transfer" };
+      }
+      cancelPendingFrom.run(now, p.deviceId);
+      let code = randomPairingCode(TRANSFER_CODE_LENGTH);
+      while (selectOpenByCode.get(hashCode(code), now)) {
+        code = randomPairingCode(TRANSFER_CODE_LENGTH);
+      }
+      const transferId = crypto.randomUUID();
+      const expiresAt = now + p.ttlMs;
+      insertTransfer.run(transferId, p.deviceId, hashCode(code), now, expiresAt);
+      return { ok: true, transferId, code, expiresAt };
+    })();
+  }
+
+  /**
+   * Target device claims an open transfer by code. Nothing moves until the source confirms.
+   * @param {{ deviceId: string, code: string, now?: number }} p
+   * @returns {{ ok: true, transfer: ReturnType<typeof transferView> } | { ok: false, reason: "invalid_transfer_code" | "cannot_transfer_to_self" | "account_linked" }}
+   */
+  function claimTransfer(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      const row = selectOpenByCode.get(hashCode(p.code), now);
+      if (!row) return { ok: false, reason: "invalid_transfer_code" };
+      if (row.from_device_id === p.deviceId) return { ok: false, reason: "cannot_transfer_to_self" };
+      if (isAccountLinked(p.deviceId)) return { ok: false, reason: "account_linked" };
+      markClaimed.run(p.deviceId, now, row.id);
+      return { ok: true, transfer: transferView(selectById.get(row.id), p.deviceId) };
+    })();
+  }
+
+  /**
+   * Source confirms a claimed transfer: coins and membership move atomically.
+   * @param {{ deviceId: string, transferId: string, now?: number }} p
+   * @returns {{ ok: true, transfer: ReturnType<typeof transferView> } | { ok: false, reason: "transfer_not_found" | "transfer_not_claimed" | "transfer_expired" | "account_linked" | "source_has_reserved_coins" | "target_has_membership" }}
+   */
+  function confirmTransfer(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      const row = selectById.get(p.transferId);
+      if (!row || row.from_device_id !== p.deviceId) return { ok: false, reason: "transfer_not_found" };
+      if (row.state !== "claimed") return { ok: false, reason: "transfer_not_claimed" };
+      if (row.expires_at <= now) return { ok: false, reason: "transfer_expired" };
+      if (isAccountLinked(row.from_device_id) || isAccountLinked(row.to_device_id)) {
+        return { ok: false, reason: "account_linked" };
+      }
+      // Checked before any write so both moves either happen or neither does.
+      if (sourceSummary(row.from_device_id).reservedCoins > 0) {
+        return { ok: false, reason: "source_has_reserved_coins" };
+      }
+      const m = membership.moveMembershipInTransaction(row.from_device_id, row.to_device_id, now);
+      if (!m.ok) return m;
+      const c = coins.applyTransferInTransaction({
+        fromDeviceId: row.from_device_id,
+        toDeviceId: row.to_device_id,
+        transferId: row.id,
+        now,
+      });
+      markCompleted.run(now, c.coinsMoved, m.moved ? 1 : 0, row.id);
+      return { ok: true, transfer: transferView(selectById.get(row.id), p.deviceId) };
+    })();
+  }
+
+  /**
+   * Either side cancels a pending transfer.
+   * @param {{ deviceId: string, transferId: string, now?: number }} p
+   * @returns {{ ok: true } | { ok: false, reason: "transfer_not_found" | "transfer_finished" }}
+   */
+  function cancelTransfer(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    const row = selectById.get(p.transferId);
+    if (!row || (row.from_device_id !== p.deviceId && row.to_device_id !== p.deviceId)) {
+      return { ok: false, reason: "transfer_not_found" };
+    }
+    if (markCancelled.run(now, row.id).changes === 0) {
+      return { ok: false, reason: "transfer_finished" };
+    }
+    return { ok: true };
+  }
+
+  /**
+   * Latest pending (open or claimed, not expired) transfer the device is part of.
+   * @param {string} deviceId
+   * @param {number} [now]
+   */
+  function getPendingTransfer(deviceId, now = Date.now()) {
+    const row = selectPendingForDevice.get({ device_id: deviceId, now });
+    return row ? transferView(row, deviceId) : null;
+  }
+
+  return {
+    startTransfer,
+    claimTransfer,
+    confirmTransfer,
+    cancelTransfer,
+    getPendingTransfer,
+  };
+}
+
+module.exports = { TRANSFER_CODE_LENGTH, createDeviceTransferRepository };
@@ -0,0 +1,205 @@
+const { ROOM_EVENT_TYPES } = require("../roomEvents");
+const { deriveRoomMemberId } = require("../roomMemberIdentity");
+
+/**
+ * E2EE public key directory (Phase E2EE-Keys-1). Stores each device's identity key, current signed
+ * prekey and a pool of one-time prekeys; hands each one-time prekey out once. An identity key
+ * change publishes `safety_number_changed` to every room the device is linked to.
+ *
+ * @see docs/connect-e2ee-key-directory.md
+ * @param {import("better-sqlite3").Database} db
+ * @param {{ events?: ReturnType<import("../roomEvents").createRoomEventBus> }} [deps]
+ */
+function createE2eeKeyRepository(db, deps = {}) {
+  const events = deps.events || null;
+
+  const selectIdentity = db.prepare(
+    `SELECT * FROM device_identity_keys WHERE device_id = ?`
+  );
+
+  const upsertIdentity = db.prepare(
+    `INSERT INTO device_identity_keys (
+       device_id, identity_key, signed_prekey_id, signed_prekey, signed_prekey_signature,
+       created_at, updated_at, identity_changed_at
+     ) VALUES (
+       @device_id, @identity_key, @signed_prekey_id, @signed_prekey, @signed_prekey_signature,
+       @now, @now, @now
+     )
+     ON CONFLICT (device_id) DO UPDATE SET
+       identity_key = excluded.identity_key,
+       signed_prekey_id = excluded.signed_prekey_id,
+       signed_prekey = excluded.signed_prekey,
+       signed_prekey_signature = excluded.signed_prekey_signature,
+       updated_at = excluded.updated_at,
+       identity_changed_at = CASE
+         WHEN device_identity_keys.identity_key = excluded.identity_key
+           THEN device_identity_keys.identity_changed_at
+         ELSE excluded.identity_changed_at
+       END`
+  );
+
+  const insertPrekey = db.prepare(
+    `INSERT INTO device_one_time_prekeys (device_id, key_id, public_key, created_at)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT (device_id, key_id) DO NOTHING`
+  );
+
+  const deleteAllPrekeys = db.prepare(
+    `DELETE FROM device_one_time_prekeys WHERE device_id = ?`
+  );
+
+  const countPrekeys = db.prepare(
+    `SELECT COUNT(*) AS n FROM device_one_time_prekeys WHERE device_id = ?`
+  );
+
+  const claimPrekey = db.prepare(
+    `DELETE FROM device_one_time_prekeys
+     WHERE rowid = (
+       SELECT rowid FROM device_one_time_prekeys WHERE device_id = ?
+       ORDER BY key_id ASC LIMIT 1
+     )
+     RETURNING key_id, public_key`
+  );
+
+  const selectLinkedRoomIds = db.prepare(
+    `SELECT l.room_id FROM device_room_links l
+     INNER JOIN rooms r ON r.id = l.room_id
+     WHERE l.device_id = ? AND r.deleted_at IS NULL`
+  );
+
+  const selectRoomDirectory = db.prepare(
+    `SELECT l.device_id, l.linked_at, k.identity_key, k.identity_changed_at
+     FROM device_room_links l
+     LEFT JOIN device_identity_keys k ON k.device_id = l.device_id
+     WHERE l.room_id = ?
+     ORDER BY l.linked_at ASC, l.device_id ASC`
+  );
+
+  /**
+   * @param {object|undefined} row `device_identity_keys` row
+   */
+  function identityView(row) {
+    if (!row) return null;
+    return {
+      identityKey: row.identity_key,
+      identityChangedAt: row.identity_changed_at,
+      signedPrekey: {
+        keyId: row.signed_prekey_id,
+        publicKey: row.signed_prekey,
+        signature: row.signed_prekey_signature,
+      },
+      updatedAt: row.updated_at,
+    };
+  }
+
+  /**
+   * Publish or replace the identity key + signed prekey and add one-time prekeys. A new identity
+   * key drops the old one-time prekeys (they belong to the old identity).
+   *
+   * @param {{
+   *   deviceId: string,
+   *   identityKey: string,
+   *   signedPrekey: { keyId: number, publicKey: string, signature: string },
+   *   oneTimePrekeys: { keyId: number, publicKey: string }[],
+   *   maxStoredPrekeys: number,
+   *   now?: number,
+   * }} p
+   * @returns {{ ok: true, identityChanged: boolean, created: boolean, oneTimePrekeyCount: number } | { ok: false, reason: "too_many_prekeys" }}
+   */
+  function publishKeys(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    const out = db.transaction(() => {
+      const prev = selectIdentity.get(p.deviceId);
+      const identityChanged = Boolean(prev && prev.identity_key !== p.identityKey);
+      if (identityChanged) deleteAllPrekeys.run(p.deviceId);
+      const stored = countPrekeys.get(p.deviceId).n;
+      if (stored + p.oneTimePrekeys.length > p.maxStoredPrekeys) {
+        return { ok: false, reason: "too_many_prekeys" };
+      }
+      upsertIdentity.run({
+        device_id: p.deviceId,
+        identity_key: p.identityKey,
+        signed_prekey_id: p.signedPrekey.keyId,
+        signed_prekey: p.signedPrekey.publicKey,
+        signed_prekey_signature: p.signedPrekey.signature,
+        now,
+      });
+      for (const k of p.oneTimePrekeys) {
+        insertPrekey.run(p.deviceId, k.keyId, k.publicKey, now);
+      }
+      return {
+        ok: true,
+        identityChanged,
+        created: !prev,
+        oneTimePrekeyCount: countPrekeys.get(p.deviceId).n,
+        roomIds: identityChanged ? selectLinkedRoomIds.all(p.deviceId).map((r) => r.room_id) : [],
+      };
+    })();
+    if (!out.ok) return out;
+
+    if (events && out.identityChanged) {
+      const at = new Date(now).toISOString();
+      for (const roomId of out.roomIds) {
+        events.publish(roomId, ROOM_EVENT_TYPES.SAFETY_NUMBER_CHANGED, {
+          memberId: deriveRoomMemberId(roomId, p.deviceId),
+          identityChangedAt: at,
+        });
+      }
+    }
+    return {
+      ok: true,
+      identityChanged: out.identityChanged,
+      created: out.created,
+      oneTimePrekeyCount: out.oneTimePrekeyCount,
+    };
+  }
+
+  /**
+   * @param {string} deviceId
+   * @returns {(NonNullable<ReturnType<typeof identityView>> & { oneTimePrekeyCount: number }) | null}
+   */
+  function getOwnKeys(deviceId) {
+    const view = identityView(selectIdentity.get(deviceId));
+    if (!view) return null;
+    return { ...view, oneTimePrekeyCount: countPrekeys.get(deviceId).n };
+  }
+
+  /**
+   * Bundle for a peer: identity key, signed prekey, and one one-time prekey (removed from the pool).
+   * `oneTimePrekey` is null once the pool is empty; clients fall back to the signed prekey.
+   * @param {string} deviceId
+   */
+  function claimBundle(deviceId) {
+    return db.transaction(() => {
+      const view = identityView(selectIdentity.get(deviceId));
+      if (!view) return null;
+      const otp = claimPrekey.get(deviceId);
+      return {
+        ...view,
+        oneTimePrekey: otp ? { keyId: otp.key_id, publicKey: otp.public_key } : null,
+      };
+    })();
+  }
+
+  /**
+   * Linked devices of a room with their identity keys (null when not published).
+   * @param {string} roomId
+   * @returns {{ deviceId: string, identityKey: string|null, identityChangedAt: number|null }[]}
+   */
+  function listRoomDirectory(roomId) {
+    return selectRoomDirectory.all(roomId).map((r) => ({
+      deviceId: r.device_id,
+      identityKey: r.identity_key,
+      identityChangedAt: r.identity_changed_at,
+    }));
+  }
+
+  return {
+    publishKeys,
+    getOwnKeys,
+    claimBundle,
+    listRoomDirectory,
+  };
+}
+
+module.exports = { createE2eeKeyRepository };
@@ -2,12 +2,25 @@ const { openDatabase, resolveDatabaseFilePath } = require("./db");
 const { createRoomRepository } = require("./roomRepository");
 const { createAttachmentRepository } = require("./attachmentRepository");
 const { createCoinWalletRepository } = require("./coinWalletRepository");
+const { createRetentionPurgeRepository } = require("./retentionPurgeRepository");
+const { createCallMeteringRepository } = require("./callMeteringRepository");
+const { createCallSignalingRepository } = require("./callSignalingRepository");
+const { createCallHistoryRepository } = require("./callHistoryRepository");
+const { createDeviceKeyRepository } = require("./deviceKeyRepository");
+const { createDeviceSessionRepository } = require("./deviceSessionRepository");
+const { createE2eeKeyRepository } = require("./e2eeKeyRepository");
+const { createAccountRepository } = require("./accountRepository");
+const { createDeviceTransferRepository } = require("./deviceTransferRepository");
+const { createRateLimitRepository } = require("./rateLimitRepository");
+const { createRoomInviteRepository } = require("./roomInviteRepository");
+const { MAX_BILLABLE_SECONDS } = require("../connectCallTariff");
 const { createDeviceMembershipStore } = require("../deviceMembership");
 const { createCallFreeAllowance } = require("../callFreeAllowance");
 const {
   createS3ClientFromEnv,
   createAttachmentObjectStorage,
 } = require("../attachments/s3AttachmentStorage");
+const { createRoomEventBus } = require("../roomEvents");
 
 /**
  * @param {{ dbFilePath?: string }} [opts]
@@ -16,11 +29,26 @@ function createRoomStore(opts = {}) {
   const dbFilePath = resolveDatabaseFilePath(opts.dbFilePath);
 
   const db = openDatabase(dbFilePath);
-  const membership = createDeviceMembershipStore(db);
+  const events = createRoomEventBus();
+  const accounts = createAccountRepository(db, { events });
+  const membership = createDeviceMembershipStore(db, { accounts });
   const attachments = createAttachmentRepository(db);
-  const rooms = createRoomRepository(db, { membership, attachments });
-  const coins = createCoinWalletRepository(db);
-  const callFree = createCallFreeAllowance(db);
+  const rooms = createRoomRepository(db, { membership, attachments, events, accounts });
+  const coins = createCoinWalletRepository(db, { accounts });
+  const callFree = createCallFreeAllowance(db, { accounts });
+  const retentionPurge = createRetentionPurgeRepository(db);
+  const callMetering = createCallMeteringRepository(db);
+  const callSignaling = createCallSignalingRepository(db, {
+    events,
+    maxActiveMs: MAX_BILLABLE_SECONDS * 1000,
+  });
+  const callHistory = createCallHistoryRepository(db, { rooms });
+  const deviceKeys = createDeviceKeyRepository(db);
+  const deviceSessions = createDeviceSessionRepository(db);
+  const e2eeKeys = createE2eeKeyRepository(db, { events });
+  const deviceTransfers = createDeviceTransferRepository(db, { coins, membership, accounts });
+  const rateLimits = createRateLimitRepository(db);
+  const invites = createRoomInviteRepository(db, { rooms });
 
   const s3cfg = createS3ClientFromEnv();
   const attachmentStorage = s3cfg
@@ -35,6 +63,29 @@ function createRoomStore(opts = {}) {
     attachmentStorage,
     coins,
     callFree,
+    retentionPurge,
+    /** LiveKit webhook presence for server-observed call duration */
+    callMetering,
+    /** Server-issued call invites (ring / accept / decline / cancel / missed / end) */
+    callSignaling,
+    /** Per-room call log (no coin data) */
+    callHistory,
+    /** Ed25519 device keys + signed-request nonces */
+    deviceKeys,
+    /** Challenge / verify bearer sessions (hashed tokens) */
+    deviceSessions,
+    /** E2EE public key directory (identity / signed / one-time prekeys) */
+    e2eeKeys,
+    /** Multi-device accounts: pairing codes, linked devices, billing id resolution */
+    accounts,
+    /** Code-confirmed move of wallet balance + membership to another device */
+    deviceTransfers,
+    /** Per-IP / per-device token buckets and failed-join lockouts */
+    rateLimits,
+    /** High-entropy invite tokens (expiry, max uses, revocation) next to 6-digit codes */
+    invites,
+    /** In-process room event bus for the realtime stream */
+    events,
     /** Absolute path used for logs / ops */
     dbFilePath,
   };
@@ -0,0 +1,115 @@
+// Per-minute buckets are full again after at most a minute; rows idle this long carry no state.
+const STALE_BUCKET_MS = 60 * 60 * 1000;
+
+/**
+ * Token buckets and failed-attempt lockouts for rate limiting (Phase Rate-Limit-1). Keys are
+ * opaque (`join:ip:…`, `messages:device:…`); policy and env config live in `src/rateLimit.js`.
+ *
+ * @see docs/connect-rate-limits.md
+ * @param {import("better-sqlite3").Database} db
+ */
+function createRateLimitRepository(db) {
+  const selectBucket = db.prepare(
+    `SELECT tokens, updated_at FROM rate_limit_buckets WHERE bucket_key = ?`
+  );
+
+  const upsertBucket = db.prepare(
+    `INSERT INTO rate_limit_buckets (bucket_key, tokens, updated_at)
+     VALUES (?, ?, ?)
+     ON CONFLICT (bucket_key) DO UPDATE SET tokens = excluded.tokens, updated_at = excluded.updated_at`
+  );
+
+  const deleteStaleBuckets = db.prepare(
+    `DELETE FROM rate_limit_buckets WHERE updated_at < ?`
+  );
+
+  const selectFailures = db.prepare(
+    `SELECT failures, last_failure_at, locked_until FROM rate_limit_failures WHERE subject_key = ?`
+  );
+
+  const upsertFailures = db.prepare(
+    `INSERT INTO rate_limit_failures (subject_key, failures, last_failure_at, locked_until)
+     VALUES (@key, @failures, @now, @locked_until)
+     ON CONFLICT (subject_key) DO UPDATE SET
+       failures = excluded.failures,
+       last_failure_at = excluded.last_failure_at,
+       locked_until = excluded.locked_until`
+  );
+
+  const deleteFailures = db.prepare(
+    `DELETE FROM rate_limit_failures WHERE subject_key = ?`
+  );
+
+  const deleteStaleFailures = db.prepare(
+    `DELETE FROM rate_limit_failures
+     WHERE last_failure_at < ? AND (locked_until IS NULL OR locked_until < ?)`
+  );
+
+  /**
+   * Take one token from `key`'s bucket. A missing bucket starts full.
+   * @param {{ key: string, capacity: number, refillPerMs: number, now?: number }} p
+   * @returns {{ ok: true, remaining: number } | { ok: false, retryAfterMs: number }}
+   */
+  function takeToken(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      deleteStaleBuckets.run(now - STALE_BUCKET_MS);
+      const row = selectBucket.get(p.key);
+      const elapsed = row ? Math.max(0, now - row.updated_at) : 0;
+      const tokens = row ? Math.min(p.capacity, row.tokens + elapsed * p.refillPerMs) : p.capacity;
+      if (tokens < 1) {
+        upsertBucket.run(p.key, tokens, now);
+        return { ok: false, retryAfterMs: Math.ceil((1 - tokens) / p.refillPerMs) };
+      }
+      upsertBucket.run(p.key, tokens - 1, now);
+      return { ok: true, remaining: Math.floor(tokens - 1) };
+    })();
+  }
+
+  /**
+   * @param {string} key
+   * @param {number} [now]
+   * @returns {number|null} ms epoch while locked out, else null
+   */
+  function getLockedUntil(key, now = Date.now()) {
+    const row = selectFailures.get(key);
+    return row && row.locked_until != null && row.locked_until > now ? row.locked_until : null;
+  }
+
+  /**
+   * Count a failed attempt. From `threshold` failures on, each further failure locks the key for
+   * `baseMs · 2^(failures − threshold)`, capped at `maxMs`. A quiet `windowMs` resets the count.
+   *
+   * @param {{ key: string, threshold: number, baseMs: number, maxMs: number, windowMs: number, now?: number }} p
+   * @returns {{ failures: number, lockedUntil: number|null }}
+   */
+  function recordFailure(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      deleteStaleFailures.run(now - p.windowMs, now);
+      const row = selectFailures.get(p.key);
+      const failures = (row && row.last_failure_at >= now - p.windowMs ? row.failures : 0) + 1;
+      let lockedUntil = null;
+      if (failures >= p.threshold) {
+        const exp = Math.min(failures - p.threshold, 30);
+        lockedUntil = now + Math.min(p.maxMs, p.baseMs * 2 ** exp);
+      }
+      upsertFailures.run({ key: p.key, failures, now, locked_until: lockedUntil });
+      return { failures, lockedUntil };
+    })();
+  }
+
+  /** @param {string} key */
+  function clearFailures(key) {
+    deleteFailures.run(key);
+  }
+
+  return {
+    takeToken,
+    getLockedUntil,
+    recordFailure,
+    clearFailures,
+  };
+}
+
+module.exports = { createRateLimitRepository };
@@ -0,0 +1,145 @@
+/**
+ * SQLite side of the retention purge job (Phase Retention-Purge-1).
+ * Selection + batch delete + audit; policy (windows, overlay) lives in `src/retentionPurge.js`.
+ *
+ * @see docs/v2-retention-purge.md
+ * @param {import("better-sqlite3").Database} db
+ */
+function createRetentionPurgeRepository(db) {
+  /** Rooms that still hold at least one message, with the oldest message time. */
+  const selectRoomsWithMessages = db.prepare(
+    `SELECT r.id, r.retention_tier, r.retention_until, MIN(m.created_at) AS oldest_message_at
+     FROM rooms r
+     JOIN room_messages m ON m.room_id = r.id
+     GROUP BY r.id
+     ORDER BY r.id`
+  );
+
+  const selectLinkedDeviceIds = db.prepare(
+    `SELECT device_id FROM device_room_links WHERE room_id = ?`
+  );
+
+  const selectExpiredBatch = db.prepare(
+    `SELECT m.id, m.attachment_id, a.storage_key
+     FROM room_messages m
+     LEFT JOIN room_attachments a ON a.id = m.attachment_id
+     WHERE m.room_id = @room_id AND m.created_at < @cutoff
+     ORDER BY m.created_at ASC, m.id ASC
+     LIMIT @limit`
+  );
+
+  const countExpired = db.prepare(
+    `SELECT COUNT(*) AS messages, COUNT(m.attachment_id) AS attachments
+     FROM room_messages m
+     WHERE m.room_id = @room_id AND m.created_at < @cutoff`
+  );
+
+  // Re-checks the cutoff so a replayed batch never removes a newer row.
+  const deleteExpiredMessage = db.prepare(
+    `DELETE FROM room_messages WHERE id = @id AND room_id = @room_id AND created_at < @cutoff`
+  );
+
+  const deleteAttachmentRow = db.prepare(
+    `DELETE FROM room_attachments WHERE id = ? AND room_id = ?`
+  );
+
+  const insertAudit = db.prepare(
+    `INSERT INTO retention_purge_audit (
+       id, run_id, room_id, effective_tier, cutoff_at, messages_deleted,
+       attachments_deleted, storage_keys_deleted, dry_run, created_at
+     ) VALUES (
+       @id, @run_id, @room_id, @effective_tier, @cutoff_at, @messages_deleted,
+       @attachments_deleted, @storage_keys_deleted, @dry_run, @created_at
+     )`
+  );
+
+  const selectAuditForRoom = db.prepare(
+    `SELECT * FROM retention_purge_audit WHERE room_id = ? ORDER BY created_at ASC, id ASC`
+  );
+
+  /**
+   * @returns {{ id: string, retention_tier: string|null, retention_until: number|null, oldest_message_at: number }[]}
+   */
+  function listRoomsWithMessages() {
+    return selectRoomsWithMessages.all();
+  }
+
+  /**
+   * @param {string} roomId
+   * @returns {string[]}
+   */
+  function listLinkedDeviceIds(roomId) {
+    return selectLinkedDeviceIds.all(roomId).map((r) => r.device_id);
+  }
+
+  /**
+   * @param {string} roomId
+   * @param {number} cutoff epoch ms — messages strictly older are expired
+   * @param {number} limit
+   * @returns {{ id: string, attachment_id: string|null, storage_key: string|null }[]}
+   */
+  function listExpiredBatch(roomId, cutoff, limit) {
+    return selectExpiredBatch.all({ room_id: roomId, cutoff, limit });
+  }
+
+  /**
+   * @returns {{ messages: number, attachments: number }}
+   */
+  function countExpiredForRoom(roomId, cutoff) {
+    return countExpired.get({ room_id: roomId, cutoff });
+  }
+
+  /**
+   * Deletes one selected batch and writes its audit row atomically.
+   * @param {{ runId: string, roomId: string, effectiveTier: string, cutoff: number, batch: { id: string, attachment_id: string|null }[], storageKeysDeleted: number, auditId: string, now: number }} p
+   * @returns {{ messagesDeleted: number, attachmentsDeleted: number }}
+   */
+  function deleteBatchWithAudit(p) {
+    const tx = db.transaction(() => {
+      let messagesDeleted = 0;
+      let attachmentsDeleted = 0;
+      for (const row of p.batch) {
+        messagesDeleted += deleteExpiredMessage.run({
+          id: row.id,
+          room_id: p.roomId,
+          cutoff: p.cutoff,
+        }).changes;
+        if (row.attachment_id) {
+          attachmentsDeleted += deleteAttachmentRow.run(row.attachment_id, p.roomId).changes;
+        }
+      }
+      insertAudit.run({
+        id: p.auditId,
+        run_id: p.runId,
+        room_id: p.roomId,
+        effective_tier: p.effectiveTier,
+        cutoff_at: p.cutoff,
+        messages_deleted: messagesDeleted,
+        attachments_deleted: attachmentsDeleted,
+        storage_keys_deleted: p.storageKeysDeleted,
+        dry_run: 0,
+        created_at: p.now,
+      });
+      return { messagesDeleted, attachmentsDeleted };
+    });
+    return tx();
+  }
+
+  /**
+   * @param {string} roomId
+   */
+  function listAuditForRoom(roomId) {
+    return selectAuditForRoom.all(roomId);
+  }
+
+  return {
+    listRoomsWithMessages,
+    listLinkedDeviceIds,
+    listExpiredBatch,
+    countExpiredForRoom,
+    deleteBatchWithAudit,
+    listAuditForRoom,
+  };
+}
+
+module.exports = { createRetentionPurgeRepository };
@@ -0,0 +1,187 @@
+const crypto = require("crypto");
+
+function randomInviteToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token), "utf8").digest("hex");
+}
+
+/**
+ * Invite tokens (Phase Invite-Tokens-1): long random, URL-safe secrets for deep links and QR codes,
+ * alongside the room's 6-digit `invite_code`. Each token may expire, cap its uses and be revoked;
+ * only the SHA-256 hash is stored. Redeeming goes through `rooms.joinActiveRoomById`, so member-cap
+ * rules match code joins. Minting, listing and revoking need a room admin
+ * (docs/connect-room-roles.md).
+ *
+ * @see docs/connect-invite-tokens.md
+ * @param {import("better-sqlite3").Database} db
+ * @param {{ rooms: ReturnType<import("./roomRepository").createRoomRepository> }} deps
+ */
+function createRoomInviteRepository(db, deps) {
+  const { rooms } = deps;
+
+  const insertToken = db.prepare(
+    `INSERT INTO room_invite_tokens (
+       id, room_id, token_hash, created_by_device_id, created_at, expires_at, max_uses
+     ) VALUES (?, ?, ?, ?, ?, ?, ?)`
+  );
+
+  const selectByHash = db.prepare(
+    `SELECT * FROM room_invite_tokens WHERE token_hash = ?`
+  );
+
+  const selectByRoomAndId = db.prepare(
+    `SELECT * FROM room_invite_tokens WHERE room_id = ? AND id = ?`
+  );
+
+  const selectByRoom = db.prepare(
+    `SELECT * FROM room_invite_tokens WHERE room_id = ? ORDER BY created_at DESC, id ASC`
+  );
+
+  const countUsableForRoom = db.prepare(
+    `SELECT COUNT(*) AS c FROM room_invite_tokens
+     WHERE room_id = @room_id AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > @now)
+       AND (max_uses IS NULL OR use_count < max_uses)`
+  );
+
+  const markUsed = db.prepare(
+    `UPDATE room_invite_tokens SET use_count = use_count + 1, last_used_at = ? WHERE id = ?`
+  );
+
+  const markRevoked = db.prepare(
+    `UPDATE room_invite_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL`
+  );
+
+  const selectRoomState = db.prepare(
+    `SELECT state, deleted_at FROM rooms WHERE id = ?`
+  );
+
+  /**
+   * @param {object} row
+   * @param {number} now
+   * @returns {"active" | "revoked" | "expired" | "used_up"}
+   */
+  function tokenStatus(row, now) {
+    if (row.revoked_at != null) return "revoked";
+    if (row.expires_at != null && row.expires_at <= now) return "expired";
+    if (row.max_uses != null && row.use_count >= row.max_uses) return "used_up";
+    return "active";
+  }
+
+  /**
+   * @param {object} row `room_invite_tokens` row
+   * @param {string} deviceId viewer
+   * @param {number} now
+   */
+  function tokenView(row, deviceId, now) {
+    return {
+      tokenId: row.id,
+      status: tokenStatus(row, now),
+      createdAt: row.created_at,
+      createdBySelf: row.created_by_device_id === deviceId,
+      expiresAt: row.expires_at,
+      maxUses: row.max_uses,
+      useCount: row.use_count,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at,
+    };
+  }
+
+  function accessFailure(roomId, deviceId) {
+    const access = rooms.checkRoomAdminAccess(roomId, deviceId);
+    return access.ok ? null : { ok: false, reason: access.reason };
+  }
+
+  /**
+   * Mint a token for an active room the device administers. The raw token is returned once.
+   * @param {{ roomId: string, deviceId: string, ttlMs?: number|null, maxUses?: number|null, maxPerRoom: number, now?: number }} p
+   * @returns {{ ok: true, token: string, invite: ReturnType<typeof tokenView> } | { ok: false, reason: "not_found" | "forbidden" | "deleted" | "not_room_admin" | "not_active" | "too_many_invites" }}
+   */
+  function createInvite(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      const denied = accessFailure(p.roomId, p.deviceId);
+      if (denied) return denied;
+      if (selectRoomState.get(p.roomId).state !== "active") return { ok: false, reason: "not_active" };
+      if (countUsableForRoom.get({ room_id: p.roomId, now }).c >= p.maxPerRoom) {
+        return { ok: false, reason: "too_many_invites" };
+      }
+      const token = randomInviteToken();
+      const id = `inv_${crypto.randomBytes(8).toString("hex")}`;
+      const expiresAt = p.ttlMs != null ? now + p.ttlMs : null;
+      insertToken.run(id, p.roomId, hashToken(token), p.deviceId, now, expiresAt, p.maxUses ?? null);
+      return { ok: true, token, invite: tokenView(selectByRoomAndId.get(p.roomId, id), p.deviceId, now) };
+    })();
+  }
+
+  /**
+   * Every token of the room, newest first, including revoked / expired / used-up ones.
+   * @param {{ roomId: string, deviceId: string, now?: number }} p
+   * @returns {{ ok: true, invites: ReturnType<typeof tokenView>[] } | { ok: false, reason: "not_found" | "forbidden" | "deleted" | "not_room_admin" }}
+   */
+  function listInvites(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    const denied = accessFailure(p.roomId, p.deviceId);
+    if (denied) return denied;
+    return {
+      ok: true,
+      invites: selectByRoom.all(p.roomId).map((row) => tokenView(row, p.deviceId, now)),
+    };
+  }
+
+  /**
+   * @param {{ roomId: string, deviceId: string, tokenId: string, now?: number }} p
+   * @returns {{ ok: true, invite: ReturnType<typeof tokenView>, alreadyRevoked: boolean } | { ok: false, reason: "not_found" | "forbidden" | "deleted" | "not_room_admin" | "invite_not_found" }}
+   */
+  function revokeInvite(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      const denied = accessFailure(p.roomId, p.deviceId);
+      if (denied) return denied;
+      const row = selectByRoomAndId.get(p.roomId, p.tokenId);
+      if (!row) return { ok: false, reason: "invite_not_found" };
+      const changed = markRevoked.run(now, row.id).changes === 1;
+      return {
+        ok: true,
+        invite: tokenView(selectByRoomAndId.get(p.roomId, row.id), p.deviceId, now),
+        alreadyRevoked: !changed,
+      };
+    })();
+  }
+
+  /**
+   * Join the token's room (or knock, in a `knock` room). A device that is already a member does not
+   * use up the token.
+   * @param {{ token: string, deviceId: string, now?: number }} p
+   * @returns {ReturnType<ReturnType<import("./roomRepository").createRoomRepository>["joinActiveRoomById"]> | { ok: false, reason: "invalid_invite_token" }}
+   */
+  function redeemInvite(p) {
+    const now = typeof p.now === "number" ? p.now : Date.now();
+    return db.transaction(() => {
+      const row = selectByHash.get(hashToken(p.token));
+      if (!row || tokenStatus(row, now) !== "active") return { ok: false, reason: "invalid_invite_token" };
+      const room = selectRoomState.get(row.room_id);
+      if (!room || room.state !== "active" || room.deleted_at != null) {
+        return { ok: false, reason: "invalid_invite_token" };
+      }
+      const out = rooms.joinActiveRoomById({ roomId: row.room_id, deviceId: p.deviceId });
+      // A knock (docs/connect-join-requests.md) uses the token like a join does.
+      if ((out.ok && !out.alreadyMember) || (out.reason === "join_request_pending" && out.created)) {
+        markUsed.run(now, row.id);
+      }
+      return out;
+    })();
+  }
+
+  return {
+    createInvite,
+    listInvites,
+    revokeInvite,
+    redeemInvite,
+  };
+}
+
+module.exports = { createRoomInviteRepository };
@@ -19,14 +19,26 @@ const {
   normalizeRoomKind,
   effectiveJoinMemberCap,
   parseGroupMemberCap,
+  parseRoomJoinMode,
   groupRoomsRequirePro,
   mutualSaveApplicableForRoom,
 } = require("../groupRoomPolicy");
+const { ROOM_EVENT_TYPES } = require("../roomEvents");
+const { deriveRoomMemberId, findDeviceByMemberId } = require("../roomMemberIdentity");
+const { MAX_REACTIONS_PER_MEMBER } = require("../messageReactionPolicy");
+const { envInt } = require("../envFlags");
 
 /** Legacy alias: direct (1:1) rooms always cap at 2 members. */
 const MAX_V1_DEVICES_PER_ROOM = 2;
 const INVITE_ROTATE_MAX_ATTEMPTS = 25;
 
+/** Group room roles, lowest to highest (docs/connect-room-roles.md). */
+const ROOM_ROLE_RANK = Object.freeze({ member: 1, admin: 2, owner: 3 });
+
+/** Coarse member presence windows (docs/connect-room-members.md). */
+const PRESENCE_ONLINE_MS = 2 * 60 * 1000;
+const PRESENCE_RECENT_MS = 24 * 60 * 60 * 1000;
+
 /** Default window for pending save requests (overridable via MUTUAL_SAVE_PENDING_MS). */
 const SAVE_PENDING_MS_DEFAULT = 7 * 24 * 60 * 60 * 1000;
 
@@ -35,11 +47,39 @@ function savePendingDurationMs() {
   return Number.isFinite(n) && n > 0 ? n : SAVE_PENDING_MS_DEFAULT;
 }
 
+/** `CONNECT_MESSAGE_DELETE_WINDOW_MS` — sender unsend window. Default 24h; 1s – 365 days. */
+function messageDeleteWindowMs() {
+  return envInt(
+    "CONNECT_MESSAGE_DELETE_WINDOW_MS",
+    24 * 60 * 60 * 1000,
+    1000,
+    365 * 24 * 60 * 60 * 1000
+  );
+}
+
+/** `CONNECT_MESSAGE_MAX_EDITS` — edits per message. Default 10; 1 – 100. */
+function messageMaxEdits() {
+  return envInt("CONNECT_MESSAGE_MAX_EDITS", 10, 1, 100);
+}
+
 function nowMs() {
   return Date.now();
 }
 
 function mapMessageRow(row) {
+  if (row.deleted_at != null) {
+    // Tombstone (docs/connect-message-unsend.md): keeps id / seq / sender, never the payload.
+    return {
+      id: row.id,
+      seq: row.seq,
+      senderId: row.sender_id,
+      type: "deleted",
+      encrypted: null,
+      fileName: null,
+      replyToMessageId: row.reply_to_message_id || null,
+      deletedAt: toIso(row.deleted_at),
+    };
+  }
   const mt = row.msg_type;
   let type = "text";
   if (mt === "image" || mt === "video" || mt === "file") {
@@ -51,10 +91,14 @@ function mapMessageRow(row) {
   }
   const out = {
     id: row.id,
+    seq: row.seq,
     senderId: row.sender_id,
     type,
     encrypted: { ciphertext: row.ciphertext, nonce: row.nonce },
     fileName: row.file_name,
+    replyToMessageId: row.reply_to_message_id || null,
+    revision: row.revision || 0,
+    editedAt: toIso(row.edited_at),
   };
   if (
     row.attachment_id &&
@@ -172,11 +216,23 @@ function retentionView(room) {
 
 /**
  * @param {import("better-sqlite3").Database} db
- * @param {{ membership?: object|null, attachments?: object|null }} [opts]
+ * @param {{ membership?: object|null, attachments?: object|null, events?: ReturnType<import("../roomEvents").createRoomEventBus>|null, accounts?: { listLinkedDeviceIds: (deviceId: string) => string[] }|null }} [opts]
  */
 function createRoomRepository(db, opts = {}) {
   const membership = opts.membership || null;
   const attachments = opts.attachments || null;
+  const events = opts.events || null;
+  const accounts = opts.accounts || null;
+
+  /**
+   * Realtime fan-out after a committed write (no-op when the store has no event bus).
+   * @see docs/v2-room-stream.md
+   */
+  function emitRoomEvent(roomId, type, payload) {
+    if (events) {
+      events.publish(roomId, type, payload);
+    }
+  }
 
   /**
    * Effective retention for API responses: CONNECT membership includes a minimum paid tier without coins.
@@ -220,7 +276,8 @@ function createRoomRepository(db, opts = {}) {
     `SELECT id, invite_code, state, created_at, updated_at, ended_at, deleted_at,
             last_message_at, schema_version, retention_tier, retention_until, retention_source,
             save_state, save_requested_by_device_id, save_requested_at, save_responded_at,
-            save_pending_expires_at, room_kind, member_cap
+            save_pending_expires_at, room_kind, member_cap, join_mode, created_by_device_id,
+            message_seq
      FROM rooms WHERE id = ?`
   );
 
@@ -261,9 +318,11 @@ function createRoomRepository(db, opts = {}) {
 
   const insertRoom = db.prepare(
     `INSERT INTO rooms (id, invite_code, state, created_at, updated_at, last_message_at,
-            retention_tier, retention_until, retention_source, room_kind, member_cap)
+            retention_tier, retention_until, retention_source, room_kind, member_cap,
+            join_mode, created_by_device_id)
      VALUES (@id, @invite_code, 'active', @created_at, @updated_at, @last_message_at,
-            'default', NULL, 'server_default', @room_kind, @member_cap)`
+            'default', NULL, 'server_default', @room_kind, @member_cap,
+            @join_mode, @created_by_device_id)`
   );
 
   const insertRetentionPurchase = db.prepare(
@@ -335,18 +394,158 @@ function createRoomRepository(db, opts = {}) {
   );
 
   const insertMessage = db.prepare(
-    `INSERT INTO room_messages (id, room_id, sender_id, msg_type, ciphertext, nonce, file_name, created_at, attachment_id)
-     VALUES (@id, @room_id, @sender_id, @msg_type, @ciphertext, @nonce, @file_name, @created_at, @attachment_id)`
+    `INSERT INTO room_messages (id, room_id, seq, sender_id, msg_type, ciphertext, nonce, file_name, created_at, attachment_id, reply_to_message_id)
+     VALUES (@id, @room_id, @seq, @sender_id, @msg_type, @ciphertext, @nonce, @file_name, @created_at, @attachment_id, @reply_to_message_id)`
   );
 
-  const selectMessages = db.prepare(
-    `SELECT m.id, m.sender_id, m.msg_type, m.ciphertext, m.nonce, m.file_name, m.created_at, m.attachment_id,
-            a.kind AS att_kind, a.mime_type AS att_mime_type, a.size_bytes AS att_size_bytes,
-            a.original_filename AS att_original_filename
+  /** Allocates the next per-room message `seq` (call inside the insert transaction). */
+  const nextMessageSeq = db.prepare(
+    `UPDATE rooms SET message_seq = message_seq + 1 WHERE id = ? RETURNING message_seq`
+  );
+
+  const MESSAGE_COLUMNS_SQL = `m.id, m.seq, m.sender_id, m.msg_type, m.ciphertext, m.nonce, m.file_name, m.created_at,
+            m.deleted_at, m.revision, m.edited_at, m.reply_to_message_id, m.attachment_id, a.kind AS att_kind, a.mime_type AS att_mime_type,
+            a.size_bytes AS att_size_bytes, a.original_filename AS att_original_filename
      FROM room_messages m
-     LEFT JOIN room_attachments a ON m.attachment_id = a.id
+     LEFT JOIN room_attachments a ON m.attachment_id = a.id`;
+
+  const selectMessages = db.prepare(
+    `SELECT ${MESSAGE_COLUMNS_SQL}
      WHERE m.room_id = ?
-     ORDER BY m.created_at ASC, m.id ASC`
+     ORDER BY m.seq ASC`
+  );
+
+  const selectMessagesBeforeSeq = db.prepare(
+    `SELECT ${MESSAGE_COLUMNS_SQL}
+     WHERE m.room_id = @room_id AND m.seq < @before
+     ORDER BY m.seq DESC
+     LIMIT @limit`
+  );
+
+  const selectMessagesAfterSeq = db.prepare(
+    `SELECT ${MESSAGE_COLUMNS_SQL}
+     WHERE m.room_id = @room_id AND m.seq > @after
+     ORDER BY m.seq ASC
+     LIMIT @limit`
+  );
+
+  const selectMessageView = db.prepare(
+    `SELECT ${MESSAGE_COLUMNS_SQL}
+     WHERE m.id = ?`
+  );
+
+  const selectRoomMessageById = db.prepare(
+    `SELECT id, seq, sender_id, msg_type, attachment_id, created_at, deleted_at, revision
+     FROM room_messages WHERE id = ? AND room_id = ?`
+  );
+
+  const updateMessagePayload = db.prepare(
+    `UPDATE room_messages
+     SET ciphertext = @ciphertext, nonce = @nonce, revision = @revision, edited_at = @edited_at
+     WHERE id = @id AND deleted_at IS NULL`
+  );
+
+  const insertMessageRevision = db.prepare(
+    `INSERT INTO room_message_revisions (message_id, revision, ciphertext, nonce, edited_at)
+     VALUES (@message_id, @revision, @ciphertext, @nonce, @edited_at)`
+  );
+
+  const deleteMessageRevisions = db.prepare(
+    `DELETE FROM room_message_revisions WHERE message_id = ?`
+  );
+
+  // Empty strings satisfy NOT NULL on ciphertext / nonce; mapMessageRow never exposes them.
+  const tombstoneMessage = db.prepare(
+    `UPDATE room_messages
+     SET ciphertext = '', nonce = '', file_name = NULL, attachment_id = NULL, deleted_at = @deleted_at
+     WHERE id = @id AND deleted_at IS NULL`
+  );
+
+  const hasReaction = db.prepare(
+    `SELECT 1 FROM message_reactions
+     WHERE message_id = @message_id AND member_id = @member_id AND kind = @kind AND value = @value`
+  );
+
+  const insertReaction = db.prepare(
+    `INSERT INTO message_reactions (room_id, message_id, member_id, kind, value, created_at)
+     VALUES (@room_id, @message_id, @member_id, @kind, @value, @created_at)`
+  );
+
+  const deleteReaction = db.prepare(
+    `DELETE FROM message_reactions
+     WHERE message_id = @message_id AND member_id = @member_id AND kind = @kind AND value = @value`
+  );
+
+  const countMemberReactions = db.prepare(
+    `SELECT COUNT(*) AS c FROM message_reactions WHERE message_id = ? AND member_id = ?`
+  );
+
+  const deleteMessageReactions = db.prepare(
+    `DELETE FROM message_reactions WHERE message_id = ?`
+  );
+
+  const selectReactionsForMessages = db.prepare(
+    `SELECT message_id, member_id, kind, value FROM message_reactions
+     WHERE message_id IN (SELECT j.value FROM json_each(?) j)
+     ORDER BY created_at ASC, member_id ASC`
+  );
+
+  const selectReadCursor = db.prepare(
+    `SELECT * FROM room_read_cursors WHERE room_id = ? AND device_id = ?`
+  );
+
+  const upsertReadCursor = db.prepare(
+    `INSERT INTO room_read_cursors (
+       room_id, device_id, delivered_seq, delivered_message_id, read_seq, read_message_id,
+       share_read_state, updated_at
+     ) VALUES (
+       @room_id, @device_id, @delivered_seq, @delivered_message_id, @read_seq, @read_message_id,
+       @share_read_state, @updated_at
+     )
+     ON CONFLICT (room_id, device_id) DO UPDATE SET
+       delivered_seq = excluded.delivered_seq,
+       delivered_message_id = excluded.delivered_message_id,
+       read_seq = excluded.read_seq,
+       read_message_id = excluded.read_message_id,
+       share_read_state = excluded.share_read_state,
+       updated_at = excluded.updated_at`
+  );
+
+  const countUnreadMessages = db.prepare(
+    `SELECT COUNT(*) AS c FROM room_messages
+     WHERE room_id = @room_id AND seq > @read_seq AND deleted_at IS NULL AND sender_id != @device_id`
+  );
+
+  // Peers only: linked devices that opted in to share their cursors.
+  const selectSharedPeerCursors = db.prepare(
+    `SELECT c.* FROM room_read_cursors c
+     INNER JOIN device_room_links d ON d.room_id = c.room_id AND d.device_id = c.device_id
+     WHERE c.room_id = @room_id AND c.device_id != @device_id AND c.share_read_state = 1
+     ORDER BY c.read_seq DESC, c.device_id ASC`
+  );
+
+  const selectMessageIdBySeq = db.prepare(
+    `SELECT id FROM room_messages WHERE room_id = ? AND seq = ?`
+  );
+
+  const selectReplies = db.prepare(
+    `SELECT ${MESSAGE_COLUMNS_SQL}
+     WHERE m.room_id = @room_id AND m.reply_to_message_id = @parent_id
+     ORDER BY m.seq ASC`
+  );
+
+  const selectRepliesBeforeSeq = db.prepare(
+    `SELECT ${MESSAGE_COLUMNS_SQL}
+     WHERE m.room_id = @room_id AND m.reply_to_message_id = @parent_id AND m.seq < @before
+     ORDER BY m.seq DESC
+     LIMIT @limit`
+  );
+
+  const selectRepliesAfterSeq = db.prepare(
+    `SELECT ${MESSAGE_COLUMNS_SQL}
+     WHERE m.room_id = @room_id AND m.reply_to_message_id = @parent_id AND m.seq > @after
+     ORDER BY m.seq ASC
+     LIMIT @limit`
   );
 
   const countActiveRooms = db.prepare(
@@ -394,6 +593,7 @@ function createRoomRepository(db, opts = {}) {
       r.last_message_at,
       r.room_kind,
       r.member_cap,
+      r.join_mode,
       r.retention_tier,
       r.retention_until,
       r.retention_source,
@@ -404,6 +604,10 @@ function createRoomRepository(db, opts = {}) {
       r.save_pending_expires_at,
       (SELECT COUNT(*) FROM room_members m WHERE m.room_id = r.id) AS member_count,
       (SELECT COUNT(*) FROM room_messages msg WHERE msg.room_id = r.id) AS message_count,
+      (SELECT COUNT(*) FROM room_messages um
+        WHERE um.room_id = r.id AND um.deleted_at IS NULL AND um.sender_id != @device_id
+          AND um.seq > COALESCE((SELECT rc.read_seq FROM room_read_cursors rc
+            WHERE rc.room_id = r.id AND rc.device_id = @device_id), 0)) AS unread_count,
       (SELECT rm2.last_seen_at FROM room_members rm2
         WHERE rm2.room_id = r.id AND rm2.device_id = @device_id) AS my_last_seen_at,
       (SELECT rm3.last_live_chat_left_at FROM room_members rm3
@@ -655,9 +859,26 @@ function createRoomRepository(db, opts = {}) {
       return { ok: false, reason: "race_or_invalid_state" };
     }
     const refreshed = stmtRoomById.get(roomId);
+    emitSaveState(refreshed);
     return { ok: true, save: buildSavePayload(refreshed, dev, true) };
   }
 
+  /**
+   * Viewer-neutral save snapshot for stream subscribers (no `iRequested` / `canRespond`).
+   */
+  function emitSaveState(room) {
+    emitRoomEvent(room.id, ROOM_EVENT_TYPES.SAVE_STATE, {
+      save: {
+        enabled: true,
+        state: normalizeSaveStateRaw(room.save_state),
+        requestedByDeviceId: room.save_requested_by_device_id || null,
+        requestedAt: toIso(room.save_requested_at),
+        respondedAt: toIso(room.save_responded_at),
+        pendingExpiresAt: toIso(room.save_pending_expires_at),
+      },
+    });
+  }
+
   /**
    * POST /v2/rooms/:roomId/save/respond — only the non-requesting participant may respond.
    */
@@ -715,6 +936,7 @@ function createRoomRepository(db, opts = {}) {
         return { ok: false, reason: "not_pending" };
       }
       const refreshed = stmtRoomById.get(roomId);
+      emitSaveState(refreshed);
       return { ok: true, save: buildSavePayload(refreshed, dev, true) };
     }
 
@@ -727,6 +949,7 @@ function createRoomRepository(db, opts = {}) {
       return { ok: false, reason: "not_pending" };
     }
     const refreshed = stmtRoomById.get(roomId);
+    emitSaveState(refreshed);
     return { ok: true, save: buildSavePayload(refreshed, dev, true) };
   }
 
@@ -749,11 +972,6 @@ function createRoomRepository(db, opts = {}) {
       }
     }
 
-    const messages =
-      room.state === "active"
-        ? selectMessages.all(roomId).map(mapMessageRow)
-        : [];
-
     return {
       id: room.id,
       code: room.invite_code,
@@ -765,12 +983,30 @@ function createRoomRepository(db, opts = {}) {
     };
   }
 
+  /**
+   * V1 `GET /messages/:sessionId` — full transcript (V1 contract has no paging), or null when
+   * the session is missing / ended / soft-deleted.
+   */
+  function listMessagesForV1Session(roomId) {
+    const room = stmtRoomById.get(roomId);
+    if (!room || room.deleted_at != null || room.state !== "active") return null;
+    return selectMessages.all(roomId).map(mapMessageRow);
+  }
+
+  /**
+   * Links every device of the caller's account (docs/connect-device-accounts.md), skipping devices
+   * banned from the room.
+   */
   function linkDeviceToRoom(roomId, deviceId, t) {
-    insertDeviceRoomLink.run({
-      room_id: roomId,
-      device_id: deviceId,
-      linked_at: t,
-    });
+    const deviceIds = accounts ? accounts.listLinkedDeviceIds(deviceId) : [deviceId];
+    for (const id of deviceIds) {
+      if (selectBan.get(roomId, id)) continue;
+      insertDeviceRoomLink.run({
+        room_id: roomId,
+        device_id: id,
+        linked_at: t,
+      });
+    }
   }
 
   function createRoomFromV1({ id, inviteCode, creatorDeviceId }) {
@@ -784,6 +1020,8 @@ function createRoomRepository(db, opts = {}) {
         last_message_at: t,
         room_kind: "direct",
         member_cap: MAX_V1_DEVICES_PER_ROOM,
+        join_mode: "open",
+        created_by_device_id: creatorDeviceId,
       });
       upsertMember.run({
         room_id: id,
@@ -798,9 +1036,10 @@ function createRoomRepository(db, opts = {}) {
 
   /**
    * CONNECT group room (V2 only). Caller supplies a new room id and a free 6-digit invite code.
-   * @returns {{ ok: true, roomId: string, roomKind: 'group', memberCap: number, inviteCode: string } | { ok: false, reason: string, min?: number, max?: number }}
+   * `joinMode` is `open` (default) or `knock` (docs/connect-join-requests.md).
+   * @returns {{ ok: true, roomId: string, roomKind: 'group', memberCap: number, joinMode: 'open' | 'knock', inviteCode: string } | { ok: false, reason: string, min?: number, max?: number }}
    */
-  function createGroupRoomFromConnect({ id, inviteCode, creatorDeviceId, memberCap }) {
+  function createGroupRoomFromConnect({ id, inviteCode, creatorDeviceId, memberCap, joinMode }) {
     const dev =
       typeof creatorDeviceId === "string" ? creatorDeviceId.trim() : "";
     if (!dev) {
@@ -813,6 +1052,10 @@ function createRoomRepository(db, opts = {}) {
     if (!parsed.ok) {
       return parsed;
     }
+    const mode = parseRoomJoinMode(joinMode);
+    if (!mode.ok) {
+      return mode;
+    }
     if (groupRoomsRequirePro() && (!membership || !membership.isDeviceMember(dev))) {
       return { ok: false, reason: "pro_required" };
     }
@@ -831,6 +1074,8 @@ function createRoomRepository(db, opts = {}) {
         last_message_at: t,
         room_kind: "group",
         member_cap: cap,
+        join_mode: mode.joinMode,
+        created_by_device_id: dev,
       });
       upsertMember.run({
         room_id: id,
@@ -838,6 +1083,7 @@ function createRoomRepository(db, opts = {}) {
         joined_at: t,
         last_seen_at: t,
       });
+      updateMemberRole.run("owner", id, dev);
       linkDeviceToRoom(id, dev, t);
     });
     tx();
@@ -846,6 +1092,7 @@ function createRoomRepository(db, opts = {}) {
       roomId: id,
       roomKind: "group",
       memberCap: cap,
+      joinMode: mode.joinMode,
       inviteCode,
     };
   }
@@ -856,14 +1103,27 @@ function createRoomRepository(db, opts = {}) {
   }
 
   /**
-   * @returns {{ ok: true, roomId: string } | { ok: false, reason: 'not_found' | 'full', roomKind?: string, memberCap?: number, memberCount?: number }}
+   * @returns {{ ok: true, roomId: string } | { ok: false, reason: 'not_found' | 'banned' | 'full', roomKind?: string, memberCap?: number, memberCount?: number }}
    */
   function joinActiveRoomByCode({ inviteCode, deviceId }) {
     const roomId = findActiveRoomIdByInviteCode(inviteCode);
     if (!roomId) {
       return { ok: false, reason: "not_found" };
     }
+    const out = joinActiveRoomById({ roomId, deviceId });
+    return out.ok ? { ok: true, roomId } : out;
+  }
 
+  /**
+   * Join an active room with the same member-cap rules as a code join. Shared by invite codes and
+   * invite tokens (`src/store/roomInviteRepository.js`); runs as a savepoint inside a caller's
+   * transaction. In a `knock` room a new device files a join request instead
+   * (`join_request_pending`; `created` is false when it already had one pending).
+   *
+   * @param {{ roomId: string, deviceId: string }} p
+   * @returns {{ ok: true, roomId: string, alreadyMember: boolean, roomKind: string } | { ok: false, reason: 'join_request_pending', roomId: string, roomKind: string, joinRequest: ReturnType<typeof joinRequestView>, created: boolean } | { ok: false, reason: 'not_found' | 'banned' | 'full', roomKind?: string, memberCap?: number, memberCount?: number }}
+   */
+  function joinActiveRoomById({ roomId, deviceId }) {
     const t = nowMs();
     const runJoin = db.transaction(() => {
       const room = stmtRoomById.get(roomId);
@@ -878,6 +1138,9 @@ function createRoomRepository(db, opts = {}) {
         .get(roomId, deviceId);
 
       if (!existing) {
+        if (selectBan.get(roomId, deviceId)) {
+          return { ok: false, reason: "banned", roomKind: normalizeRoomKind(room.room_kind) };
+        }
         const n = countDistinctMembers.get(roomId).c;
         const cap = effectiveJoinMemberCap(room);
         if (n >= cap) {
@@ -889,6 +1152,19 @@ function createRoomRepository(db, opts = {}) {
             memberCount: n,
           };
         }
+        if (room.join_mode === "knock") {
+          const pending = selectPendingJoinRequest.get(roomId, deviceId);
+          const requestId = pending ? pending.id : crypto.randomUUID();
+          if (!pending) insertJoinRequest.run(requestId, roomId, deviceId, t);
+          return {
+            ok: false,
+            reason: "join_request_pending",
+            roomId,
+            roomKind: normalizeRoomKind(room.room_kind),
+            joinRequest: joinRequestView(selectJoinRequest.get(requestId), deviceId),
+            created: !pending,
+          };
+        }
       }
 
       upsertMember.run({
@@ -899,13 +1175,435 @@ function createRoomRepository(db, opts = {}) {
       });
       linkDeviceToRoom(roomId, deviceId, t);
       db.prepare(`UPDATE rooms SET updated_at = ? WHERE id = ?`).run(t, roomId);
-      return { ok: true, roomId };
+      return {
+        ok: true,
+        roomId,
+        alreadyMember: Boolean(existing),
+        roomKind: normalizeRoomKind(room.room_kind),
+      };
+    });
+
+    const out = runJoin();
+    if (out.reason === "join_request_pending" && out.created) {
+      emitJoinRequestEvent(out.joinRequest);
+    }
+    return out;
+  }
+
+  const insertJoinRequest = db.prepare(
+    `INSERT INTO room_join_requests (id, room_id, device_id, state, created_at)
+     VALUES (?, ?, ?, 'pending', ?)`
+  );
+
+  const selectJoinRequest = db.prepare(`SELECT * FROM room_join_requests WHERE id = ?`);
+
+  const selectPendingJoinRequest = db.prepare(
+    `SELECT * FROM room_join_requests WHERE room_id = ? AND device_id = ? AND state = 'pending'`
+  );
+
+  const selectJoinRequestsForRoom = db.prepare(
+    `SELECT * FROM room_join_requests
+     WHERE room_id = @room_id AND (@state IS NULL OR state = @state)
+     ORDER BY created_at ASC, id ASC`
+  );
+
+  const decideJoinRequest = db.prepare(
+    `UPDATE room_join_requests SET state = ?, decided_at = ?, decided_by_device_id = ?
+     WHERE id = ? AND state = 'pending'`
+  );
+
+  /**
+   * @param {object} row `room_join_requests` row
+   * @param {string} viewerDeviceId
+   */
+  function joinRequestView(row, viewerDeviceId) {
+    return {
+      requestId: row.id,
+      roomId: row.room_id,
+      state: row.state,
+      requesterMemberId: deriveRoomMemberId(row.room_id, row.device_id),
+      isSelf: row.device_id === viewerDeviceId,
+      createdAt: toIso(row.created_at),
+      decidedAt: toIso(row.decided_at),
+    };
+  }
+
+  function emitJoinRequestEvent(view) {
+    emitRoomEvent(view.roomId, ROOM_EVENT_TYPES.JOIN_REQUEST, {
+      requestId: view.requestId,
+      state: view.state,
+      requesterMemberId: view.requesterMemberId,
+    });
+  }
+
+  /**
+   * Role of a linked device in a group room: the creator is always `owner` (its `room_members`
+   * row is cleared by a burn), otherwise the stored role. `null` for direct rooms and for devices
+   * that are not linked.
+   * @param {object} room `rooms` row
+   * @param {string} deviceId
+   * @returns {'owner' | 'admin' | 'member' | null}
+   */
+  function roomRoleOf(room, deviceId) {
+    if (normalizeRoomKind(room.room_kind) !== "group") return null;
+    if (!hasDeviceRoomLink.get(room.id, deviceId)) return null;
+    if (room.created_by_device_id != null && room.created_by_device_id === deviceId) return "owner";
+    const row = selectMemberRole.get(room.id, deviceId);
+    return row ? row.role : "member";
+  }
+
+  /**
+   * Invite rotation / tokens, end, delete and join requests: owner or admin of a group room; any
+   * linked device of a direct room.
+   * @param {object} room `rooms` row
+   * @param {string} deviceId
+   */
+  function isRoomAdmin(room, deviceId) {
+    if (normalizeRoomKind(room.room_kind) !== "group") {
+      return Boolean(hasDeviceRoomLink.get(room.id, deviceId));
+    }
+    const role = roomRoleOf(room, deviceId);
+    return role === "owner" || role === "admin";
+  }
+
+  /**
+   * Linked + room admin, else the access failure reason.
+   * @returns {{ ok: true, room: object, roomState: 'active' | 'ended' } | { ok: false, reason: 'not_found' | 'deleted' | 'forbidden' | 'not_room_admin' }}
+   */
+  function checkRoomAdminAccess(roomId, deviceId) {
+    const access = checkDeviceRoomAccess(roomId, deviceId);
+    if (!access.ok) return access;
+    const room = stmtRoomById.get(roomId);
+    if (!isRoomAdmin(room, deviceId)) return { ok: false, reason: "not_room_admin" };
+    return { ok: true, room, roomState: access.roomState };
+  }
+
+  /**
+   * Join requests of a room for a room admin; `pending` only unless `state` is `all`.
+   * @param {{ roomId: string, deviceId: string, state?: 'pending' | 'all' }} p
+   */
+  function listJoinRequestsForDevice(p) {
+    const access = checkRoomAdminAccess(p.roomId, p.deviceId);
+    if (!access.ok) return access;
+    const rows = selectJoinRequestsForRoom.all({
+      room_id: p.roomId,
+      state: p.state === "all" ? null : "pending",
+    });
+    return { ok: true, requests: rows.map((row) => joinRequestView(row, p.deviceId)) };
+  }
+
+  /**
+   * One request, visible to its requester (polling) and to room admins.
+   * @param {{ roomId: string, requestId: string, deviceId: string }} p
+   * @returns {{ ok: true, request: ReturnType<typeof joinRequestView> } | { ok: false, reason: 'join_request_not_found' }}
+   */
+  function getJoinRequestForDevice(p) {
+    const row = selectJoinRequest.get(p.requestId);
+    if (!row || row.room_id !== p.roomId) return { ok: false, reason: "join_request_not_found" };
+    if (row.device_id !== p.deviceId && !checkRoomAdminAccess(p.roomId, p.deviceId).ok) {
+      return { ok: false, reason: "join_request_not_found" };
+    }
+    return { ok: true, request: joinRequestView(row, p.deviceId) };
+  }
+
+  /**
+   * Approve (re-checks the member cap, then joins the requester) or reject a pending request.
+   * @param {{ roomId: string, requestId: string, deviceId: string, decision: 'approve' | 'reject' }} p
+   * @returns {{ ok: true, request: ReturnType<typeof joinRequestView> } | { ok: false, reason: 'not_found' | 'deleted' | 'forbidden' | 'not_room_admin' | 'join_request_not_found' | 'join_request_decided' | 'not_active' | 'full', memberCap?: number, memberCount?: number }}
+   */
+  function decideJoinRequestForDevice(p) {
+    const t = nowMs();
+    const out = db.transaction(() => {
+      const access = checkRoomAdminAccess(p.roomId, p.deviceId);
+      if (!access.ok) return access;
+      const row = selectJoinRequest.get(p.requestId);
+      if (!row || row.room_id !== p.roomId) return { ok: false, reason: "join_request_not_found" };
+      if (row.state !== "pending") return { ok: false, reason: "join_request_decided" };
+      if (p.decision === "approve") {
+        if (access.room.state !== "active") return { ok: false, reason: "not_active" };
+        const n = countDistinctMembers.get(p.roomId).c;
+        const cap = effectiveJoinMemberCap(access.room);
+        if (n >= cap) return { ok: false, reason: "full", memberCap: cap, memberCount: n };
+        upsertMember.run({
+          room_id: p.roomId,
+          device_id: row.device_id,
+          joined_at: t,
+          last_seen_at: t,
+        });
+        linkDeviceToRoom(p.roomId, row.device_id, t);
+        db.prepare(`UPDATE rooms SET updated_at = ? WHERE id = ?`).run(t, p.roomId);
+      }
+      decideJoinRequest.run(p.decision === "approve" ? "approved" : "rejected", t, p.deviceId, row.id);
+      return { ok: true, request: joinRequestView(selectJoinRequest.get(row.id), p.deviceId) };
+    })();
+    if (out.ok) emitJoinRequestEvent(out.request);
+    return out;
+  }
+
+  /**
+   * Requester withdraws its own pending request.
+   * @param {{ roomId: string, requestId: string, deviceId: string }} p
+   * @returns {{ ok: true, request: ReturnType<typeof joinRequestView> } | { ok: false, reason: 'join_request_not_found' | 'join_request_decided' }}
+   */
+  function cancelJoinRequestForDevice(p) {
+    const row = selectJoinRequest.get(p.requestId);
+    if (!row || row.room_id !== p.roomId || row.device_id !== p.deviceId) {
+      return { ok: false, reason: "join_request_not_found" };
+    }
+    if (decideJoinRequest.run("cancelled", nowMs(), p.deviceId, row.id).changes === 0) {
+      return { ok: false, reason: "join_request_decided" };
+    }
+    const request = joinRequestView(selectJoinRequest.get(row.id), p.deviceId);
+    emitJoinRequestEvent(request);
+    return { ok: true, request };
+  }
+
+  const selectMemberRole = db.prepare(
+    `SELECT role FROM room_members WHERE room_id = ? AND device_id = ?`
+  );
+
+  const updateMemberRole = db.prepare(
+    `UPDATE room_members SET role = ? WHERE room_id = ? AND device_id = ?`
+  );
+
+  const deleteMember = db.prepare(
+    `DELETE FROM room_members WHERE room_id = ? AND device_id = ?`
+  );
+
+  const deleteDeviceRoomLink = db.prepare(
+    `DELETE FROM device_room_links WHERE room_id = ? AND device_id = ?`
+  );
+
+  const selectLinkedDeviceIds = db.prepare(
+    `SELECT device_id FROM device_room_links WHERE room_id = ?`
+  );
+
+  const selectMemberDeviceIds = db.prepare(
+    `SELECT device_id FROM room_members WHERE room_id = ?`
+  );
+
+  const selectJoinRequestDeviceIds = db.prepare(
+    `SELECT DISTINCT device_id FROM room_join_requests WHERE room_id = ?`
+  );
+
+  const rejectPendingJoinRequests = db.prepare(
+    `UPDATE room_join_requests SET state = 'rejected', decided_at = ?, decided_by_device_id = ?
+     WHERE room_id = ? AND device_id = ? AND state = 'pending'`
+  );
+
+  const insertBan = db.prepare(
+    `INSERT INTO room_bans (room_id, device_id, banned_at, banned_by_device_id)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(room_id, device_id) DO NOTHING`
+  );
+
+  const selectBan = db.prepare(
+    `SELECT 1 AS ok FROM room_bans WHERE room_id = ? AND device_id = ?`
+  );
+
+  const selectBansForRoom = db.prepare(
+    `SELECT device_id, banned_at FROM room_bans WHERE room_id = ? ORDER BY banned_at ASC, device_id ASC`
+  );
+
+  const deleteBan = db.prepare(`DELETE FROM room_bans WHERE room_id = ? AND device_id = ?`);
+
+  /**
+   * Admin access on a group room (roles do not apply to direct rooms).
+   * @returns {{ ok: true, room: object, role: 'owner' | 'admin' } | { ok: false, reason: 'not_found' | 'deleted' | 'forbidden' | 'not_group_room' | 'not_room_admin' }}
+   */
+  function groupAdminAccess(roomId, deviceId) {
+    const access = checkDeviceRoomAccess(roomId, deviceId);
+    if (!access.ok) return access;
+    const room = stmtRoomById.get(roomId);
+    if (normalizeRoomKind(room.room_kind) !== "group") return { ok: false, reason: "not_group_room" };
+    if (!isRoomAdmin(room, deviceId)) return { ok: false, reason: "not_room_admin" };
+    return { ok: true, room, role: roomRoleOf(room, deviceId) };
+  }
+
+  /**
+   * Promote a member to `admin` or demote an admin to `member`. Owner only; the owner's own role
+   * cannot change.
+   * @param {{ roomId: string, deviceId: string, memberId: string, role: 'admin' | 'member' }} p
+   * @returns {{ ok: true, member: { memberId: string, role: string }, changed: boolean } | { ok: false, reason: 'not_found' | 'deleted' | 'forbidden' | 'not_group_room' | 'not_room_admin' | 'not_room_owner' | 'member_not_found' | 'cannot_change_owner' }}
+   */
+  function setMemberRoleForDevice(p) {
+    const out = db.transaction(() => {
+      const access = groupAdminAccess(p.roomId, p.deviceId);
+      if (!access.ok) return access;
+      if (access.role !== "owner") return { ok: false, reason: "not_room_owner" };
+      const target = findDeviceByMemberId(
+        p.roomId,
+        selectMemberDeviceIds.all(p.roomId).map((r) => r.device_id),
+        p.memberId
+      );
+      if (!target || !hasDeviceRoomLink.get(p.roomId, target)) {
+        return { ok: false, reason: "member_not_found" };
+      }
+      const previous = roomRoleOf(access.room, target);
+      if (previous === "owner") return { ok: false, reason: "cannot_change_owner" };
+      updateMemberRole.run(p.role, p.roomId, target);
+      return { ok: true, member: { memberId: p.memberId, role: p.role }, changed: previous !== p.role };
+    })();
+    if (out.ok && out.changed) {
+      emitRoomEvent(p.roomId, ROOM_EVENT_TYPES.MEMBER_ROLE, {
+        memberId: out.member.memberId,
+        role: out.member.role,
+      });
+    }
+    return out;
+  }
+
+  /**
+   * Remove a member (and every device of its account, see docs/connect-device-accounts.md):
+   * drops `room_members` and `device_room_links`, rejects pending join requests, and with `ban`
+   * blocks rejoining by code, token or knock. Admins may remove members; the owner may also remove
+   * admins. A device that only knocked can be banned too.
+   * @param {{ roomId: string, deviceId: string, memberId: string, ban?: boolean }} p
+   * @returns {{ ok: true, memberId: string, banned: boolean, removedMemberIds: string[] } | { ok: false, reason: 'not_found' | 'deleted' | 'forbidden' | 'not_group_room' | 'not_room_admin' | 'member_not_found' | 'cannot_target_self' | 'insufficient_role' }}
+   */
+  function removeMemberForDevice(p) {
+    const t = nowMs();
+    const ban = p.ban === true;
+    const out = db.transaction(() => {
+      const access = groupAdminAccess(p.roomId, p.deviceId);
+      if (!access.ok) return access;
+      const candidates = selectLinkedDeviceIds.all(p.roomId).map((r) => r.device_id);
+      if (ban) {
+        candidates.push(...selectJoinRequestDeviceIds.all(p.roomId).map((r) => r.device_id));
+      }
+      const target = findDeviceByMemberId(p.roomId, candidates, p.memberId);
+      if (!target) return { ok: false, reason: "member_not_found" };
+
+      const deviceIds = accounts ? accounts.listLinkedDeviceIds(target) : [target];
+      if (deviceIds.includes(p.deviceId)) return { ok: false, reason: "cannot_target_self" };
+      const callerRank = ROOM_ROLE_RANK[access.role];
+      for (const id of deviceIds) {
+        const role = roomRoleOf(access.room, id);
+        if (role && ROOM_ROLE_RANK[role] >= callerRank) return { ok: false, reason: "insufficient_role" };
+      }
+
+      const removedMemberIds = [];
+      for (const id of deviceIds) {
+        deleteMember.run(p.roomId, id);
+        if (deleteDeviceRoomLink.run(p.roomId, id).changes === 1) {
+          removedMemberIds.push(deriveRoomMemberId(p.roomId, id));
+        }
+        rejectPendingJoinRequests.run(t, p.deviceId, p.roomId, id);
+        if (ban) insertBan.run(p.roomId, id, t, p.deviceId);
+      }
+      return { ok: true, memberId: p.memberId, banned: ban, removedMemberIds };
+    })();
+    if (out.ok) {
+      for (const memberId of out.removedMemberIds) {
+        emitRoomEvent(p.roomId, ROOM_EVENT_TYPES.MEMBER_REMOVED, { memberId, banned: out.banned });
+      }
+    }
+    return out;
+  }
+
+  const selectRoomMemberRows = db.prepare(
+    `SELECT l.device_id, l.linked_at, m.joined_at, m.last_seen_at, m.last_live_chat_left_at
+     FROM device_room_links l
+     LEFT JOIN room_members m ON m.room_id = l.room_id AND m.device_id = l.device_id
+     WHERE l.room_id = ?`
+  );
+
+  /**
+   * `online` (heartbeat within 2 min and still in live chat), `recent` (seen within 24h) or
+   * `offline`. Peers never get raw timestamps.
+   * @param {{ last_seen_at: number|null, last_live_chat_left_at: number|null }} row
+   * @param {number} now
+   * @returns {'online' | 'recent' | 'offline'}
+   */
+  function coarsePresence(row, now) {
+    const seen = row.last_seen_at;
+    if (seen == null) return "offline";
+    const left = row.last_live_chat_left_at;
+    const inLiveChat = left == null || seen > left;
+    if (inLiveChat && now - seen <= PRESENCE_ONLINE_MS) return "online";
+    if (now - seen <= PRESENCE_RECENT_MS) return "recent";
+    return "offline";
+  }
+
+  /**
+   * Everyone linked to the room (the same set as the E2EE key directory), highest role first, then
+   * by join time. Members are identified only by their opaque per-room `memberId`.
+   * @param {{ roomId: string, deviceId: string, now?: number }} p
+   * @returns {{ ok: true, roomKind: string, selfMemberId: string, members: { memberId: string, isSelf: boolean, role: string|null, joinedAt: string|null, presence: string }[] } | { ok: false, reason: 'not_found' | 'deleted' | 'forbidden' }}
+   */
+  function listMembersForDevice(p) {
+    const now = typeof p.now === "number" ? p.now : nowMs();
+    const access = checkDeviceRoomAccess(p.roomId, p.deviceId);
+    if (!access.ok) return access;
+    const room = stmtRoomById.get(p.roomId);
+    const members = selectRoomMemberRows.all(p.roomId).map((row) => {
+      const joined = row.joined_at != null ? row.joined_at : row.linked_at;
+      return {
+        memberId: deriveRoomMemberId(p.roomId, row.device_id),
+        isSelf: row.device_id === p.deviceId,
+        role: roomRoleOf(room, row.device_id),
+        joinedAtMs: joined,
+        joinedAt: toIso(joined),
+        presence: coarsePresence(row, now),
+      };
     });
+    members.sort(
+      (a, b) =>
+        (ROOM_ROLE_RANK[b.role] || 0) - (ROOM_ROLE_RANK[a.role] || 0) ||
+        a.joinedAtMs - b.joinedAtMs ||
+        (a.memberId < b.memberId ? -1 : 1)
+    );
+    return {
+      ok: true,
+      roomKind: normalizeRoomKind(room.room_kind),
+      selfMemberId: deriveRoomMemberId(p.roomId, p.deviceId),
+      members: members.map(({ joinedAtMs, ...m }) => m),
+    };
+  }
 
-    return runJoin();
+  /**
+   * Banned devices of a group room, for admins.
+   * @param {{ roomId: string, deviceId: string }} p
+   */
+  function listBansForDevice(p) {
+    const access = groupAdminAccess(p.roomId, p.deviceId);
+    if (!access.ok) return access;
+    return {
+      ok: true,
+      bans: selectBansForRoom.all(p.roomId).map((row) => ({
+        memberId: deriveRoomMemberId(p.roomId, row.device_id),
+        bannedAt: toIso(row.banned_at),
+      })),
+    };
+  }
+
+  /**
+   * Lift a ban; the device may then join (or knock) again.
+   * @param {{ roomId: string, deviceId: string, memberId: string }} p
+   * @returns {{ ok: true, memberId: string } | { ok: false, reason: 'not_found' | 'deleted' | 'forbidden' | 'not_group_room' | 'not_room_admin' | 'ban_not_found' }}
+   */
+  function unbanMemberForDevice(p) {
+    return db.transaction(() => {
+      const access = groupAdminAccess(p.roomId, p.deviceId);
+      if (!access.ok) return access;
+      const target = findDeviceByMemberId(
+        p.roomId,
+        selectBansForRoom.all(p.roomId).map((r) => r.device_id),
+        p.memberId
+      );
+      if (!target) return { ok: false, reason: "ban_not_found" };
+      deleteBan.run(p.roomId, target);
+      return { ok: true, memberId: p.memberId };
+    })();
   }
 
-  function endRoomBurnV1(roomId) {
+  /**
+   * V1 burn. `opts.byDeviceId` is set by `POST /sessions/end`: a group room then only ends for an
+   * owner / admin (docs/connect-room-roles.md). Internal callers omit it.
+   * @param {string} roomId
+   * @param {{ byDeviceId?: string | null }} [opts]
+   */
+  function endRoomBurnV1(roomId, opts = {}) {
     const room = stmtRoomById.get(roomId);
     if (!room) {
       return { kind: "unknown" };
@@ -916,6 +1614,13 @@ function createRoomRepository(db, opts = {}) {
     if (room.state !== "active") {
       return { kind: "already_ended" };
     }
+    if (
+      opts.byDeviceId !== undefined &&
+      normalizeRoomKind(room.room_kind) === "group" &&
+      !(opts.byDeviceId && isRoomAdmin(room, opts.byDeviceId))
+    ) {
+      return { kind: "not_room_admin" };
+    }
 
     const s3KeysToDelete =
       attachments != null ? attachments.listStorageKeysForRoom(roomId) : [];
@@ -930,6 +1635,10 @@ function createRoomRepository(db, opts = {}) {
       updateRoomEnded.run({ id: roomId, ended_at: t, updated_at: t });
     });
     tx();
+    emitRoomEvent(roomId, ROOM_EVENT_TYPES.ROOM_ENDED, {
+      endedAt: toIso(t),
+      reason: "burn",
+    });
     return { kind: "ended", s3KeysToDelete };
   }
 
@@ -944,6 +1653,11 @@ function createRoomRepository(db, opts = {}) {
     if (!room || room.state !== "active" || room.deleted_at != null) {
       return { ok: false, error: "not_found_or_inactive" };
     }
+    // Group rooms are joined by code, token or approval only; a heartbeat must not re-add a
+    // removed or banned device (docs/connect-room-roles.md).
+    if (normalizeRoomKind(room.room_kind) === "group" && !hasDeviceRoomLink.get(roomId, deviceId)) {
+      return { ok: false, error: "not_found_or_inactive" };
+    }
 
     const t = nowMs();
     const tx = db.transaction(() => {
@@ -993,6 +1707,10 @@ function createRoomRepository(db, opts = {}) {
         // device_room_links intentionally retained for CONNECT room list.
       });
       tx2();
+      emitRoomEvent(roomId, ROOM_EVENT_TYPES.ROOM_ENDED, {
+        endedAt: toIso(now),
+        reason: "heartbeat_auto_end",
+      });
       return { ok: true, ended: true, s3KeysToDelete };
     }
 
@@ -1007,6 +1725,7 @@ function createRoomRepository(db, opts = {}) {
     encrypted,
     fileName,
     attachmentId,
+    replyToMessageId,
   }) {
     if (type === "screenshot_event") {
       if (attachmentId != null && String(attachmentId).trim() !== "") {
@@ -1027,6 +1746,9 @@ function createRoomRepository(db, opts = {}) {
       if (attRow.device_id !== senderId) {
         return { ok: false, reason: "invalid_attachment" };
       }
+      if (attRow.swept_at != null) {
+        return { ok: false, reason: "attachment_swept" };
+      }
       if (attRow.status !== "ready") {
         return { ok: false, reason: "attachment_not_ready" };
       }
@@ -1065,6 +1787,21 @@ function createRoomRepository(db, opts = {}) {
       return { ok: false, reason: "inactive" };
     }
 
+    let replyTo = null;
+    if (replyToMessageId != null && replyToMessageId !== "") {
+      if (typeof replyToMessageId !== "string" || !replyToMessageId.trim()) {
+        return { ok: false, reason: "invalid_reply_to" };
+      }
+      const parent = selectRoomMessageById.get(replyToMessageId.trim(), roomId);
+      if (!parent) {
+        return { ok: false, reason: "invalid_reply_to" };
+      }
+      if (parent.deleted_at != null) {
+        return { ok: false, reason: "reply_to_deleted" };
+      }
+      replyTo = parent.id;
+    }
+
     const msgTypeStored = attRow
       ? attRow.kind
       : type === "screenshot_event"
@@ -1074,10 +1811,13 @@ function createRoomRepository(db, opts = {}) {
           : "text";
 
     const t = nowMs();
+    let seq = null;
     const tx = db.transaction(() => {
+      seq = nextMessageSeq.get(roomId).message_seq;
       insertMessage.run({
         id: messageId,
         room_id: roomId,
+        seq,
         sender_id: senderId,
         msg_type: msgTypeStored,
         ciphertext: encrypted.ciphertext,
@@ -1085,6 +1825,7 @@ function createRoomRepository(db, opts = {}) {
         file_name: fileName,
         created_at: t,
         attachment_id: attRow ? attRow.id : null,
+        reply_to_message_id: replyTo,
       });
       if (attRow) {
         const n = attachments.linkMessage.run({
@@ -1117,26 +1858,36 @@ function createRoomRepository(db, opts = {}) {
           ? "image"
           : "text";
 
+    const message = {
+      id: messageId,
+      seq,
+      senderId,
+      type: displayType,
+      encrypted,
+      fileName,
+      replyToMessageId: replyTo,
+      revision: 0,
+      editedAt: null,
+      ...(attRow
+        ? {
+            attachment: {
+              id: attRow.id,
+              kind: attRow.kind,
+              mimeType: attRow.mime_type,
+              sizeBytes: attRow.size_bytes,
+              originalFilename: attRow.original_filename,
+            },
+          }
+        : {}),
+    };
+    emitRoomEvent(roomId, ROOM_EVENT_TYPES.MESSAGE, {
+      createdAt: toIso(t),
+      message,
+    });
+
     return {
       ok: true,
-      message: {
-        id: messageId,
-        senderId,
-        type: displayType,
-        encrypted,
-        fileName,
-        ...(attRow
-          ? {
-              attachment: {
-                id: attRow.id,
-                kind: attRow.kind,
-                mimeType: attRow.mime_type,
-                sizeBytes: attRow.size_bytes,
-                originalFilename: attRow.original_filename,
-              },
-            }
-          : {}),
-      },
+      message,
     };
   }
 
@@ -1154,6 +1905,7 @@ function createRoomRepository(db, opts = {}) {
     encrypted,
     fileName,
     attachmentId,
+    replyToMessageId,
   }) {
     const room = stmtRoomById.get(roomId);
     if (!room) {
@@ -1185,6 +1937,7 @@ function createRoomRepository(db, opts = {}) {
       encrypted,
       fileName,
       attachmentId,
+      replyToMessageId,
     });
     if (!out.ok) {
       return { ok: false, reason: out.reason };
@@ -1192,6 +1945,340 @@ function createRoomRepository(db, opts = {}) {
     return out;
   }
 
+  /**
+   * Unsend / delete-for-everyone (Phase Message-Unsend-1). Only the sending device, within
+   * `CONNECT_MESSAGE_DELETE_WINDOW_MS` of sending. The row stays as a tombstone so `seq` paging
+   * is unchanged; edit history and reactions are dropped, and a linked attachment is marked
+   * `delete_requested_at` and returned for S3 cleanup (the sweeper retries failed deletes).
+   * Repeating the call on a tombstone answers `alreadyDeleted: true`.
+   * @see docs/connect-message-unsend.md
+   * @param {{ roomId: string, deviceId: string, messageId: string, now?: number }} p
+   * @returns {{ ok: false, reason: 'not_found'|'deleted'|'ended'|'forbidden'|'message_not_found'|'not_sender'|'not_deletable'|'delete_window_expired' } | { ok: true, messageId: string, seq: number, deletedAt: string, alreadyDeleted: boolean, attachmentsToDelete: { id: string, storage_key: string }[] }}
+   */
+  function deleteMessageForDevice(p) {
+    const room = stmtRoomById.get(p.roomId);
+    if (!room) return { ok: false, reason: "not_found" };
+    if (room.deleted_at != null) return { ok: false, reason: "deleted" };
+    if (room.state !== "active") return { ok: false, reason: "ended" };
+    if (!hasDeviceRoomLink.get(p.roomId, p.deviceId)) {
+      return { ok: false, reason: "forbidden" };
+    }
+    const row = selectRoomMessageById.get(p.messageId, p.roomId);
+    if (!row) return { ok: false, reason: "message_not_found" };
+    if (row.sender_id !== p.deviceId) return { ok: false, reason: "not_sender" };
+    if (row.deleted_at != null) {
+      return {
+        ok: true,
+        messageId: row.id,
+        seq: row.seq,
+        deletedAt: toIso(row.deleted_at),
+        alreadyDeleted: true,
+        attachmentsToDelete: [],
+      };
+    }
+    if (row.msg_type === "screenshot_event") return { ok: false, reason: "not_deletable" };
+    const t = p.now != null ? p.now : nowMs();
+    if (t - row.created_at > messageDeleteWindowMs()) {
+      return { ok: false, reason: "delete_window_expired" };
+    }
+
+    const attachmentsToDelete = [];
+    const tx = db.transaction(() => {
+      tombstoneMessage.run({ id: row.id, deleted_at: t });
+      deleteMessageRevisions.run(row.id);
+      deleteMessageReactions.run(row.id);
+      if (row.attachment_id && attachments) {
+        const att = attachments.requestLinkedDelete(row.attachment_id, p.roomId, row.id, t);
+        if (att) attachmentsToDelete.push(att);
+      }
+    });
+    tx();
+
+    emitRoomEvent(p.roomId, ROOM_EVENT_TYPES.MESSAGE_DELETED, {
+      messageId: row.id,
+      seq: row.seq,
+      deletedAt: toIso(t),
+    });
+    return {
+      ok: true,
+      messageId: row.id,
+      seq: row.seq,
+      deletedAt: toIso(t),
+      alreadyDeleted: false,
+      attachmentsToDelete,
+    };
+  }
+
+  /**
+   * Sender edit (Phase Message-Edit-1): replaces the encrypted payload of a plain `text` message
+   * and records it in `room_message_revisions`. Screenshot events, media and attachment messages
+   * are not editable. At most `CONNECT_MESSAGE_MAX_EDITS` edits per message.
+   * @see docs/connect-message-edits.md
+   * @param {{ roomId: string, deviceId: string, messageId: string, encrypted: unknown, now?: number }} p
+   * @returns {{ ok: false, reason: 'not_found'|'deleted'|'ended'|'forbidden'|'message_not_found'|'not_sender'|'message_deleted'|'not_editable'|'edit_limit_reached'|'invalid_payload'|'payload_too_large' } | { ok: true, message: ReturnType<typeof mapMessageRow> }}
+   */
+  function editMessageForDevice(p) {
+    const room = stmtRoomById.get(p.roomId);
+    if (!room) return { ok: false, reason: "not_found" };
+    if (room.deleted_at != null) return { ok: false, reason: "deleted" };
+    if (room.state !== "active") return { ok: false, reason: "ended" };
+    if (!hasDeviceRoomLink.get(p.roomId, p.deviceId)) {
+      return { ok: false, reason: "forbidden" };
+    }
+    const row = selectRoomMessageById.get(p.messageId, p.roomId);
+    if (!row) return { ok: false, reason: "message_not_found" };
+    if (row.sender_id !== p.deviceId) return { ok: false, reason: "not_sender" };
+    if (row.deleted_at != null) return { ok: false, reason: "message_deleted" };
+    if (row.msg_type !== "text" || row.attachment_id != null) {
+      return { ok: false, reason: "not_editable" };
+    }
+    const payload = validateEncryptedMessageContent(p.encrypted, null);
+    if (!payload.ok) return { ok: false, reason: payload.reason };
+    if (row.revision >= messageMaxEdits()) {
+      return { ok: false, reason: "edit_limit_reached" };
+    }
+
+    const t = p.now != null ? p.now : nowMs();
+    const next = {
+      id: row.id,
+      message_id: row.id,
+      revision: row.revision + 1,
+      ciphertext: p.encrypted.ciphertext,
+      nonce: p.encrypted.nonce,
+      edited_at: t,
+    };
+    const tx = db.transaction(() => {
+      updateMessagePayload.run(next);
+      insertMessageRevision.run(next);
+    });
+    tx();
+
+    const message = mapMessageRow(selectMessageView.get(row.id));
+    emitRoomEvent(p.roomId, ROOM_EVENT_TYPES.MESSAGE_EDITED, {
+      editedAt: message.editedAt,
+      message,
+    });
+    return { ok: true, message };
+  }
+
+  /**
+   * Adds `reactions` to each listed message (Phase Message-Reactions-1): one entry per distinct
+   * reaction, in first-reacted order, with the opaque `memberIds` that chose it.
+   * @param {ReturnType<typeof mapMessageRow>[]} messages
+   */
+  function withReactions(messages) {
+    const byMessage = new Map(messages.map((m) => [m.id, new Map()]));
+    if (messages.length > 0) {
+      const rows = selectReactionsForMessages.all(JSON.stringify(messages.map((m) => m.id)));
+      for (const r of rows) {
+        const groups = byMessage.get(r.message_id);
+        const key = `${r.kind}:${r.value}`;
+        if (!groups.has(key)) groups.set(key, { [r.kind]: r.value, count: 0, memberIds: [] });
+        const g = groups.get(key);
+        g.count += 1;
+        g.memberIds.push(r.member_id);
+      }
+    }
+    return messages.map((m) => ({ ...m, reactions: [...byMessage.get(m.id).values()] }));
+  }
+
+  /** Shared gate for reaction writes: same membership as V2 message posts. */
+  function reactionTarget(p) {
+    const room = stmtRoomById.get(p.roomId);
+    if (!room) return { ok: false, reason: "not_found" };
+    if (room.deleted_at != null) return { ok: false, reason: "deleted" };
+    if (room.state !== "active") return { ok: false, reason: "ended" };
+    if (!hasDeviceRoomLink.get(p.roomId, p.deviceId)) {
+      return { ok: false, reason: "forbidden" };
+    }
+    const row = selectRoomMessageById.get(p.messageId, p.roomId);
+    if (!row) return { ok: false, reason: "message_not_found" };
+    if (row.deleted_at != null) return { ok: false, reason: "message_deleted" };
+    return { ok: true, memberId: deriveRoomMemberId(p.roomId, p.deviceId) };
+  }
+
+  /**
+   * React to a message (Phase Message-Reactions-1). Idempotent: an existing reaction answers
+   * `added: false`. `kind` / `value` come from `parseReaction` (src/messageReactionPolicy.js).
+   * @see docs/connect-message-reactions.md
+   * @param {{ roomId: string, deviceId: string, messageId: string, kind: 'emoji'|'encrypted', value: string, now?: number }} p
+   * @returns {{ ok: false, reason: 'not_found'|'deleted'|'ended'|'forbidden'|'message_not_found'|'message_deleted'|'too_many_reactions' } | { ok: true, memberId: string, added: boolean }}
+   */
+  function addReactionForDevice(p) {
+    const target = reactionTarget(p);
+    if (!target.ok) return target;
+    const row = {
+      room_id: p.roomId,
+      message_id: p.messageId,
+      member_id: target.memberId,
+      kind: p.kind,
+      value: p.value,
+      created_at: p.now != null ? p.now : nowMs(),
+    };
+    const tx = db.transaction(() => {
+      if (hasReaction.get(row)) return "exists";
+      if (countMemberReactions.get(p.messageId, target.memberId).c >= MAX_REACTIONS_PER_MEMBER) {
+        return "limit";
+      }
+      insertReaction.run(row);
+      return "added";
+    });
+    const outcome = tx();
+    if (outcome === "limit") return { ok: false, reason: "too_many_reactions" };
+    if (outcome === "added") {
+      emitRoomEvent(p.roomId, ROOM_EVENT_TYPES.MESSAGE_REACTION, {
+        messageId: p.messageId,
+        memberId: target.memberId,
+        reaction: { [p.kind]: p.value },
+        action: "added",
+      });
+    }
+    return { ok: true, memberId: target.memberId, added: outcome === "added" };
+  }
+
+  /**
+   * Remove the caller's own reaction. Removing one that is not there answers `removed: false`.
+   * @param {{ roomId: string, deviceId: string, messageId: string, kind: 'emoji'|'encrypted', value: string }} p
+   * @returns {{ ok: false, reason: 'not_found'|'deleted'|'ended'|'forbidden'|'message_not_found'|'message_deleted' } | { ok: true, memberId: string, removed: boolean }}
+   */
+  function removeReactionForDevice(p) {
+    const target = reactionTarget(p);
+    if (!target.ok) return target;
+    const removed =
+      deleteReaction.run({
+        message_id: p.messageId,
+        member_id: target.memberId,
+        kind: p.kind,
+        value: p.value,
+      }).changes === 1;
+    if (removed) {
+      emitRoomEvent(p.roomId, ROOM_EVENT_TYPES.MESSAGE_REACTION, {
+        messageId: p.messageId,
+        memberId: target.memberId,
+        reaction: { [p.kind]: p.value },
+        action: "removed",
+      });
+    }
+    return { ok: true, memberId: target.memberId, removed };
+  }
+
+  /**
+   * Caller's own cursors and unread count (Phase Read-Receipts-1). Own messages and tombstones
+   * never count as unread.
+   * @param {string} roomId
+   * @param {string} deviceId
+   */
+  function readStateForDevice(roomId, deviceId) {
+    const c = selectReadCursor.get(roomId, deviceId);
+    const readSeq = c ? c.read_seq : 0;
+    return {
+      readSeq,
+      readMessageId: c ? c.read_message_id : null,
+      deliveredSeq: c ? c.delivered_seq : 0,
+      deliveredMessageId: c ? c.delivered_message_id : null,
+      unreadCount: countUnreadMessages.get({ room_id: roomId, read_seq: readSeq, device_id: deviceId }).c,
+      shareReadState: c ? c.share_read_state === 1 : false,
+      updatedAt: c ? toIso(c.updated_at) : null,
+    };
+  }
+
+  function mapPeerReadCursor(c) {
+    return {
+      memberId: deriveRoomMemberId(c.room_id, c.device_id),
+      readSeq: c.read_seq,
+      readMessageId: c.read_message_id,
+      deliveredSeq: c.delivered_seq,
+      deliveredMessageId: c.delivered_message_id,
+      updatedAt: toIso(c.updated_at),
+    };
+  }
+
+  /**
+   * Cursors of peers that opted in (`shareReadState`); never the caller's own.
+   * @param {string} roomId
+   * @param {string} deviceId
+   */
+  function peerReadStatesForDevice(roomId, deviceId) {
+    return selectSharedPeerCursors.all({ room_id: roomId, device_id: deviceId }).map(mapPeerReadCursor);
+  }
+
+  /**
+   * `POST /v2/rooms/:roomId/read` (Phase Read-Receipts-1). Cursors only move forward and are
+   * clamped to the room's last issued `seq`; read implies delivered. A message id is resolved to
+   * its `seq`. Peers see the result (and a `read_state` stream event) only while the device
+   * shares its read state.
+   * @see docs/connect-read-receipts.md
+   * @param {{ roomId: string, deviceId: string, readSeq?: number, readMessageId?: string, deliveredSeq?: number, deliveredMessageId?: string, shareReadState?: boolean, now?: number }} p
+   * @returns {{ ok: false, reason: 'not_found'|'deleted'|'forbidden'|'message_not_found' } | { ok: true, readState: ReturnType<typeof readStateForDevice> }}
+   */
+  function markReadForDevice(p) {
+    const room = stmtRoomById.get(p.roomId);
+    if (!room) return { ok: false, reason: "not_found" };
+    const linked = hasDeviceRoomLink.get(p.roomId, p.deviceId);
+    if (room.deleted_at != null) return { ok: false, reason: linked ? "deleted" : "not_found" };
+    if (!linked) return { ok: false, reason: "forbidden" };
+
+    /** @returns {{ seq: number, id: string|null } | null | undefined} undefined = not sent */
+    const target = (seq, messageId) => {
+      if (messageId != null) {
+        const row = selectRoomMessageById.get(messageId, p.roomId);
+        return row ? { seq: row.seq, id: row.id } : null;
+      }
+      if (seq == null) return undefined;
+      const clamped = Math.min(seq, room.message_seq);
+      const row = selectMessageIdBySeq.get(p.roomId, clamped);
+      return { seq: clamped, id: row ? row.id : null };
+    };
+    const read = target(p.readSeq, p.readMessageId);
+    const delivered = target(p.deliveredSeq, p.deliveredMessageId);
+    if (read === null || delivered === null) return { ok: false, reason: "message_not_found" };
+
+    const t = p.now != null ? p.now : nowMs();
+    let changed = false;
+    const tx = db.transaction(() => {
+      const prev = selectReadCursor.get(p.roomId, p.deviceId);
+      const next = {
+        room_id: p.roomId,
+        device_id: p.deviceId,
+        read_seq: prev ? prev.read_seq : 0,
+        read_message_id: prev ? prev.read_message_id : null,
+        delivered_seq: prev ? prev.delivered_seq : 0,
+        delivered_message_id: prev ? prev.delivered_message_id : null,
+        share_read_state: prev ? prev.share_read_state : 0,
+        updated_at: t,
+      };
+      if (read && read.seq > next.read_seq) {
+        next.read_seq = read.seq;
+        next.read_message_id = read.id;
+      }
+      const deliveredTo = [delivered, { seq: next.read_seq, id: next.read_message_id }];
+      for (const d of deliveredTo) {
+        if (d && d.seq > next.delivered_seq) {
+          next.delivered_seq = d.seq;
+          next.delivered_message_id = d.id;
+        }
+      }
+      if (typeof p.shareReadState === "boolean") {
+        next.share_read_state = p.shareReadState ? 1 : 0;
+      }
+      changed =
+        !prev ||
+        prev.read_seq !== next.read_seq ||
+        prev.delivered_seq !== next.delivered_seq ||
+        prev.share_read_state !== next.share_read_state;
+      if (changed) upsertReadCursor.run(next);
+      return next;
+    });
+    const saved = tx();
+
+    if (changed && saved.share_read_state === 1) {
+      emitRoomEvent(p.roomId, ROOM_EVENT_TYPES.READ_STATE, {
+        readState: mapPeerReadCursor(saved),
+      });
+    }
+    return { ok: true, readState: readStateForDevice(p.roomId, p.deviceId) };
+  }
+
   function countActiveRoomsV1() {
     return countActiveRooms.get().c;
   }
@@ -1468,6 +2555,7 @@ function createRoomRepository(db, opts = {}) {
         v1SessionId: row.id,
         roomKind: rk,
         memberCap: cap,
+        joinMode: row.join_mode,
         inviteCode: row.invite_code,
         state: row.state,
         createdAt: toIso(row.created_at),
@@ -1476,6 +2564,7 @@ function createRoomRepository(db, opts = {}) {
         lastMessageAt: toIso(row.last_message_at),
         memberCount: row.member_count,
         messageCount: row.message_count,
+        unreadCount: row.unread_count,
         ...retentionViewForDevice(roomMini, p.deviceId),
         ...bridge,
         save: buildSavePayload(row, p.deviceId, msEnabled),
@@ -1547,6 +2636,9 @@ function createRoomRepository(db, opts = {}) {
         v1SessionId: room.id,
         roomKind: rkDetail,
         memberCap: capDetail,
+        joinMode: room.join_mode,
+        role: roomRoleOf(room, deviceId),
+        canManageJoinRequests: isRoomAdmin(room, deviceId),
         inviteCode: room.invite_code,
         state: room.state,
         createdAt: toIso(room.created_at),
@@ -1560,14 +2652,89 @@ function createRoomRepository(db, opts = {}) {
         ...bridge,
         save: buildSavePayload(room, deviceId, msEnabled),
         myPresence,
+        readState: readStateForDevice(roomId, deviceId),
+        peerReadStates: peerReadStatesForDevice(roomId, deviceId),
       },
     };
   }
 
   /**
-   * @returns {{ ok: false, reason: 'not_found'|'forbidden' } | { ok: true, roomState: 'active'|'ended', messages: ReturnType<typeof mapMessageRow>[] }}
+   * One page ordered oldest → newest. `after` pages forward; otherwise backwards from `before`
+   * (or from the newest message). `nextCursor` continues in the same direction.
+   * With `parentId`, only direct replies to that message (Phase Message-Replies-1). Messages carry
+   * aggregated `reactions`.
+   * @param {string} roomId
+   * @param {{ before: number|null, after: number|null, limit: number }} page
+   * @param {string|null} [parentId]
+   */
+  function selectMessagePage(roomId, page, parentId = null) {
+    const forward = page.after != null;
+    const afterStmt = parentId ? selectRepliesAfterSeq : selectMessagesAfterSeq;
+    const beforeStmt = parentId ? selectRepliesBeforeSeq : selectMessagesBeforeSeq;
+    const scope = parentId ? { room_id: roomId, parent_id: parentId } : { room_id: roomId };
+    const rows = forward
+      ? afterStmt.all({
+          ...scope,
+          after: page.after,
+          limit: page.limit + 1,
+        })
+      : beforeStmt.all({
+          ...scope,
+          before: page.before != null ? page.before : Number.MAX_SAFE_INTEGER,
+          limit: page.limit + 1,
+        });
+    const hasMore = rows.length > page.limit;
+    const pageRows = rows.slice(0, page.limit);
+    if (!forward) pageRows.reverse();
+    let nextCursor = null;
+    if (hasMore) {
+      const edge = forward ? pageRows[pageRows.length - 1] : pageRows[0];
+      nextCursor = String(edge.seq);
+    }
+    return { messages: withReactions(pageRows.map(mapMessageRow)), nextCursor, hasMore };
+  }
+
+  /**
+   * @param {{ before: number|null, after: number|null, limit: number }|null} [page] null → full transcript
+   * @returns {{ ok: false, reason: 'not_found'|'forbidden'|'deleted' } | { ok: true, roomState: 'active'|'ended', messages: ReturnType<typeof mapMessageRow>[], nextCursor: string|null, hasMore: boolean }}
    */
-  function listMessagesForDeviceRoom(roomId, deviceId) {
+  /**
+   * Direct replies to one message, oldest → newest (Phase Message-Replies-1). Same access and
+   * paging as `listMessagesForDeviceRoom`; no paging → the whole thread. The parent may be a
+   * tombstone.
+   * @see docs/connect-message-replies.md
+   * @param {{ roomId: string, deviceId: string, messageId: string, page?: { before: number|null, after: number|null, limit: number }|null }} p
+   * @returns {{ ok: false, reason: 'not_found'|'forbidden'|'deleted'|'message_not_found' } | { ok: true, roomState: 'active'|'ended', replies: ReturnType<typeof mapMessageRow>[], nextCursor: string|null, hasMore: boolean }}
+   */
+  function listRepliesForDevice(p) {
+    const room = stmtRoomById.get(p.roomId);
+    if (!room) return { ok: false, reason: "not_found" };
+    const linked = hasDeviceRoomLink.get(p.roomId, p.deviceId);
+    if (room.deleted_at != null) return { ok: false, reason: linked ? "deleted" : "not_found" };
+    if (!linked) return { ok: false, reason: "forbidden" };
+    if (room.state !== "active") {
+      return { ok: true, roomState: "ended", replies: [], nextCursor: null, hasMore: false };
+    }
+    if (!selectRoomMessageById.get(p.messageId, p.roomId)) {
+      return { ok: false, reason: "message_not_found" };
+    }
+    if (!p.page) {
+      const replies = withReactions(
+        selectReplies.all({ room_id: p.roomId, parent_id: p.messageId }).map(mapMessageRow)
+      );
+      return { ok: true, roomState: "active", replies, nextCursor: null, hasMore: false };
+    }
+    const out = selectMessagePage(p.roomId, p.page, p.messageId);
+    return {
+      ok: true,
+      roomState: "active",
+      replies: out.messages,
+      nextCursor: out.nextCursor,
+      hasMore: out.hasMore,
+    };
+  }
+
+  function listMessagesForDeviceRoom(roomId, deviceId, page = null) {
     const room = stmtRoomById.get(roomId);
     if (!room) {
       return { ok: false, reason: "not_found" };
@@ -1582,15 +2749,52 @@ function createRoomRepository(db, opts = {}) {
       return { ok: false, reason: "forbidden" };
     }
     if (room.state !== "active") {
-      return { ok: true, roomState: "ended", messages: [] };
+      return {
+        ok: true,
+        roomState: "ended",
+        messages: [],
+        nextCursor: null,
+        hasMore: false,
+      };
+    }
+    if (!page) {
+      const messages = withReactions(selectMessages.all(roomId).map(mapMessageRow));
+      return {
+        ok: true,
+        roomState: "active",
+        messages,
+        nextCursor: null,
+        hasMore: false,
+      };
     }
-    const messages = selectMessages.all(roomId).map(mapMessageRow);
-    return { ok: true, roomState: "active", messages };
+    return { ok: true, roomState: "active", ...selectMessagePage(roomId, page) };
+  }
+
+  /**
+   * Access gate for the realtime stream — same reasons as GET messages, no transcript read.
+   * @returns {{ ok: false, reason: 'not_found'|'deleted'|'forbidden' } | { ok: true, roomState: 'active'|'ended' }}
+   */
+  function checkDeviceRoomAccess(roomId, deviceId) {
+    const room = stmtRoomById.get(roomId);
+    if (!room) {
+      return { ok: false, reason: "not_found" };
+    }
+    if (room.deleted_at != null) {
+      if (hasDeviceRoomLink.get(roomId, deviceId)) {
+        return { ok: false, reason: "deleted" };
+      }
+      return { ok: false, reason: "not_found" };
+    }
+    if (!hasDeviceRoomLink.get(roomId, deviceId)) {
+      return { ok: false, reason: "forbidden" };
+    }
+    return { ok: true, roomState: room.state === "active" ? "active" : "ended" };
   }
 
   /**
    * CONNECT soft-delete: hides room from V2 lists; V1 behaves as missing session.
    * Irreversible via API in this phase (no undelete). Row retained for audit.
+   * Group rooms: owner / admin only.
    */
   function softDeleteRoomForDevice(roomId, deviceId) {
     const room = stmtRoomById.get(roomId);
@@ -1603,6 +2807,9 @@ function createRoomRepository(db, opts = {}) {
     if (room.deleted_at != null) {
       return { ok: true, alreadyDeleted: true };
     }
+    if (!isRoomAdmin(room, deviceId)) {
+      return { ok: false, reason: "not_room_admin" };
+    }
 
     const t = nowMs();
     const n = updateRoomSoftDelete.run({
@@ -1613,6 +2820,7 @@ function createRoomRepository(db, opts = {}) {
     if (n === 0) {
       return { ok: true, alreadyDeleted: true };
     }
+    emitRoomEvent(roomId, ROOM_EVENT_TYPES.ROOM_DELETED, { deletedAt: toIso(t) });
     return { ok: true, deletedAt: toIso(t) };
   }
 
@@ -1642,6 +2850,9 @@ function createRoomRepository(db, opts = {}) {
     }
     const refreshed = stmtRoomById.get(roomId);
     const bridge = openChatInviteContract(refreshed);
+    emitRoomEvent(roomId, ROOM_EVENT_TYPES.ROOM_REOPENED, {
+      updatedAt: toIso(t),
+    });
     return {
       ok: true,
       room: {
@@ -1660,6 +2871,7 @@ function createRoomRepository(db, opts = {}) {
 
   /**
    * New 6-digit invite code for an active, non-deleted room. Old code stops matching join lookup.
+   * Group rooms: owner / admin only.
    */
   function rotateInviteCodeForDevice(roomId, deviceId) {
     const room = stmtRoomById.get(roomId);
@@ -1675,6 +2887,9 @@ function createRoomRepository(db, opts = {}) {
     if (room.state !== "active") {
       return { ok: false, reason: "not_active" };
     }
+    if (!isRoomAdmin(room, deviceId)) {
+      return { ok: false, reason: "not_room_admin" };
+    }
 
     const t = nowMs();
     let newCode = null;
@@ -1696,6 +2911,11 @@ function createRoomRepository(db, opts = {}) {
     });
     const refreshed = stmtRoomById.get(roomId);
     const bridge = openChatInviteContract(refreshed);
+    // Linked devices already hold the room; the new code is included so open clients can re-share it.
+    emitRoomEvent(roomId, ROOM_EVENT_TYPES.INVITE_ROTATED, {
+      inviteCode: newCode,
+      updatedAt: toIso(t),
+    });
     return {
       ok: true,
       inviteCode: newCode,
@@ -1706,18 +2926,39 @@ function createRoomRepository(db, opts = {}) {
 
   return {
     getRoomAsV1Session,
+    listMessagesForV1Session,
     createRoomFromV1,
     createGroupRoomFromConnect,
     findActiveRoomIdByInviteCode,
     joinActiveRoomByCode,
+    joinActiveRoomById,
+    listJoinRequestsForDevice,
+    getJoinRequestForDevice,
+    decideJoinRequestForDevice,
+    cancelJoinRequestForDevice,
+    checkRoomAdminAccess,
+    listMembersForDevice,
+    setMemberRoleForDevice,
+    removeMemberForDevice,
+    listBansForDevice,
+    unbanMemberForDevice,
     endRoomBurnV1,
     touchHeartbeatV1,
     appendMessageV1,
     appendMessageForLinkedDevice,
+    deleteMessageForDevice,
+    editMessageForDevice,
+    listRepliesForDevice,
+    addReactionForDevice,
+    removeReactionForDevice,
+    markReadForDevice,
+    readStateForDevice,
+    peerReadStatesForDevice,
     countActiveRoomsV1,
     listRoomsForDevice,
     getRoomDetailForDevice,
     listMessagesForDeviceRoom,
+    checkDeviceRoomAccess,
     softDeleteRoomForDevice,
     reopenEndedRoomForDevice,
     rotateInviteCodeForDevice,
@@ -1734,5 +2975,6 @@ module.exports = {
   createRoomRepository,
   MAX_V1_DEVICES_PER_ROOM,
   ALLOWED_RETENTION_TIERS,
+  tierRank,
   ALLOWED_BILLING_TIERS,
 };
@@ -0,0 +1,209 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { openDatabase } = require("../src/store/db");
+const { createRoomRepository } = require("../src/store/roomRepository");
+const { createAttachmentRepository } = require("../src/store/attachmentRepository");
+const { runAttachmentSweep } = require("../src/attachments/attachmentSweeper");
+const {
+  handleFinalizeAttachment,
+  handleDownloadAttachment,
+} = require("../src/attachments/attachmentHttp");
+const { processDeleteMessage } = require("../src/roomMessages");
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+describe("attachment sweeper (Media-GC-1)", () => {
+  let dbPath;
+  let db;
+  let rooms;
+  let attachments;
+  let deletedKeys;
+  let failStorage;
+  let store;
+  const NOW = Date.now();
+
+  function addAttachment(roomId, id, deviceId, status, ageMs) {
+    attachments.insertPending.run({
+      id,
+      room_id: roomId,
+      device_id: deviceId,
+      kind: "file",
+      mime_type: "application/pdf",
+      size_bytes: 10,
+      original_filename: null,
+      storage_key: `rooms/${roomId}/att/${id}`,
+      created_at: NOW - ageMs,
+    });
+    if (status === "ready" || status === "linked") {
+      attachments.finalizeReady.run({ id, finalized_at: NOW - ageMs });
+    }
+    if (status === "linked") {
+      const out = rooms.appendMessageV1({
+        roomId,
+        messageId: `msg-${id}`,
+        senderId: deviceId,
+        type: "file",
+        encrypted: { ciphertext: "c", nonce: "n" },
+        fileName: "f.pdf",
+        attachmentId: id,
+      });
+      assert.equal(out.ok, true);
+    }
+  }
+
+  function sweptAt(id) {
+    return attachments.getById(id).swept_at;
+  }
+
+  before(() => {
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-sweep-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    db = openDatabase(dbPath);
+    attachments = createAttachmentRepository(db);
+    rooms = createRoomRepository(db, { attachments });
+    store = {
+      rooms,
+      attachments,
+      attachmentStorage: {
+        async deleteObjects(keys) {
+          if (failStorage) throw new Error("s3 down");
+          deletedKeys.push(...keys);
+          return { deleted: keys.length };
+        },
+        async headObject() {
+          return { contentLength: 10 };
+        },
+      },
+    };
+    rooms.createRoomFromV1({ id: "r-gc", inviteCode: "620001", creatorDeviceId: "g1" });
+  });
+
+  beforeEach(() => {
+    deletedKeys = [];
+    failStorage = false;
+  });
+
+  after(() => {
+    db.close();
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("stale pending and unlinked ready are swept; fresh and linked are kept", async () => {
+    addAttachment("r-gc", "p-stale", "g1", "pending", 3 * HOUR);
+    addAttachment("r-gc", "p-fresh", "g1", "pending", 60 * 1000);
+    addAttachment("r-gc", "r-stale", "g1", "ready", 3 * HOUR);
+    addAttachment("r-gc", "l-old", "g1", "linked", 3 * HOUR);
+
+    const s = await runAttachmentSweep(store, { now: NOW });
+    assert.equal(s.pendingSwept, 1);
+    assert.equal(s.readySwept, 1);
+    assert.equal(s.storageKeysDeleted, 2);
+    assert.deepEqual(deletedKeys.sort(), [
+      "rooms/r-gc/att/p-stale",
+      "rooms/r-gc/att/r-stale",
+    ]);
+    assert.equal(sweptAt("p-stale"), NOW);
+    assert.equal(sweptAt("r-stale"), NOW);
+    assert.equal(sweptAt("p-fresh"), null);
+    assert.equal(sweptAt("l-old"), null);
+
+    const again = await runAttachmentSweep(store, { now: NOW });
+    assert.equal(again.pendingSwept + again.readySwept, 0);
+  });
+
+  test("swept rows cannot be finalized or linked", async () => {
+    const fin = await handleFinalizeAttachment(store, "r-gc", "p-stale", { deviceId: "g1" });
+    assert.equal(fin.status, 410);
+    assert.equal(fin.json.reason, "attachment_swept");
+
+    const out = rooms.appendMessageV1({
+      roomId: "r-gc",
+      messageId: "msg-swept",
+      senderId: "g1",
+      type: "file",
+      encrypted: { ciphertext: "c", nonce: "n" },
+      fileName: "f.pdf",
+      attachmentId: "r-stale",
+    });
+    assert.deepEqual(out, { ok: false, reason: "attachment_swept" });
+  });
+
+  test("storage failure releases the claim for the next run", async () => {
+    addAttachment("r-gc", "p-retry", "g1", "pending", 5 * HOUR);
+    failStorage = true;
+    const s = await runAttachmentSweep(store, { now: NOW });
+    assert.equal(s.failures, 1);
+    assert.equal(sweptAt("p-retry"), null);
+
+    failStorage = false;
+    const s2 = await runAttachmentSweep(store, { now: NOW });
+    assert.equal(s2.pendingSwept, 1);
+    assert.deepEqual(deletedKeys, ["rooms/r-gc/att/p-retry"]);
+  });
+
+  test("unsend keeps the attachment row until its object is deleted; the sweeper retries", async () => {
+    addAttachment("r-gc", "u-fail", "g1", "linked", 60 * 1000);
+    addAttachment("r-gc", "u-ok", "g1", "linked", 60 * 1000);
+
+    failStorage = true;
+    const res = await processDeleteMessage(store, "r-gc", "msg-u-fail", "g1");
+    assert.equal(res.status, 200);
+    const row = attachments.getById("u-fail");
+    assert.ok(row.delete_requested_at);
+    assert.equal(row.swept_at, null);
+    const dl = await handleDownloadAttachment(store, "r-gc", "u-fail", "g1");
+    assert.equal(dl.status, 410);
+
+    failStorage = false;
+    await processDeleteMessage(store, "r-gc", "msg-u-ok", "g1");
+    assert.deepEqual(deletedKeys, ["rooms/r-gc/att/u-ok"]);
+    assert.ok(sweptAt("u-ok"));
+
+    const s = await runAttachmentSweep(store, { now: NOW });
+    assert.equal(s.unsentSwept, 1);
+    assert.deepEqual(deletedKeys, ["rooms/r-gc/att/u-ok", "rooms/r-gc/att/u-fail"]);
+    assert.equal(sweptAt("u-fail"), NOW);
+  });
+
+  test("soft-deleted room past grace: all objects swept and room marked", async () => {
+    rooms.createRoomFromV1({ id: "r-del-old", inviteCode: "620002", creatorDeviceId: "g2" });
+    addAttachment("r-del-old", "d-linked", "g2", "linked", 60 * 1000);
+    rooms.softDeleteRoomForDevice("r-del-old", "g2");
+    db.prepare(`UPDATE rooms SET deleted_at = ? WHERE id = 'r-del-old'`).run(NOW - 8 * DAY);
+
+    rooms.createRoomFromV1({ id: "r-del-new", inviteCode: "620003", creatorDeviceId: "g3" });
+    addAttachment("r-del-new", "d-recent", "g3", "linked", 60 * 1000);
+    rooms.softDeleteRoomForDevice("r-del-new", "g3");
+
+    const s = await runAttachmentSweep(store, { now: NOW });
+    assert.equal(s.deletedRoomsSwept, 1);
+    assert.equal(s.deletedRoomAttachmentsSwept, 1);
+    assert.deepEqual(deletedKeys, ["rooms/r-del-old/att/d-linked"]);
+    assert.equal(sweptAt("d-linked"), NOW);
+    assert.equal(sweptAt("d-recent"), null);
+    const row = db
+      .prepare(`SELECT attachments_swept_at FROM rooms WHERE id = 'r-del-old'`)
+      .get();
+    assert.equal(row.attachments_swept_at, NOW);
+
+    const again = await runAttachmentSweep(store, { now: NOW });
+    assert.equal(again.deletedRoomsSwept, 0);
+  });
+
+  test("no storage configured → skipped", async () => {
+    const s = await runAttachmentSweep({ attachments, attachmentStorage: null }, { now: NOW });
+    assert.equal(s.skipped, true);
+  });
+});
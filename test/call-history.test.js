@@ -0,0 +1,231 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { COIN_LEDGER_ENTRY_KINDS } = require("../src/coinEntryKinds");
+
+const ENV = {
+  LIVEKIT_URL: "wss://unit-test.livekit.example",
+  LIVEKIT_API_KEY: "APIcallhistory",
+  LIVEKIT_API_SECRET:
+    "1234123412341234123412341234123412341234123412341234123412341234",
+  CONNECT_CALL_TARIFF_JSON: JSON.stringify({
+    version: 1,
+    voice: { coinsPerSecond: 2 },
+    video: { coinsPerSecond: 0 },
+  }),
+  CONNECT_FREE_CALL_SECONDS_PER_DAY: "0",
+  CONNECT_CALL_METERING_MODE: "",
+};
+
+const ROOM = "room-hist";
+
+describe("room call history (Call-History-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  const prev = {};
+
+  async function postJson(p, body) {
+    const res = await fetch(`${base}${p}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  async function getJson(p) {
+    const res = await fetch(`${base}${p}`);
+    return { status: res.status, json: await res.json() };
+  }
+
+  function token(deviceId, callSessionId) {
+    return postJson("/v2/calls/livekit-token", {
+      deviceId,
+      roomId: ROOM,
+      callSessionId,
+      callType: "voice",
+    });
+  }
+
+  before(async () => {
+    for (const k of [...Object.keys(ENV), "DATABASE_PATH"]) prev[k] = process.env[k];
+    Object.assign(process.env, ENV);
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-hist-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    process.env.DATABASE_PATH = dbPath;
+
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: ROOM, inviteCode: "960001", creatorDeviceId: "dev-h-a" });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "960001", deviceId: "dev-h-b" });
+    seed.rooms.createRoomFromV1({ id: "room-hist-x", inviteCode: "960002", creatorDeviceId: "dev-h-x" });
+    seed.coins.applyLedgerCredit({
+      deviceId: "dev-h-a",
+      amount: 1000,
+      idempotencyKey: "hist-fund-a",
+      entryKind: COIN_LEDGER_ENTRY_KINDS.PURCHASE_CREDIT,
+      packId: "test",
+    });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    for (const [k, v] of Object.entries(prev)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    delete require.cache[require.resolve("../server.js")];
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("token + start + settle produce one entry without coin data", async () => {
+    assert.equal((await token("dev-h-a", "hist-call-1")).status, 200);
+    assert.equal((await token("dev-h-b", "hist-call-1")).status, 200);
+    const start = await postJson("/v2/billing/call-charge/start", {
+      deviceId: "dev-h-a",
+      callSessionId: "hist-call-1",
+      callType: "voice",
+      estimatedBillableSeconds: 60,
+    });
+    assert.equal(start.status, 200);
+
+    const pending = await getJson(`/v2/rooms/${ROOM}/calls?deviceId=dev-h-b`);
+    assert.equal(pending.status, 200);
+    assert.equal(pending.json.calls.length, 1);
+    assert.equal(pending.json.calls[0].endedAt, null);
+    assert.equal(pending.json.calls[0].durationSeconds, null);
+
+    const settle = await postJson("/v2/billing/call-charge/settle", {
+      deviceId: "dev-h-a",
+      callSessionId: "hist-call-1",
+      callType: "voice",
+      billedSeconds: 42,
+      reservedAmount: start.json.reservedCoins,
+    });
+    assert.equal(settle.status, 200);
+    assert.equal(settle.json.finalDebitCoins, 84);
+
+    const out = await getJson(`/v2/rooms/${ROOM}/calls?deviceId=dev-h-b`);
+    const [call] = out.json.calls;
+    assert.equal(call.callSessionId, "hist-call-1");
+    assert.equal(call.callType, "voice");
+    assert.equal(call.durationSeconds, 42);
+    assert.equal(call.participantCount, 2);
+    assert.equal(call.participated, true);
+    assert.ok(call.startedAt && call.endedAt);
+    const text = JSON.stringify(out.json);
+    for (const leak of ["oin", "reserve", "tariff", "dev-h-a"]) {
+      assert.ok(!text.includes(leak), `history must not include ${leak}`);
+    }
+  });
+
+  test("start with a linked roomId logs the call before any token", async () => {
+    const start = await postJson("/v2/billing/call-charge/start", {
+      deviceId: "dev-h-a",
+      roomId: ROOM,
+      callSessionId: "hist-call-2",
+      callType: "voice",
+      estimatedBillableSeconds: 0,
+    });
+    assert.equal(start.status, 200);
+    const foreign = await postJson("/v2/billing/call-charge/start", {
+      deviceId: "dev-h-a",
+      roomId: "room-hist-x",
+      callSessionId: "hist-call-foreign",
+      callType: "voice",
+      estimatedBillableSeconds: 0,
+    });
+    assert.equal(foreign.status, 200);
+
+    const out = await getJson(`/v2/rooms/${ROOM}/calls?deviceId=dev-h-a`);
+    assert.deepEqual(
+      out.json.calls.map((c) => c.callSessionId),
+      ["hist-call-2", "hist-call-1"]
+    );
+    const x = await getJson("/v2/rooms/room-hist-x/calls?deviceId=dev-h-x");
+    assert.equal(x.json.calls.length, 0);
+  });
+
+  test("pages newest first with before / limit", async () => {
+    assert.equal((await token("dev-h-b", "hist-call-3")).status, 200);
+    const p1 = await getJson(`/v2/rooms/${ROOM}/calls?deviceId=dev-h-a&limit=2`);
+    assert.deepEqual(
+      p1.json.calls.map((c) => c.callSessionId),
+      ["hist-call-3", "hist-call-2"]
+    );
+    assert.equal(p1.json.calls[0].participated, false);
+    assert.equal(p1.json.hasMore, true);
+    const p2 = await getJson(
+      `/v2/rooms/${ROOM}/calls?deviceId=dev-h-a&limit=2&before=${p1.json.nextCursor}`
+    );
+    assert.deepEqual(p2.json.calls.map((c) => c.callSessionId), ["hist-call-1"]);
+    assert.equal(p2.json.hasMore, false);
+    assert.equal(p2.json.nextCursor, null);
+
+    const bad = await getJson(`/v2/rooms/${ROOM}/calls?deviceId=dev-h-a&after=1`);
+    assert.equal(bad.status, 400);
+  });
+
+  test("devices outside the room are refused", async () => {
+    const out = await getJson(`/v2/rooms/${ROOM}/calls?deviceId=dev-h-x`);
+    assert.equal(out.status, 403);
+    assert.equal(out.json.reason, "forbidden");
+  });
+});
+
+describe("call history writes need room membership (Call-History-1)", () => {
+  test("an outsider with the callSessionId cannot join the log or stretch its duration", () => {
+    const dbPath = path.join(
+      os.tmpdir(),
+      `burner-hist-repo-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    const store = createRoomStore({ dbFilePath: dbPath });
+    try {
+      store.rooms.createRoomFromV1({ id: "room-hr", inviteCode: "960101", creatorDeviceId: "dev-r-a" });
+      store.rooms.createRoomFromV1({ id: "room-hr-x", inviteCode: "960102", creatorDeviceId: "dev-r-x" });
+      const h = store.callHistory;
+      h.recordToken({ roomId: "room-hr", callSessionId: "hr-1", callType: "voice", callKind: "direct", deviceId: "dev-r-a" });
+      assert.equal(h.recordSettle({ callSessionId: "hr-1", deviceId: "dev-r-a", billedSeconds: 30 }), true);
+
+      assert.equal(h.recordChargeStart({ callSessionId: "hr-1", callType: "voice", deviceId: "dev-r-x" }), false);
+      assert.equal(
+        h.recordChargeStart({ roomId: "room-hr", callSessionId: "hr-2", callType: "voice", deviceId: "dev-r-x" }),
+        false
+      );
+      assert.equal(h.recordSettle({ callSessionId: "hr-1", deviceId: "dev-r-x", billedSeconds: 9999 }), false);
+
+      const { calls } = h.listRoomCalls("room-hr", "dev-r-a", { before: null, limit: 10 });
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].participant_count, 1);
+      assert.equal(calls[0].duration_seconds, 30);
+    } finally {
+      store.db.close();
+      for (const ext of ["", "-shm", "-wal"]) {
+        try {
+          fs.unlinkSync(dbPath + ext);
+        } catch (_) {
+          /* ignore */
+        }
+      }
+    }
+  });
+});
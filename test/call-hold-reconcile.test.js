@@ -0,0 +1,282 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { openDatabase } = require("../src/store/db");
+const { createCoinWalletRepository } = require("../src/store/coinWalletRepository");
+const { createCallMeteringRepository } = require("../src/store/callMeteringRepository");
+const { COIN_LEDGER_ENTRY_KINDS } = require("../src/coinEntryKinds");
+const {
+  processCallChargeStart,
+  processCallChargeSettle,
+  deriveParticipantBillingSessionId,
+} = require("../src/connectCallBilling");
+const { createCallFreeAllowance } = require("../src/callFreeAllowance");
+const { runCallHoldReconcile } = require("../src/callHoldReconciler");
+
+const TARIFF = Object.freeze({
+  version: 4,
+  voice: { coinsPerSecond: 1 },
+  video: { coinsPerSecond: 3 },
+});
+
+const HOUR = 3600000;
+
+describe("stale call hold reconciler (Call-Meter-4)", () => {
+  let dbPath;
+  let db;
+  let coins;
+  let callMetering;
+  let store;
+  const NOW = Date.now();
+
+  function fund(deviceId, amount) {
+    const r = coins.applyLedgerCredit({
+      deviceId,
+      amount,
+      idempotencyKey: `fund-${deviceId}`,
+      entryKind: COIN_LEDGER_ENTRY_KINDS.PURCHASE_CREDIT,
+      packId: "test",
+    });
+    assert.equal(r.ok, true);
+  }
+
+  function startHold(deviceId, callSessionId, estimatedBillableSeconds, ageMs) {
+    const out = processCallChargeStart(
+      coins,
+      { deviceId, callSessionId, callType: "voice", estimatedBillableSeconds },
+      TARIFF
+    );
+    assert.equal(out.status, 200);
+    db.prepare(`UPDATE coin_ledger_entries SET created_at = ? WHERE idempotency_key = ?`).run(
+      NOW - ageMs,
+      `call:${callSessionId}:hold`
+    );
+    return out.json.reservedCoins;
+  }
+
+  function registerCall(roomName, callSessionId, deviceId) {
+    callMetering.registerParticipant({
+      roomName,
+      roomId: "room-rec",
+      callSessionId,
+      callType: "voice",
+      identity: `p_${deviceId}`,
+      deviceId,
+      now: NOW - 8 * HOUR,
+    });
+  }
+
+  function lkEvent(id, event, roomName, deviceId, at) {
+    return callMetering.applyWebhookEvent({
+      id,
+      event,
+      roomName,
+      identity: `p_${deviceId}`,
+      at,
+    });
+  }
+
+  before(() => {
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-hold-rec-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    db = openDatabase(dbPath);
+    coins = createCoinWalletRepository(db);
+    callMetering = createCallMeteringRepository(db);
+    store = { coins, callMetering };
+  });
+
+  after(() => {
+    db.close();
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("abandoned hold without metering is released; fresh hold is kept", async () => {
+    fund("dev-r1", 500);
+    assert.equal(startHold("dev-r1", "sess-stale", 120, 7 * HOUR), 120);
+    startHold("dev-r1", "sess-fresh", 60, 10 * 60 * 1000);
+    assert.equal(coins.getWallet("dev-r1").reservedCoins, 180);
+
+    const s = await runCallHoldReconcile(store, { now: NOW, maxAgeMs: 6 * HOUR });
+    assert.equal(s.holdsReleased, 1);
+    assert.equal(s.holdsDebited, 0);
+
+    const w = coins.getWallet("dev-r1");
+    assert.equal(w.reservedCoins, 60);
+    assert.equal(w.availableCoins, 500);
+    const rel = coins.getLedgerEntryByIdempotencyKey("call:sess-stale:release");
+    assert.equal(rel.entryKind, COIN_LEDGER_ENTRY_KINDS.RESERVE_RELEASE);
+    const debit = coins.getLedgerEntryByIdempotencyKey("call:sess-stale:settle");
+    assert.equal(debit.deltaCoins, 0);
+    assert.equal(JSON.parse(debit.metadataJson).reconciled, true);
+
+    const again = await runCallHoldReconcile(store, { now: NOW, maxAgeMs: 6 * HOUR });
+    assert.equal(again.holdsScanned, 0);
+  });
+
+  test("late client settle after reconciliation is a duplicate, not a second release", () => {
+    const out = processCallChargeSettle(
+      coins,
+      {
+        deviceId: "dev-r1",
+        callSessionId: "sess-stale",
+        callType: "voice",
+        billedSeconds: 30,
+        reservedAmount: 120,
+      },
+      TARIFF
+    );
+    assert.equal(out.status, 200);
+    assert.equal(out.json.duplicate, true);
+    assert.equal(coins.getWallet("dev-r1").reservedCoins, 60);
+  });
+
+  test("observed LiveKit time is debited, capped at the reserve", async () => {
+    fund("dev-r2", 1000);
+    startHold("dev-r2", "sess-metered", 100, 8 * HOUR);
+    registerCall("lk-metered", "sess-metered", "dev-r2");
+    lkEvent("ev-m1", "participant_joined", "lk-metered", "dev-r2", NOW - 8 * HOUR);
+    lkEvent("ev-m2", "participant_left", "lk-metered", "dev-r2", NOW - 8 * HOUR + 40000);
+
+    fund("dev-r3", 1000);
+    startHold("dev-r3", "sess-long", 50, 8 * HOUR);
+    registerCall("lk-long", "sess-long", "dev-r3");
+    lkEvent("ev-l1", "participant_joined", "lk-long", "dev-r3", NOW - 8 * HOUR);
+    lkEvent("ev-l2", "room_finished", "lk-long", "dev-r3", NOW - 7 * HOUR);
+
+    const s = await runCallHoldReconcile(store, { now: NOW, maxAgeMs: 6 * HOUR });
+    assert.equal(s.holdsDebited, 2);
+
+    const w2 = coins.getWallet("dev-r2");
+    assert.equal(w2.reservedCoins, 0);
+    assert.equal(w2.availableCoins, 960);
+    const meta = JSON.parse(
+      coins.getLedgerEntryByIdempotencyKey("call:sess-metered:settle").metadataJson
+    );
+    assert.equal(meta.billedSeconds, 40);
+    assert.equal(meta.metering.source, "server");
+
+    const w3 = coins.getWallet("dev-r3");
+    assert.equal(w3.reservedCoins, 0);
+    assert.equal(w3.availableCoins, 950);
+  });
+
+  test("group call participant hold uses that device's observed time", async () => {
+    fund("dev-r5", 500);
+    callMetering.registerParticipant({
+      roomName: "lk-group",
+      roomId: "room-rec",
+      callSessionId: "sess-group",
+      callType: "voice",
+      callKind: "group",
+      identity: "p_dev-r5",
+      deviceId: "dev-r5",
+      now: NOW - 8 * HOUR,
+    });
+    const out = processCallChargeStart(
+      coins,
+      { deviceId: "dev-r5", callSessionId: "sess-group", callType: "voice", estimatedBillableSeconds: 100 },
+      TARIFF,
+      { metering: callMetering }
+    );
+    assert.equal(out.json.billingScope, "participant");
+    const billingId = deriveParticipantBillingSessionId("sess-group", "dev-r5");
+    db.prepare(`UPDATE coin_ledger_entries SET created_at = ? WHERE idempotency_key = ?`).run(
+      NOW - 8 * HOUR,
+      `call:${billingId}:hold`
+    );
+    lkEvent("ev-g1", "participant_joined", "lk-group", "dev-r5", NOW - 8 * HOUR);
+    lkEvent("ev-g2", "participant_left", "lk-group", "dev-r5", NOW - 8 * HOUR + 25000);
+
+    const s = await runCallHoldReconcile(store, { now: NOW, maxAgeMs: 6 * HOUR });
+    assert.equal(s.holdsDebited, 1);
+    assert.equal(coins.getWallet("dev-r5").availableCoins, 475);
+    const meta = JSON.parse(
+      coins.getLedgerEntryByIdempotencyKey(`call:${billingId}:settle`).metadataJson
+    );
+    assert.equal(meta.callSessionId, "sess-group");
+    assert.equal(meta.billedSeconds, 25);
+  });
+
+  test("device still connected in LiveKit is left alone", async () => {
+    fund("dev-r4", 500);
+    startHold("dev-r4", "sess-live", 100, 7 * HOUR);
+    registerCall("lk-live", "sess-live", "dev-r4");
+    lkEvent("ev-v1", "participant_joined", "lk-live", "dev-r4", NOW - 7 * HOUR);
+
+    const s = await runCallHoldReconcile(store, { now: NOW, maxAgeMs: 6 * HOUR });
+    assert.equal(s.skipped, 1);
+    assert.equal(coins.getWallet("dev-r4").reservedCoins, 100);
+    assert.equal(coins.getLedgerEntryByIdempotencyKey("call:sess-live:settle"), null);
+  });
+
+  test("a page of skipped holds does not hide the holds behind it", async () => {
+    // sess-live (7h old, still connected) sorts first and is skipped on every pass.
+    fund("dev-r6", 500);
+    startHold("dev-r6", "sess-behind", 40, 6.5 * HOUR);
+
+    const s = await runCallHoldReconcile(store, { now: NOW, maxAgeMs: 6 * HOUR, batchSize: 1 });
+    assert.equal(s.holdsScanned, 2);
+    assert.equal(s.skipped, 1);
+    assert.equal(s.holdsReleased, 1);
+    assert.equal(coins.getWallet("dev-r6").reservedCoins, 0);
+  });
+
+  test("observed seconds draw on the daily free allowance; metering off bills nothing", async () => {
+    const prevFree = process.env.CONNECT_FREE_CALL_SECONDS_PER_DAY;
+    const prevMode = process.env.CONNECT_CALL_METERING_MODE;
+    process.env.CONNECT_FREE_CALL_SECONDS_PER_DAY = "30";
+    const callFree = createCallFreeAllowance(db);
+    const withFree = { ...store, callFree, db };
+    const observe = (sid, deviceId, seconds) => {
+      registerCall(`lk-${sid}`, sid, deviceId);
+      lkEvent(`ev-${sid}-1`, "participant_joined", `lk-${sid}`, deviceId, NOW - 8 * HOUR);
+      lkEvent(`ev-${sid}-2`, "participant_left", `lk-${sid}`, deviceId, NOW - 8 * HOUR + seconds * 1000);
+    };
+    const settleMeta = (sid) =>
+      JSON.parse(coins.getLedgerEntryByIdempotencyKey(`call:${sid}:settle`).metadataJson);
+    try {
+      fund("dev-r7", 500);
+      startHold("dev-r7", "sess-free-1", 100, 8 * HOUR);
+      observe("sess-free-1", "dev-r7", 40);
+      await runCallHoldReconcile(withFree, { now: NOW, maxAgeMs: 6 * HOUR });
+      assert.equal(settleMeta("sess-free-1").freeSecondsApplied, 30);
+      assert.equal(coins.getWallet("dev-r7").availableCoins, 490);
+      assert.equal(callFree.getSnapshot("dev-r7").callFreeSecondsUsedToday, 30);
+
+      // The same free seconds are not handed out twice.
+      startHold("dev-r7", "sess-free-2", 100, 8 * HOUR);
+      observe("sess-free-2", "dev-r7", 40);
+      await runCallHoldReconcile(withFree, { now: NOW, maxAgeMs: 6 * HOUR });
+      assert.equal(settleMeta("sess-free-2").freeSecondsApplied, 0);
+      assert.equal(coins.getWallet("dev-r7").availableCoins, 450);
+
+      process.env.CONNECT_CALL_METERING_MODE = "off";
+      fund("dev-r8", 500);
+      startHold("dev-r8", "sess-off", 100, 8 * HOUR);
+      observe("sess-off", "dev-r8", 40);
+      const s = await runCallHoldReconcile(withFree, { now: NOW, maxAgeMs: 6 * HOUR });
+      assert.equal(s.holdsReleased, 1);
+      const meta = settleMeta("sess-off");
+      assert.equal(meta.billedSeconds, 0);
+      assert.equal(meta.metering.mode, "off");
+      assert.equal(meta.metering.observedSeconds, 40);
+      assert.equal(coins.getWallet("dev-r8").availableCoins, 500);
+      assert.equal(callFree.getSnapshot("dev-r8").callFreeSecondsUsedToday, 0);
+    } finally {
+      if (prevFree === undefined) delete process.env.CONNECT_FREE_CALL_SECONDS_PER_DAY;
+      else process.env.CONNECT_FREE_CALL_SECONDS_PER_DAY = prevFree;
+      if (prevMode === undefined) delete process.env.CONNECT_CALL_METERING_MODE;
+      else process.env.CONNECT_CALL_METERING_MODE = prevMode;
+    }
+  });
+});
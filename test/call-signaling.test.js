@@ -0,0 +1,225 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const http = require("http");
+const Database = require("better-sqlite3");
+const { createRoomStore } = require("../src/store");
+const { deriveOpaqueParticipantIdentity } = require("../src/livekitConnect");
+
+const ENV = {
+  LIVEKIT_URL: "wss://unit-test.livekit.example",
+  LIVEKIT_API_KEY: "APIcallsignal",
+  LIVEKIT_API_SECRET:
+    "abcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdefabcdef0000",
+  CONNECT_CALL_RING_TIMEOUT_MS: "",
+};
+
+describe("call signaling (Call-Signal-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  const prev = {};
+
+  async function postJson(p, body) {
+    const res = await fetch(`${base}${p}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  async function getJson(p) {
+    const res = await fetch(`${base}${p}`);
+    return { status: res.status, json: await res.json() };
+  }
+
+  const ring = (roomId, deviceId, extra = {}) =>
+    postJson(`/v2/rooms/${roomId}/calls`, { deviceId, ...extra });
+  const act = (roomId, sid, action, deviceId) =>
+    postJson(`/v2/rooms/${roomId}/calls/${sid}/${action}`, { deviceId });
+
+  before(async () => {
+    for (const k of [...Object.keys(ENV), "DATABASE_PATH"]) prev[k] = process.env[k];
+    Object.assign(process.env, ENV);
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-sig-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    process.env.DATABASE_PATH = dbPath;
+
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    for (const [id, code] of [
+      ["room-sig-1", "950001"],
+      ["room-sig-2", "950002"],
+      ["room-sig-3", "950003"],
+    ]) {
+      seed.rooms.createRoomFromV1({ id, inviteCode: code, creatorDeviceId: "dev-sig-a" });
+      seed.rooms.joinActiveRoomByCode({ inviteCode: code, deviceId: "dev-sig-b" });
+    }
+    seed.rooms.createRoomFromV1({ id: "room-sig-x", inviteCode: "950009", creatorDeviceId: "dev-sig-x" });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    for (const [k, v] of Object.entries(prev)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    delete require.cache[require.resolve("../server.js")];
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("ring → accept → end, with tokens for both sides", async () => {
+    const created = await ring("room-sig-1", "dev-sig-a");
+    assert.equal(created.status, 201);
+    const { call } = created.json;
+    assert.equal(call.state, "ringing");
+    assert.equal(call.callType, "voice");
+    assert.equal(call.isCaller, true);
+    assert.equal(
+      call.callerParticipantId,
+      deriveOpaqueParticipantIdentity("room-sig-1", call.callSessionId, "dev-sig-a")
+    );
+    assert.ok(created.json.livekit.token.length > 20);
+    assert.ok(!JSON.stringify(created.json).includes("dev-sig-a"));
+
+    const seen = await getJson(
+      `/v2/rooms/room-sig-1/calls/${call.callSessionId}?deviceId=dev-sig-b`
+    );
+    assert.equal(seen.status, 200);
+    assert.equal(seen.json.call.isCaller, false);
+
+    const busy = await ring("room-sig-1", "dev-sig-b");
+    assert.equal(busy.status, 409);
+    assert.equal(busy.json.reason, "call_in_progress");
+    assert.equal(busy.json.call.callSessionId, call.callSessionId);
+
+    const self = await act("room-sig-1", call.callSessionId, "accept", "dev-sig-a");
+    assert.equal(self.status, 403);
+    assert.equal(self.json.reason, "caller_cannot_answer");
+
+    const accepted = await act("room-sig-1", call.callSessionId, "accept", "dev-sig-b");
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.json.call.state, "accepted");
+    assert.equal(accepted.json.livekit.roomName, created.json.livekit.roomName);
+
+    const cancel = await act("room-sig-1", call.callSessionId, "cancel", "dev-sig-a");
+    assert.equal(cancel.status, 409);
+    assert.equal(cancel.json.reason, "invalid_call_state");
+
+    const ended = await act("room-sig-1", call.callSessionId, "end", "dev-sig-a");
+    assert.equal(ended.status, 200);
+    assert.equal(ended.json.call.state, "ended");
+
+    const late = await postJson("/v2/calls/livekit-token", {
+      deviceId: "dev-sig-b",
+      roomId: "room-sig-1",
+      callSessionId: call.callSessionId,
+      callType: "voice",
+    });
+    assert.equal(late.status, 409);
+    assert.equal(late.json.reason, "call_not_active");
+  });
+
+  test("decline and cancel end a ringing call", async () => {
+    const first = (await ring("room-sig-2", "dev-sig-a")).json.call;
+    const notCaller = await act("room-sig-2", first.callSessionId, "cancel", "dev-sig-b");
+    assert.equal(notCaller.status, 403);
+    assert.equal(notCaller.json.reason, "not_caller");
+    const declined = await act("room-sig-2", first.callSessionId, "decline", "dev-sig-b");
+    assert.equal(declined.status, 200);
+    assert.equal(declined.json.call.state, "declined");
+
+    const second = (await ring("room-sig-2", "dev-sig-b")).json.call;
+    const cancelled = await act("room-sig-2", second.callSessionId, "cancel", "dev-sig-b");
+    assert.equal(cancelled.json.call.state, "cancelled");
+    const accept = await act("room-sig-2", second.callSessionId, "accept", "dev-sig-a");
+    assert.equal(accept.status, 409);
+    assert.equal(accept.json.call.state, "cancelled");
+  });
+
+  test("unanswered calls become missed and show up in room detail", async () => {
+    const call = (await ring("room-sig-3", "dev-sig-a")).json.call;
+    const detailRinging = await getJson("/v2/rooms/room-sig-3?deviceId=dev-sig-b");
+    assert.equal(detailRinging.json.calls.active.callSessionId, call.callSessionId);
+
+    const raw = new Database(dbPath);
+    raw
+      .prepare(`UPDATE call_invites SET ring_expires_at = ? WHERE call_session_id = ?`)
+      .run(Date.now() - 1000, call.callSessionId);
+    raw.close();
+
+    const peer = await getJson("/v2/rooms/room-sig-3?deviceId=dev-sig-b");
+    assert.equal(peer.json.calls.active, null);
+    assert.equal(peer.json.calls.missedCount, 1);
+    assert.ok(peer.json.calls.lastMissedAt);
+    const caller = await getJson("/v2/rooms/room-sig-3?deviceId=dev-sig-a");
+    assert.equal(caller.json.calls.missedCount, 0);
+
+    const state = await getJson(
+      `/v2/rooms/room-sig-3/calls/${call.callSessionId}?deviceId=dev-sig-a`
+    );
+    assert.equal(state.json.call.state, "missed");
+  });
+
+  test("missed count starts at link time and clears when marked seen", async () => {
+    const raw = new Database(dbPath);
+    // Missed calls end at `ring_expires_at`; keep it after the seen cursor set just before.
+    const expire = async (sid) => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      raw
+        .prepare(`UPDATE call_invites SET ring_expires_at = ? WHERE call_session_id = ?`)
+        .run(Date.now(), sid);
+    };
+    const missedFor = async (deviceId) =>
+      (await getJson(`/v2/rooms/room-sig-3?deviceId=${deviceId}`)).json.calls.missedCount;
+
+    // The earlier missed call predates dev-sig-late's link.
+    raw
+      .prepare(`INSERT INTO device_room_links (room_id, device_id, linked_at) VALUES (?, ?, ?)`)
+      .run("room-sig-3", "dev-sig-late", Date.now());
+    await expire((await ring("room-sig-3", "dev-sig-a")).json.call.callSessionId);
+    assert.equal(await missedFor("dev-sig-b"), 2);
+    assert.equal(await missedFor("dev-sig-late"), 1);
+
+    const seen = await postJson("/v2/rooms/room-sig-3/calls/seen", { deviceId: "dev-sig-b" });
+    assert.equal(seen.status, 200);
+    assert.equal(seen.json.calls.missedCount, 0);
+    assert.equal(await missedFor("dev-sig-b"), 0);
+    assert.equal(await missedFor("dev-sig-late"), 1);
+
+    await expire((await ring("room-sig-3", "dev-sig-a")).json.call.callSessionId);
+    assert.equal(await missedFor("dev-sig-b"), 1);
+
+    const outsider = await postJson("/v2/rooms/room-sig-3/calls/seen", { deviceId: "dev-sig-x" });
+    assert.equal(outsider.status, 403);
+    raw.close();
+  });
+
+  test("devices outside the room cannot ring or read calls", async () => {
+    const out = await ring("room-sig-1", "dev-sig-x");
+    assert.equal(out.status, 403);
+    const solo = await ring("room-sig-x", "dev-sig-x");
+    assert.equal(solo.status, 403);
+    assert.equal(solo.json.reason, "room_not_ready_for_call");
+    const unknown = await getJson("/v2/rooms/room-sig-1/calls/nope?deviceId=dev-sig-a");
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.json.reason, "call_not_found");
+  });
+});
@@ -0,0 +1,207 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { tmpDbPath, unlinkDb } = require("./helpers/roomDb");
+
+describe("accountRepository (Accounts-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("accounts-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("opening an account moves wallet, ledger and membership; paired device shares them", () => {
+    store.coins.applyLedgerCredit({
+      deviceId: "dev-old",
+      amount: 120,
+      idempotencyKey: "acct-test-credit-1",
+      entryKind: "purchase_credit",
+    });
+    store.membership.applyActivationOrRenewal({
+      eventId: "evt_acct_1",
+      deviceId: "dev-old",
+      stripeCustomerId: "cus_acct",
+      stripeSubscriptionId: "sub_acct",
+      periodEndMs: Date.now() + 86400000,
+    });
+    store.rooms.createRoomFromV1({ id: "room-acct-1", inviteCode: "880001", creatorDeviceId: "dev-old" });
+
+    const issued = store.accounts.createPairingCode({ deviceId: "dev-old", ttlMs: 60000 });
+    assert.equal(issued.accountCreated, true);
+    assert.equal(store.coins.getWallet("dev-old").availableCoins, 120);
+    assert.equal(store.coins.getWallet("dev-old").deviceId, "dev-old");
+
+    const raw = store.db
+      .prepare(`SELECT device_id FROM device_coin_wallets WHERE available_coins = 120`)
+      .get();
+    assert.match(raw.device_id, /^acct_/);
+
+    const paired = store.accounts.redeemPairingCode({
+      deviceId: "dev-new",
+      code: issued.code,
+      maxDevices: 5,
+    });
+    assert.equal(paired.ok, true);
+    assert.equal(store.coins.getWallet("dev-new").availableCoins, 120);
+    assert.equal(store.membership.isDeviceMember("dev-new"), true);
+    assert.equal(store.membership.getMembershipStatus("dev-new").deviceId, "dev-new");
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-acct-1", "dev-new").ok, true);
+
+    // Links written after pairing reach every device of the account.
+    store.rooms.createRoomFromV1({ id: "room-acct-2", inviteCode: "880002", creatorDeviceId: "dev-new" });
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-acct-2", "dev-old").ok, true);
+
+    // Stripe metadata still names a device; the credit lands in the shared wallet.
+    store.coins.applyLedgerCredit({
+      deviceId: "dev-new",
+      amount: 30,
+      idempotencyKey: "acct-test-credit-2",
+      entryKind: "purchase_credit",
+    });
+    assert.equal(store.coins.getWallet("dev-old").availableCoins, 150);
+
+    const reused = store.accounts.redeemPairingCode({
+      deviceId: "dev-third",
+      code: issued.code,
+      maxDevices: 5,
+    });
+    assert.deepEqual(reused, { ok: false, reason: "invalid_pairing_code" });
+  });
+
+  test("a device with its own coins cannot join; revoked devices lose account state", () => {
+    store.coins.applyLedgerCredit({
+      deviceId: "dev-rich",
+      amount: 5,
+      idempotencyKey: "acct-test-credit-3",
+      entryKind: "purchase_credit",
+    });
+    const { code } = store.accounts.createPairingCode({ deviceId: "dev-old", ttlMs: 60000 });
+    assert.equal(
+      store.accounts.redeemPairingCode({ deviceId: "dev-rich", code, maxDevices: 5 }).reason,
+      "device_has_billing_state"
+    );
+
+    const devices = store.accounts.getAccountForDevice("dev-old").devices;
+    const newRef = devices.find((d) => d.deviceId === "dev-new").deviceRef;
+    assert.equal(store.accounts.revokeDevice({ deviceId: "dev-old", deviceRef: newRef }).ok, true);
+    assert.equal(store.coins.getWallet("dev-new"), null);
+    assert.equal(store.membership.isDeviceMember("dev-new"), false);
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-acct-1", "dev-new").reason, "forbidden");
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-acct-2", "dev-old").ok, true);
+    // dev-new created room-acct-2 itself: its membership row and link survive the revoke.
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-acct-2", "dev-new").ok, true);
+    const orphans = store.db
+      .prepare(
+        `SELECT COUNT(*) AS c FROM room_members m
+         WHERE NOT EXISTS (
+           SELECT 1 FROM device_room_links l WHERE l.room_id = m.room_id AND l.device_id = m.device_id
+         )`
+      )
+      .get();
+    assert.equal(orphans.c, 0);
+
+    const oldRef = devices.find((d) => d.deviceId === "dev-old").deviceRef;
+    assert.equal(
+      store.accounts.revokeDevice({ deviceId: "dev-old", deviceRef: oldRef }).reason,
+      "last_device"
+    );
+  });
+});
+
+describe("account routes HTTP (Accounts-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+  let prevMax;
+
+  async function call(method, urlPath, body) {
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    prevMax = process.env.CONNECT_ACCOUNT_MAX_DEVICES;
+    dbPath = tmpDbPath("accounts-http");
+    process.env.DATABASE_PATH = dbPath;
+    process.env.CONNECT_ACCOUNT_MAX_DEVICES = "2";
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.coins.applyLedgerCredit({
+      deviceId: "dev-h-old",
+      amount: 40,
+      idempotencyKey: "acct-http-credit",
+      entryKind: "purchase_credit",
+    });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    if (prevMax === undefined) delete process.env.CONNECT_ACCOUNT_MAX_DEVICES;
+    else process.env.CONNECT_ACCOUNT_MAX_DEVICES = prevMax;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("pair, list, hit the device cap, revoke", async () => {
+    const none = await call("GET", "/v2/account/devices?deviceId=dev-h-old");
+    assert.deepEqual(none.json, { linked: false, devices: [] });
+
+    const issued = await call("POST", "/v2/account/pairing-codes", { deviceId: "dev-h-old", label: "Old phone" });
+    assert.equal(issued.status, 201);
+    assert.match(issued.json.code, /^[A-Z2-9]{8}$/);
+
+    const bad = await call("POST", "/v2/account/pair", { deviceId: "dev-h-new", code: "nope" });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.json.reason, "invalid_pairing_code");
+
+    const typed = `${issued.json.code.slice(0, 4).toLowerCase()}-${issued.json.code.slice(4)}`;
+    const paired = await call("POST", "/v2/account/pair", { deviceId: "dev-h-new", code: typed });
+    assert.equal(paired.status, 201);
+    assert.equal(paired.json.devices.length, 2);
+    assert.ok(!JSON.stringify(paired.json).includes("dev-h-"));
+    assert.ok(!JSON.stringify(paired.json).includes("acct_"));
+
+    const wallet = await call("GET", "/v2/billing/wallet?deviceId=dev-h-new");
+    assert.equal(wallet.json.availableCoins, 40);
+    assert.equal(wallet.json.deviceId, "dev-h-new");
+
+    const again = await call("POST", "/v2/account/pairing-codes", { deviceId: "dev-h-new" });
+    assert.equal(again.json.accountCreated, false);
+    const full = await call("POST", "/v2/account/pair", { deviceId: "dev-h-third", code: again.json.code });
+    assert.equal(full.status, 409);
+    assert.equal(full.json.reason, "device_limit_reached");
+
+    const listed = await call("GET", "/v2/account/devices?deviceId=dev-h-old");
+    const self = listed.json.devices.find((d) => d.isSelf);
+    assert.equal(self.label, "Old phone");
+    const other = listed.json.devices.find((d) => !d.isSelf);
+    const revoked = await call("DELETE", `/v2/account/devices/${other.deviceRef}?deviceId=dev-h-old`);
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.json.revokedSelf, false);
+
+    const afterRevoke = await call("GET", "/v2/billing/wallet?deviceId=dev-h-new");
+    assert.equal(afterRevoke.json.availableCoins, 0);
+  });
+});
@@ -0,0 +1,275 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const http = require("http");
+const crypto = require("crypto");
+const { createRoomStore } = require("../src/store");
+const { buildSignaturePayload, sha256Hex, parsePublicKey } = require("../src/deviceAuth");
+
+function newDeviceKey() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  return { privateKey, publicKey: publicKey.export({ format: "jwk" }).x };
+}
+
+let nonceSeq = 0;
+
+/**
+ * @param {{ privateKey: crypto.KeyObject }} key
+ * @param {string} deviceId
+ * @param {string} method
+ * @param {string} urlPath path + query as sent
+ * @param {string} bodyText
+ * @param {{ timestamp?: number, nonce?: string }} [opts]
+ */
+function signHeaders(key, deviceId, method, urlPath, bodyText, opts = {}) {
+  const timestamp = String(opts.timestamp != null ? opts.timestamp : Date.now());
+  const nonce = opts.nonce || `n${Date.now()}x${++nonceSeq}abcdefgh`;
+  const payload = buildSignaturePayload({
+    method,
+    path: urlPath,
+    timestamp,
+    nonce,
+    bodySha256: sha256Hex(Buffer.from(bodyText, "utf8")),
+  });
+  return {
+    "x-connect-device-id": deviceId,
+    "x-connect-timestamp": timestamp,
+    "x-connect-nonce": nonce,
+    "x-connect-signature": crypto.sign(null, Buffer.from(payload), key.privateKey).toString("base64"),
+  };
+}
+
+describe("parsePublicKey", () => {
+  test("accepts raw 32-byte keys in base64 or base64url, rejects others", () => {
+    const { publicKey } = newDeviceKey();
+    const std = Buffer.from(publicKey, "base64url").toString("base64");
+    assert.equal(parsePublicKey(publicKey).publicKey, publicKey);
+    assert.equal(parsePublicKey(std).publicKey, publicKey);
+    assert.equal(parsePublicKey("abc").ok, false);
+    assert.equal(parsePublicKey(Buffer.alloc(33).toString("base64")).ok, false);
+    assert.equal(parsePublicKey(42).ok, false);
+  });
+});
+
+describe("signed device requests (Device-Auth-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  const prev = {};
+  const keyA = newDeviceKey();
+  const keyB = newDeviceKey();
+
+  async function send(method, urlPath, { body, headers = {} } = {}) {
+    const bodyText = body === undefined ? "" : JSON.stringify(body);
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: body === undefined ? headers : { "content-type": "application/json", ...headers },
+      body: body === undefined ? undefined : bodyText,
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  async function signed(key, deviceId, method, urlPath, body, opts) {
+    const bodyText = body === undefined ? "" : JSON.stringify(body);
+    return send(method, urlPath, {
+      body,
+      headers: signHeaders(key, deviceId, method, urlPath, bodyText, opts),
+    });
+  }
+
+  before(async () => {
+    for (const k of ["CONNECT_DEVICE_AUTH_MODE", "DATABASE_PATH"]) prev[k] = process.env[k];
+    delete process.env.CONNECT_DEVICE_AUTH_MODE;
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-devauth-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    process.env.DATABASE_PATH = dbPath;
+
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-auth", inviteCode: "970001", creatorDeviceId: "dev-auth-a" });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    for (const [k, v] of Object.entries(prev)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    delete require.cache[require.resolve("../server.js")];
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("off mode: unsigned requests work as before", async () => {
+    const out = await send("GET", "/v2/billing/wallet?deviceId=dev-auth-a");
+    assert.equal(out.status, 200);
+    const meta = await send("GET", "/v2/meta");
+    assert.equal(meta.json.connect.deviceAuth.mode, "off");
+  });
+
+  test("registration requires proof of the key and is first-wins", async () => {
+    const body = { deviceId: "dev-auth-a", publicKey: keyA.publicKey };
+    const unsigned = await send("POST", "/v2/devices/keys", { body });
+    assert.equal(unsigned.status, 401);
+    assert.equal(unsigned.json.reason, "signature_required");
+
+    const wrongKey = await signed(keyB, "dev-auth-a", "POST", "/v2/devices/keys", body);
+    assert.equal(wrongKey.status, 401);
+    assert.equal(wrongKey.json.reason, "invalid_signature");
+
+    const created = await signed(keyA, "dev-auth-a", "POST", "/v2/devices/keys", body);
+    assert.equal(created.status, 201);
+    assert.equal(created.json.publicKey, keyA.publicKey);
+    assert.equal(created.json.algorithm, "ed25519");
+
+    const again = await signed(keyA, "dev-auth-a", "POST", "/v2/devices/keys", body);
+    assert.equal(again.status, 200);
+
+    const other = await signed(keyB, "dev-auth-a", "POST", "/v2/devices/keys", {
+      deviceId: "dev-auth-a",
+      publicKey: keyB.publicKey,
+    });
+    assert.equal(other.status, 409);
+    assert.equal(other.json.reason, "device_key_exists");
+
+    const badKey = await send("POST", "/v2/devices/keys", {
+      body: { deviceId: "dev-auth-a", publicKey: "nope" },
+    });
+    assert.equal(badKey.status, 400);
+    assert.equal(badKey.json.reason, "invalid_public_key");
+  });
+
+  test("enforce mode: signed requests pass, everything else is 401", async () => {
+    process.env.CONNECT_DEVICE_AUTH_MODE = "enforce";
+    try {
+      const walletPath = "/v2/billing/wallet?deviceId=dev-auth-a";
+
+      const unsigned = await send("GET", walletPath);
+      assert.equal(unsigned.status, 401);
+      assert.equal(unsigned.json.reason, "signature_required");
+
+      const ok = await signed(keyA, "dev-auth-a", "GET", walletPath);
+      assert.equal(ok.status, 200);
+      assert.equal(ok.json.deviceId, "dev-auth-a");
+
+      const nonce = "fixed-nonce-0123456789";
+      assert.equal((await signed(keyA, "dev-auth-a", "GET", walletPath, undefined, { nonce })).status, 200);
+      const replay = await signed(keyA, "dev-auth-a", "GET", walletPath, undefined, { nonce });
+      assert.equal(replay.status, 401);
+      assert.equal(replay.json.reason, "replayed_nonce");
+
+      const stale = await signed(keyA, "dev-auth-a", "GET", walletPath, undefined, {
+        timestamp: Date.now() - 10 * 60 * 1000,
+      });
+      assert.equal(stale.json.reason, "stale_timestamp");
+
+      const unknown = await signed(keyB, "dev-auth-b", "GET", "/v2/billing/wallet?deviceId=dev-auth-b");
+      assert.equal(unknown.json.reason, "unknown_device_key");
+
+      const mismatch = await signed(keyA, "dev-auth-a", "GET", "/v2/billing/wallet?deviceId=dev-auth-b");
+      assert.equal(mismatch.status, 401);
+      assert.equal(mismatch.json.reason, "device_mismatch");
+
+      // Body bytes are covered: sign one body, send another.
+      const leaveBody = { deviceId: "dev-auth-a" };
+      const headers = signHeaders(
+        keyA,
+        "dev-auth-a",
+        "POST",
+        "/v2/rooms/room-auth/leave",
+        JSON.stringify({ deviceId: "dev-auth-a", extra: 1 })
+      );
+      const tampered = await send("POST", "/v2/rooms/room-auth/leave", { body: leaveBody, headers });
+      assert.equal(tampered.status, 401);
+      assert.equal(tampered.json.reason, "invalid_signature");
+
+      // V1 sends name their device in `senderId`; it is bound like `deviceId`.
+      const v1Body = { sessionId: "room-auth", senderId: "dev-auth-b", encrypted: { ciphertext: "c", nonce: "n" } };
+      const v1Unsigned = await send("POST", "/messages", { body: v1Body });
+      assert.equal(v1Unsigned.status, 401);
+      assert.equal(v1Unsigned.json.reason, "signature_required");
+      const v1Spoofed = await signed(keyA, "dev-auth-a", "POST", "/messages", v1Body);
+      assert.equal(v1Spoofed.status, 401);
+      assert.equal(v1Spoofed.json.reason, "device_mismatch");
+
+      const detail = await signed(keyA, "dev-auth-a", "GET", "/v2/rooms/room-auth?deviceId=dev-auth-a");
+      assert.equal(detail.status, 200);
+
+      const meta = await send("GET", "/v2/meta");
+      assert.equal(meta.status, 200);
+      assert.equal(meta.json.connect.deviceAuth.mode, "enforce");
+    } finally {
+      delete process.env.CONNECT_DEVICE_AUTH_MODE;
+    }
+  });
+
+  test("enforce mode: unsigned stream upgrades are refused before the upgrade", async () => {
+    process.env.CONNECT_DEVICE_AUTH_MODE = "enforce";
+    const { attachRoomStream } = require("../src/roomStream");
+    const server = http.createServer((req, res) => res.end());
+    const store = createRoomStore({ dbFilePath: dbPath });
+    const stream = attachRoomStream(server, store);
+    await new Promise((resolve) => server.listen(0, resolve));
+    try {
+      const status = await new Promise((resolve, reject) => {
+        const req = http.request({
+          port: server.address().port,
+          path: "/v2/rooms/room-auth/stream?deviceId=dev-auth-a",
+          headers: {
+            Connection: "Upgrade",
+            Upgrade: "websocket",
+            "Sec-WebSocket-Version": "13",
+            "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64"),
+          },
+        });
+        req.on("response", (res) => {
+          res.resume();
+          resolve(res.statusCode);
+        });
+        req.on("upgrade", (res, socket) => {
+          socket.destroy();
+          resolve(101);
+        });
+        req.on("error", reject);
+        req.end();
+      });
+      assert.equal(status, 401);
+    } finally {
+      delete process.env.CONNECT_DEVICE_AUTH_MODE;
+      stream.close();
+      await new Promise((resolve) => server.close(resolve));
+      store.db.close();
+    }
+  });
+
+  test("warn mode: failures are logged but not rejected", async () => {
+    process.env.CONNECT_DEVICE_AUTH_MODE = "warn";
+    const warn = console.warn;
+    const lines = [];
+    console.warn = (...args) => lines.push(args.join(" "));
+    try {
+      const out = await send("GET", "/v2/billing/wallet?deviceId=dev-auth-a");
+      assert.equal(out.status, 200);
+      assert.ok(lines.some((l) => l.includes("signature_required")));
+      assert.ok(!lines.some((l) => l.includes("dev-auth-a")));
+    } finally {
+      console.warn = warn;
+      delete process.env.CONNECT_DEVICE_AUTH_MODE;
+    }
+  });
+});
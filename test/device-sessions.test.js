@@ -0,0 +1,238 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const http = require("http");
+const crypto = require("crypto");
+const Database = require("better-sqlite3");
+const { createRoomStore } = require("../src/store");
+const { buildSignaturePayload, sha256Hex } = require("../src/deviceAuth");
+const { buildChallengePayload } = require("../src/deviceSessions");
+
+describe("device sessions: challenge / verify / refresh (Device-Auth-2)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  const prev = {};
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+  const rawPublicKey = publicKey.export({ format: "jwk" }).x;
+
+  async function call(method, urlPath, { body, token, headers = {} } = {}) {
+    const h = { ...headers };
+    if (body !== undefined) h["content-type"] = "application/json";
+    if (token) h.authorization = `Bearer ${token}`;
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: h,
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  async function login(deviceId = "dev-sess-a", key = privateKey) {
+    const c = await call("POST", "/v2/auth/challenge", { body: { deviceId } });
+    assert.equal(c.status, 201);
+    const signature = crypto
+      .sign(null, Buffer.from(buildChallengePayload({ deviceId, ...c.json })), key)
+      .toString("base64url");
+    return call("POST", "/v2/auth/verify", {
+      body: { deviceId, challengeId: c.json.challengeId, signature },
+    });
+  }
+
+  before(async () => {
+    for (const k of ["CONNECT_DEVICE_AUTH_MODE", "DATABASE_PATH"]) prev[k] = process.env[k];
+    delete process.env.CONNECT_DEVICE_AUTH_MODE;
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-devsess-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    process.env.DATABASE_PATH = dbPath;
+
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-sess", inviteCode: "980001", creatorDeviceId: "dev-sess-a" });
+    seed.deviceKeys.registerKey({ deviceId: "dev-sess-a", publicKey: rawPublicKey });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    for (const [k, v] of Object.entries(prev)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    delete require.cache[require.resolve("../server.js")];
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("challenge needs a registered key; verify checks the signature once", async () => {
+    const noKey = await call("POST", "/v2/auth/challenge", { body: { deviceId: "dev-sess-nokey" } });
+    assert.equal(noKey.status, 401);
+    assert.equal(noKey.json.reason, "unknown_device_key");
+
+    const c = await call("POST", "/v2/auth/challenge", { body: { deviceId: "dev-sess-a" } });
+    const other = crypto.generateKeyPairSync("ed25519").privateKey;
+    const payload = Buffer.from(buildChallengePayload({ deviceId: "dev-sess-a", ...c.json }));
+    const bad = await call("POST", "/v2/auth/verify", {
+      body: {
+        deviceId: "dev-sess-a",
+        challengeId: c.json.challengeId,
+        signature: crypto.sign(null, payload, other).toString("base64"),
+      },
+    });
+    assert.equal(bad.status, 401);
+    assert.equal(bad.json.reason, "invalid_signature");
+
+    const body = {
+      deviceId: "dev-sess-a",
+      challengeId: c.json.challengeId,
+      signature: crypto.sign(null, payload, privateKey).toString("base64"),
+    };
+    const ok = await call("POST", "/v2/auth/verify", { body });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.json.tokenType, "Bearer");
+    assert.ok(ok.json.accessToken && ok.json.refreshToken);
+
+    const reused = await call("POST", "/v2/auth/verify", { body });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.json.reason, "invalid_challenge");
+
+    const raw = new Database(dbPath, { readonly: true });
+    const rows = raw.prepare("SELECT * FROM device_sessions").all();
+    raw.close();
+    assert.ok(!JSON.stringify(rows).includes(ok.json.accessToken));
+    assert.ok(!JSON.stringify(rows).includes(ok.json.refreshToken));
+  });
+
+  test("bearer sets the device for routes without deviceId in the query", async () => {
+    const { json: t } = await login();
+    const wallet = await call("GET", "/v2/billing/wallet", { token: t.accessToken });
+    assert.equal(wallet.status, 200);
+    assert.equal(wallet.json.deviceId, "dev-sess-a");
+
+    const rooms = await call("GET", "/v2/rooms", { token: t.accessToken });
+    assert.equal(rooms.status, 200);
+    assert.equal(rooms.json.rooms.length, 1);
+
+    const detail = await call("GET", "/v2/rooms/room-sess", { token: t.accessToken });
+    assert.equal(detail.status, 200);
+
+    const mismatch = await call("GET", "/v2/billing/wallet?deviceId=dev-sess-b", {
+      token: t.accessToken,
+    });
+    assert.equal(mismatch.status, 401);
+    assert.equal(mismatch.json.reason, "device_mismatch");
+    const senderMismatch = await call("POST", "/messages", {
+      token: t.accessToken,
+      body: { sessionId: "x", senderId: "dev-sess-b", encrypted: { ciphertext: "c", nonce: "n" } },
+    });
+    assert.equal(senderMismatch.status, 401);
+    assert.equal(senderMismatch.json.reason, "device_mismatch");
+
+    const junk = await call("GET", "/v2/billing/wallet?deviceId=dev-sess-a", { token: "nope" });
+    assert.equal(junk.status, 401);
+    assert.equal(junk.json.reason, "invalid_access_token");
+  });
+
+  test("bearer satisfies enforce mode; unsigned legacy calls do not", async () => {
+    process.env.CONNECT_DEVICE_AUTH_MODE = "enforce";
+    try {
+      const { json: t } = await login();
+      const legacy = await call("GET", "/v2/billing/wallet?deviceId=dev-sess-a");
+      assert.equal(legacy.status, 401);
+      assert.equal(legacy.json.reason, "signature_required");
+      const bearer = await call("GET", "/v2/billing/wallet?deviceId=dev-sess-a", {
+        token: t.accessToken,
+      });
+      assert.equal(bearer.status, 200);
+
+      // A signed request still works next to token auth.
+      const urlPath = "/v2/billing/wallet?deviceId=dev-sess-a";
+      const timestamp = String(Date.now());
+      const nonce = "sess-signed-nonce-0001";
+      const sig = crypto.sign(
+        null,
+        Buffer.from(
+          buildSignaturePayload({
+            method: "GET",
+            path: urlPath,
+            timestamp,
+            nonce,
+            bodySha256: sha256Hex(Buffer.alloc(0)),
+          })
+        ),
+        privateKey
+      );
+      const signed = await call("GET", urlPath, {
+        headers: {
+          "x-connect-device-id": "dev-sess-a",
+          "x-connect-timestamp": timestamp,
+          "x-connect-nonce": nonce,
+          "x-connect-signature": sig.toString("base64"),
+        },
+      });
+      assert.equal(signed.status, 200);
+    } finally {
+      delete process.env.CONNECT_DEVICE_AUTH_MODE;
+    }
+  });
+
+  test("refresh rotates both tokens; expiry and logout end access", async () => {
+    const { json: first } = await login();
+    const refreshed = await call("POST", "/v2/auth/refresh", {
+      body: { refreshToken: first.refreshToken },
+    });
+    assert.equal(refreshed.status, 200);
+    assert.notEqual(refreshed.json.accessToken, first.accessToken);
+
+    const oldRefresh = await call("POST", "/v2/auth/refresh", {
+      body: { refreshToken: first.refreshToken },
+    });
+    assert.equal(oldRefresh.status, 401);
+    assert.equal(oldRefresh.json.reason, "invalid_refresh_token");
+    const oldAccess = await call("GET", "/v2/billing/wallet", { token: first.accessToken });
+    assert.equal(oldAccess.json.reason, "invalid_access_token");
+
+    const raw = new Database(dbPath);
+    raw.prepare("UPDATE device_sessions SET access_expires_at = ?").run(Date.now() - 1000);
+    raw.close();
+    const expired = await call("GET", "/v2/billing/wallet", { token: refreshed.json.accessToken });
+    assert.equal(expired.status, 401);
+    assert.equal(expired.json.reason, "access_token_expired");
+
+    const again = await call("POST", "/v2/auth/refresh", {
+      body: { refreshToken: refreshed.json.refreshToken },
+    });
+    assert.equal(again.status, 200);
+    const out = await call("POST", "/v2/auth/logout", { token: again.json.accessToken });
+    assert.equal(out.status, 200);
+    assert.equal(out.json.revoked, true);
+    const loggedOut = await call("GET", "/v2/billing/wallet", { token: again.json.accessToken });
+    assert.equal(loggedOut.json.reason, "invalid_access_token");
+    const dead = await call("POST", "/v2/auth/refresh", {
+      body: { refreshToken: again.json.refreshToken },
+    });
+    assert.equal(dead.status, 401);
+  });
+
+  test("webhook routes keep their own Authorization scheme", async () => {
+    const out = await call("POST", "/v2/webhooks/billing", {
+      body: {},
+      token: "not-a-session-token",
+    });
+    assert.notEqual(out.json.reason, "invalid_access_token");
+  });
+});
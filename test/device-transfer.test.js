@@ -0,0 +1,205 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { COIN_LEDGER_ENTRY_KINDS } = require("../src/coinEntryKinds");
+const { tmpDbPath, unlinkDb } = require("./helpers/roomDb");
+
+describe("deviceTransferRepository (Device-Transfer-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("transfer-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("confirm moves coins as a ledger pair and re-keys membership; renewals follow", () => {
+    store.coins.applyLedgerCredit({
+      deviceId: "dev-src",
+      amount: 75,
+      idempotencyKey: "xfer-credit-1",
+      entryKind: COIN_LEDGER_ENTRY_KINDS.PURCHASE_CREDIT,
+    });
+    store.coins.applyLedgerCredit({
+      deviceId: "dev-dst",
+      amount: 5,
+      idempotencyKey: "xfer-credit-2",
+      entryKind: COIN_LEDGER_ENTRY_KINDS.PURCHASE_CREDIT,
+    });
+    store.membership.applyActivationOrRenewal({
+      eventId: "evt_xfer_1",
+      deviceId: "dev-src",
+      stripeCustomerId: "cus_xfer",
+      stripeSubscriptionId: "sub_xfer",
+      periodEndMs: Date.now() + 86400000,
+    });
+
+    const started = store.deviceTransfers.startTransfer({ deviceId: "dev-src", ttlMs: 60000 });
+    assert.equal(started.ok, true);
+    assert.equal(
+      store.deviceTransfers.confirmTransfer({ deviceId: "dev-src", transferId: started.transferId }).reason,
+      "transfer_not_claimed"
+    );
+    assert.equal(
+      store.deviceTransfers.claimTransfer({ deviceId: "dev-src", code: started.code }).reason,
+      "cannot_transfer_to_self"
+    );
+    const claimed = store.deviceTransfers.claimTransfer({ deviceId: "dev-dst", code: started.code });
+    assert.equal(claimed.ok, true);
+    assert.equal(claimed.transfer.role, "target");
+    assert.equal(claimed.transfer.coins, 75);
+
+    const done = store.deviceTransfers.confirmTransfer({ deviceId: "dev-src", transferId: started.transferId });
+    assert.equal(done.ok, true);
+    assert.equal(done.transfer.state, "completed");
+    assert.equal(done.transfer.coins, 75);
+    assert.equal(done.transfer.membershipMoved, true);
+
+    assert.equal(store.coins.getWallet("dev-src").availableCoins, 0);
+    assert.equal(store.coins.getWallet("dev-dst").availableCoins, 80);
+    const out = store.coins.getLedgerEntryByIdempotencyKey(`transfer:${started.transferId}:out`);
+    const inn = store.coins.getLedgerEntryByIdempotencyKey(`transfer:${started.transferId}:in`);
+    assert.equal(out.entryKind, "transfer_out");
+    assert.equal(out.deltaCoins, -75);
+    assert.equal(inn.entryKind, "transfer_in");
+    assert.equal(inn.balanceAfter, 80);
+
+    assert.equal(store.membership.isDeviceMember("dev-src"), false);
+    const rec = store.membership.getMembershipRecord("dev-dst");
+    assert.equal(rec.stripeCustomerId, "cus_xfer");
+    assert.equal(rec.stripeSubscriptionId, "sub_xfer");
+
+    // Subscription metadata still names dev-src; the renewal extends dev-dst's row.
+    const renewedUntil = Date.now() + 86400000 * 30;
+    store.membership.applyActivationOrRenewal({
+      eventId: "evt_xfer_2",
+      deviceId: "dev-src",
+      stripeSubscriptionId: "sub_xfer",
+      periodEndMs: renewedUntil,
+    });
+    assert.equal(store.membership.getMembershipRecord("dev-dst").membershipActiveUntil, renewedUntil);
+    assert.equal(store.membership.getMembershipRecord("dev-src"), null);
+  });
+
+  test("reserved coins and an active target membership abort without moving anything", () => {
+    store.coins.applyLedgerCredit({
+      deviceId: "dev-held",
+      amount: 50,
+      idempotencyKey: "xfer-credit-3",
+      entryKind: COIN_LEDGER_ENTRY_KINDS.PURCHASE_CREDIT,
+    });
+    store.coins.applyReserveHold({ deviceId: "dev-held", amount: 10, idempotencyKey: "call:xfer:hold" });
+    const t1 = store.deviceTransfers.startTransfer({ deviceId: "dev-held", ttlMs: 60000 });
+    store.deviceTransfers.claimTransfer({ deviceId: "dev-fresh", code: t1.code });
+    assert.equal(
+      store.deviceTransfers.confirmTransfer({ deviceId: "dev-held", transferId: t1.transferId }).reason,
+      "source_has_reserved_coins"
+    );
+    assert.equal(store.coins.getWallet("dev-held").availableCoins, 50);
+
+    // dev-dst is an active member after the first test.
+    store.membership.applyActivationOrRenewal({
+      eventId: "evt_xfer_3",
+      deviceId: "dev-pro2",
+      stripeSubscriptionId: "sub_xfer_2",
+      periodEndMs: Date.now() + 86400000,
+    });
+    const t2 = store.deviceTransfers.startTransfer({ deviceId: "dev-pro2", ttlMs: 60000 });
+    store.deviceTransfers.claimTransfer({ deviceId: "dev-dst", code: t2.code });
+    assert.equal(
+      store.deviceTransfers.confirmTransfer({ deviceId: "dev-pro2", transferId: t2.transferId }).reason,
+      "target_has_membership"
+    );
+    assert.equal(store.membership.isDeviceMember("dev-pro2"), true);
+
+    assert.equal(store.deviceTransfers.startTransfer({ deviceId: "dev-empty", ttlMs: 60000 }).reason, "nothing_to_transfer");
+  });
+});
+
+describe("device transfer routes HTTP (Device-Transfer-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  async function call(method, urlPath, body) {
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("transfer-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.coins.applyLedgerCredit({
+      deviceId: "dev-h-src",
+      amount: 33,
+      idempotencyKey: "xfer-http-credit",
+      entryKind: COIN_LEDGER_ENTRY_KINDS.PURCHASE_CREDIT,
+    });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("start, claim, poll, confirm", async () => {
+    const started = await call("POST", "/v2/billing/transfer/start", { deviceId: "dev-h-src" });
+    assert.equal(started.status, 201);
+    assert.match(started.json.code, /^[A-Z2-9]{6}$/);
+
+    const bad = await call("POST", "/v2/billing/transfer/claim", { deviceId: "dev-h-dst", code: "AAAAAA" });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.json.reason, "invalid_transfer_code");
+
+    const claimed = await call("POST", "/v2/billing/transfer/claim", {
+      deviceId: "dev-h-dst",
+      code: started.json.code.toLowerCase(),
+    });
+    assert.equal(claimed.status, 200);
+    assert.equal(claimed.json.state, "claimed");
+    assert.equal(claimed.json.coins, 33);
+
+    const polled = await call("GET", "/v2/billing/transfer?deviceId=dev-h-src");
+    assert.equal(polled.json.role, "source");
+    assert.equal(polled.json.state, "claimed");
+
+    const confirmed = await call("POST", "/v2/billing/transfer/confirm", {
+      deviceId: "dev-h-src",
+      transferId: started.json.transferId,
+    });
+    assert.equal(confirmed.status, 200);
+    assert.equal(confirmed.json.state, "completed");
+    assert.equal(confirmed.json.membershipMoved, false);
+
+    const wallet = await call("GET", "/v2/billing/wallet?deviceId=dev-h-dst");
+    assert.equal(wallet.json.availableCoins, 33);
+    const none = await call("GET", "/v2/billing/transfer?deviceId=dev-h-src");
+    assert.equal(none.status, 404);
+
+    const unknown = await call("POST", "/v2/billing/transfer/toString", { deviceId: "dev-h-src" });
+    assert.equal(unknown.status, 404);
+  });
+});
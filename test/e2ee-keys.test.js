@@ -0,0 +1,162 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const crypto = require("crypto");
+const { createRoomStore } = require("../src/store");
+const { deriveRoomMemberId } = require("../src/roomMemberIdentity");
+const { tmpDbPath, unlinkDb } = require("./helpers/roomDb");
+
+function b64(n) {
+  return crypto.randomBytes(n).toString("base64");
+}
+
+function bundleBody(deviceId, { identityKey = b64(32), prekeyIds = [] } = {}) {
+  return {
+    deviceId,
+    identityKey,
+    signedPrekey: { keyId: 1, publicKey: b64(32), signature: b64(64) },
+    oneTimePrekeys: prekeyIds.map((keyId) => ({ keyId, publicKey: b64(32) })),
+  };
+}
+
+describe("e2eeKeyRepository safety number events", () => {
+  test("identity change publishes to every linked room with that room's member id", () => {
+    const dbPath = tmpDbPath("e2ee-repo");
+    const store = createRoomStore({ dbFilePath: dbPath });
+    try {
+      store.rooms.createRoomFromV1({ id: "room-k1", inviteCode: "990001", creatorDeviceId: "dev-k" });
+      store.rooms.createRoomFromV1({ id: "room-k2", inviteCode: "990002", creatorDeviceId: "dev-k" });
+      const seen = [];
+      store.events.subscribe("room-k1", (e) => seen.push(e));
+      store.events.subscribe("room-k2", (e) => seen.push(e));
+
+      const first = bundleBody("dev-k");
+      const publish = (b) =>
+        store.e2eeKeys.publishKeys({ ...b, maxStoredPrekeys: 500 });
+      assert.equal(publish(first).identityChanged, false);
+      assert.equal(publish({ ...bundleBody("dev-k"), identityKey: first.identityKey }).identityChanged, false);
+      assert.equal(seen.length, 0);
+
+      assert.equal(publish(bundleBody("dev-k")).identityChanged, true);
+      assert.deepEqual(
+        seen.map((e) => [e.type, e.roomId, e.memberId]).sort(),
+        [
+          ["safety_number_changed", "room-k1", deriveRoomMemberId("room-k1", "dev-k")],
+          ["safety_number_changed", "room-k2", deriveRoomMemberId("room-k2", "dev-k")],
+        ]
+      );
+      assert.notEqual(seen[0].memberId, seen[1].memberId);
+    } finally {
+      store.db.close();
+      unlinkDb(dbPath);
+    }
+  });
+});
+
+describe("E2EE key directory HTTP (E2EE-Keys-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  async function call(method, urlPath, body) {
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("e2ee-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-e2ee", inviteCode: "990011", creatorDeviceId: "dev-e-a" });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "990011", deviceId: "dev-e-b" });
+    seed.rooms.createRoomFromV1({ id: "room-e2ee-x", inviteCode: "990012", creatorDeviceId: "dev-e-x" });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("publish validates input and reports own keys", async () => {
+    const bad = await call("PUT", "/v2/devices/e2ee-keys", { ...bundleBody("dev-e-b"), identityKey: "short" });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.json.reason, "invalid_identity_key");
+    const badSpk = await call("PUT", "/v2/devices/e2ee-keys", {
+      ...bundleBody("dev-e-b"),
+      signedPrekey: { keyId: 1, publicKey: b64(32) },
+    });
+    assert.equal(badSpk.json.reason, "invalid_signed_prekey");
+
+    const none = await call("GET", "/v2/devices/e2ee-keys?deviceId=dev-e-b");
+    assert.equal(none.status, 404);
+
+    const created = await call("PUT", "/v2/devices/e2ee-keys", bundleBody("dev-e-b", { prekeyIds: [10, 11] }));
+    assert.equal(created.status, 201);
+    assert.equal(created.json.oneTimePrekeyCount, 2);
+    const own = await call("GET", "/v2/devices/e2ee-keys?deviceId=dev-e-b");
+    assert.equal(own.status, 200);
+    assert.equal(own.json.identityKey, created.json.identityKey);
+  });
+
+  test("members fetch bundles by member id and claim one-time prekeys once", async () => {
+    const dir = await call("GET", "/v2/rooms/room-e2ee/members/keys?deviceId=dev-e-a");
+    assert.equal(dir.status, 200);
+    assert.equal(dir.json.members.length, 2);
+    const peer = dir.json.members.find((m) => !m.isSelf);
+    const self = dir.json.members.find((m) => m.isSelf);
+    assert.equal(self.memberId, dir.json.selfMemberId);
+    assert.equal(self.identityKey, null);
+    assert.ok(peer.identityKey);
+    assert.ok(!JSON.stringify(dir.json).includes("dev-e-"));
+
+    const url = `/v2/rooms/room-e2ee/members/${peer.memberId}/keys?deviceId=dev-e-a`;
+    const first = await call("GET", url);
+    assert.equal(first.status, 200);
+    assert.equal(first.json.oneTimePrekey.keyId, 10);
+    assert.equal(first.json.signedPrekey.keyId, 1);
+    const second = await call("GET", url);
+    assert.equal(second.json.oneTimePrekey.keyId, 11);
+    const third = await call("GET", url);
+    assert.equal(third.status, 200);
+    assert.equal(third.json.oneTimePrekey, null);
+
+    const selfBundle = await call("GET", `/v2/rooms/room-e2ee/members/${self.memberId}/keys?deviceId=dev-e-a`);
+    assert.equal(selfBundle.json.reason, "keys_not_published");
+  });
+
+  test("outsiders and unknown members are refused", async () => {
+    const dir = await call("GET", "/v2/rooms/room-e2ee/members/keys?deviceId=dev-e-x");
+    assert.equal(dir.status, 403);
+    const peerId = deriveRoomMemberId("room-e2ee", "dev-e-b");
+    const bundle = await call("GET", `/v2/rooms/room-e2ee/members/${peerId}/keys?deviceId=dev-e-x`);
+    assert.equal(bundle.status, 403);
+    const otherRoomId = deriveRoomMemberId("room-e2ee-x", "dev-e-b");
+    const unknown = await call("GET", `/v2/rooms/room-e2ee/members/${otherRoomId}/keys?deviceId=dev-e-a`);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.json.reason, "member_not_found");
+  });
+
+  test("a new identity key drops old one-time prekeys", async () => {
+    await call("PUT", "/v2/devices/e2ee-keys", bundleBody("dev-e-b", { prekeyIds: [20, 21, 22] }));
+    const changed = await call("PUT", "/v2/devices/e2ee-keys", bundleBody("dev-e-b", { prekeyIds: [30] }));
+    assert.equal(changed.status, 200);
+    assert.equal(changed.json.identityChanged, true);
+    assert.equal(changed.json.oneTimePrekeyCount, 1);
+  });
+});
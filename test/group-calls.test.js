@@ -0,0 +1,310 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const http = require("http");
+const { AccessToken } = require("livekit-server-sdk");
+const { createRoomStore } = require("../src/store");
+const { COIN_LEDGER_ENTRY_KINDS } = require("../src/coinEntryKinds");
+const {
+  deriveLiveKitRoomName,
+  deriveOpaqueParticipantIdentity,
+} = require("../src/livekitConnect");
+const { deriveParticipantBillingSessionId } = require("../src/connectCallBilling");
+
+const ENV = {
+  LIVEKIT_URL: "wss://unit-test.livekit.example",
+  LIVEKIT_API_KEY: "APIgroupcalls",
+  LIVEKIT_API_SECRET:
+    "00112233445566778899aabbccddeeff00112233445566778899aabbccddeeff",
+  CONNECT_CALL_TARIFF_JSON: JSON.stringify({
+    version: 1,
+    voice: { coinsPerSecond: 1 },
+    video: { coinsPerSecond: 0 },
+  }),
+  CONNECT_FREE_CALL_SECONDS_PER_DAY: "0",
+  CONNECT_CALL_METERING_MODE: "",
+  CONNECT_GROUP_CALL_MAX_PARTICIPANTS: "2",
+};
+
+const ROOM = "room-gc";
+const SESSION = "call-gc-1";
+const DEVICES = ["dev-gc-a", "dev-gc-b", "dev-gc-c"];
+
+describe("group calls (Group-Calls-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  const prev = {};
+  const nowSec = Math.floor(Date.now() / 1000);
+  const roomName = deriveLiveKitRoomName(ROOM, SESSION);
+  const identity = (deviceId) => deriveOpaqueParticipantIdentity(ROOM, SESSION, deviceId);
+
+  async function deliver(payload) {
+    const body = JSON.stringify(payload);
+    const at = new AccessToken(ENV.LIVEKIT_API_KEY, ENV.LIVEKIT_API_SECRET);
+    at.sha256 = crypto.createHash("sha256").update(body).digest("base64");
+    const res = await fetch(`${base}/v2/webhooks/livekit`, {
+      method: "POST",
+      headers: {
+        "content-type": "application/webhook+json",
+        authorization: await at.toJwt(),
+      },
+      body,
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  function participantEvent(event, deviceId, id, atSec) {
+    return deliver({
+      event,
+      id,
+      createdAt: String(atSec),
+      room: { name: roomName },
+      participant: { identity: identity(deviceId) },
+    });
+  }
+
+  async function postJson(p, body) {
+    const res = await fetch(`${base}${p}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  async function getJson(p) {
+    const res = await fetch(`${base}${p}`);
+    return { status: res.status, json: await res.json() };
+  }
+
+  function token(deviceId, callSessionId = SESSION) {
+    return postJson("/v2/calls/livekit-token", {
+      deviceId,
+      roomId: ROOM,
+      callSessionId,
+      callType: "voice",
+    });
+  }
+
+  before(async () => {
+    for (const k of [...Object.keys(ENV), "DATABASE_PATH"]) prev[k] = process.env[k];
+    Object.assign(process.env, ENV);
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-gc-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    process.env.DATABASE_PATH = dbPath;
+
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    const created = seed.rooms.createGroupRoomFromConnect({
+      id: ROOM,
+      inviteCode: "940001",
+      creatorDeviceId: DEVICES[0],
+      memberCap: 5,
+    });
+    assert.equal(created.ok, true);
+    for (const deviceId of DEVICES.slice(1)) {
+      assert.equal(
+        seed.rooms.joinActiveRoomByCode({ inviteCode: "940001", deviceId }).ok,
+        true
+      );
+    }
+    seed.rooms.createRoomFromV1({ id: "room-gc-other", inviteCode: "940002", creatorDeviceId: "dev-gc-x" });
+    for (const deviceId of DEVICES) {
+      seed.coins.applyLedgerCredit({
+        deviceId,
+        amount: 1000,
+        idempotencyKey: `gc-fund-${deviceId}`,
+        entryKind: COIN_LEDGER_ENTRY_KINDS.PURCHASE_CREDIT,
+        packId: "test",
+      });
+    }
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    for (const [k, v] of Object.entries(prev)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    delete require.cache[require.resolve("../server.js")];
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("token reports callKind and enforces the participant cap", async () => {
+    const a = await token("dev-gc-a");
+    assert.equal(a.status, 200);
+    assert.equal(a.json.callKind, "group");
+    assert.equal(a.json.maxParticipants, 2);
+    assert.equal((await token("dev-gc-b")).status, 200);
+
+    // Two unused tokens already hold both slots.
+    const full = await token("dev-gc-c");
+    assert.equal(full.status, 409);
+    assert.equal(full.json.reason, "call_full");
+    assert.equal(full.json.maxParticipants, 2);
+
+    // A device that already holds a slot may refresh its token.
+    assert.equal((await token("dev-gc-a")).status, 200);
+  });
+
+  test("a slot frees up when a participant leaves", async () => {
+    assert.equal((await participantEvent("participant_joined", "dev-gc-a", "EV_gc_1", nowSec)).json.applied, true);
+    assert.equal((await participantEvent("participant_joined", "dev-gc-b", "EV_gc_2", nowSec)).json.applied, true);
+    assert.equal((await token("dev-gc-c")).status, 409);
+
+    await participantEvent("participant_left", "dev-gc-b", "EV_gc_3", nowSec + 30);
+    assert.equal((await token("dev-gc-c")).status, 200);
+    await participantEvent("participant_joined", "dev-gc-c", "EV_gc_4", nowSec + 31);
+  });
+
+  test("roster lists connected participants by opaque id only", async () => {
+    const out = await getJson(`/v2/rooms/${ROOM}/calls/${SESSION}/roster?deviceId=dev-gc-a`);
+    assert.equal(out.status, 200);
+    assert.equal(out.json.callKind, "group");
+    assert.equal(out.json.callType, "voice");
+    assert.equal(out.json.maxParticipants, 2);
+    assert.equal(out.json.finished, false);
+    assert.equal(out.json.connectedCount, 2);
+    assert.deepEqual(
+      out.json.participants.map((p) => [p.participantId, p.self]),
+      [
+        [identity("dev-gc-a"), true],
+        [identity("dev-gc-c"), false],
+      ]
+    );
+    assert.ok(!JSON.stringify(out.json).includes("dev-gc-"));
+
+    const outsider = await getJson(`/v2/rooms/${ROOM}/calls/${SESSION}/roster?deviceId=dev-gc-x`);
+    assert.equal(outsider.status, 403);
+    const unknown = await getJson(`/v2/rooms/${ROOM}/calls/call-gc-none/roster?deviceId=dev-gc-a`);
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.json.reason, "call_not_found");
+  });
+
+  test("each participant holds and settles their own coins", async () => {
+    const holds = {};
+    for (const deviceId of ["dev-gc-a", "dev-gc-b"]) {
+      const start = await postJson("/v2/billing/call-charge/start", {
+        deviceId,
+        callSessionId: SESSION,
+        callType: "voice",
+        estimatedBillableSeconds: 100,
+      });
+      assert.equal(start.status, 200);
+      assert.equal(start.json.billingScope, "participant");
+      assert.equal(start.json.callSessionId, SESSION);
+      assert.equal(start.json.reservedCoins, 100);
+      holds[deviceId] = start.json.reservedCoins;
+    }
+
+    await participantEvent("participant_left", "dev-gc-a", "EV_gc_5", nowSec + 60);
+
+    const settleA = await postJson("/v2/billing/call-charge/settle", {
+      deviceId: "dev-gc-a",
+      callSessionId: SESSION,
+      callType: "voice",
+      billedSeconds: 0,
+      reservedAmount: holds["dev-gc-a"],
+    });
+    assert.equal(settleA.status, 200);
+    assert.equal(settleA.json.billingScope, "participant");
+    assert.equal(settleA.json.billedSeconds, 60);
+    assert.equal(settleA.json.wallet.availableCoins, 940);
+
+    const settleB = await postJson("/v2/billing/call-charge/settle", {
+      deviceId: "dev-gc-b",
+      callSessionId: SESSION,
+      callType: "voice",
+      billedSeconds: 0,
+      reservedAmount: holds["dev-gc-b"],
+    });
+    assert.equal(settleB.status, 200);
+    assert.equal(settleB.json.billedSeconds, 30);
+    assert.equal(settleB.json.wallet.availableCoins, 970);
+    assert.equal(
+      settleB.json.debitEntry.idempotencyKey,
+      `call:${deriveParticipantBillingSessionId(SESSION, "dev-gc-b")}:settle`
+    );
+  });
+
+  test("start with a group roomId bills per participant before any token", async () => {
+    const start = await postJson("/v2/billing/call-charge/start", {
+      deviceId: "dev-gc-c",
+      roomId: ROOM,
+      callSessionId: "call-gc-2",
+      callType: "voice",
+      estimatedBillableSeconds: 10,
+    });
+    assert.equal(start.status, 200);
+    assert.equal(start.json.billingScope, "participant");
+
+    // Settle without roomId finds the participant hold.
+    const settle = await postJson("/v2/billing/call-charge/settle", {
+      deviceId: "dev-gc-c",
+      callSessionId: "call-gc-2",
+      callType: "voice",
+      billedSeconds: 5,
+      reservedAmount: 10,
+    });
+    assert.equal(settle.status, 200);
+    assert.equal(settle.json.billingScope, "participant");
+    assert.equal(settle.json.finalDebitCoins, 5);
+    assert.equal(settle.json.wallet.reservedCoins, 0);
+  });
+
+  test("settle uses the scope recorded at start even if a token later marks the call group", async () => {
+    const start = await postJson("/v2/billing/call-charge/start", {
+      deviceId: "dev-gc-c",
+      callSessionId: "call-gc-3",
+      callType: "voice",
+      estimatedBillableSeconds: 10,
+    });
+    assert.equal(start.status, 200);
+    assert.equal(start.json.billingScope, "session");
+    assert.equal(start.json.reservedCoins, 10);
+
+    assert.equal((await token("dev-gc-c", "call-gc-3")).status, 200);
+    // Use the token: settle is deferred while it is pending.
+    for (const [event, atSec] of [["participant_joined", nowSec - 10], ["participant_left", nowSec - 6]]) {
+      const out = await deliver({
+        event,
+        id: `EV_gc3_${event}`,
+        createdAt: String(atSec),
+        room: { name: deriveLiveKitRoomName(ROOM, "call-gc-3") },
+        participant: { identity: deriveOpaqueParticipantIdentity(ROOM, "call-gc-3", "dev-gc-c") },
+      });
+      assert.equal(out.json.applied, true);
+    }
+
+    const settle = await postJson("/v2/billing/call-charge/settle", {
+      deviceId: "dev-gc-c",
+      callSessionId: "call-gc-3",
+      callType: "voice",
+      billedSeconds: 4,
+      reservedAmount: 10,
+    });
+    assert.equal(settle.status, 200);
+    assert.equal(settle.json.billingScope, "session");
+    assert.equal(settle.json.finalDebitCoins, 4);
+    assert.equal(settle.json.wallet.reservedCoins, 0);
+    assert.equal(settle.json.debitEntry.idempotencyKey, "call:call-gc-3:settle");
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Shared setup for tests that open a throwaway SQLite store.
+ */
+
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+
+function tmpDbPath(tag) {
+  return path.join(
+    os.tmpdir(),
+    `burner-${tag}-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+  );
+}
+
+function unlinkDb(dbPath) {
+  for (const ext of ["", "-shm", "-wal"]) {
+    try {
+      fs.unlinkSync(dbPath + ext);
+    } catch (_) {
+      /* ignore */
+    }
+  }
+}
+
+/** Append an encrypted text message as `deviceId`; `extra` overrides fields (`type`, `replyToMessageId`, …). */
+function appendText(rooms, roomId, deviceId, messageId, extra = {}) {
+  return rooms.appendMessageForLinkedDevice({
+    roomId,
+    deviceId,
+    messageId,
+    type: "text",
+    encrypted: { ciphertext: `ct-${messageId}`, nonce: "n" },
+    fileName: null,
+    ...extra,
+  });
+}
+
+/** Like `appendText`, but the append must succeed; returns the stored message. */
+function send(rooms, roomId, deviceId, messageId, extra = {}) {
+  const out = appendText(rooms, roomId, deviceId, messageId, extra);
+  assert.equal(out.ok, true);
+  return out.message;
+}
+
+module.exports = { tmpDbPath, unlinkDb, appendText, send };
@@ -0,0 +1,196 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { tmpDbPath, unlinkDb } = require("./helpers/roomDb");
+
+describe("roomInviteRepository (Invite-Tokens-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("invites-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createGroupRoomFromConnect({
+      id: "room-inv",
+      inviteCode: "515151",
+      creatorDeviceId: "dev-a",
+      memberCap: 3,
+    });
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("max uses, member cap and already-member redeem", () => {
+    const made = store.invites.createInvite({
+      roomId: "room-inv",
+      deviceId: "dev-a",
+      maxUses: 2,
+      maxPerRoom: 5,
+    });
+    assert.equal(made.ok, true);
+    assert.match(made.token, /^[A-Za-z0-9_-]{43}$/);
+    assert.equal(made.invite.status, "active");
+
+    const b = store.invites.redeemInvite({ token: made.token, deviceId: "dev-b" });
+    assert.equal(b.ok, true);
+    assert.equal(b.alreadyMember, false);
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-inv", "dev-b").ok, true);
+
+    const again = store.invites.redeemInvite({ token: made.token, deviceId: "dev-b" });
+    assert.equal(again.alreadyMember, true);
+
+    const c = store.invites.redeemInvite({ token: made.token, deviceId: "dev-c" });
+    assert.equal(c.ok, true);
+    const [view] = store.invites.listInvites({ roomId: "room-inv", deviceId: "dev-a" }).invites;
+    assert.equal(view.useCount, 2);
+    assert.equal(view.status, "used_up");
+    assert.equal(
+      store.invites.redeemInvite({ token: made.token, deviceId: "dev-d" }).reason,
+      "invalid_invite_token"
+    );
+
+    const open = store.invites.createInvite({ roomId: "room-inv", deviceId: "dev-a", maxPerRoom: 5 });
+    const full = store.invites.redeemInvite({ token: open.token, deviceId: "dev-d" });
+    assert.equal(full.reason, "full");
+    assert.equal(full.memberCap, 3);
+    assert.equal(store.invites.listInvites({ roomId: "room-inv", deviceId: "dev-a" }).invites[0].useCount, 0);
+  });
+
+  test("expiry, revocation, per-room cap and access", () => {
+    const now = Date.now();
+    assert.equal(
+      store.invites.createInvite({ roomId: "room-inv", deviceId: "dev-b", maxPerRoom: 5 }).reason,
+      "not_room_admin"
+    );
+    const short = store.invites.createInvite({
+      roomId: "room-inv",
+      deviceId: "dev-a",
+      ttlMs: 60000,
+      maxPerRoom: 5,
+      now,
+    });
+    assert.equal(
+      store.invites.redeemInvite({ token: short.token, deviceId: "dev-e", now: now + 60000 }).reason,
+      "invalid_invite_token"
+    );
+
+    const rev = store.invites.revokeInvite({ roomId: "room-inv", deviceId: "dev-a", tokenId: short.invite.tokenId });
+    assert.equal(rev.ok, true);
+    assert.equal(rev.invite.status, "revoked");
+    assert.equal(
+      store.invites.revokeInvite({ roomId: "room-inv", deviceId: "dev-a", tokenId: short.invite.tokenId }).alreadyRevoked,
+      true
+    );
+    assert.equal(
+      store.invites.revokeInvite({ roomId: "room-inv", deviceId: "dev-a", tokenId: "inv_nope" }).reason,
+      "invite_not_found"
+    );
+
+    assert.equal(
+      store.invites.createInvite({ roomId: "room-inv", deviceId: "dev-a", maxPerRoom: 1 }).reason,
+      "too_many_invites"
+    );
+    assert.equal(
+      store.invites.createInvite({ roomId: "room-inv", deviceId: "dev-x", maxPerRoom: 5 }).reason,
+      "forbidden"
+    );
+    assert.equal(store.invites.listInvites({ roomId: "room-inv", deviceId: "dev-x" }).reason, "forbidden");
+
+    store.rooms.endRoomBurnV1("room-inv");
+    const live = store.invites.listInvites({ roomId: "room-inv", deviceId: "dev-a" }).invites.find(
+      (i) => i.status === "active"
+    );
+    assert.ok(live);
+    assert.equal(
+      store.invites.createInvite({ roomId: "room-inv", deviceId: "dev-a", maxPerRoom: 5 }).reason,
+      "not_active"
+    );
+  });
+});
+
+describe("invite token routes HTTP (Invite-Tokens-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  async function call(method, urlPath, body) {
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("invites-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-h", inviteCode: "616161", creatorDeviceId: "dev-h1" });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("create, redeem into a direct room, list and revoke", async () => {
+    const bad = await call("POST", "/v2/rooms/room-h/invites", { deviceId: "dev-h1", maxUses: 0 });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.json.reason, "invalid_max_uses");
+
+    const made = await call("POST", "/v2/rooms/room-h/invites", {
+      deviceId: "dev-h1",
+      expiresInMs: 3600000,
+    });
+    assert.equal(made.status, 201);
+    assert.equal(made.json.status, "active");
+    assert.ok(made.json.expiresAt);
+
+    const joined = await call("POST", "/v2/invites/redeem", { deviceId: "dev-h2", token: made.json.token });
+    assert.equal(joined.status, 200);
+    assert.equal(joined.json.roomId, "room-h");
+    assert.equal(joined.json.roomKind, "direct");
+
+    const third = await call("POST", "/v2/invites/redeem", { deviceId: "dev-h3", token: made.json.token });
+    assert.equal(third.status, 403);
+    assert.equal(third.json.reason, "full");
+
+    const list = await call("GET", "/v2/rooms/room-h/invites?deviceId=dev-h2");
+    assert.equal(list.status, 200);
+    assert.equal(list.json.invites.length, 1);
+    assert.equal(list.json.invites[0].useCount, 1);
+    assert.equal(list.json.invites[0].createdBySelf, false);
+    assert.equal(list.json.invites[0].token, undefined);
+
+    const revoked = await call(
+      "DELETE",
+      `/v2/rooms/room-h/invites/${made.json.tokenId}?deviceId=dev-h1`
+    );
+    assert.equal(revoked.status, 200);
+    assert.equal(revoked.json.status, "revoked");
+
+    const dead = await call("POST", "/v2/invites/redeem", { deviceId: "dev-h2", token: made.json.token });
+    assert.equal(dead.status, 404);
+    assert.equal(dead.json.reason, "invalid_invite_token");
+
+    const outsider = await call("GET", "/v2/rooms/room-h/invites?deviceId=dev-h9");
+    assert.equal(outsider.status, 403);
+  });
+});
@@ -0,0 +1,259 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { tmpDbPath, unlinkDb } = require("./helpers/roomDb");
+
+describe("room join requests (Join-Requests-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("join-req-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("knock, reuse pending request, approve, reject and cancel", () => {
+    const made = store.rooms.createGroupRoomFromConnect({
+      id: "room-knock",
+      inviteCode: "717171",
+      creatorDeviceId: "dev-a",
+      memberCap: 3,
+      joinMode: "knock",
+    });
+    assert.equal(made.joinMode, "knock");
+    assert.equal(
+      store.rooms.createGroupRoomFromConnect({
+        id: "room-bad",
+        inviteCode: "727272",
+        creatorDeviceId: "dev-a",
+        memberCap: 3,
+        joinMode: "closed",
+      }).reason,
+      "invalid_join_mode"
+    );
+
+    const b = store.rooms.joinActiveRoomByCode({ inviteCode: "717171", deviceId: "dev-b" });
+    assert.equal(b.ok, false);
+    assert.equal(b.reason, "join_request_pending");
+    assert.equal(b.created, true);
+    assert.equal(b.joinRequest.state, "pending");
+    assert.equal(b.joinRequest.isSelf, true);
+    assert.match(b.joinRequest.requesterMemberId, /^m_[0-9a-f]{36}$/);
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-knock", "dev-b").ok, false);
+
+    const again = store.rooms.joinActiveRoomByCode({ inviteCode: "717171", deviceId: "dev-b" });
+    assert.equal(again.created, false);
+    assert.equal(again.joinRequest.requestId, b.joinRequest.requestId);
+
+    const list = store.rooms.listJoinRequestsForDevice({ roomId: "room-knock", deviceId: "dev-a" });
+    assert.equal(list.requests.length, 1);
+    assert.equal(list.requests[0].isSelf, false);
+
+    const approved = store.rooms.decideJoinRequestForDevice({
+      roomId: "room-knock",
+      requestId: b.joinRequest.requestId,
+      deviceId: "dev-a",
+      decision: "approve",
+    });
+    assert.equal(approved.ok, true);
+    assert.equal(approved.request.state, "approved");
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-knock", "dev-b").ok, true);
+    assert.equal(
+      store.rooms.decideJoinRequestForDevice({
+        roomId: "room-knock",
+        requestId: b.joinRequest.requestId,
+        deviceId: "dev-a",
+        decision: "reject",
+      }).reason,
+      "join_request_decided"
+    );
+    assert.equal(
+      store.rooms.listJoinRequestsForDevice({ roomId: "room-knock", deviceId: "dev-b" }).reason,
+      "not_room_admin"
+    );
+    assert.equal(store.rooms.joinActiveRoomByCode({ inviteCode: "717171", deviceId: "dev-b" }).ok, true);
+
+    const c = store.rooms.joinActiveRoomByCode({ inviteCode: "717171", deviceId: "dev-c" });
+    const rejected = store.rooms.decideJoinRequestForDevice({
+      roomId: "room-knock",
+      requestId: c.joinRequest.requestId,
+      deviceId: "dev-a",
+      decision: "reject",
+    });
+    assert.equal(rejected.request.state, "rejected");
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-knock", "dev-c").ok, false);
+
+    const c2 = store.rooms.joinActiveRoomByCode({ inviteCode: "717171", deviceId: "dev-c" });
+    assert.equal(c2.created, true);
+    assert.notEqual(c2.joinRequest.requestId, c.joinRequest.requestId);
+    assert.equal(
+      store.rooms.cancelJoinRequestForDevice({
+        roomId: "room-knock",
+        requestId: c2.joinRequest.requestId,
+        deviceId: "dev-a",
+      }).reason,
+      "join_request_not_found"
+    );
+    const cancelled = store.rooms.cancelJoinRequestForDevice({
+      roomId: "room-knock",
+      requestId: c2.joinRequest.requestId,
+      deviceId: "dev-c",
+    });
+    assert.equal(cancelled.request.state, "cancelled");
+    assert.equal(
+      store.rooms.listJoinRequestsForDevice({ roomId: "room-knock", deviceId: "dev-a", state: "all" })
+        .requests.length,
+      3
+    );
+    assert.equal(
+      store.rooms.getJoinRequestForDevice({
+        roomId: "room-knock",
+        requestId: c2.joinRequest.requestId,
+        deviceId: "dev-b",
+      }).reason,
+      "join_request_not_found"
+    );
+  });
+
+  test("approve re-checks the member cap", () => {
+    store.rooms.createGroupRoomFromConnect({
+      id: "room-knock-cap",
+      inviteCode: "737373",
+      creatorDeviceId: "dev-a",
+      memberCap: 3,
+      joinMode: "knock",
+    });
+    const ids = ["dev-x", "dev-y", "dev-z"].map(
+      (deviceId) =>
+        store.rooms.joinActiveRoomByCode({ inviteCode: "737373", deviceId }).joinRequest.requestId
+    );
+    for (const requestId of ids.slice(0, 2)) {
+      const out = store.rooms.decideJoinRequestForDevice({
+        roomId: "room-knock-cap",
+        requestId,
+        deviceId: "dev-a",
+        decision: "approve",
+      });
+      assert.equal(out.ok, true);
+    }
+    const full = store.rooms.decideJoinRequestForDevice({
+      roomId: "room-knock-cap",
+      requestId: ids[2],
+      deviceId: "dev-a",
+      decision: "approve",
+    });
+    assert.equal(full.reason, "full");
+    assert.equal(full.memberCap, 3);
+    assert.equal(full.memberCount, 3);
+  });
+});
+
+describe("join request routes HTTP (Join-Requests-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  async function call(method, urlPath, body) {
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("join-req-http");
+    process.env.DATABASE_PATH = dbPath;
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("create knock room, knock by code and token, approve", async () => {
+    const bad = await call("POST", "/v2/rooms/create", {
+      deviceId: "dev-o",
+      inviteCode: "818181",
+      memberCap: 4,
+      join_mode: "invite",
+    });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.json.reason, "invalid_join_mode");
+
+    const made = await call("POST", "/v2/rooms/create", {
+      deviceId: "dev-o",
+      inviteCode: "818181",
+      memberCap: 4,
+      joinMode: "knock",
+    });
+    assert.equal(made.status, 201);
+    assert.equal(made.json.joinMode, "knock");
+    const roomId = made.json.roomId;
+
+    const detail = await call("GET", `/v2/rooms/${roomId}?deviceId=dev-o`);
+    assert.equal(detail.json.joinMode, "knock");
+    assert.equal(detail.json.canManageJoinRequests, true);
+
+    const knock = await call("POST", "/sessions/join", { code: "818181", deviceId: "dev-p" });
+    assert.equal(knock.status, 202);
+    assert.equal(knock.json.code, "join_request_pending");
+    assert.equal(knock.json.roomId, roomId);
+    const { requestId } = knock.json.joinRequest;
+
+    const poll = await call("GET", `/v2/rooms/${roomId}/join-requests/${requestId}?deviceId=dev-p`);
+    assert.equal(poll.status, 200);
+    assert.equal(poll.json.state, "pending");
+
+    const token = await call("POST", `/v2/rooms/${roomId}/invites`, { deviceId: "dev-o" });
+    const viaToken = await call("POST", "/v2/invites/redeem", { deviceId: "dev-q", token: token.json.token });
+    assert.equal(viaToken.status, 202);
+    assert.equal(viaToken.json.reason, "join_request_pending");
+
+    const list = await call("GET", `/v2/rooms/${roomId}/join-requests?deviceId=dev-o`);
+    assert.equal(list.status, 200);
+    assert.equal(list.json.requests.length, 2);
+    const badState = await call("GET", `/v2/rooms/${roomId}/join-requests?deviceId=dev-o&state=old`);
+    assert.equal(badState.status, 400);
+
+    const approved = await call("POST", `/v2/rooms/${roomId}/join-requests/${requestId}/approve`, {
+      deviceId: "dev-o",
+    });
+    assert.equal(approved.status, 200);
+    assert.equal(approved.json.state, "approved");
+    const again = await call("POST", `/v2/rooms/${roomId}/join-requests/${requestId}/reject`, {
+      deviceId: "dev-o",
+    });
+    assert.equal(again.status, 409);
+    assert.equal(again.json.reason, "join_request_decided");
+
+    const member = await call("GET", `/v2/rooms/${roomId}?deviceId=dev-p`);
+    assert.equal(member.status, 200);
+    assert.equal(member.json.canManageJoinRequests, false);
+    const notAdmin = await call("GET", `/v2/rooms/${roomId}/join-requests?deviceId=dev-p`);
+    assert.equal(notAdmin.status, 403);
+    assert.equal(notAdmin.json.reason, "not_room_admin");
+
+    const unknown = await call("POST", `/v2/rooms/${roomId}/join-requests/${requestId}/toString`, {
+      deviceId: "dev-o",
+    });
+    assert.equal(unknown.status, 404);
+  });
+});
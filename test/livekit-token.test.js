@@ -9,6 +9,10 @@ const {
   processLivekitTokenRequest,
   deriveLiveKitRoomName,
 } = require("../src/livekitConnect");
+const {
+  processCallChargeStart,
+  processCallChargeSettle,
+} = require("../src/connectCallBilling");
 
 const LK_ENV = {
   LIVEKIT_URL: "wss://unit-test.livekit.example",
@@ -179,13 +183,24 @@ describe("processLivekitTokenRequest", () => {
     assert.equal(out.json.reason, "invalid_call_session_id");
   });
 
-  test("video callType rejected", async () => {
+  test("video callType rejected while video calls are disabled", async () => {
     const out = await processLivekitTokenRequest(store.rooms, {
       deviceId: "dev-a",
       roomId: "room-two",
       callSessionId: "550e8400-e29b-41d4-a716-446655440005",
       callType: "video",
     });
+    assert.equal(out.status, 403);
+    assert.equal(out.json.reason, "video_calls_disabled");
+  });
+
+  test("unknown callType rejected", async () => {
+    const out = await processLivekitTokenRequest(store.rooms, {
+      deviceId: "dev-a",
+      roomId: "room-two",
+      callSessionId: "550e8400-e29b-41d4-a716-446655440007",
+      callType: "hologram",
+    });
     assert.equal(out.status, 400);
     assert.equal(out.json.reason, "unsupported_call_type");
   });
@@ -207,6 +222,174 @@ describe("processLivekitTokenRequest", () => {
   });
 });
 
+describe("video calls (Call-Video-1)", () => {
+  const VIDEO_ENV = [
+    "CONNECT_VIDEO_CALLS_ENABLED",
+    "CONNECT_VIDEO_CALLS_REQUIRE_PRO",
+    "CONNECT_CALL_SCREEN_SHARE_ENABLED",
+  ];
+  const TARIFF = Object.freeze({
+    version: 1,
+    voice: { coinsPerSecond: 1 },
+    video: { coinsPerSecond: 2 },
+  });
+  let dbPath;
+  let store;
+  const prev = {};
+
+  function grants(token) {
+    return JSON.parse(Buffer.from(token.split(".")[1], "base64url")).video;
+  }
+
+  function mint(body) {
+    return processLivekitTokenRequest(
+      store.rooms,
+      { roomId: "room-vid", ...body },
+      { metering: store.callMetering, coins: store.coins, membership: store.membership }
+    );
+  }
+
+  before(() => {
+    for (const k of [...Object.keys(LK_ENV), ...VIDEO_ENV]) prev[k] = process.env[k];
+    Object.assign(process.env, LK_ENV);
+    process.env.CONNECT_VIDEO_CALLS_ENABLED = "1";
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-lk-video-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createRoomFromV1({ id: "room-vid", inviteCode: "747474", creatorDeviceId: "vid-a" });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "747474", deviceId: "vid-b" });
+    store.rooms.createRoomFromV1({ id: "room-vid-2", inviteCode: "747475", creatorDeviceId: "vid-b" });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "747475", deviceId: "vid-c" });
+    store.membership.applyActivationOrRenewal({
+      eventId: "evt_video_pro",
+      deviceId: "vid-a",
+      stripeSubscriptionId: "sub_video",
+      periodEndMs: Date.now() + 86400000,
+    });
+  });
+
+  after(() => {
+    for (const [k, v] of Object.entries(prev)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    store.db.close();
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("video token grants microphone + camera", async () => {
+    const out = await mint({ deviceId: "vid-a", callSessionId: "vid-1", callType: "video" });
+    assert.equal(out.status, 200);
+    assert.equal(out.json.callType, "video");
+    assert.equal(out.json.screenShare, false);
+    assert.deepEqual(grants(out.json.token).canPublishSources, ["microphone", "camera"]);
+  });
+
+  test("screen share needs env + video", async () => {
+    const off = await mint({ deviceId: "vid-a", callSessionId: "vid-2", callType: "video", screenShare: true });
+    assert.equal(off.status, 403);
+    assert.equal(off.json.reason, "screen_share_disabled");
+
+    process.env.CONNECT_CALL_SCREEN_SHARE_ENABLED = "1";
+    const voice = await mint({ deviceId: "vid-a", callSessionId: "vid-2", callType: "voice", screenShare: true });
+    assert.equal(voice.status, 400);
+    assert.equal(voice.json.reason, "screen_share_requires_video");
+
+    const on = await mint({ deviceId: "vid-a", callSessionId: "vid-2", callType: "video", screenShare: true });
+    assert.equal(on.status, 200);
+    assert.deepEqual(grants(on.json.token).canPublishSources, [
+      "microphone",
+      "camera",
+      "screen_share",
+      "screen_share_audio",
+    ]);
+    delete process.env.CONNECT_CALL_SCREEN_SHARE_ENABLED;
+  });
+
+  test("call type stays fixed across token, start and settle", async () => {
+    const peer = await mint({ deviceId: "vid-b", callSessionId: "vid-1", callType: "voice" });
+    assert.equal(peer.status, 409);
+    assert.equal(peer.json.reason, "call_type_mismatch");
+    assert.equal(peer.json.registeredCallType, "video");
+
+    const start = processCallChargeStart(
+      store.coins,
+      { deviceId: "vid-a", callSessionId: "vid-1", callType: "voice", estimatedBillableSeconds: 0 },
+      TARIFF,
+      { metering: store.callMetering, membership: store.membership }
+    );
+    assert.equal(start.status, 409);
+
+    const settle = processCallChargeSettle(
+      store.coins,
+      { deviceId: "vid-a", callSessionId: "vid-1", callType: "voice", billedSeconds: 0 },
+      TARIFF,
+      { metering: store.callMetering }
+    );
+    assert.equal(settle.status, 409);
+    assert.equal(settle.json.reason, "call_type_mismatch");
+
+    const ok = processCallChargeSettle(
+      store.coins,
+      { deviceId: "vid-a", callSessionId: "vid-1", callType: "video", billedSeconds: 0 },
+      TARIFF,
+      { metering: store.callMetering }
+    );
+    assert.equal(ok.status, 200);
+  });
+
+  test("Pro gate: non-member cannot start video, but may join a member's video call", async () => {
+    process.env.CONNECT_VIDEO_CALLS_REQUIRE_PRO = "1";
+    try {
+      const own = await mint({ deviceId: "vid-b", callSessionId: "vid-3", callType: "video" });
+      assert.equal(own.status, 403);
+      assert.equal(own.json.reason, "pro_required");
+
+      const start = processCallChargeStart(
+        store.coins,
+        { deviceId: "vid-b", callSessionId: "vid-3", callType: "video", estimatedBillableSeconds: 0 },
+        TARIFF,
+        { metering: store.callMetering, membership: store.membership }
+      );
+      assert.equal(start.status, 403);
+      assert.equal(start.json.reason, "pro_required");
+
+      const host = await mint({ deviceId: "vid-a", callSessionId: "vid-4", callType: "video" });
+      assert.equal(host.status, 200);
+      const guest = await mint({ deviceId: "vid-b", callSessionId: "vid-4", callType: "video" });
+      assert.equal(guest.status, 200);
+    } finally {
+      delete process.env.CONNECT_VIDEO_CALLS_REQUIRE_PRO;
+    }
+  });
+
+  test("Pro gate: a video callSessionId reused in another room does not count as established", async () => {
+    process.env.CONNECT_VIDEO_CALLS_REQUIRE_PRO = "1";
+    try {
+      const host = await mint({ deviceId: "vid-a", callSessionId: "vid-5", callType: "video" });
+      assert.equal(host.status, 200);
+      const reused = await mint({
+        roomId: "room-vid-2",
+        deviceId: "vid-b",
+        callSessionId: "vid-5",
+        callType: "video",
+      });
+      assert.equal(reused.status, 403);
+      assert.equal(reused.json.reason, "pro_required");
+    } finally {
+      delete process.env.CONNECT_VIDEO_CALLS_REQUIRE_PRO;
+    }
+  });
+});
+
 describe("POST /v2/calls/livekit-token (HTTP)", () => {
   let dbPath;
   let app;
@@ -0,0 +1,307 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const http = require("http");
+const Database = require("better-sqlite3");
+const { AccessToken } = require("livekit-server-sdk");
+const { createRoomStore } = require("../src/store");
+const { COIN_LEDGER_ENTRY_KINDS } = require("../src/coinEntryKinds");
+const {
+  deriveLiveKitRoomName,
+  deriveOpaqueParticipantIdentity,
+} = require("../src/livekitConnect");
+const { resolveMeteredBilledSeconds } = require("../src/callMetering");
+
+const ENV = {
+  LIVEKIT_URL: "wss://unit-test.livekit.example",
+  LIVEKIT_API_KEY: "APIwebhooktest",
+  LIVEKIT_API_SECRET:
+    "fedcba9876543210fedcba9876543210fedcba9876543210fedcba9876543210",
+  CONNECT_CALL_TARIFF_JSON: JSON.stringify({
+    version: 1,
+    voice: { coinsPerSecond: 1 },
+    video: { coinsPerSecond: 0 },
+  }),
+  CONNECT_FREE_CALL_SECONDS_PER_DAY: "0",
+  CONNECT_CALL_METERING_MODE: "",
+};
+
+describe("resolveMeteredBilledSeconds", () => {
+  const observed = { observedSeconds: 90, connected: false };
+
+  test("no observation → client value, not flagged", () => {
+    const r = resolveMeteredBilledSeconds(40, null, { mode: "server", toleranceSeconds: 5 });
+    assert.equal(r.billedSeconds, 40);
+    assert.equal(r.metering.source, "client");
+    assert.equal(r.metering.flagged, false);
+  });
+
+  test("server mode replaces the client value", () => {
+    const r = resolveMeteredBilledSeconds(0, observed, { mode: "server", toleranceSeconds: 5 });
+    assert.equal(r.billedSeconds, 90);
+    assert.equal(r.metering.deltaSeconds, -90);
+    assert.equal(r.metering.flagged, true);
+  });
+
+  test("cap mode only lowers the client value", () => {
+    assert.equal(
+      resolveMeteredBilledSeconds(120, observed, { mode: "cap", toleranceSeconds: 5 }).billedSeconds,
+      90
+    );
+    const low = resolveMeteredBilledSeconds(88, observed, { mode: "cap", toleranceSeconds: 5 });
+    assert.equal(low.billedSeconds, 88);
+    assert.equal(low.metering.source, "client");
+    assert.equal(low.metering.flagged, false);
+  });
+
+  test("off mode records the delta without changing the charge", () => {
+    const r = resolveMeteredBilledSeconds(0, observed, { mode: "off", toleranceSeconds: 5 });
+    assert.equal(r.billedSeconds, 0);
+    assert.equal(r.metering.observedSeconds, 90);
+    assert.equal(r.metering.flagged, true);
+  });
+});
+
+describe("POST /v2/webhooks/livekit", () => {
+  let dbPath;
+  let srv;
+  let base;
+  const prev = {};
+  const nowSec = Math.floor(Date.now() / 1000);
+  const roomName = deriveLiveKitRoomName("room-lkw", "call-lkw-1");
+  const identityA = deriveOpaqueParticipantIdentity("room-lkw", "call-lkw-1", "dev-lkw-a");
+
+  async function sign(body, secret = ENV.LIVEKIT_API_SECRET) {
+    const at = new AccessToken(ENV.LIVEKIT_API_KEY, secret);
+    at.sha256 = crypto.createHash("sha256").update(body).digest("base64");
+    return at.toJwt();
+  }
+
+  async function deliver(payload, opts = {}) {
+    const body = JSON.stringify(payload);
+    const headers = { "content-type": "application/webhook+json" };
+    if (opts.auth !== false) {
+      headers.authorization = await sign(body, opts.secret);
+    }
+    const res = await fetch(`${base}/v2/webhooks/livekit`, { method: "POST", headers, body });
+    return { status: res.status, json: await res.json() };
+  }
+
+  async function postJson(p, body) {
+    const res = await fetch(`${base}${p}`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  before(async () => {
+    for (const k of [...Object.keys(ENV), "DATABASE_PATH"]) prev[k] = process.env[k];
+    Object.assign(process.env, ENV);
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-lkw-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    process.env.DATABASE_PATH = dbPath;
+
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-lkw", inviteCode: "930001", creatorDeviceId: "dev-lkw-a" });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "930001", deviceId: "dev-lkw-b" });
+    seed.coins.applyLedgerCredit({
+      deviceId: "dev-lkw-a",
+      amount: 500,
+      idempotencyKey: "lkw-fund-a",
+      entryKind: COIN_LEDGER_ENTRY_KINDS.PURCHASE_CREDIT,
+      packId: "test",
+    });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    for (const [k, v] of Object.entries(prev)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    delete require.cache[require.resolve("../server.js")];
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("missing or forged signature → 401", async () => {
+    const payload = { event: "room_started", id: "EV_x", room: { name: roomName } };
+    const missing = await deliver(payload, { auth: false });
+    assert.equal(missing.status, 401);
+    assert.equal(missing.json.reason, "missing_signature");
+    const forged = await deliver(payload, { secret: "not-the-secret-not-the-secret-0000" });
+    assert.equal(forged.status, 401);
+    assert.equal(forged.json.reason, "invalid_signature");
+  });
+
+  test("rooms this server never minted are ignored", async () => {
+    const out = await deliver({
+      event: "participant_joined",
+      id: "EV_unknown",
+      createdAt: String(nowSec),
+      room: { name: "someone-elses-room" },
+      participant: { identity: "x" },
+    });
+    assert.equal(out.status, 200);
+    assert.equal(out.json.applied, false);
+    assert.equal(out.json.reason, "unknown_room");
+  });
+
+  test("joined/left intervals drive settle; a 0-second client settle is billed the observed time", async () => {
+    for (const deviceId of ["dev-lkw-a", "dev-lkw-b"]) {
+      const tok = await postJson("/v2/calls/livekit-token", {
+        deviceId,
+        roomId: "room-lkw",
+        callSessionId: "call-lkw-1",
+        callType: "voice",
+      });
+      assert.equal(tok.status, 200);
+      assert.equal(tok.json.roomName, roomName);
+    }
+
+    const joined = {
+      event: "participant_joined",
+      id: "EV_join_a",
+      createdAt: String(nowSec - 200),
+      room: { name: roomName },
+      participant: { identity: identityA },
+    };
+    assert.equal((await deliver(joined)).json.applied, true);
+    const dup = await deliver(joined);
+    assert.equal(dup.json.applied, false);
+    assert.equal(dup.json.reason, "duplicate");
+
+    const left = await deliver({
+      event: "participant_left",
+      id: "EV_left_a",
+      createdAt: String(nowSec - 110),
+      room: { name: roomName },
+      participant: { identity: identityA },
+    });
+    assert.equal(left.json.applied, true);
+
+    const start = await postJson("/v2/billing/call-charge/start", {
+      deviceId: "dev-lkw-a",
+      callSessionId: "call-lkw-1",
+      callType: "voice",
+      estimatedBillableSeconds: 120,
+    });
+    assert.equal(start.status, 200);
+
+    const settle = await postJson("/v2/billing/call-charge/settle", {
+      deviceId: "dev-lkw-a",
+      callSessionId: "call-lkw-1",
+      callType: "voice",
+      billedSeconds: 0,
+      reservedAmount: start.json.reservedCoins,
+    });
+    assert.equal(settle.status, 200);
+    assert.equal(settle.json.billedSeconds, 90);
+    assert.equal(settle.json.finalDebitCoins, 90);
+    assert.equal(settle.json.metering.source, "server");
+    assert.equal(settle.json.metering.clientBilledSeconds, 0);
+    assert.equal(settle.json.metering.observedSeconds, 90);
+    assert.equal(settle.json.metering.flagged, true);
+    assert.equal(settle.json.wallet.availableCoins, 410);
+
+    const again = await postJson("/v2/billing/call-charge/settle", {
+      deviceId: "dev-lkw-a",
+      callSessionId: "call-lkw-1",
+      callType: "voice",
+      billedSeconds: 0,
+      reservedAmount: start.json.reservedCoins,
+    });
+    assert.equal(again.json.duplicate, true);
+    assert.equal(again.json.billedSeconds, 90);
+    assert.equal(again.json.metering.flagged, true);
+  });
+
+  test("settle at 0 before joining is deferred; after the join the observed time is billed", async () => {
+    const roomName3 = deriveLiveKitRoomName("room-lkw", "call-lkw-3");
+    const tok = await postJson("/v2/calls/livekit-token", {
+      deviceId: "dev-lkw-a",
+      roomId: "room-lkw",
+      callSessionId: "call-lkw-3",
+      callType: "voice",
+    });
+    assert.equal(tok.status, 200);
+    const start = await postJson("/v2/billing/call-charge/start", {
+      deviceId: "dev-lkw-a",
+      callSessionId: "call-lkw-3",
+      callType: "voice",
+      estimatedBillableSeconds: 120,
+    });
+    assert.equal(start.status, 200);
+    const body = {
+      deviceId: "dev-lkw-a",
+      callSessionId: "call-lkw-3",
+      callType: "voice",
+      billedSeconds: 0,
+      reservedAmount: start.json.reservedCoins,
+    };
+
+    const early = await postJson("/v2/billing/call-charge/settle", body);
+    assert.equal(early.status, 409);
+    assert.equal(early.json.reason, "call_not_joined");
+
+    const joined = await deliver({
+      event: "participant_joined",
+      id: "EV_join_a3",
+      createdAt: String(nowSec - 60),
+      room: { name: roomName3 },
+      participant: {
+        identity: deriveOpaqueParticipantIdentity("room-lkw", "call-lkw-3", "dev-lkw-a"),
+      },
+    });
+    assert.equal(joined.json.applied, true);
+
+    const settle = await postJson("/v2/billing/call-charge/settle", body);
+    assert.equal(settle.status, 200);
+    assert.ok(settle.json.billedSeconds >= 60);
+    assert.equal(settle.json.metering.source, "server");
+  });
+
+  test("no webhook seen and the token expired unused → client billedSeconds is used", async () => {
+    const tok = await postJson("/v2/calls/livekit-token", {
+      deviceId: "dev-lkw-b",
+      roomId: "room-lkw",
+      callSessionId: "call-lkw-2",
+      callType: "voice",
+    });
+    assert.equal(tok.status, 200);
+    const raw = new Database(dbPath);
+    raw
+      .prepare(`UPDATE call_participants SET registered_at = ? WHERE device_id = ?`)
+      .run(Date.now() - 601 * 1000, "dev-lkw-b");
+    raw.close();
+    const settle = await postJson("/v2/billing/call-charge/settle", {
+      deviceId: "dev-lkw-b",
+      callSessionId: "call-lkw-2",
+      callType: "voice",
+      billedSeconds: 0,
+    });
+    assert.equal(settle.status, 200);
+    assert.equal(settle.json.billedSeconds, 0);
+    assert.equal(settle.json.metering.source, "client");
+    assert.equal(settle.json.metering.observedSeconds, null);
+  });
+});
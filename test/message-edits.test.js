@@ -0,0 +1,153 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { tmpDbPath, unlinkDb, send } = require("./helpers/roomDb");
+
+function countRevisions(db, messageId) {
+  return db.prepare(`SELECT COUNT(*) AS c FROM room_message_revisions WHERE message_id = ?`).get(messageId).c;
+}
+
+describe("message edits (Message-Edit-1)", () => {
+  let dbPath;
+  let store;
+  let prevMax;
+
+  before(() => {
+    prevMax = process.env.CONNECT_MESSAGE_MAX_EDITS;
+    process.env.CONNECT_MESSAGE_MAX_EDITS = "2";
+    dbPath = tmpDbPath("edits-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createRoomFromV1({ id: "room-ed", inviteCode: "737373", creatorDeviceId: "dev-a" });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "737373", deviceId: "dev-b" });
+  });
+
+  after(() => {
+    if (prevMax === undefined) delete process.env.CONNECT_MESSAGE_MAX_EDITS;
+    else process.env.CONNECT_MESSAGE_MAX_EDITS = prevMax;
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("sender edits bump revision up to the limit; list shows the latest payload", () => {
+    const sent = send(store.rooms, "room-ed", "dev-a", "msg-1");
+    assert.equal(sent.revision, 0);
+    assert.equal(sent.editedAt, null);
+
+    const edit = (deviceId, ciphertext) =>
+      store.rooms.editMessageForDevice({
+        roomId: "room-ed",
+        deviceId,
+        messageId: "msg-1",
+        encrypted: { ciphertext, nonce: "n2" },
+      });
+
+    assert.equal(edit("dev-b", "x").reason, "not_sender");
+    const first = edit("dev-a", "ct-v1");
+    assert.equal(first.ok, true);
+    assert.equal(first.message.revision, 1);
+    assert.ok(first.message.editedAt);
+    assert.equal(edit("dev-a", "ct-v2").message.revision, 2);
+    assert.equal(edit("dev-a", "ct-v3").reason, "edit_limit_reached");
+
+    const listed = store.rooms.listMessagesForDeviceRoom("room-ed", "dev-b").messages[0];
+    assert.deepEqual(listed.encrypted, { ciphertext: "ct-v2", nonce: "n2" });
+    assert.equal(listed.revision, 2);
+    assert.equal(listed.seq, sent.seq);
+    assert.equal(countRevisions(store.db, "msg-1"), 2);
+
+    store.rooms.deleteMessageForDevice({ roomId: "room-ed", deviceId: "dev-a", messageId: "msg-1" });
+    assert.equal(countRevisions(store.db, "msg-1"), 0);
+    assert.equal(edit("dev-a", "ct-v4").reason, "message_deleted");
+  });
+
+  test("screenshot and image messages are not editable; payload limits apply", () => {
+    send(store.rooms, "room-ed", "dev-a", "msg-shot", { type: "screenshot_event" });
+    send(store.rooms, "room-ed", "dev-a", "msg-img", { type: "image" });
+    send(store.rooms, "room-ed", "dev-a", "msg-txt");
+    const edit = (messageId, encrypted) =>
+      store.rooms.editMessageForDevice({ roomId: "room-ed", deviceId: "dev-a", messageId, encrypted });
+
+    assert.equal(edit("msg-shot", { ciphertext: "c", nonce: "n" }).reason, "not_editable");
+    assert.equal(edit("msg-img", { ciphertext: "c", nonce: "n" }).reason, "not_editable");
+    assert.equal(edit("msg-txt", { ciphertext: 1, nonce: "n" }).reason, "invalid_payload");
+
+    const prev = process.env.CONNECT_MESSAGE_MAX_NONCE_CHARS;
+    process.env.CONNECT_MESSAGE_MAX_NONCE_CHARS = "4";
+    try {
+      assert.equal(edit("msg-txt", { ciphertext: "c", nonce: "nnnnn" }).reason, "payload_too_large");
+    } finally {
+      if (prev === undefined) delete process.env.CONNECT_MESSAGE_MAX_NONCE_CHARS;
+      else process.env.CONNECT_MESSAGE_MAX_NONCE_CHARS = prev;
+    }
+  });
+
+  test("burn removes revisions with the messages", () => {
+    send(store.rooms, "room-ed", "dev-a", "msg-burn");
+    store.rooms.editMessageForDevice({
+      roomId: "room-ed",
+      deviceId: "dev-a",
+      messageId: "msg-burn",
+      encrypted: { ciphertext: "c", nonce: "n" },
+    });
+    store.rooms.endRoomBurnV1("room-ed");
+    assert.equal(store.db.prepare(`SELECT COUNT(*) AS c FROM room_message_revisions`).get().c, 0);
+  });
+});
+
+describe("PATCH /v2/rooms/:roomId/messages/:messageId HTTP (Message-Edit-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("edits-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-eh", inviteCode: "747474", creatorDeviceId: "dev-h1" });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "747474", deviceId: "dev-h2" });
+    send(seed.rooms, "room-eh", "dev-h1", "msg-h1");
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("edits and exposes revision / editedAt in the list", async () => {
+    const patch = (body) =>
+      fetch(`${base}/v2/rooms/room-eh/messages/msg-h1`, {
+        method: "PATCH",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+
+    const res = await patch({ deviceId: "dev-h1", encrypted: { ciphertext: "fixed", nonce: "n2" } });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.id, "msg-h1");
+    assert.equal(body.revision, 1);
+
+    const list = await (await fetch(`${base}/v2/rooms/room-eh/messages?deviceId=dev-h2`)).json();
+    assert.equal(list.messages[0].encrypted.ciphertext, "fixed");
+    assert.equal(list.messages[0].editedAt, body.editedAt);
+
+    const peer = await patch({ deviceId: "dev-h2", encrypted: { ciphertext: "x", nonce: "n" } });
+    assert.equal(peer.status, 403);
+    const empty = await patch({ deviceId: "dev-h1" });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).reason, "invalid_payload");
+  });
+});
@@ -0,0 +1,167 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { deriveRoomMemberId } = require("../src/roomMemberIdentity");
+const { parseReaction } = require("../src/messageReactionPolicy");
+const { tmpDbPath, unlinkDb, send } = require("./helpers/roomDb");
+
+describe("reaction values (Message-Reactions-1)", () => {
+  test("emoji allowlist, encrypted blobs and exactly one field", () => {
+    assert.deepEqual(parseReaction({ emoji: "👍" }), { ok: true, kind: "emoji", value: "👍" });
+    assert.equal(parseReaction({ emoji: "🦄" }).reason, "reaction_not_allowed");
+    assert.equal(parseReaction({ emoji: "👍", encrypted: "x" }).reason, "invalid_reaction");
+    assert.equal(parseReaction({}).reason, "invalid_reaction");
+    assert.equal(parseReaction({ encrypted: "b".repeat(1025) }).reason, "payload_too_large");
+
+    const prevEmoji = process.env.CONNECT_REACTION_EMOJI;
+    const prevEnc = process.env.CONNECT_REACTIONS_ENCRYPTED;
+    process.env.CONNECT_REACTION_EMOJI = "🦄, ✅";
+    process.env.CONNECT_REACTIONS_ENCRYPTED = "0";
+    try {
+      assert.equal(parseReaction({ emoji: "✅" }).ok, true);
+      assert.equal(parseReaction({ emoji: "👍" }).reason, "reaction_not_allowed");
+      assert.equal(parseReaction({ encrypted: "blob" }).reason, "reaction_not_allowed");
+    } finally {
+      if (prevEmoji === undefined) delete process.env.CONNECT_REACTION_EMOJI;
+      else process.env.CONNECT_REACTION_EMOJI = prevEmoji;
+      if (prevEnc === undefined) delete process.env.CONNECT_REACTIONS_ENCRYPTED;
+      else process.env.CONNECT_REACTIONS_ENCRYPTED = prevEnc;
+    }
+  });
+});
+
+describe("message reactions repository (Message-Reactions-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("reactions-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createGroupRoomFromConnect({
+      id: "room-rx",
+      inviteCode: "787878",
+      creatorDeviceId: "dev-a",
+      memberCap: 5,
+    });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "787878", deviceId: "dev-b" });
+    send(store.rooms, "room-rx", "dev-a", "msg-1");
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  const react = (deviceId, kind, value, messageId = "msg-1") =>
+    store.rooms.addReactionForDevice({ roomId: "room-rx", deviceId, messageId, kind, value });
+
+  test("aggregates by value with opaque member ids; add and remove are idempotent", () => {
+    assert.equal(react("dev-a", "emoji", "👍").added, true);
+    assert.equal(react("dev-a", "emoji", "👍").added, false);
+    react("dev-b", "emoji", "👍");
+    react("dev-b", "encrypted", "blob-1");
+    assert.equal(react("dev-x", "emoji", "👍").reason, "forbidden");
+    assert.equal(react("dev-a", "emoji", "👍", "nope").reason, "message_not_found");
+
+    const msg = store.rooms.listMessagesForDeviceRoom("room-rx", "dev-a").messages[0];
+    assert.deepEqual(msg.reactions, [
+      {
+        emoji: "👍",
+        count: 2,
+        memberIds: [deriveRoomMemberId("room-rx", "dev-a"), deriveRoomMemberId("room-rx", "dev-b")],
+      },
+      { encrypted: "blob-1", count: 1, memberIds: [deriveRoomMemberId("room-rx", "dev-b")] },
+    ]);
+
+    const removal = { roomId: "room-rx", deviceId: "dev-a", messageId: "msg-1", kind: "emoji", value: "👍" };
+    assert.equal(store.rooms.removeReactionForDevice(removal).removed, true);
+    assert.equal(store.rooms.removeReactionForDevice(removal).removed, false);
+    const paged = store.rooms.listMessagesForDeviceRoom("room-rx", "dev-a", { before: null, after: null, limit: 10 });
+    assert.equal(paged.messages[0].reactions[0].count, 1);
+  });
+
+  test("per-member limit, unsend and burn remove reactions", () => {
+    send(store.rooms, "room-rx", "dev-a", "msg-2");
+    for (let i = 0; i < 20; i += 1) {
+      assert.equal(react("dev-b", "encrypted", `b${i}`, "msg-2").added, true);
+    }
+    assert.equal(react("dev-b", "encrypted", "b20", "msg-2").reason, "too_many_reactions");
+    assert.equal(react("dev-b", "encrypted", "b0", "msg-2").added, false);
+
+    store.rooms.deleteMessageForDevice({ roomId: "room-rx", deviceId: "dev-a", messageId: "msg-2" });
+    const count = () => store.db.prepare(`SELECT COUNT(*) AS c FROM message_reactions`).get().c;
+    assert.equal(
+      store.db.prepare(`SELECT COUNT(*) AS c FROM message_reactions WHERE message_id = 'msg-2'`).get().c,
+      0
+    );
+    assert.equal(react("dev-b", "emoji", "👍", "msg-2").reason, "message_deleted");
+
+    assert.ok(count() > 0);
+    store.rooms.endRoomBurnV1("room-rx");
+    assert.equal(count(), 0);
+  });
+});
+
+describe("reaction routes HTTP (Message-Reactions-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("reactions-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-rh", inviteCode: "797979", creatorDeviceId: "dev-h1" });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "797979", deviceId: "dev-h2" });
+    send(seed.rooms, "room-rh", "dev-h1", "msg-h");
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("add, list and remove over HTTP", async () => {
+    const url = `${base}/v2/rooms/room-rh/messages/msg-h/reactions`;
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ deviceId: "dev-h2", emoji: "🔥" }),
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.deepEqual(body.reaction, { emoji: "🔥" });
+    assert.equal(body.added, true);
+    assert.equal(body.memberId, deriveRoomMemberId("room-rh", "dev-h2"));
+
+    const list = await (await fetch(`${base}/v2/rooms/room-rh/messages?deviceId=dev-h1`)).json();
+    assert.equal(list.messages[0].reactions[0].count, 1);
+
+    const bad = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ deviceId: "dev-h2", emoji: "🦄" }),
+    });
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).reason, "reaction_not_allowed");
+
+    const del = await fetch(`${url}?deviceId=dev-h2&emoji=${encodeURIComponent("🔥")}`, { method: "DELETE" });
+    assert.equal(del.status, 200);
+    assert.equal((await del.json()).removed, true);
+    const outsider = await fetch(`${url}?deviceId=dev-h9&emoji=${encodeURIComponent("🔥")}`, { method: "DELETE" });
+    assert.equal(outsider.status, 403);
+  });
+});
@@ -0,0 +1,157 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { tmpDbPath, unlinkDb, appendText, send } = require("./helpers/roomDb");
+
+describe("message replies (Message-Replies-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("replies-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createGroupRoomFromConnect({
+      id: "room-rp",
+      inviteCode: "757575",
+      creatorDeviceId: "dev-a",
+      memberCap: 5,
+    });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "757575", deviceId: "dev-b" });
+    store.rooms.createRoomFromV1({ id: "room-rp2", inviteCode: "767676", creatorDeviceId: "dev-a" });
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("replies are validated, stored and listed per thread with paging", () => {
+    send(store.rooms, "room-rp", "dev-a", "root");
+    const r1 = appendText(store.rooms, "room-rp", "dev-b", "r1", { replyToMessageId: "root" });
+    assert.equal(r1.ok, true);
+    assert.equal(r1.message.replyToMessageId, "root");
+    send(store.rooms, "room-rp", "dev-a", "plain");
+    send(store.rooms, "room-rp", "dev-a", "r2", { replyToMessageId: "root" });
+    send(store.rooms, "room-rp", "dev-b", "r1a", { replyToMessageId: "r1" });
+
+    const listed = store.rooms.listMessagesForDeviceRoom("room-rp", "dev-a").messages;
+    assert.deepEqual(
+      listed.map((m) => m.replyToMessageId),
+      [null, "root", null, "root", "r1"]
+    );
+
+    const thread = store.rooms.listRepliesForDevice({ roomId: "room-rp", deviceId: "dev-b", messageId: "root" });
+    assert.deepEqual(thread.replies.map((m) => m.id), ["r1", "r2"]);
+
+    const page = store.rooms.listRepliesForDevice({
+      roomId: "room-rp",
+      deviceId: "dev-b",
+      messageId: "root",
+      page: { before: null, after: null, limit: 1 },
+    });
+    assert.deepEqual(page.replies.map((m) => m.id), ["r2"]);
+    assert.equal(page.hasMore, true);
+    assert.equal(page.nextCursor, String(r1.message.seq + 2));
+
+    send(store.rooms, "room-rp2", "dev-a", "other");
+    const x1 = appendText(store.rooms, "room-rp", "dev-a", "x1", { replyToMessageId: "other" });
+    assert.equal(x1.reason, "invalid_reply_to");
+    const x2 = appendText(store.rooms, "room-rp", "dev-a", "x2", { replyToMessageId: 42 });
+    assert.equal(x2.reason, "invalid_reply_to");
+    store.rooms.deleteMessageForDevice({ roomId: "room-rp", deviceId: "dev-a", messageId: "r2" });
+    const x3 = appendText(store.rooms, "room-rp", "dev-a", "x3", { replyToMessageId: "r2" });
+    assert.equal(x3.reason, "reply_to_deleted");
+
+    const afterDelete = store.rooms.listRepliesForDevice({ roomId: "room-rp", deviceId: "dev-a", messageId: "root" });
+    assert.deepEqual(
+      afterDelete.replies.map((m) => [m.id, m.type]),
+      [["r1", "text"], ["r2", "deleted"]]
+    );
+    assert.equal(
+      store.rooms.listRepliesForDevice({ roomId: "room-rp", deviceId: "dev-a", messageId: "nope" }).reason,
+      "message_not_found"
+    );
+    assert.equal(
+      store.rooms.listRepliesForDevice({ roomId: "room-rp", deviceId: "dev-x", messageId: "root" }).reason,
+      "forbidden"
+    );
+  });
+});
+
+describe("replies over HTTP (Message-Replies-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("replies-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-rh", inviteCode: "777777", creatorDeviceId: "dev-h1" });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "777777", deviceId: "dev-h2" });
+    send(seed.rooms, "room-rh", "dev-h1", "root-h");
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("V2 and V1 POST accept replyToMessageId; thread route lists them", async () => {
+    const post = (url, body) =>
+      fetch(`${base}${url}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+    const encrypted = { ciphertext: "c", nonce: "n" };
+
+    const v2 = await post("/v2/rooms/room-rh/messages", {
+      deviceId: "dev-h2",
+      encrypted,
+      replyToMessageId: "root-h",
+    });
+    assert.equal(v2.status, 201);
+    assert.equal((await v2.json()).replyToMessageId, "root-h");
+
+    const v1 = await post("/messages", {
+      sessionId: "room-rh",
+      senderId: "dev-h1",
+      encrypted,
+      replyToMessageId: "root-h",
+    });
+    assert.equal(v1.status, 201);
+
+    const bad = await post("/v2/rooms/room-rh/messages", {
+      deviceId: "dev-h2",
+      encrypted,
+      replyToMessageId: "missing",
+    });
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).reason, "invalid_reply_to");
+
+    const thread = await fetch(`${base}/v2/rooms/room-rh/messages/root-h/replies?deviceId=dev-h1`);
+    assert.equal(thread.status, 200);
+    const body = await thread.json();
+    assert.equal(body.replies.length, 2);
+    assert.ok(body.replies.every((m) => m.replyToMessageId === "root-h"));
+
+    const badCursor = await fetch(`${base}/v2/rooms/room-rh/messages/root-h/replies?deviceId=dev-h1&after=x`);
+    assert.equal(badCursor.status, 400);
+    const missing = await fetch(`${base}/v2/rooms/room-rh/messages/nope/replies?deviceId=dev-h1`);
+    assert.equal(missing.status, 404);
+  });
+});
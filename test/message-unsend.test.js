@@ -0,0 +1,159 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { tmpDbPath, unlinkDb, send } = require("./helpers/roomDb");
+
+describe("message unsend (Message-Unsend-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("unsend-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createRoomFromV1({ id: "room-un", inviteCode: "717171", creatorDeviceId: "dev-a" });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "717171", deviceId: "dev-b" });
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("sender tombstones a message; seq stays and repeats are idempotent", () => {
+    send(store.rooms, "room-un", "dev-a", "msg-1");
+    const kept = send(store.rooms, "room-un", "dev-b", "msg-2");
+
+    assert.equal(
+      store.rooms.deleteMessageForDevice({ roomId: "room-un", deviceId: "dev-b", messageId: "msg-1" }).reason,
+      "not_sender"
+    );
+    const out = store.rooms.deleteMessageForDevice({ roomId: "room-un", deviceId: "dev-a", messageId: "msg-1" });
+    assert.equal(out.ok, true);
+    assert.equal(out.alreadyDeleted, false);
+
+    const listed = store.rooms.listMessagesForDeviceRoom("room-un", "dev-b");
+    assert.deepEqual(listed.messages[0], {
+      id: "msg-1",
+      seq: out.seq,
+      senderId: "dev-a",
+      type: "deleted",
+      encrypted: null,
+      fileName: null,
+      replyToMessageId: null,
+      deletedAt: out.deletedAt,
+      reactions: [],
+    });
+    assert.equal(listed.messages[1].encrypted.ciphertext, kept.encrypted.ciphertext);
+    const row = store.db.prepare(`SELECT ciphertext, nonce FROM room_messages WHERE id = 'msg-1'`).get();
+    assert.deepEqual({ ...row }, { ciphertext: "", nonce: "" });
+
+    const again = store.rooms.deleteMessageForDevice({ roomId: "room-un", deviceId: "dev-a", messageId: "msg-1" });
+    assert.equal(again.alreadyDeleted, true);
+    assert.equal(again.deletedAt, out.deletedAt);
+    assert.equal(
+      store.rooms.deleteMessageForDevice({ roomId: "room-un", deviceId: "dev-a", messageId: "nope" }).reason,
+      "message_not_found"
+    );
+  });
+
+  test("window, screenshot events and linked attachments", () => {
+    send(store.rooms, "room-un", "dev-a", "msg-old");
+    const late = store.rooms.deleteMessageForDevice({
+      roomId: "room-un",
+      deviceId: "dev-a",
+      messageId: "msg-old",
+      now: Date.now() + 25 * 3600000,
+    });
+    assert.equal(late.reason, "delete_window_expired");
+
+    send(store.rooms, "room-un", "dev-a", "msg-shot", { type: "screenshot_event" });
+    assert.equal(
+      store.rooms.deleteMessageForDevice({ roomId: "room-un", deviceId: "dev-a", messageId: "msg-shot" }).reason,
+      "not_deletable"
+    );
+
+    const aid = "11111111-2222-3333-4444-555555555555";
+    const t = Date.now();
+    store.attachments.insertPending.run({
+      id: aid,
+      room_id: "room-un",
+      device_id: "dev-a",
+      kind: "image",
+      mime_type: "image/jpeg",
+      size_bytes: 10,
+      original_filename: "a.jpg",
+      storage_key: `rooms/room-un/att/${aid}`,
+      created_at: t,
+    });
+    store.attachments.finalizeReady.run({ id: aid, finalized_at: t });
+    send(store.rooms, "room-un", "dev-a", "msg-img", { type: "image", attachmentId: aid });
+
+    const out = store.rooms.deleteMessageForDevice({ roomId: "room-un", deviceId: "dev-a", messageId: "msg-img" });
+    assert.deepEqual(out.attachmentsToDelete, [{ id: aid, storage_key: `rooms/room-un/att/${aid}` }]);
+    // The row stays until the object is deleted.
+    assert.ok(store.attachments.getById(aid).delete_requested_at);
+    const tomb = store.rooms
+      .listMessagesForDeviceRoom("room-un", "dev-a")
+      .messages.find((m) => m.id === "msg-img");
+    assert.equal(tomb.type, "deleted");
+    assert.equal(tomb.attachment, undefined);
+  });
+});
+
+describe("DELETE /v2/rooms/:roomId/messages/:messageId HTTP (Message-Unsend-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("unsend-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-uh", inviteCode: "727272", creatorDeviceId: "dev-h1" });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "727272", deviceId: "dev-h2" });
+    send(seed.rooms, "room-uh", "dev-h1", "msg-h1");
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("sender deletes; peers see the tombstone", async () => {
+    const url = `${base}/v2/rooms/room-uh/messages/msg-h1`;
+    const peer = await fetch(`${url}?deviceId=dev-h2`, { method: "DELETE" });
+    assert.equal(peer.status, 403);
+    assert.equal((await peer.json()).reason, "not_sender");
+
+    const res = await fetch(url, {
+      method: "DELETE",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ deviceId: "dev-h1" }),
+    });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.messageId, "msg-h1");
+    assert.equal(body.alreadyDeleted, false);
+
+    const list = await (await fetch(`${base}/v2/rooms/room-uh/messages?deviceId=dev-h2`)).json();
+    assert.equal(list.messages[0].type, "deleted");
+    assert.equal(list.messages[0].deletedAt, body.deletedAt);
+
+    const missing = await fetch(`${base}/v2/rooms/room-uh/messages/nope?deviceId=dev-h1`, { method: "DELETE" });
+    assert.equal(missing.status, 404);
+    assert.equal((await fetch(url, { method: "DELETE" })).status, 400);
+  });
+});
@@ -0,0 +1,156 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { checkRateLimit, rateLimitSubjects, recordJoinFailure } = require("../src/rateLimit");
+const { tmpDbPath, unlinkDb } = require("./helpers/roomDb");
+
+describe("rateLimitRepository (Rate-Limit-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("ratelimit-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("token bucket drains, reports retryAfterMs and refills over time", () => {
+    const rl = store.rateLimits;
+    const opts = { key: "t:ip:1", capacity: 2, refillPerMs: 2 / 60000 };
+    assert.equal(rl.takeToken({ ...opts, now: 1000 }).ok, true);
+    assert.equal(rl.takeToken({ ...opts, now: 1000 }).ok, true);
+    const denied = rl.takeToken({ ...opts, now: 1000 });
+    assert.equal(denied.ok, false);
+    assert.equal(denied.retryAfterMs, 30000);
+    assert.equal(rl.takeToken({ ...opts, now: 31000 }).ok, true);
+    assert.equal(rl.takeToken({ ...opts, now: 31000 }).ok, false);
+  });
+
+  test("failures lock out exponentially and reset after a quiet window", () => {
+    const rl = store.rateLimits;
+    const cfg = { key: "join-fail:ip:9", threshold: 3, baseMs: 1000, maxMs: 5000, windowMs: 60000 };
+    assert.equal(rl.recordFailure({ ...cfg, now: 0 }).lockedUntil, null);
+    assert.equal(rl.recordFailure({ ...cfg, now: 10 }).lockedUntil, null);
+    assert.equal(rl.recordFailure({ ...cfg, now: 20 }).lockedUntil, 1020);
+    assert.equal(rl.getLockedUntil(cfg.key, 500), 1020);
+    assert.equal(rl.getLockedUntil(cfg.key, 1020), null);
+    assert.equal(rl.recordFailure({ ...cfg, now: 2000 }).lockedUntil, 4000);
+    assert.equal(rl.recordFailure({ ...cfg, now: 5000 }).lockedUntil, 9000);
+    assert.equal(rl.recordFailure({ ...cfg, now: 9000 }).lockedUntil, 14000);
+
+    const fresh = rl.recordFailure({ ...cfg, now: 14000 + 60001 });
+    assert.equal(fresh.failures, 1);
+    assert.equal(fresh.lockedUntil, null);
+    rl.clearFailures(cfg.key);
+    assert.equal(rl.getLockedUntil(cfg.key, 0), null);
+  });
+
+  test("checkRateLimit charges the IP and the device bucket", () => {
+    const prev = process.env.CONNECT_RATE_LIMIT_MESSAGES_DEVICE_PER_MIN;
+    process.env.CONNECT_RATE_LIMIT_MESSAGES_DEVICE_PER_MIN = "1";
+    try {
+      const a = { ip: "10.0.0.1", deviceId: "dev-rl" };
+      const b = { ip: "10.0.0.2", deviceId: "dev-rl" };
+      assert.equal(checkRateLimit(store.rateLimits, "messages", a, 0).ok, true);
+      const out = checkRateLimit(store.rateLimits, "messages", b, 0);
+      assert.equal(out.ok, false);
+      assert.equal(out.reason, "rate_limited");
+      assert.equal(checkRateLimit(store.rateLimits, "messages", { ip: "10.0.0.3", deviceId: null }, 0).ok, true);
+    } finally {
+      if (prev === undefined) delete process.env.CONNECT_RATE_LIMIT_MESSAGES_DEVICE_PER_MIN;
+      else process.env.CONNECT_RATE_LIMIT_MESSAGES_DEVICE_PER_MIN = prev;
+    }
+  });
+
+  test("a spoofed deviceId cannot lock out or drain the named device", () => {
+    const victim = { ip: "10.0.0.20", deviceAuth: { deviceId: "dev-victim", verified: true } };
+    assert.deepEqual(rateLimitSubjects(victim), { ip: "10.0.0.20", deviceId: "dev-victim" });
+
+    const spoofed = { ip: "10.0.0.66", body: { deviceId: "dev-victim" }, query: {} };
+    assert.deepEqual(rateLimitSubjects(spoofed), { ip: "10.0.0.66", deviceId: null });
+    const unverified = { ...spoofed, deviceAuth: { deviceId: null, verified: false } };
+    assert.equal(rateLimitSubjects(unverified).deviceId, null);
+
+    for (let i = 0; i < 10; i += 1) recordJoinFailure(store.rateLimits, spoofed);
+    assert.equal(checkRateLimit(store.rateLimits, "join", rateLimitSubjects(spoofed)).reason, "join_locked_out");
+    assert.equal(checkRateLimit(store.rateLimits, "join", rateLimitSubjects(victim)).ok, true);
+  });
+});
+
+describe("rate limits HTTP (Rate-Limit-1)", () => {
+  const ENV = {
+    CONNECT_JOIN_LOCKOUT_THRESHOLD: "3",
+    CONNECT_RATE_LIMIT_CREATE_IP_PER_MIN: "2",
+  };
+  let dbPath;
+  let srv;
+  let base;
+  const prevEnv = {};
+
+  async function call(method, urlPath, body) {
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, retryAfter: res.headers.get("retry-after"), json: await res.json() };
+  }
+
+  before(async () => {
+    for (const [k, v] of Object.entries({ ...ENV, DATABASE_PATH: "" })) {
+      prevEnv[k] = process.env[k];
+      if (v) process.env[k] = v;
+    }
+    dbPath = tmpDbPath("ratelimit-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-rl", inviteCode: "482910", creatorDeviceId: "dev-owner" });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    for (const [k, v] of Object.entries(prevEnv)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("wrong join codes lock the caller out with 429 + Retry-After", async () => {
+    for (const code of ["000001", "000002", "000003"]) {
+      const miss = await call("POST", "/sessions/join", { code, deviceId: "dev-guess" });
+      assert.equal(miss.status, 404);
+    }
+    const locked = await call("POST", "/sessions/join", { code: "482910", deviceId: "dev-other" });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.json.reason, "join_locked_out");
+    assert.equal(locked.json.family, "join");
+    assert.ok(Number(locked.retryAfter) >= 1 && Number(locked.retryAfter) <= 30);
+
+    const meta = await call("GET", "/v2/meta");
+    assert.equal(meta.json.connect.rateLimits.enabled, true);
+    assert.equal(meta.json.connect.rateLimits.families.create.ipPerMin, 2);
+  });
+
+  test("create family bucket returns 429 once drained", async () => {
+    assert.equal((await call("POST", "/sessions/create", { code: "111111", deviceId: "dev-c1" })).status, 201);
+    assert.equal((await call("POST", "/sessions/create", { code: "222222", deviceId: "dev-c2" })).status, 201);
+    const third = await call("POST", "/sessions/create", { code: "333333", deviceId: "dev-c3" });
+    assert.equal(third.status, 429);
+    assert.equal(third.json.reason, "rate_limited");
+    assert.ok(Number(third.retryAfter) >= 1);
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { deriveRoomMemberId } = require("../src/roomMemberIdentity");
+const { ROOM_EVENT_TYPES } = require("../src/roomEvents");
+const { tmpDbPath, unlinkDb, send } = require("./helpers/roomDb");
+
+describe("read cursors repository (Read-Receipts-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("read-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createGroupRoomFromConnect({
+      id: "room-rr",
+      inviteCode: "818181",
+      creatorDeviceId: "dev-a",
+      memberCap: 5,
+    });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "818181", deviceId: "dev-b" });
+    send(store.rooms, "room-rr", "dev-a", "msg-1");
+    send(store.rooms, "room-rr", "dev-a", "msg-2");
+    send(store.rooms, "room-rr", "dev-b", "msg-3");
+    send(store.rooms, "room-rr", "dev-a", "msg-4");
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  const mark = (deviceId, fields) => store.rooms.markReadForDevice({ roomId: "room-rr", deviceId, ...fields });
+  const unreadInList = (deviceId) =>
+    store.rooms.listRoomsForDevice({ deviceId }).find((r) => r.id === "room-rr").unreadCount;
+
+  test("unread counts skip own messages and tombstones", () => {
+    assert.equal(store.rooms.readStateForDevice("room-rr", "dev-b").unreadCount, 3);
+    assert.equal(unreadInList("dev-b"), 3);
+    assert.equal(unreadInList("dev-a"), 1);
+
+    store.rooms.deleteMessageForDevice({ roomId: "room-rr", deviceId: "dev-a", messageId: "msg-4" });
+    assert.equal(unreadInList("dev-b"), 2);
+  });
+
+  test("cursors move forward only, clamp to the last seq and read implies delivered", () => {
+    const first = mark("dev-b", { readMessageId: "msg-2" });
+    assert.equal(first.ok, true);
+    assert.equal(first.readState.readSeq, 2);
+    assert.equal(first.readState.readMessageId, "msg-2");
+    assert.equal(first.readState.deliveredSeq, 2);
+    assert.equal(first.readState.unreadCount, 0);
+
+    assert.equal(mark("dev-b", { readSeq: 1 }).readState.readSeq, 2);
+    const clamped = mark("dev-b", { deliveredSeq: 99 }).readState;
+    assert.equal(clamped.deliveredSeq, 4);
+    assert.equal(clamped.deliveredMessageId, "msg-4");
+    assert.equal(clamped.readSeq, 2);
+
+    assert.equal(mark("dev-b", { readMessageId: "nope" }).reason, "message_not_found");
+    assert.equal(mark("dev-x", { readSeq: 1 }).reason, "forbidden");
+  });
+
+  test("peers see cursors and read_state events only while sharing is on", () => {
+    const events = [];
+    const off = store.events.subscribe("room-rr", (evt) => {
+      if (evt.type === ROOM_EVENT_TYPES.READ_STATE) events.push(evt);
+    });
+    try {
+      mark("dev-b", { readSeq: 3 });
+      assert.deepEqual(store.rooms.peerReadStatesForDevice("room-rr", "dev-a"), []);
+      assert.equal(events.length, 0);
+
+      mark("dev-b", { shareReadState: true });
+      const peers = store.rooms.peerReadStatesForDevice("room-rr", "dev-a");
+      assert.equal(peers.length, 1);
+      assert.equal(peers[0].memberId, deriveRoomMemberId("room-rr", "dev-b"));
+      assert.equal(peers[0].readSeq, 3);
+      assert.deepEqual(store.rooms.peerReadStatesForDevice("room-rr", "dev-b"), []);
+      assert.equal(events.length, 1);
+
+      mark("dev-b", { readSeq: 3 });
+      assert.equal(events.length, 1);
+
+      mark("dev-b", { shareReadState: false });
+      assert.deepEqual(store.rooms.peerReadStatesForDevice("room-rr", "dev-a"), []);
+      assert.equal(events.length, 1);
+    } finally {
+      off();
+    }
+  });
+});
+
+describe("read route HTTP (Read-Receipts-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("read-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({ id: "room-rh", inviteCode: "828282", creatorDeviceId: "dev-h1" });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "828282", deviceId: "dev-h2" });
+    send(seed.rooms, "room-rh", "dev-h1", "msg-h1");
+    send(seed.rooms, "room-rh", "dev-h1", "msg-h2");
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  const post = (body) =>
+    fetch(`${base}/v2/rooms/room-rh/read`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  test("mark read, then readState and peerReadStates in the message list", async () => {
+    const res = await post({ deviceId: "dev-h2", readMessageId: "msg-h1", shareReadState: true });
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.roomId, "room-rh");
+    assert.equal(body.readState.readSeq, 1);
+    assert.equal(body.readState.unreadCount, 1);
+    assert.equal(body.readState.shareReadState, true);
+
+    const own = await (await fetch(`${base}/v2/rooms/room-rh/messages?deviceId=dev-h2`)).json();
+    assert.equal(own.readState.unreadCount, 1);
+    const peer = await (await fetch(`${base}/v2/rooms/room-rh/messages?deviceId=dev-h1`)).json();
+    assert.equal(peer.peerReadStates.length, 1);
+    assert.equal(peer.peerReadStates[0].memberId, deriveRoomMemberId("room-rh", "dev-h2"));
+    assert.equal(peer.peerReadStates[0].readMessageId, "msg-h1");
+
+    const rooms = await (await fetch(`${base}/v2/rooms?deviceId=dev-h2`)).json();
+    assert.equal(rooms.rooms.find((r) => r.id === "room-rh").unreadCount, 1);
+  });
+
+  test("rejects empty, mixed and malformed cursors", async () => {
+    for (const bad of [
+      { deviceId: "dev-h2" },
+      { deviceId: "dev-h2", readSeq: 1, readMessageId: "msg-h1" },
+      { deviceId: "dev-h2", readSeq: -1 },
+      { deviceId: "dev-h2", shareReadState: "yes" },
+    ]) {
+      const res = await post(bad);
+      assert.equal(res.status, 400);
+      assert.equal((await res.json()).reason, "invalid_read_cursor");
+    }
+    assert.equal((await post({ deviceId: "dev-h9", readSeq: 1 })).status, 403);
+    assert.equal((await post({ deviceId: "dev-h2", readMessageId: "nope" })).status, 404);
+  });
+});
@@ -0,0 +1,299 @@
+const { describe, test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { openDatabase } = require("../src/store/db");
+const { createRoomRepository } = require("../src/store/roomRepository");
+const { createAttachmentRepository } = require("../src/store/attachmentRepository");
+const { createRetentionPurgeRepository } = require("../src/store/retentionPurgeRepository");
+const { createDeviceMembershipStore } = require("../src/deviceMembership");
+const { createRoomEventBus } = require("../src/roomEvents");
+const { runRetentionPurge } = require("../src/retentionPurge");
+const { buildRetentionView, ENFORCED_NOTE, ENFORCEMENT_NOTE } = require("../src/retentionContract");
+
+const DAY = 86400000;
+
+describe("retention purge job", () => {
+  let dbPath;
+  let db;
+  let rooms;
+  let attachments;
+  let membership;
+  let events;
+  let deletedKeys;
+  let failStorage;
+  let store;
+  let prevWindow;
+  const NOW = Date.now();
+
+  function ageMessage(id, ageMs) {
+    db.prepare(`UPDATE room_messages SET created_at = ? WHERE id = ?`).run(NOW - ageMs, id);
+  }
+
+  function messageIds(roomId) {
+    return db
+      .prepare(`SELECT id FROM room_messages WHERE room_id = ? ORDER BY seq`)
+      .all(roomId)
+      .map((r) => r.id);
+  }
+
+  function addText(roomId, id, deviceId, ageMs) {
+    const out = rooms.appendMessageV1({
+      roomId,
+      messageId: id,
+      senderId: deviceId,
+      type: "text",
+      encrypted: { ciphertext: "c", nonce: "n" },
+      fileName: null,
+    });
+    assert.equal(out.ok, true);
+    ageMessage(id, ageMs);
+  }
+
+  before(() => {
+    prevWindow = process.env.CONNECT_RETENTION_DEFAULT_WINDOW_MS;
+    // Default-tier purging is opt-in; most cases below exercise it with a 24h window.
+    process.env.CONNECT_RETENTION_DEFAULT_WINDOW_MS = String(DAY);
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-purge-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    db = openDatabase(dbPath);
+    attachments = createAttachmentRepository(db);
+    membership = createDeviceMembershipStore(db);
+    events = createRoomEventBus();
+    rooms = createRoomRepository(db, { membership, attachments, events });
+    store = {
+      retentionPurge: createRetentionPurgeRepository(db),
+      membership,
+      events,
+      attachmentStorage: {
+        async deleteObjects(keys) {
+          if (failStorage) throw new Error("s3 down");
+          deletedKeys.push(...keys);
+          return { deleted: keys.length };
+        },
+      },
+    };
+  });
+
+  beforeEach(() => {
+    deletedKeys = [];
+    failStorage = false;
+  });
+
+  after(() => {
+    if (prevWindow === undefined) delete process.env.CONNECT_RETENTION_DEFAULT_WINDOW_MS;
+    else process.env.CONNECT_RETENTION_DEFAULT_WINDOW_MS = prevWindow;
+    db.close();
+    for (const ext of ["", "-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  test("default tier: expired messages and their attachment objects are purged, audit written", async () => {
+    rooms.createRoomFromV1({ id: "r-def", inviteCode: "610001", creatorDeviceId: "d1" });
+    addText("r-def", "def-old", "d1", 2 * DAY);
+    addText("r-def", "def-new", "d1", 1000);
+
+    attachments.insertPending.run({
+      id: "att-1",
+      room_id: "r-def",
+      device_id: "d1",
+      kind: "image",
+      mime_type: "image/jpeg",
+      size_bytes: 10,
+      original_filename: null,
+      storage_key: "rooms/r-def/att-1",
+      created_at: NOW,
+    });
+    attachments.finalizeReady.run({ id: "att-1", finalized_at: NOW });
+    const withAtt = rooms.appendMessageV1({
+      roomId: "r-def",
+      messageId: "def-img",
+      senderId: "d1",
+      type: "image",
+      encrypted: { ciphertext: "c", nonce: "n" },
+      fileName: null,
+      attachmentId: "att-1",
+    });
+    assert.equal(withAtt.ok, true);
+    ageMessage("def-img", 3 * DAY);
+
+    const pushed = [];
+    const unsub = events.subscribe("r-def", (e) => pushed.push(e));
+    const s = await runRetentionPurge(store, { dryRun: false, now: NOW });
+    unsub();
+
+    assert.deepEqual(messageIds("r-def"), ["def-new"]);
+    assert.equal(attachments.getById("att-1"), null);
+    assert.deepEqual(deletedKeys, ["rooms/r-def/att-1"]);
+    assert.ok(s.messagesDeleted >= 2);
+    assert.equal(pushed.length, 1);
+    assert.equal(pushed[0].type, "messages_purged");
+    assert.equal(pushed[0].count, 2);
+
+    const audit = store.retentionPurge.listAuditForRoom("r-def");
+    assert.equal(audit.length, 1);
+    assert.equal(audit[0].effective_tier, "default");
+    assert.equal(audit[0].messages_deleted, 2);
+    assert.equal(audit[0].attachments_deleted, 1);
+    assert.equal(audit[0].dry_run, 0);
+
+    const again = await runRetentionPurge(store, { dryRun: false, now: NOW });
+    assert.deepEqual(messageIds("r-def"), ["def-new"]);
+    assert.equal(store.retentionPurge.listAuditForRoom("r-def").length, 1);
+    assert.equal(again.roomsFailed, 0);
+  });
+
+  test("paid window honored; lapsed paid window falls back to default; permanent kept", async () => {
+    rooms.createRoomFromV1({ id: "r-7d", inviteCode: "610002", creatorDeviceId: "d2" });
+    rooms.setRetentionManualForLinkedDevice("r-7d", "d2", "7_days", {});
+    addText("r-7d", "7d-keep", "d2", 2 * DAY);
+    addText("r-7d", "7d-drop", "d2", 8 * DAY);
+
+    rooms.createRoomFromV1({ id: "r-lapsed", inviteCode: "610003", creatorDeviceId: "d3" });
+    rooms.setRetentionManualForLinkedDevice("r-lapsed", "d3", "30_days", {
+      retentionUntil: NOW - 1000,
+    });
+    addText("r-lapsed", "lapsed-drop", "d3", 2 * DAY);
+
+    rooms.createRoomFromV1({ id: "r-perm", inviteCode: "610004", creatorDeviceId: "d4" });
+    rooms.setRetentionManualForLinkedDevice("r-perm", "d4", "permanent", {});
+    addText("r-perm", "perm-keep", "d4", 400 * DAY);
+
+    await runRetentionPurge(store, { dryRun: false, now: NOW });
+    assert.deepEqual(messageIds("r-7d"), ["7d-keep"]);
+    assert.deepEqual(messageIds("r-lapsed"), []);
+    assert.deepEqual(messageIds("r-perm"), ["perm-keep"]);
+  });
+
+  test("Pro overlay: a member linked to a default room extends the window", async () => {
+    rooms.createRoomFromV1({ id: "r-pro", inviteCode: "610005", creatorDeviceId: "d5" });
+    membership.applyActivationOrRenewal({
+      eventId: "evt_purge_pro",
+      deviceId: "d5",
+      stripeSubscriptionId: "sub_purge",
+      periodEndMs: NOW + 30 * DAY,
+    });
+    addText("r-pro", "pro-keep", "d5", 2 * DAY);
+    addText("r-pro", "pro-drop", "d5", 31 * DAY);
+    await runRetentionPurge(store, { dryRun: false, now: NOW });
+    assert.deepEqual(messageIds("r-pro"), ["pro-keep"]);
+  });
+
+  test("dry run counts and logs without deleting or auditing", async () => {
+    rooms.createRoomFromV1({ id: "r-dry", inviteCode: "610006", creatorDeviceId: "d6" });
+    addText("r-dry", "dry-old", "d6", 2 * DAY);
+    const logged = [];
+    const origLog = console.log;
+    console.log = (line) => logged.push(String(line));
+    let s;
+    try {
+      s = await runRetentionPurge(store, { dryRun: true, now: NOW });
+    } finally {
+      console.log = origLog;
+    }
+    assert.equal(s.dryRun, true);
+    assert.equal(s.messagesDeleted, 1);
+    assert.deepEqual(messageIds("r-dry"), ["dry-old"]);
+    assert.deepEqual(store.retentionPurge.listAuditForRoom("r-dry"), []);
+    assert.ok(logged.some((l) => l.includes("room=r-dry") && l.includes("messages=1")));
+  });
+
+  test("storage failure leaves rows for the next run", async () => {
+    rooms.createRoomFromV1({ id: "r-s3", inviteCode: "610007", creatorDeviceId: "d7" });
+    attachments.insertPending.run({
+      id: "att-s3",
+      room_id: "r-s3",
+      device_id: "d7",
+      kind: "file",
+      mime_type: "application/pdf",
+      size_bytes: 10,
+      original_filename: "a.pdf",
+      storage_key: "rooms/r-s3/att-s3",
+      created_at: NOW,
+    });
+    attachments.finalizeReady.run({ id: "att-s3", finalized_at: NOW });
+    rooms.appendMessageV1({
+      roomId: "r-s3",
+      messageId: "s3-msg",
+      senderId: "d7",
+      type: "file",
+      encrypted: { ciphertext: "c", nonce: "n" },
+      fileName: "a.pdf",
+      attachmentId: "att-s3",
+    });
+    ageMessage("s3-msg", 2 * DAY);
+
+    failStorage = true;
+    const s = await runRetentionPurge(store, { dryRun: false, now: NOW });
+    assert.equal(s.roomsFailed, 1);
+    assert.deepEqual(messageIds("r-s3"), ["s3-msg"]);
+
+    failStorage = false;
+    await runRetentionPurge(store, { dryRun: false, now: NOW });
+    assert.deepEqual(messageIds("r-s3"), []);
+    assert.deepEqual(deletedKeys, ["rooms/r-s3/att-s3"]);
+  });
+
+  test("default rooms are never purged unless a default window is configured", async () => {
+    rooms.createRoomFromV1({ id: "r-off", inviteCode: "610008", creatorDeviceId: "d8" });
+    addText("r-off", "off-old", "d8", 90 * DAY);
+    for (const value of [undefined, "0"]) {
+      if (value === undefined) delete process.env.CONNECT_RETENTION_DEFAULT_WINDOW_MS;
+      else process.env.CONNECT_RETENTION_DEFAULT_WINDOW_MS = value;
+      try {
+        await runRetentionPurge(store, { dryRun: false, now: NOW });
+      } finally {
+        process.env.CONNECT_RETENTION_DEFAULT_WINDOW_MS = String(DAY);
+      }
+      assert.deepEqual(messageIds("r-off"), ["off-old"]);
+    }
+  });
+});
+
+describe("retention view reports enforcement", () => {
+  const keys = ["CONNECT_RETENTION_PURGE_ENABLED", "CONNECT_RETENTION_PURGE_DRY_RUN"];
+  const prev = {};
+
+  before(() => {
+    for (const k of keys) prev[k] = process.env[k];
+  });
+
+  after(() => {
+    for (const k of keys) {
+      if (prev[k] === undefined) delete process.env[k];
+      else process.env[k] = prev[k];
+    }
+  });
+
+  const room = { id: "x", retention_tier: "default", state: "active" };
+  const io = { toIso: () => null };
+
+  test("off → advisory", () => {
+    delete process.env.CONNECT_RETENTION_PURGE_ENABLED;
+    const v = buildRetentionView(room, io);
+    assert.equal(v.retentionEnforced, false);
+    assert.equal(v.enforcementNote, ENFORCEMENT_NOTE);
+  });
+
+  test("enabled + dry run → still advisory", () => {
+    process.env.CONNECT_RETENTION_PURGE_ENABLED = "1";
+    process.env.CONNECT_RETENTION_PURGE_DRY_RUN = "1";
+    assert.equal(buildRetentionView(room, io).retentionEnforced, false);
+  });
+
+  test("enabled → enforced", () => {
+    process.env.CONNECT_RETENTION_PURGE_ENABLED = "1";
+    delete process.env.CONNECT_RETENTION_PURGE_DRY_RUN;
+    const v = buildRetentionView(room, io);
+    assert.equal(v.retentionEnforced, true);
+    assert.equal(v.enforcementNote, ENFORCED_NOTE);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { createRoomStore } = require("../src/store");
+const { deriveRoomMemberId } = require("../src/roomMemberIdentity");
+const { tmpDbPath, unlinkDb } = require("./helpers/roomDb");
+
+describe("room member list (Room-Members-1)", () => {
+  let dbPath;
+  let store;
+
+  before(() => {
+    dbPath = tmpDbPath("members-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createGroupRoomFromConnect({
+      id: "room-mem",
+      inviteCode: "616262",
+      creatorDeviceId: "dev-o",
+      memberCap: 5,
+    });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "616262", deviceId: "dev-a" });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "616262", deviceId: "dev-b" });
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("opaque ids, role order and coarse presence", () => {
+    store.rooms.setMemberRoleForDevice({
+      roomId: "room-mem",
+      deviceId: "dev-o",
+      memberId: deriveRoomMemberId("room-mem", "dev-b"),
+      role: "admin",
+    });
+    store.rooms.leaveLiveChatForLinkedDevice("room-mem", "dev-a");
+
+    const now = Date.now();
+    const out = store.rooms.listMembersForDevice({ roomId: "room-mem", deviceId: "dev-a", now });
+    assert.equal(out.ok, true);
+    assert.equal(out.selfMemberId, deriveRoomMemberId("room-mem", "dev-a"));
+    assert.deepEqual(
+      out.members.map((m) => m.role),
+      ["owner", "admin", "member"]
+    );
+    assert.equal(JSON.stringify(out).includes("dev-"), false);
+    const self = out.members.find((m) => m.isSelf);
+    assert.equal(self.memberId, out.selfMemberId);
+    assert.equal(self.presence, "recent");
+    assert.equal(out.members[0].presence, "online");
+    assert.ok(out.members[0].joinedAt);
+
+    const later = store.rooms.listMembersForDevice({
+      roomId: "room-mem",
+      deviceId: "dev-a",
+      now: now + 2 * 24 * 3600000,
+    });
+    assert.deepEqual(new Set(later.members.map((m) => m.presence)), new Set(["offline"]));
+
+    assert.equal(store.rooms.listMembersForDevice({ roomId: "room-mem", deviceId: "dev-x" }).reason, "forbidden");
+  });
+
+  test("direct rooms list members without roles, also after a burn", () => {
+    store.rooms.createRoomFromV1({ id: "room-mem-d", inviteCode: "636363", creatorDeviceId: "dev-d1" });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "636363", deviceId: "dev-d2" });
+    store.rooms.endRoomBurnV1("room-mem-d");
+    const out = store.rooms.listMembersForDevice({ roomId: "room-mem-d", deviceId: "dev-d1" });
+    assert.equal(out.roomKind, "direct");
+    assert.equal(out.members.length, 2);
+    assert.deepEqual(out.members.map((m) => m.role), [null, null]);
+    assert.ok(out.members.every((m) => m.joinedAt && m.presence === "offline"));
+  });
+});
+
+describe("GET /v2/rooms/:roomId/members HTTP (Room-Members-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("members-http");
+    process.env.DATABASE_PATH = dbPath;
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createGroupRoomFromConnect({
+      id: "room-mh",
+      inviteCode: "646464",
+      creatorDeviceId: "dev-h1",
+      memberCap: 4,
+    });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "646464", deviceId: "dev-h2" });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    const { app } = require("../server.js");
+    srv = http.createServer(app);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("lists members and matches the key directory ids", async () => {
+    const res = await fetch(`${base}/v2/rooms/room-mh/members?deviceId=dev-h2`);
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(body.roomKind, "group");
+    assert.equal(body.members.length, 2);
+    assert.deepEqual(Object.keys(body.members[0]).sort(), ["isSelf", "joinedAt", "memberId", "presence", "role"]);
+
+    const keys = await (await fetch(`${base}/v2/rooms/room-mh/members/keys?deviceId=dev-h2`)).json();
+    assert.deepEqual(
+      keys.members.map((m) => m.memberId).sort(),
+      body.members.map((m) => m.memberId).sort()
+    );
+
+    const outsider = await fetch(`${base}/v2/rooms/room-mh/members?deviceId=dev-h9`);
+    assert.equal(outsider.status, 403);
+    const missing = await fetch(`${base}/v2/rooms/room-mh/members`);
+    assert.equal(missing.status, 400);
+  });
+});
@@ -0,0 +1,280 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const WebSocket = require("ws");
+const { createRoomStore } = require("../src/store");
+const { deriveRoomMemberId } = require("../src/roomMemberIdentity");
+const { tmpDbPath, unlinkDb } = require("./helpers/roomDb");
+
+describe("group room roles (Room-Roles-1)", () => {
+  let dbPath;
+  let store;
+  const mid = (deviceId) => deriveRoomMemberId("room-roles", deviceId);
+
+  before(() => {
+    dbPath = tmpDbPath("roles-repo");
+    store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createGroupRoomFromConnect({
+      id: "room-roles",
+      inviteCode: "919191",
+      creatorDeviceId: "dev-o",
+      memberCap: 6,
+    });
+    for (const deviceId of ["dev-a", "dev-b", "dev-m"]) {
+      store.rooms.joinActiveRoomByCode({ inviteCode: "919191", deviceId });
+    }
+  });
+
+  after(() => {
+    store.db.close();
+    unlinkDb(dbPath);
+  });
+
+  test("owner promotes; admin-only rotate, delete and end", () => {
+    const detail = store.rooms.getRoomDetailForDevice("room-roles", "dev-o");
+    assert.equal(detail.room.role, "owner");
+    assert.equal(store.rooms.getRoomDetailForDevice("room-roles", "dev-a").room.role, "member");
+
+    const promoted = store.rooms.setMemberRoleForDevice({
+      roomId: "room-roles",
+      deviceId: "dev-o",
+      memberId: mid("dev-a"),
+      role: "admin",
+    });
+    assert.equal(promoted.ok, true);
+    assert.equal(promoted.changed, true);
+    assert.equal(store.rooms.getRoomDetailForDevice("room-roles", "dev-a").room.canManageJoinRequests, true);
+    assert.equal(
+      store.rooms.setMemberRoleForDevice({
+        roomId: "room-roles",
+        deviceId: "dev-a",
+        memberId: mid("dev-b"),
+        role: "admin",
+      }).reason,
+      "not_room_owner"
+    );
+    assert.equal(
+      store.rooms.setMemberRoleForDevice({
+        roomId: "room-roles",
+        deviceId: "dev-o",
+        memberId: mid("dev-o"),
+        role: "member",
+      }).reason,
+      "cannot_change_owner"
+    );
+
+    assert.equal(store.rooms.rotateInviteCodeForDevice("room-roles", "dev-m").reason, "not_room_admin");
+    assert.equal(store.rooms.softDeleteRoomForDevice("room-roles", "dev-m").reason, "not_room_admin");
+    assert.equal(store.rooms.endRoomBurnV1("room-roles", { byDeviceId: "dev-m" }).kind, "not_room_admin");
+    assert.equal(store.rooms.endRoomBurnV1("room-roles", { byDeviceId: null }).kind, "not_room_admin");
+    const rotated = store.rooms.rotateInviteCodeForDevice("room-roles", "dev-a");
+    assert.equal(rotated.ok, true);
+    store.rooms.rotateInviteCodeForDevice("room-roles", "dev-o");
+  });
+
+  test("remove revokes links, ban blocks rejoin, unban allows it", () => {
+    const code = store.rooms.getRoomDetailForDevice("room-roles", "dev-o").room.inviteCode;
+    assert.equal(
+      store.rooms.removeMemberForDevice({ roomId: "room-roles", deviceId: "dev-m", memberId: mid("dev-b") })
+        .reason,
+      "not_room_admin"
+    );
+    assert.equal(
+      store.rooms.removeMemberForDevice({ roomId: "room-roles", deviceId: "dev-a", memberId: mid("dev-o") })
+        .reason,
+      "insufficient_role"
+    );
+    assert.equal(
+      store.rooms.removeMemberForDevice({ roomId: "room-roles", deviceId: "dev-a", memberId: mid("dev-a") })
+        .reason,
+      "cannot_target_self"
+    );
+
+    const removed = store.rooms.removeMemberForDevice({
+      roomId: "room-roles",
+      deviceId: "dev-a",
+      memberId: mid("dev-b"),
+    });
+    assert.equal(removed.ok, true);
+    assert.deepEqual(removed.removedMemberIds, [mid("dev-b")]);
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-roles", "dev-b").reason, "forbidden");
+    assert.equal(
+      store.rooms.touchHeartbeatV1({ roomId: "room-roles", deviceId: "dev-b", sessionHeartbeatAutoEnd: false }).ok,
+      false
+    );
+    assert.equal(store.rooms.joinActiveRoomByCode({ inviteCode: code, deviceId: "dev-b" }).ok, true);
+
+    const banned = store.rooms.removeMemberForDevice({
+      roomId: "room-roles",
+      deviceId: "dev-o",
+      memberId: mid("dev-b"),
+      ban: true,
+    });
+    assert.equal(banned.banned, true);
+    assert.equal(store.rooms.joinActiveRoomByCode({ inviteCode: code, deviceId: "dev-b" }).reason, "banned");
+    const bans = store.rooms.listBansForDevice({ roomId: "room-roles", deviceId: "dev-a" });
+    assert.deepEqual(bans.bans.map((b) => b.memberId), [mid("dev-b")]);
+
+    assert.equal(
+      store.rooms.unbanMemberForDevice({ roomId: "room-roles", deviceId: "dev-a", memberId: mid("dev-x") })
+        .reason,
+      "ban_not_found"
+    );
+    assert.equal(
+      store.rooms.unbanMemberForDevice({ roomId: "room-roles", deviceId: "dev-a", memberId: mid("dev-b") }).ok,
+      true
+    );
+    assert.equal(store.rooms.joinActiveRoomByCode({ inviteCode: code, deviceId: "dev-b" }).ok, true);
+
+    // Only the owner removes an admin.
+    assert.equal(
+      store.rooms.removeMemberForDevice({ roomId: "room-roles", deviceId: "dev-o", memberId: mid("dev-a") })
+        .ok,
+      true
+    );
+  });
+
+  test("a banned device is not relinked through its account", () => {
+    const code = store.rooms.getRoomDetailForDevice("room-roles", "dev-o").room.inviteCode;
+    for (const deviceId of ["dev-z1", "dev-z2"]) {
+      assert.equal(store.rooms.joinActiveRoomByCode({ inviteCode: code, deviceId }).ok, true);
+      const out = store.rooms.removeMemberForDevice({
+        roomId: "room-roles",
+        deviceId: "dev-o",
+        memberId: mid(deviceId),
+        ban: true,
+      });
+      assert.equal(out.banned, true);
+    }
+    const pair = (deviceId) =>
+      store.accounts.redeemPairingCode({
+        deviceId,
+        code: store.accounts.createPairingCode({ deviceId: "dev-y", ttlMs: 60000 }).code,
+        maxDevices: 5,
+      });
+
+    // A sibling joining links the account's devices, except the banned one.
+    assert.equal(pair("dev-z1").ok, true);
+    assert.equal(store.rooms.joinActiveRoomByCode({ inviteCode: code, deviceId: "dev-y" }).ok, true);
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-roles", "dev-y").ok, true);
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-roles", "dev-z1").reason, "forbidden");
+
+    // Pairing shares the account's rooms, except the banned one.
+    assert.equal(pair("dev-z2").ok, true);
+    assert.equal(store.rooms.checkDeviceRoomAccess("room-roles", "dev-z2").reason, "forbidden");
+  });
+
+  test("direct rooms have no roles", () => {
+    store.rooms.createRoomFromV1({ id: "room-direct", inviteCode: "929292", creatorDeviceId: "dev-d1" });
+    store.rooms.joinActiveRoomByCode({ inviteCode: "929292", deviceId: "dev-d2" });
+    assert.equal(store.rooms.getRoomDetailForDevice("room-direct", "dev-d2").room.role, null);
+    assert.equal(
+      store.rooms.removeMemberForDevice({
+        roomId: "room-direct",
+        deviceId: "dev-d1",
+        memberId: deriveRoomMemberId("room-direct", "dev-d2"),
+      }).reason,
+      "not_group_room"
+    );
+    assert.equal(store.rooms.rotateInviteCodeForDevice("room-direct", "dev-d2").ok, true);
+    assert.equal(store.rooms.endRoomBurnV1("room-direct", { byDeviceId: null }).kind, "ended");
+  });
+});
+
+describe("room role routes HTTP (Room-Roles-1)", () => {
+  let dbPath;
+  let srv;
+  let base;
+  let prevDb;
+
+  async function call(method, urlPath, body) {
+    const res = await fetch(`${base}${urlPath}`, {
+      method,
+      headers: body === undefined ? {} : { "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  before(async () => {
+    prevDb = process.env.DATABASE_PATH;
+    dbPath = tmpDbPath("roles-http");
+    process.env.DATABASE_PATH = dbPath;
+    delete require.cache[require.resolve("../server.js")];
+    const { app, attachRealtime } = require("../server.js");
+    srv = http.createServer(app);
+    attachRealtime(srv);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    base = `http://127.0.0.1:${srv.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  test("promote, ban closes the stream, banned join, unban and admin-only end", async () => {
+    const made = await call("POST", "/v2/rooms/create", {
+      deviceId: "dev-ho",
+      inviteCode: "939393",
+      memberCap: 5,
+    });
+    const { roomId } = made.json;
+    await call("POST", "/sessions/join", { code: "939393", deviceId: "dev-ha" });
+    await call("POST", "/sessions/join", { code: "939393", deviceId: "dev-hm" });
+    const memberOf = (deviceId) => deriveRoomMemberId(roomId, deviceId);
+
+    const badRole = await call("POST", `/v2/rooms/${roomId}/members/${memberOf("dev-ha")}/role`, {
+      deviceId: "dev-ho",
+      role: "owner",
+    });
+    assert.equal(badRole.status, 400);
+    const promoted = await call("POST", `/v2/rooms/${roomId}/members/${memberOf("dev-ha")}/role`, {
+      deviceId: "dev-ho",
+      role: "admin",
+    });
+    assert.equal(promoted.status, 200);
+    assert.equal(promoted.json.role, "admin");
+
+    const rotate = await call("POST", `/v2/rooms/${roomId}/rotate-invite-code`, { deviceId: "dev-hm" });
+    assert.equal(rotate.status, 403);
+    assert.equal(rotate.json.reason, "not_room_admin");
+
+    const ws = new WebSocket(`${base.replace("http", "ws")}/v2/rooms/${roomId}/stream?deviceId=dev-hm`);
+    const closed = new Promise((resolve) => ws.on("close", (code) => resolve(code)));
+    await new Promise((resolve) => ws.once("message", resolve));
+
+    const banned = await call("POST", `/v2/rooms/${roomId}/members/${memberOf("dev-hm")}/ban`, {
+      deviceId: "dev-ha",
+    });
+    assert.equal(banned.status, 200);
+    assert.equal(banned.json.banned, true);
+    assert.equal(await closed, 1000);
+
+    const code = (await call("GET", `/v2/rooms/${roomId}?deviceId=dev-ho`)).json.inviteCode;
+    const rejoin = await call("POST", "/sessions/join", { code, deviceId: "dev-hm" });
+    assert.equal(rejoin.status, 403);
+    assert.equal(rejoin.json.code, "banned");
+
+    const bans = await call("GET", `/v2/rooms/${roomId}/bans?deviceId=dev-ho`);
+    assert.equal(bans.json.bans.length, 1);
+    const unban = await call("DELETE", `/v2/rooms/${roomId}/bans/${memberOf("dev-hm")}?deviceId=dev-ho`);
+    assert.equal(unban.status, 200);
+    assert.equal((await call("POST", "/sessions/join", { code, deviceId: "dev-hm" })).status, 200);
+
+    const removeAdmin = await call("DELETE", `/v2/rooms/${roomId}/members/${memberOf("dev-ha")}`, {
+      deviceId: "dev-ha",
+    });
+    assert.equal(removeAdmin.status, 409);
+    assert.equal(removeAdmin.json.reason, "cannot_target_self");
+
+    const memberEnd = await call("POST", "/sessions/end", { sessionId: roomId, deviceId: "dev-hm" });
+    assert.equal(memberEnd.status, 403);
+    assert.equal(memberEnd.json.reason, "not_room_admin");
+    const adminEnd = await call("POST", "/sessions/end", { sessionId: roomId, deviceId: "dev-ha" });
+    assert.equal(adminEnd.json.ended, true);
+  });
+});
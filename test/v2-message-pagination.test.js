@@ -0,0 +1,232 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const Database = require("better-sqlite3");
+const { openDatabase } = require("../src/store/db");
+const { createRoomRepository } = require("../src/store/roomRepository");
+const { createRoomStore } = require("../src/store");
+const { parseMessagePageQuery } = require("../src/messagePagination");
+const { tmpDbPath, unlinkDb } = require("./helpers/roomDb");
+
+function seedMessages(rooms, roomId, senderId, n) {
+  for (let i = 1; i <= n; i += 1) {
+    const out = rooms.appendMessageV1({
+      roomId,
+      messageId: `m-${roomId}-${i}`,
+      senderId,
+      type: "text",
+      encrypted: { ciphertext: `c${i}`, nonce: `n${i}` },
+      fileName: null,
+    });
+    assert.equal(out.ok, true);
+  }
+}
+
+describe("parseMessagePageQuery", () => {
+  test("no params → legacy full list", () => {
+    assert.deepEqual(parseMessagePageQuery({ deviceId: "d" }), { ok: true, page: null });
+  });
+
+  test("limit alone → latest page", () => {
+    assert.deepEqual(parseMessagePageQuery({ limit: "10" }), {
+      ok: true,
+      page: { before: null, after: null, limit: 10 },
+    });
+  });
+
+  test("rejects bad cursor, bad limit, and before+after", () => {
+    assert.equal(parseMessagePageQuery({ before: "abc" }).reason, "invalid_cursor");
+    assert.equal(parseMessagePageQuery({ limit: "0" }).reason, "invalid_limit");
+    assert.equal(parseMessagePageQuery({ limit: "500" }).reason, "invalid_limit");
+    assert.equal(
+      parseMessagePageQuery({ before: "5", after: "1" }).reason,
+      "cursor_conflict"
+    );
+  });
+});
+
+describe("message seq + cursor paging (repository)", () => {
+  let dbPath;
+  let rooms;
+
+  before(() => {
+    dbPath = tmpDbPath("paging");
+    rooms = createRoomRepository(openDatabase(dbPath));
+    rooms.createRoomFromV1({ id: "room-p", inviteCode: "717171", creatorDeviceId: "dev-p" });
+    seedMessages(rooms, "room-p", "dev-p", 7);
+  });
+
+  after(() => unlinkDb(dbPath));
+
+  test("seq is 1..n and full list stays oldest → newest", () => {
+    const out = rooms.listMessagesForDeviceRoom("room-p", "dev-p");
+    assert.equal(out.ok, true);
+    assert.deepEqual(
+      out.messages.map((m) => m.seq),
+      [1, 2, 3, 4, 5, 6, 7]
+    );
+    assert.equal(out.hasMore, false);
+    assert.equal(out.nextCursor, null);
+  });
+
+  test("backwards paging with before / nextCursor", () => {
+    const p1 = rooms.listMessagesForDeviceRoom("room-p", "dev-p", {
+      before: null,
+      after: null,
+      limit: 3,
+    });
+    assert.deepEqual(p1.messages.map((m) => m.seq), [5, 6, 7]);
+    assert.equal(p1.hasMore, true);
+    assert.equal(p1.nextCursor, "5");
+
+    const p2 = rooms.listMessagesForDeviceRoom("room-p", "dev-p", {
+      before: Number(p1.nextCursor),
+      after: null,
+      limit: 3,
+    });
+    assert.deepEqual(p2.messages.map((m) => m.seq), [2, 3, 4]);
+
+    const p3 = rooms.listMessagesForDeviceRoom("room-p", "dev-p", {
+      before: Number(p2.nextCursor),
+      after: null,
+      limit: 3,
+    });
+    assert.deepEqual(p3.messages.map((m) => m.seq), [1]);
+    assert.equal(p3.hasMore, false);
+    assert.equal(p3.nextCursor, null);
+  });
+
+  test("forward paging with after", () => {
+    const p = rooms.listMessagesForDeviceRoom("room-p", "dev-p", {
+      before: null,
+      after: 2,
+      limit: 4,
+    });
+    assert.deepEqual(p.messages.map((m) => m.seq), [3, 4, 5, 6]);
+    assert.equal(p.hasMore, true);
+    assert.equal(p.nextCursor, "6");
+  });
+
+  test("seq keeps increasing after burn + reopen", () => {
+    rooms.endRoomBurnV1("room-p");
+    rooms.reopenEndedRoomForDevice("room-p", "dev-p");
+    seedMessages(rooms, "room-p", "dev-p", 1);
+    const out = rooms.listMessagesForDeviceRoom("room-p", "dev-p");
+    assert.deepEqual(out.messages.map((m) => m.seq), [8]);
+  });
+});
+
+describe("message seq migration backfill", () => {
+  let dbPath;
+
+  after(() => unlinkDb(dbPath));
+
+  test("legacy rows get seq in (created_at, id) order and counter continues", () => {
+    dbPath = tmpDbPath("seqmig");
+    openDatabase(dbPath).close();
+
+    // Simulate a pre-migration database: drop seq column state.
+    const raw = new Database(dbPath);
+    raw.exec(`
+      DROP INDEX idx_room_messages_room_seq;
+      ALTER TABLE room_messages DROP COLUMN seq;
+      ALTER TABLE rooms DROP COLUMN message_seq;
+      INSERT INTO rooms (id, invite_code, state, created_at, updated_at)
+        VALUES ('room-legacy', '818181', 'active', 1, 1);
+      INSERT INTO room_messages (id, room_id, sender_id, msg_type, ciphertext, nonce, created_at)
+        VALUES ('b', 'room-legacy', 'd', 'text', 'c', 'n', 200),
+               ('a', 'room-legacy', 'd', 'text', 'c', 'n', 200),
+               ('z', 'room-legacy', 'd', 'text', 'c', 'n', 100);
+    `);
+    raw.close();
+
+    const db = openDatabase(dbPath);
+    const rows = db
+      .prepare(`SELECT id, seq FROM room_messages WHERE room_id = 'room-legacy' ORDER BY seq`)
+      .all();
+    assert.deepEqual(rows, [
+      { id: "z", seq: 1 },
+      { id: "a", seq: 2 },
+      { id: "b", seq: 3 },
+    ]);
+    assert.equal(
+      db.prepare(`SELECT message_seq FROM rooms WHERE id = 'room-legacy'`).get().message_seq,
+      3
+    );
+    db.close();
+  });
+});
+
+describe("GET /v2/rooms/:roomId/messages paging (HTTP)", () => {
+  let dbPath;
+  let app;
+  let prevDb;
+
+  before(() => {
+    dbPath = tmpDbPath("paghttp");
+    prevDb = process.env.DATABASE_PATH;
+    process.env.DATABASE_PATH = dbPath;
+    const store = createRoomStore({ dbFilePath: dbPath });
+    store.rooms.createRoomFromV1({ id: "room-ph", inviteCode: "727272", creatorDeviceId: "dev-h" });
+    seedMessages(store.rooms, "room-ph", "dev-h", 5);
+    store.db.close();
+    delete require.cache[require.resolve("../server.js")];
+    ({ app } = require("../server.js"));
+  });
+
+  after(() => {
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    unlinkDb(dbPath);
+  });
+
+  function get(urlPath) {
+    return new Promise((resolve, reject) => {
+      const srv = http.createServer(app);
+      srv.listen(0, async () => {
+        try {
+          const res = await fetch(`http://127.0.0.1:${srv.address().port}${urlPath}`);
+          resolve({ status: res.status, json: await res.json() });
+        } catch (e) {
+          reject(e);
+        } finally {
+          srv.close();
+        }
+      });
+      srv.on("error", reject);
+    });
+  }
+
+  test("limit + before returns page with nextCursor / hasMore", async () => {
+    const a = await get(`/v2/rooms/room-ph/messages?deviceId=dev-h&limit=2`);
+    assert.equal(a.status, 200);
+    assert.deepEqual(a.json.messages.map((m) => m.seq), [4, 5]);
+    assert.equal(a.json.hasMore, true);
+    const b = await get(
+      `/v2/rooms/room-ph/messages?deviceId=dev-h&limit=2&before=${a.json.nextCursor}`
+    );
+    assert.deepEqual(b.json.messages.map((m) => m.seq), [2, 3]);
+  });
+
+  test("no paging params keeps full list", async () => {
+    const { status, json } = await get(`/v2/rooms/room-ph/messages?deviceId=dev-h`);
+    assert.equal(status, 200);
+    assert.equal(json.messages.length, 5);
+    assert.equal(json.hasMore, false);
+    assert.equal(json.nextCursor, null);
+  });
+
+  test("400 on invalid cursor", async () => {
+    const { status, json } = await get(`/v2/rooms/room-ph/messages?deviceId=dev-h&after=x`);
+    assert.equal(status, 400);
+    assert.equal(json.reason, "invalid_cursor");
+  });
+
+  test("V1 GET /messages/:sessionId returns the transcript array", async () => {
+    const { status, json } = await get(`/messages/room-ph`);
+    assert.equal(status, 200);
+    assert.ok(Array.isArray(json));
+    assert.equal(json.length, 5);
+  });
+});
@@ -0,0 +1,219 @@
+const { describe, test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const http = require("http");
+const net = require("net");
+const WebSocket = require("ws");
+const { createRoomStore } = require("../src/store");
+
+describe("GET /v2/rooms/:roomId/stream (WebSocket)", () => {
+  let dbPath;
+  let app;
+  let attachRealtime;
+  let srv;
+  let port;
+  let prevDb;
+
+  before(async () => {
+    dbPath = path.join(
+      os.tmpdir(),
+      `burner-stream-${Date.now()}-${Math.random().toString(16).slice(2)}.db`
+    );
+    prevDb = process.env.DATABASE_PATH;
+    process.env.DATABASE_PATH = dbPath;
+
+    const seed = createRoomStore({ dbFilePath: dbPath });
+    seed.rooms.createRoomFromV1({
+      id: "room-stream",
+      inviteCode: "515151",
+      creatorDeviceId: "dev-s1",
+    });
+    seed.rooms.joinActiveRoomByCode({ inviteCode: "515151", deviceId: "dev-s2" });
+    seed.rooms.createRoomFromV1({
+      id: "room-stream-del",
+      inviteCode: "525252",
+      creatorDeviceId: "dev-s1",
+    });
+    seed.db.close();
+
+    delete require.cache[require.resolve("../server.js")];
+    ({ app, attachRealtime } = require("../server.js"));
+    srv = http.createServer(app);
+    attachRealtime(srv);
+    await new Promise((resolve) => srv.listen(0, resolve));
+    port = srv.address().port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => srv.close(resolve));
+    if (prevDb === undefined) delete process.env.DATABASE_PATH;
+    else process.env.DATABASE_PATH = prevDb;
+    delete require.cache[require.resolve("../server.js")];
+    try {
+      fs.unlinkSync(dbPath);
+    } catch (_) {
+      /* ignore */
+    }
+    for (const ext of ["-shm", "-wal"]) {
+      try {
+        fs.unlinkSync(dbPath + ext);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+  });
+
+  /** Opens a socket and buffers frames; `next(type)` resolves with the first unread frame of that type. */
+  function openStream(roomId, deviceId) {
+    return new Promise((resolve, reject) => {
+      const q = deviceId != null ? `?deviceId=${encodeURIComponent(deviceId)}` : "";
+      const ws = new WebSocket(`ws://127.0.0.1:${port}/v2/rooms/${roomId}/stream${q}`);
+      const frames = [];
+      const waiters = [];
+      function flush() {
+        for (let i = waiters.length - 1; i >= 0; i -= 1) {
+          const idx = frames.findIndex((f) => f.type === waiters[i].type);
+          if (idx !== -1) {
+            const [f] = frames.splice(idx, 1);
+            waiters.splice(i, 1)[0].resolve(f);
+          }
+        }
+      }
+      ws.on("message", (data) => {
+        frames.push(JSON.parse(String(data)));
+        flush();
+      });
+      ws.on("unexpected-response", (_req, res) => {
+        reject(Object.assign(new Error("rejected"), { status: res.statusCode }));
+      });
+      ws.on("error", reject);
+      ws.on("open", () => {
+        resolve({
+          ws,
+          next(type) {
+            return new Promise((res2) => {
+              waiters.push({ type, resolve: res2 });
+              flush();
+            });
+          },
+          closed: new Promise((res3) => ws.on("close", (code) => res3(code))),
+        });
+      });
+    });
+  }
+
+  async function post(urlPath, bodyObj) {
+    const res = await fetch(`http://127.0.0.1:${port}${urlPath}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(bodyObj),
+    });
+    return { status: res.status, json: await res.json() };
+  }
+
+  test("rejects before upgrade: missing deviceId, unlinked device, unknown room", async () => {
+    await assert.rejects(openStream("room-stream", null), { status: 400 });
+    await assert.rejects(openStream("room-stream", "stranger"), { status: 403 });
+    await assert.rejects(openStream("no-such-room", "dev-s1"), { status: 404 });
+  });
+
+  test("malformed upgrade target gets 400 and the server keeps running", async () => {
+    const reply = await new Promise((resolve, reject) => {
+      const sock = net.connect(port, "127.0.0.1", () => {
+        sock.write(
+          "GET //[ HTTP/1.1\r\n" +
+            `Host: 127.0.0.1:${port}\r\n` +
+            "Connection: Upgrade\r\n" +
+            "Upgrade: websocket\r\n" +
+            "Sec-WebSocket-Version: 13\r\n" +
+            "Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n"
+        );
+      });
+      let data = "";
+      sock.on("data", (chunk) => {
+        data += chunk;
+      });
+      sock.on("close", () => resolve(data));
+      sock.on("error", reject);
+    });
+    assert.match(reply, /^HTTP\/1\.1 400 /);
+    assert.match(reply, /"reason":"invalid_request"/);
+
+    const { ws } = await openStream("room-stream", "dev-s1");
+    ws.close();
+  });
+
+  test("ready frame, then message pushed to peer", async () => {
+    const s = await openStream("room-stream", "dev-s2");
+    const ready = await s.next("ready");
+    assert.equal(ready.roomId, "room-stream");
+    assert.equal(ready.roomState, "active");
+
+    const { status, json } = await post(
+      `/v2/rooms/room-stream/messages?deviceId=dev-s1`,
+      { encrypted: { ciphertext: "c", nonce: "n" }, type: "text" }
+    );
+    assert.equal(status, 201);
+    const ev = await s.next("message");
+    assert.equal(ev.message.id, json.id);
+    assert.equal(ev.message.senderId, "dev-s1");
+    assert.deepEqual(ev.message.encrypted, { ciphertext: "c", nonce: "n" });
+    s.ws.close();
+  });
+
+  test("invite rotation, end and reopen are pushed", async () => {
+    const s = await openStream("room-stream", "dev-s1");
+    await s.next("ready");
+
+    const rot = await post(`/v2/rooms/room-stream/rotate-invite-code`, { deviceId: "dev-s1" });
+    assert.equal(rot.status, 200);
+    const ev = await s.next("invite_rotated");
+    assert.equal(ev.inviteCode, rot.json.inviteCode);
+
+    const end = await post(`/sessions/end`, { sessionId: "room-stream" });
+    assert.equal(end.status, 200);
+    const ended = await s.next("room_ended");
+    assert.equal(ended.reason, "burn");
+
+    const re = await post(`/v2/rooms/room-stream/reopen`, { deviceId: "dev-s1" });
+    assert.equal(re.status, 200);
+    await s.next("room_reopened");
+    s.ws.close();
+  });
+
+  test("revoking an account device closes its stream on rooms it only had through the account", async () => {
+    const code = await post("/v2/account/pairing-codes", { deviceId: "dev-s2" });
+    assert.equal(code.status, 201);
+    const paired = await post("/v2/account/pair", { deviceId: "dev-s3", code: code.json.code });
+    assert.equal(paired.status, 201);
+
+    const peer = await openStream("room-stream", "dev-s1");
+    await peer.next("ready");
+    const s = await openStream("room-stream", "dev-s3");
+    await s.next("ready");
+    const res = await fetch(
+      `http://127.0.0.1:${port}/v2/account/devices/${paired.json.deviceRef}?deviceId=dev-s2`,
+      { method: "DELETE" }
+    );
+    assert.equal(res.status, 200);
+    const ev = await s.next("member_removed");
+    assert.equal((await peer.next("member_removed")).memberId, ev.memberId);
+    assert.equal(await s.closed, 1000);
+    peer.ws.close();
+    await peer.closed;
+    await assert.rejects(openStream("room-stream", "dev-s3"), { status: 403 });
+  });
+
+  test("soft delete pushes room_deleted and closes; reconnect gets 410", async () => {
+    const s = await openStream("room-stream-del", "dev-s1");
+    await s.next("ready");
+    const del = await post(`/v2/rooms/room-stream-del/delete`, { deviceId: "dev-s1" });
+    assert.equal(del.status, 200);
+    const ev = await s.next("room_deleted");
+    assert.ok(ev.deletedAt);
+    assert.equal(await s.closed, 1000);
+    await assert.rejects(openStream("room-stream-del", "dev-s1"), { status: 410 });
+  });
+});